@@ -0,0 +1,216 @@
+/**
+ * Build-time SEO output generated from published events.
+ *
+ *   node scripts/generate-seo.js sitemap   (prebuild)  -> public/sitemap.xml
+ *   node scripts/generate-seo.js pages     (postbuild) -> dist/event/<id>/index.html
+ *
+ * Event pages are copies of the built index.html with the event's title,
+ * description, canonical URL and OG image, so crawlers and link previews see
+ * them without running the app. Static hosts serve these files before the SPA
+ * fallback; events added after a build still work client-side via /event/:id.
+ *
+ * Reads VITE_SUPABASE_URL / VITE_SUPABASE_ANON_KEY like the app. Without them
+ * (or if Supabase can't be reached) the sitemap lists only the static pages
+ * and no event pages are written, so the build never fails on this step.
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import { dirname, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { createClient } from '@supabase/supabase-js'
+import { loadEnv } from 'vite'
+import { formatHistoricalPeriod } from '../src/utils/historicalDate.js'
+
+const CLIENT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..')
+const SITE_URL = 'https://history-arrow.yanick-christen.com'
+const SITE_NAME = 'History Arrow'
+const FETCH_PAGE_SIZE = 1000
+const SEO_DESCRIPTION_MAX_LENGTH = 160
+
+const STATIC_PAGES = [
+  { path: '/', changefreq: 'weekly', priority: '1.0' },
+  { path: '/compare', changefreq: 'weekly', priority: '0.6' },
+  { path: '/game', changefreq: 'weekly', priority: '0.7' },
+  { path: '/game/leaderboard', changefreq: 'daily', priority: '0.5' }
+]
+
+const EVENT_COLUMNS = [
+  'id',
+  'parent_id',
+  'title',
+  'description',
+  'date_type',
+  'start_date',
+  'end_date',
+  'astronomical_start_year',
+  'astronomical_end_year',
+  'date_precision',
+  'uncertainty_years',
+  'image_url',
+  'updated_at'
+]
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+async function fetchPublishedEvents() {
+  const env = loadEnv(process.env.NODE_ENV || 'production', CLIENT_DIR, 'VITE_')
+  if (!env.VITE_SUPABASE_URL || !env.VITE_SUPABASE_ANON_KEY) {
+    console.warn('[seo] Supabase is not configured; skipping event pages')
+    return []
+  }
+
+  const supabase = createClient(env.VITE_SUPABASE_URL, env.VITE_SUPABASE_ANON_KEY)
+  const rows = []
+  try {
+    for (let from = 0; ; from += FETCH_PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('events')
+        .select(EVENT_COLUMNS.join(', '))
+        .eq('is_published', true)
+        .order('id', { ascending: true })
+        .range(from, from + FETCH_PAGE_SIZE - 1)
+      if (error) throw error
+      rows.push(...data)
+      if (data.length < FETCH_PAGE_SIZE) return rows
+    }
+  } catch (err) {
+    console.warn(`[seo] Could not load published events (${err.message}); skipping event pages`)
+    return []
+  }
+}
+
+// Short years-ago label, same wording as formatYearsAgo in src/utils/dateUtils.js
+function formatYearsAgoLabel(yearsAgo) {
+  const units = [[1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']]
+  const [divisor, unit] = units.find(([value]) => yearsAgo >= value) || [1, null]
+  const value = Number((yearsAgo / divisor).toFixed(divisor === 1e9 ? 2 : 1))
+  return unit ? `${value} ${unit} years ago` : `${Math.round(yearsAgo)} years ago`
+}
+
+function formatEventDateLabel(event) {
+  const format = (isEnd) => {
+    if (event.date_type === 'astronomical') {
+      const yearsAgo = isEnd ? event.astronomical_end_year : event.astronomical_start_year
+      return yearsAgo ? formatYearsAgoLabel(Number(yearsAgo)) : null
+    }
+    const date = isEnd ? event.end_date : event.start_date
+    if (!date) return null
+    const label = formatHistoricalPeriod(date, event.date_precision) || date
+    return event.uncertainty_years > 0 ? `c. ${label}` : label
+  }
+  const start = format(false)
+  const end = format(true)
+  return start && end ? `${start} – ${end}` : start || end || ''
+}
+
+function getEventMeta(event) {
+  const dateLabel = formatEventDateLabel(event)
+  const text = event.description || `${dateLabel} on the History Arrow timeline.`
+  const title = dateLabel ? `${event.title} (${dateLabel})` : event.title
+  return {
+    title: `${title} | ${SITE_NAME}`,
+    heading: event.title,
+    dateLabel,
+    description: text.length > SEO_DESCRIPTION_MAX_LENGTH
+      ? `${text.slice(0, SEO_DESCRIPTION_MAX_LENGTH - 1).trimEnd()}…`
+      : text,
+    url: `${SITE_URL}/event/${encodeURIComponent(event.id)}`,
+    image: event.image_url || null
+  }
+}
+
+function replaceTag(html, pattern, replacement) {
+  return pattern.test(html) ? html.replace(pattern, replacement) : html.replace('</head>', `  ${replacement}\n  </head>`)
+}
+
+function renderEventHtml(template, meta) {
+  const title = escapeHtml(meta.title)
+  const description = escapeHtml(meta.description)
+  const url = escapeHtml(meta.url)
+  let html = template
+  html = replaceTag(html, /<title>[\s\S]*?<\/title>/, `<title>${title}</title>`)
+  html = replaceTag(html, /<meta name="description"[^>]*>/, `<meta name="description" content="${description}" />`)
+  html = replaceTag(html, /<link rel="canonical"[^>]*>/, `<link rel="canonical" href="${url}" />`)
+  html = replaceTag(html, /<meta property="og:type"[^>]*>/, '<meta property="og:type" content="article" />')
+  html = replaceTag(html, /<meta property="og:title"[^>]*>/, `<meta property="og:title" content="${title}" />`)
+  html = replaceTag(html, /<meta property="og:description"[^>]*>/, `<meta property="og:description" content="${description}" />`)
+  html = replaceTag(html, /<meta property="og:url"[^>]*>/, `<meta property="og:url" content="${url}" />`)
+  html = replaceTag(html, /<meta name="twitter:title"[^>]*>/, `<meta name="twitter:title" content="${title}" />`)
+  html = replaceTag(html, /<meta name="twitter:description"[^>]*>/, `<meta name="twitter:description" content="${description}" />`)
+  if (meta.image) {
+    const image = escapeHtml(meta.image)
+    html = replaceTag(html, /<meta property="og:image"[^>]*>/, `<meta property="og:image" content="${image}" />`)
+    html = replaceTag(html, /<meta name="twitter:image"[^>]*>/, `<meta name="twitter:image" content="${image}" />`)
+  }
+
+  // Readable without JavaScript; React replaces it when the app mounts
+  const fallback = [
+    '<article>',
+    `<h1>${escapeHtml(meta.heading)}</h1>`,
+    meta.dateLabel ? `<p>${escapeHtml(meta.dateLabel)}</p>` : '',
+    `<p>${description}</p>`,
+    '</article>'
+  ].join('')
+  return html.replace('<div id="root"></div>', `<div id="root">${fallback}</div>`)
+}
+
+function renderSitemap(events) {
+  const urls = [
+    ...STATIC_PAGES.map((page) => ({ ...page, loc: `${SITE_URL}${page.path}` })),
+    ...events.map((event) => ({
+      loc: `${SITE_URL}/event/${encodeURIComponent(event.id)}`,
+      lastmod: event.updated_at ? event.updated_at.slice(0, 10) : null,
+      changefreq: 'monthly',
+      priority: event.parent_id ? '0.4' : '0.5'
+    }))
+  ]
+  const entries = urls.map((url) => [
+    '  <url>',
+    `    <loc>${escapeHtml(url.loc)}</loc>`,
+    url.lastmod ? `    <lastmod>${url.lastmod}</lastmod>` : null,
+    `    <changefreq>${url.changefreq}</changefreq>`,
+    `    <priority>${url.priority}</priority>`,
+    '  </url>'
+  ].filter(Boolean).join('\n'))
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</urlset>',
+    ''
+  ].join('\n')
+}
+
+async function writeSitemap() {
+  const events = await fetchPublishedEvents()
+  await writeFile(resolve(CLIENT_DIR, 'public/sitemap.xml'), renderSitemap(events))
+  console.log(`[seo] Wrote public/sitemap.xml (${events.length} events)`)
+}
+
+async function writeEventPages() {
+  const template = await readFile(resolve(CLIENT_DIR, 'dist/index.html'), 'utf8')
+  const events = await fetchPublishedEvents()
+  for (const event of events) {
+    const dir = resolve(CLIENT_DIR, 'dist/event', String(event.id))
+    await mkdir(dir, { recursive: true })
+    await writeFile(resolve(dir, 'index.html'), renderEventHtml(template, getEventMeta(event)))
+  }
+  console.log(`[seo] Wrote ${events.length} event pages to dist/event`)
+}
+
+const command = process.argv[2]
+if (command === 'sitemap') {
+  await writeSitemap()
+} else if (command === 'pages') {
+  await writeEventPages()
+} else {
+  console.error('Usage: node scripts/generate-seo.js <sitemap|pages>')
+  process.exit(1)
+}
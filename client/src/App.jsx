@@ -3,6 +3,11 @@ import { AuthProvider } from './hooks/useAuth'
 import './utils/timelineAppearance'
 import Home from './pages/Home'
 import Game from './pages/Game'
+import GameLeaderboard from './pages/GameLeaderboard'
+import GamePlayer from './pages/GamePlayer'
+import GameResults from './pages/GameResults'
+import Compare from './pages/Compare'
+import EventPage from './pages/EventPage'
 import Admin from './pages/Admin'
 import Login from './pages/Login'
 import ProtectedRoute from './components/ProtectedRoute'
@@ -16,7 +21,12 @@ function App() {
         <main className="main-content">
           <Routes>
             <Route path="/" element={<Home />} />
+            <Route path="/event/:id" element={<EventPage />} />
+            <Route path="/compare" element={<Compare />} />
             <Route path="/game" element={<Game />} />
+            <Route path="/game/leaderboard" element={<GameLeaderboard />} />
+            <Route path="/game/players/:id" element={<GamePlayer />} />
+            <Route path="/game/sessions/:id" element={<GameResults />} />
             <Route path="/login" element={<Login />} />
             <Route
               path="/admin"
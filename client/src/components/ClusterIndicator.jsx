@@ -1,7 +1,8 @@
 import { motion, AnimatePresence } from 'framer-motion'
 import './ClusterIndicator.css'
 
-function ClusterIndicator({ cluster, onClick, isHovered, onHover }) {
+// `listId`: the TimelineEventList showing this cluster's events, when one is open
+function ClusterIndicator({ cluster, onClick, isHovered, onHover, isExpanded = false, listId = null }) {
   const { position, count } = cluster
 
   const handleMouseEnter = () => {
@@ -17,6 +18,12 @@ function ClusterIndicator({ cluster, onClick, isHovered, onHover }) {
     if (onClick) onClick(cluster)
   }
 
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return
+    e.preventDefault()
+    handleClick(e)
+  }
+
   const hoverZoneWidth = Math.min(20, count * 5)
 
   return (
@@ -28,8 +35,16 @@ function ClusterIndicator({ cluster, onClick, isHovered, onHover }) {
         marginLeft: isHovered ? `-${hoverZoneWidth / 2}%` : '0'
       }}
       onClick={handleClick}
+      onKeyDown={handleKeyDown}
       onMouseEnter={handleMouseEnter}
       onMouseLeave={handleMouseLeave}
+      onFocus={handleMouseEnter}
+      onBlur={handleMouseLeave}
+      role="button"
+      tabIndex={0}
+      aria-label={`${count} events grouped here`}
+      aria-expanded={isExpanded}
+      aria-controls={listId || undefined}
       initial={{ opacity: 0, scale: 0 }}
       animate={{ opacity: 1, scale: 1 }}
       transition={{ type: 'spring', stiffness: 300, damping: 20 }}
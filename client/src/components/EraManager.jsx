@@ -0,0 +1,260 @@
+import { useState } from 'react'
+import { ASTRONOMICAL_UNITS, yearsAgoToFormValues, formatYearsAgo } from '../utils/dateUtils'
+import { ERA_RANKS, validateEra } from '../utils/eras'
+import './EraManager.css'
+
+const UNIT_OPTIONS = [
+  { value: 'years', label: 'years ago' },
+  { value: 'thousands', label: 'thousand years ago' },
+  { value: 'millions', label: 'million years ago' },
+  { value: 'billions', label: 'billion years ago' }
+]
+
+const EMPTY_ERA_FORM = {
+  name: '',
+  rank: 'period',
+  start_value: '',
+  start_unit: 'millions',
+  end_value: '',
+  end_unit: 'millions',
+  color: '#7fc64e'
+}
+
+function toEraForm(era) {
+  const start = yearsAgoToFormValues(era.start_years_ago)
+  const end = era.end_years_ago > 0 ? yearsAgoToFormValues(era.end_years_ago) : { value: 0, unit: start.unit }
+  return {
+    name: era.name,
+    rank: era.rank,
+    start_value: String(start.value),
+    start_unit: start.unit,
+    end_value: String(end.value),
+    end_unit: end.unit,
+    color: (era.color || EMPTY_ERA_FORM.color).toLowerCase()
+  }
+}
+
+// Empty or malformed boundaries come back as NaN so validateEra reports them
+const toYearsAgo = (value, unit) => (
+  String(value).trim() === '' ? NaN : parseFloat(value) * (ASTRONOMICAL_UNITS[unit] || 1)
+)
+
+function fromEraForm(form) {
+  return {
+    name: form.name,
+    rank: form.rank,
+    start_years_ago: toYearsAgo(form.start_value, form.start_unit),
+    end_years_ago: toYearsAgo(form.end_value, form.end_unit),
+    color: form.color
+  }
+}
+
+function EraFields({ form, onChange, idPrefix }) {
+  const set = (key) => (e) => onChange({ ...form, [key]: e.target.value })
+  return (
+    <div className="era-fields">
+      <input
+        type="text"
+        className="form-input era-name-input"
+        placeholder="Name, e.g. Jurassic"
+        value={form.name}
+        onChange={set('name')}
+        aria-label="Era name"
+      />
+      <select className="form-select" value={form.rank} onChange={set('rank')} aria-label="Rank">
+        {ERA_RANKS.map((rank) => (
+          <option key={rank.value} value={rank.value}>{rank.label}</option>
+        ))}
+      </select>
+      <div className="era-boundary">
+        <label htmlFor={`${idPrefix}-start`}>From</label>
+        <input
+          id={`${idPrefix}-start`}
+          type="number"
+          className="form-input"
+          min="0"
+          step="any"
+          value={form.start_value}
+          onChange={set('start_value')}
+        />
+        <select className="form-select" value={form.start_unit} onChange={set('start_unit')} aria-label="Start unit">
+          {UNIT_OPTIONS.map((unit) => <option key={unit.value} value={unit.value}>{unit.label}</option>)}
+        </select>
+      </div>
+      <div className="era-boundary">
+        <label htmlFor={`${idPrefix}-end`}>To</label>
+        <input
+          id={`${idPrefix}-end`}
+          type="number"
+          className="form-input"
+          min="0"
+          step="any"
+          value={form.end_value}
+          onChange={set('end_value')}
+        />
+        <select className="form-select" value={form.end_unit} onChange={set('end_unit')} aria-label="End unit">
+          {UNIT_OPTIONS.map((unit) => <option key={unit.value} value={unit.value}>{unit.label}</option>)}
+        </select>
+      </div>
+      <input
+        type="color"
+        className="era-color-input"
+        value={form.color}
+        onChange={set('color')}
+        aria-label="Band color"
+      />
+    </div>
+  )
+}
+
+/**
+ * Admin editor for the era bands: geological units and human-history ages,
+ * each a name, a rank (which row it is drawn in) and its boundaries in
+ * years ago. While the table is empty the timeline uses the built-in eras,
+ * which can be copied in as a starting point.
+ */
+function EraManager({ eras, usingDefaults, createEra, updateEra, deleteEra, importDefaultEras }) {
+  const [newEra, setNewEra] = useState(EMPTY_ERA_FORM)
+  const [editingEraId, setEditingEraId] = useState(null)
+  const [editForm, setEditForm] = useState(EMPTY_ERA_FORM)
+  const [busyId, setBusyId] = useState(null)
+  const [error, setError] = useState('')
+
+  const run = async (id, action) => {
+    try {
+      setBusyId(id)
+      setError('')
+      await action()
+      return true
+    } catch (err) {
+      setError(err.message)
+      return false
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const save = (id, form, action) => {
+    const era = fromEraForm(form)
+    const validation = validateEra(era)
+    if (!validation.valid) {
+      setError(validation.error)
+      return Promise.resolve(false)
+    }
+    return run(id, () => action(era))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    const created = await save('new', newEra, createEra)
+    if (created) setNewEra({ ...EMPTY_ERA_FORM, rank: newEra.rank })
+  }
+
+  const handleUpdate = async (e, era) => {
+    e.preventDefault()
+    const updated = await save(era.id, editForm, (values) => updateEra(era.id, values))
+    if (updated) setEditingEraId(null)
+  }
+
+  const handleDelete = (era) => {
+    if (!window.confirm(`Delete the "${era.name}" era band?`)) return
+    run(era.id, () => deleteEra(era.id))
+  }
+
+  return (
+    <div className="era-manager">
+      {error && (
+        <div className="action-message error" style={{ marginBottom: '0.75rem' }}>{error}</div>
+      )}
+
+      {usingDefaults ? (
+        <div className="era-defaults-note">
+          <p>
+            The timeline shows the built-in eras: the ICS chronostratigraphic chart and a coarse
+            sequence of human-history ages. Copy them here to edit, add or remove eras.
+          </p>
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={() => run('import', importDefaultEras)}
+            disabled={busyId === 'import'}
+          >
+            Copy built-in eras
+          </button>
+        </div>
+      ) : (
+        <form className="era-add-form" onSubmit={handleCreate}>
+          <EraFields form={newEra} onChange={setNewEra} idPrefix="new-era" />
+          <button
+            type="submit"
+            className="btn btn-primary btn-sm"
+            disabled={!newEra.name.trim() || busyId === 'new'}
+          >
+            Add Era
+          </button>
+        </form>
+      )}
+
+      {!usingDefaults && ERA_RANKS.map((rank) => {
+        const rankEras = eras.filter((era) => era.rank === rank.value)
+        if (rankEras.length === 0) return null
+        return (
+          <section key={rank.value} className="era-rank-group">
+            <h3 className="era-rank-title">{rank.label} <span>{rankEras.length}</span></h3>
+            <ol className="era-list">
+              {rankEras.map((era) => {
+                const isBusy = busyId === era.id
+                return (
+                  <li key={era.id} className="era-row">
+                    {editingEraId === era.id ? (
+                      <form className="era-edit-form" onSubmit={(e) => handleUpdate(e, era)}>
+                        <EraFields form={editForm} onChange={setEditForm} idPrefix={`era-${era.id}`} />
+                        <div className="era-row-actions">
+                          <button type="submit" className="btn btn-primary btn-sm" disabled={isBusy}>Save</button>
+                          <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditingEraId(null)}>
+                            Cancel
+                          </button>
+                        </div>
+                      </form>
+                    ) : (
+                      <>
+                        <span className="era-swatch" style={{ background: era.color }} aria-hidden="true" />
+                        <span className="era-name">{era.name}</span>
+                        <span className="era-range">
+                          {formatYearsAgo(era.start_years_ago)} – {era.end_years_ago > 0 ? formatYearsAgo(era.end_years_ago) : 'present'}
+                        </span>
+                        <div className="era-row-actions">
+                          <button
+                            type="button"
+                            className="btn btn-secondary btn-sm"
+                            onClick={() => {
+                              setEditingEraId(era.id)
+                              setEditForm(toEraForm(era))
+                            }}
+                            disabled={isBusy}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            type="button"
+                            className="btn btn-danger btn-sm"
+                            onClick={() => handleDelete(era)}
+                            disabled={isBusy}
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </>
+                    )}
+                  </li>
+                )
+              })}
+            </ol>
+          </section>
+        )
+      })}
+    </div>
+  )
+}
+
+export default EraManager
@@ -6,17 +6,83 @@ import {
   parseAstronomicalInput,
   yearsAgoToFormValues,
   formatYearsAgo,
+  formatDisplayDate,
+  formatEventDate,
+  normalizeHistoricalDate,
+  parseUncertaintyInput,
   ASTRONOMICAL_UNITS
 } from '../utils/dateUtils'
 import { supabase } from '../utils/supabase'
 import { withTimeout } from '../utils/asyncTimeout'
-import { validateSubEventDates, isParentSpan } from '../utils/eventHierarchy'
+import { validateEventHierarchy, isParentSpan } from '../utils/eventHierarchy'
+import { getEventLabels } from '../utils/eventLabels'
+import { hasEventCoordinates, validateCoordinates } from '../utils/geo'
+import EventLocationPicker from './EventLocationPicker'
 import './EventForm.css'
 
 const STORAGE_BUCKET = 'event-images'
 const REQUEST_TIMEOUT_MS = 15000
 
-function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent = null, beforeFormActions = null }) {
+// Shows how a typed historical date was understood (month and day are optional)
+function DateReading({ value }) {
+  if (!value?.trim()) return null
+  const normalized = normalizeHistoricalDate(value)
+  return (
+    <p className="form-hint">
+      {normalized ? `Reads as ${formatDisplayDate(normalized)}` : 'Not a recognized date yet'}
+    </p>
+  )
+}
+
+const PRECISION_OPTIONS = [
+  { value: '', label: 'As entered' },
+  { value: 'month', label: 'Month' },
+  { value: 'year', label: 'Year' },
+  { value: 'decade', label: 'Decade' },
+  { value: 'century', label: 'Century' },
+  { value: 'millennium', label: 'Millennium' }
+]
+
+// Precision and ± uncertainty form fields for an event (defaults when null)
+function getFuzzinessFormValues(event) {
+  const uncertainty = Number(event?.uncertainty_years)
+  if (!(uncertainty > 0)) {
+    return { date_precision: event?.date_precision || '', uncertainty_value: '', uncertainty_unit: 'years' }
+  }
+  const { value, unit } = yearsAgoToFormValues(uncertainty)
+  return { date_precision: event.date_precision || '', uncertainty_value: value.toString(), uncertainty_unit: unit }
+}
+
+// Location form fields; coordinates are edited as strings
+function getLocationFormValues(event) {
+  const hasPoint = hasEventCoordinates(event)
+  return {
+    latitude: hasPoint ? String(event.latitude) : '',
+    longitude: hasPoint ? String(event.longitude) : '',
+    region: event?.region || ''
+  }
+}
+
+const getLocationPayload = (formData) => {
+  const hasPoint = formData.latitude.trim() !== '' && formData.longitude.trim() !== ''
+  return {
+    latitude: hasPoint ? Number(formData.latitude) : null,
+    longitude: hasPoint ? Number(formData.longitude) : null,
+    region: formData.region || null
+  }
+}
+
+function EventForm({
+  event,
+  onSubmit,
+  onCancel,
+  error,
+  labels = [],
+  parentEvent = null,
+  // Resolves the events above parentEvent and below `event` for date checks
+  allEvents = [],
+  beforeFormActions = null
+}) {
   const isSubEventForm = Boolean(parentEvent)
   // Form state
   const [formData, setFormData] = useState({
@@ -35,7 +101,9 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
     astronomical_unit: 'millions',
     astronomical_end_value: '',
     astronomical_end_unit: 'millions',
-    label: ''
+    labels: [],
+    ...getFuzzinessFormValues(null),
+    ...getLocationFormValues(null)
   })
   const [validationErrors, setValidationErrors] = useState({})
   const [isSpan, setIsSpan] = useState(false)
@@ -70,7 +138,9 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
             astronomical_unit: startValues.unit,
             astronomical_end_value: endValues.value ? endValues.value.toString() : '',
             astronomical_end_unit: endValues.unit,
-            label: event.label || ''
+            labels: getEventLabels(event),
+            ...getFuzzinessFormValues(event),
+            ...getLocationFormValues(event)
           })
           setIsSpan(!!event.astronomical_end_year)
         } else {
@@ -90,7 +160,9 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
             astronomical_unit: 'millions',
             astronomical_end_value: '',
             astronomical_end_unit: 'millions',
-            label: event.label || ''
+            labels: getEventLabels(event),
+            ...getFuzzinessFormValues(event),
+            ...getLocationFormValues(event)
           })
           setIsSpan(!!event.end_date)
         }
@@ -118,7 +190,9 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
           astronomical_unit: startValues.unit,
           astronomical_end_value: '',
           astronomical_end_unit: 'millions',
-          label: parentEvent.label || ''
+          labels: getEventLabels(parentEvent),
+          ...getFuzzinessFormValues(null),
+          ...getLocationFormValues(null)
         })
       } else {
         setFormData({
@@ -137,7 +211,9 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
           astronomical_unit: 'millions',
           astronomical_end_value: '',
           astronomical_end_unit: 'millions',
-          label: parentEvent.label || ''
+          labels: getEventLabels(parentEvent),
+          ...getFuzzinessFormValues(null),
+          ...getLocationFormValues(null)
         })
       }
       setIsSpan(false)
@@ -169,7 +245,9 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
           astronomical_unit: startValues.unit,
           astronomical_end_value: endValues.value ? endValues.value.toString() : '',
           astronomical_end_unit: endValues.unit,
-          label: event.label || ''
+          labels: getEventLabels(event),
+          ...getFuzzinessFormValues(event),
+          ...getLocationFormValues(event)
         })
         setIsSpan(!!event.astronomical_end_year)
       } else {
@@ -189,7 +267,9 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
           astronomical_unit: 'millions',
           astronomical_end_value: '',
           astronomical_end_unit: 'millions',
-          label: event.label || ''
+          labels: getEventLabels(event),
+          ...getFuzzinessFormValues(event),
+          ...getLocationFormValues(event)
         })
         setIsSpan(!!event.end_date)
       }
@@ -225,6 +305,26 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
     }
   }
 
+  const toggleLabel = (name) => {
+    setFormData(prev => ({
+      ...prev,
+      labels: prev.labels.includes(name)
+        ? prev.labels.filter(l => l !== name)
+        : [...prev.labels, name].sort()
+    }))
+  }
+
+  const handleLocationChange = (patch) => {
+    setFormData(prev => ({ ...prev, ...patch }))
+    if (validationErrors.location) {
+      setValidationErrors(prev => {
+        const next = { ...prev }
+        delete next.location
+        return next
+      })
+    }
+  }
+
   const handleDateTypeChange = (newType) => {
     setFormData(prev => ({ ...prev, date_type: newType }))
     setValidationErrors({})
@@ -299,6 +399,8 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
     if (formData.date_type === 'date') {
       if (!formData.start_date) {
         errors.start_date = 'Start date is required'
+      } else if (!normalizeHistoricalDate(formData.start_date)) {
+        errors.start_date = 'Enter a date like 1969-07-20, 753 BCE or March 15, 44 BC'
       }
 
       if (isSpan) {
@@ -333,26 +435,35 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
       }
     }
 
-    if (parentEvent) {
-      if (formData.date_type === 'date') {
-        const subCheck = validateSubEventDates(parentEvent, {
-          date_type: 'date',
-          start_date: formData.start_date,
-          end_date: isSpan ? formData.end_date : null
-        })
-        if (!subCheck.valid) errors.start_date = subCheck.error
-      } else {
-        const startYears = parseAstronomicalInput(formData.astronomical_value, formData.astronomical_unit)
-        const endYears = isSpan
-          ? parseAstronomicalInput(formData.astronomical_end_value, formData.astronomical_end_unit)
-          : null
-        const subCheck = validateSubEventDates(parentEvent, {
-          date_type: 'astronomical',
-          astronomical_start_year: startYears,
-          astronomical_end_year: endYears
-        })
-        if (!subCheck.valid) errors.astronomical_value = subCheck.error
-      }
+    if (Number.isNaN(parseUncertaintyInput(formData.uncertainty_value, formData.uncertainty_unit))) {
+      errors.uncertainty_value = 'Uncertainty must be zero or a positive number'
+    }
+
+    const locationCheck = validateCoordinates(formData.latitude, formData.longitude)
+    if (!locationCheck.valid) {
+      errors.location = locationCheck.error
+    }
+
+    // Must fit inside every event above it, and still hold every event below it
+    const hierarchyOptions = { parent: parentEvent, eventId: event?.id ?? null, allEvents }
+    if (formData.date_type === 'date') {
+      const hierarchyCheck = validateEventHierarchy({
+        date_type: 'date',
+        start_date: formData.start_date,
+        end_date: isSpan ? formData.end_date : null
+      }, hierarchyOptions)
+      if (!hierarchyCheck.valid && !errors.start_date) errors.start_date = hierarchyCheck.error
+    } else {
+      const startYears = parseAstronomicalInput(formData.astronomical_value, formData.astronomical_unit)
+      const endYears = isSpan
+        ? parseAstronomicalInput(formData.astronomical_end_value, formData.astronomical_end_unit)
+        : null
+      const hierarchyCheck = validateEventHierarchy({
+        date_type: 'astronomical',
+        astronomical_start_year: startYears,
+        astronomical_end_year: endYears
+      }, hierarchyOptions)
+      if (!hierarchyCheck.valid && !errors.astronomical_value) errors.astronomical_value = hierarchyCheck.error
     }
 
     setValidationErrors(errors)
@@ -381,11 +492,14 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
         is_published: Boolean(formData.is_published),
         license_type: formData.license_type?.trim() || null,
         date_type: 'date',
-        start_date: formData.start_date,
-        end_date: isSpan ? formData.end_date : null,
+        start_date: normalizeHistoricalDate(formData.start_date),
+        end_date: isSpan ? normalizeHistoricalDate(formData.end_date) : null,
         astronomical_start_year: null,
         astronomical_end_year: null,
-        label: formData.label || null,
+        date_precision: formData.date_precision || null,
+        uncertainty_years: parseUncertaintyInput(formData.uncertainty_value, formData.uncertainty_unit) || null,
+        ...getLocationPayload(formData),
+        labels: formData.labels,
         parent_id: parentEvent ? parentEvent.id : null
       }
     } else {
@@ -408,7 +522,10 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
         end_date: null,
         astronomical_start_year: startYears,
         astronomical_end_year: endYears,
-        label: formData.label || null,
+        date_precision: null,
+        uncertainty_years: parseUncertaintyInput(formData.uncertainty_value, formData.uncertainty_unit) || null,
+        ...getLocationPayload(formData),
+        labels: formData.labels,
         parent_id: parentEvent ? parentEvent.id : null
       }
     }
@@ -463,33 +580,38 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
           )}
         </div>
 
-        {/* Label Selector */}
+        {/* Label Selector (any number of labels) */}
         <div className="form-group">
-          <label htmlFor="label" className="form-label">Label</label>
-          <div className="label-selector">
+          <span id="event-labels-heading" className="form-label">Labels</span>
+          <div className="label-selector" role="group" aria-labelledby="event-labels-heading">
             <button
               type="button"
-              className={`label-btn ${!formData.label ? 'active' : ''}`}
-              onClick={() => setFormData(prev => ({ ...prev, label: '' }))}
+              className={`label-btn ${formData.labels.length === 0 ? 'active' : ''}`}
+              onClick={() => setFormData(prev => ({ ...prev, labels: [] }))}
               disabled={submitting}
-              style={!formData.label ? { borderColor: '#6b7280', background: 'rgba(107, 114, 128, 0.2)' } : {}}
+              aria-pressed={formData.labels.length === 0}
+              style={formData.labels.length === 0 ? { borderColor: '#6b7280', background: 'rgba(107, 114, 128, 0.2)' } : {}}
             >
               None
             </button>
-            {labels.map((l) => (
-              <button
-                key={l.name}
-                type="button"
-                className={`label-btn ${formData.label === l.name ? 'active' : ''}`}
-                onClick={() => setFormData(prev => ({ ...prev, label: l.name }))}
-                disabled={submitting}
-                style={formData.label === l.name ? { borderColor: l.color, background: `${l.color}20`, color: l.color } : {}}
-              >
-                {l.name}
-              </button>
-            ))}
+            {labels.map((l) => {
+              const isActive = formData.labels.includes(l.name)
+              return (
+                <button
+                  key={l.name}
+                  type="button"
+                  className={`label-btn ${isActive ? 'active' : ''}`}
+                  onClick={() => toggleLabel(l.name)}
+                  disabled={submitting}
+                  aria-pressed={isActive}
+                  style={isActive ? { borderColor: l.color, background: `${l.color}20`, color: l.color } : {}}
+                >
+                  {l.name}
+                </button>
+              )
+            })}
           </div>
-          <p className="form-hint">Categorize this event for filtering on the timeline</p>
+          <p className="form-hint">Pick every label that fits; events can be filtered by any or all of them</p>
         </div>
 
         {/* Date Type Toggle */}
@@ -572,14 +694,17 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
                 <input
                   id="start_date"
                   name="start_date"
-                  type="date"
+                  type="text"
                   className={`form-input ${validationErrors.start_date ? 'error' : ''}`}
                   value={formData.start_date}
                   onChange={handleChange}
+                  placeholder="e.g., 1969-07-20 or 753 BCE"
                   disabled={submitting}
                 />
-                {validationErrors.start_date && (
+                {validationErrors.start_date ? (
                   <span className="form-error">{validationErrors.start_date}</span>
+                ) : (
+                  <DateReading value={formData.start_date} />
                 )}
               </div>
 
@@ -594,14 +719,17 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
                   <input
                     id="end_date"
                     name="end_date"
-                    type="date"
+                    type="text"
                     className={`form-input ${validationErrors.end_date ? 'error' : ''}`}
                     value={formData.end_date}
                     onChange={handleChange}
+                    placeholder="e.g., 1945-09-02 or 44 BCE"
                     disabled={submitting}
                   />
-                  {validationErrors.end_date && (
+                  {validationErrors.end_date ? (
                     <span className="form-error">{validationErrors.end_date}</span>
+                  ) : (
+                    <DateReading value={formData.end_date} />
                   )}
                 </motion.div>
               )}
@@ -700,6 +828,80 @@ function EventForm({ event, onSubmit, onCancel, error, labels = [], parentEvent
           )}
         </AnimatePresence>
 
+        <div className="form-row">
+          {formData.date_type === 'date' && (
+            <div className="form-group">
+              <label htmlFor="date_precision" className="form-label">Precision</label>
+              <select
+                id="date_precision"
+                name="date_precision"
+                className="form-select"
+                value={formData.date_precision}
+                onChange={handleChange}
+                disabled={submitting}
+              >
+                {PRECISION_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              {formData.date_precision && formData.start_date && (
+                <p className="form-hint">
+                  Shown as {formatEventDate({ date_type: 'date', start_date: formData.start_date, date_precision: formData.date_precision }) || '—'}
+                </p>
+              )}
+            </div>
+          )}
+          <div className="form-group">
+            <label htmlFor="uncertainty_value" className="form-label">Uncertainty (±)</label>
+            <div className="astronomical-input-group">
+              <input
+                id="uncertainty_value"
+                type="number"
+                name="uncertainty_value"
+                className={`form-input ${validationErrors.uncertainty_value ? 'error' : ''}`}
+                value={formData.uncertainty_value}
+                onChange={handleChange}
+                placeholder="Optional"
+                min="0"
+                step="any"
+                disabled={submitting}
+              />
+              <select
+                name="uncertainty_unit"
+                className="form-select"
+                value={formData.uncertainty_unit}
+                onChange={handleChange}
+                disabled={submitting}
+              >
+                <option value="years">Years</option>
+                <option value="thousands">Thousand years</option>
+                <option value="millions">Million years</option>
+                <option value="billions">Billion years</option>
+              </select>
+            </div>
+            {validationErrors.uncertainty_value && (
+              <span className="form-error">{validationErrors.uncertainty_value}</span>
+            )}
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Location</label>
+          <EventLocationPicker
+            latitude={formData.latitude}
+            longitude={formData.longitude}
+            region={formData.region}
+            error={validationErrors.location}
+            onChange={handleLocationChange}
+          />
+          {validationErrors.location && (
+            <span className="form-error">{validationErrors.location}</span>
+          )}
+          <p className="form-hint">
+            Optional. Click the map for a point, or pick only a region for events with no single place.
+          </p>
+        </div>
+
         <div className="form-group">
           <label htmlFor="source_url" className="form-label">Source URL</label>
           <input
@@ -0,0 +1,153 @@
+import { useState, useMemo } from 'react'
+import { useEventHistory } from '../hooks/useEventHistory'
+import './EventHistoryPanel.css'
+
+// Bookkeeping columns that change on every write and aren't worth diffing
+// (older revisions carry the position columns under their former years-ago names)
+const IGNORED_FIELDS = new Set([
+  'id', 'created_at', 'updated_at', 'start_epoch_years', 'end_epoch_years', 'start_years_ago', 'end_years_ago', 'deleted_at'
+])
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  delete: 'Moved to trash',
+  restore: 'Restored from trash',
+  purge: 'Deleted permanently'
+}
+
+const MAX_VALUE_LENGTH = 120
+
+const formatFieldName = (field) => (field === 'label_ids' ? 'labels' : field.replace(/_/g, ' '))
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text
+}
+
+const formatChangedAt = (value) => new Date(value).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+})
+
+// Snapshots list labels by id; shown by name, as far as they still exist
+const formatLabelIds = (ids, labelNames) => (
+  ids?.length ? ids.map((id) => labelNames.get(id) || 'deleted label').join(', ') : null
+)
+
+// Fields whose value differs between the two snapshots
+const getRevisionChanges = (before, after, labelNames) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.has(field))
+    .filter((field) => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after?.[field] ?? null))
+    .map((field) => (field === 'label_ids'
+      ? { field, before: formatLabelIds(before?.[field], labelNames), after: formatLabelIds(after?.[field], labelNames) }
+      : { field, before: before?.[field], after: after?.[field] }))
+}
+
+/**
+ * Revision list for one event with per-field diffs. Any revision can be
+ * restored: its resulting snapshot (or, for a permanent delete, the last one
+ * before it) is written back through onRestore.
+ */
+function EventHistoryPanel({ event, labels = [], onRestore, onClose }) {
+  const { revisions, loading, error, refetch } = useEventHistory(event?.id ?? null)
+  const labelNames = useMemo(() => new Map(labels.map((label) => [label.id, label.name])), [labels])
+  const [restoringId, setRestoringId] = useState(null)
+  const [restoreError, setRestoreError] = useState('')
+
+  const handleRestore = async (revision) => {
+    const snapshot = revision.after || revision.before
+    if (!window.confirm(`Restore "${snapshot.title}" to the version from ${formatChangedAt(revision.changed_at)}?`)) {
+      return
+    }
+    try {
+      setRestoreError('')
+      setRestoringId(revision.id)
+      await onRestore(snapshot)
+      await refetch()
+    } catch (err) {
+      setRestoreError(err.message)
+    } finally {
+      setRestoringId(null)
+    }
+  }
+
+  return (
+    <div className="event-form event-history">
+      <div className="form-header">
+        <h2>History</h2>
+        <p>Every saved change to &ldquo;{event.title}&rdquo;, newest first.</p>
+      </div>
+
+      {(error || restoreError) && <div className="form-error-banner">{restoreError || error}</div>}
+
+      {loading ? (
+        <p className="event-history-empty">Loading history...</p>
+      ) : revisions.length === 0 ? (
+        <p className="event-history-empty">No recorded changes yet.</p>
+      ) : (
+        <ol className="event-history-list">
+          {revisions.map((revision, index) => {
+            const changes = revision.action === 'update' || revision.action === 'create'
+              ? getRevisionChanges(revision.before, revision.after, labelNames)
+              : []
+            const isCurrent = index === 0 && revision.action !== 'purge' && revision.action !== 'delete'
+
+            return (
+              <li key={revision.id} className="event-history-item">
+                <div className="event-history-item-header">
+                  <span className={`event-history-action event-history-action--${revision.action}`}>
+                    {ACTION_LABELS[revision.action] || revision.action}
+                  </span>
+                  <span className="event-history-meta">
+                    {formatChangedAt(revision.changed_at)}
+                    {' · '}
+                    {revision.changed_by_email || 'system'}
+                  </span>
+                  {isCurrent ? (
+                    <span className="event-history-current">Current</span>
+                  ) : (
+                    <button
+                      type="button"
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => handleRestore(revision)}
+                      disabled={restoringId !== null}
+                    >
+                      {restoringId === revision.id ? 'Restoring...' : 'Restore this version'}
+                    </button>
+                  )}
+                </div>
+                {changes.length > 0 && (
+                  <table className="event-history-diff">
+                    <tbody>
+                      {changes.map(({ field, before, after }) => (
+                        <tr key={field}>
+                          <th>{formatFieldName(field)}</th>
+                          {revision.action === 'update' && (
+                            <td className="event-history-before">{formatValue(before)}</td>
+                          )}
+                          <td className="event-history-after">{formatValue(after)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </li>
+            )
+          })}
+        </ol>
+      )}
+
+      <div className="form-actions">
+        <button type="button" className="btn btn-secondary" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default EventHistoryPanel
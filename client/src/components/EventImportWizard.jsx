@@ -0,0 +1,356 @@
+import { useEffect, useState } from 'react'
+import { apiRequest } from '../utils/api'
+import { formatEventDateRange } from '../utils/dateUtils'
+import './EventImportWizard.css'
+
+const STEPS = [
+  { id: 'source', label: 'File' },
+  { id: 'mapping', label: 'Columns' },
+  { id: 'preview', label: 'Preview' }
+]
+
+const YEARS_AGO_UNITS = [
+  { value: 'years', label: 'Years' },
+  { value: 'thousands', label: 'Thousand years' },
+  { value: 'millions', label: 'Million years' },
+  { value: 'billions', label: 'Billion years' }
+]
+
+function detectFormat(fileName, content) {
+  if (/\.json$/i.test(fileName)) return 'json'
+  if (/\.csv$/i.test(fileName)) return 'csv'
+  const first = content.trimStart()[0]
+  return first === '[' || first === '{' ? 'json' : 'csv'
+}
+
+/**
+ * Bulk import wizard: pick a CSV/JSON file, map its columns to event fields,
+ * review a dry-run preview with per-row errors, then commit. All validation
+ * happens on the server (POST /api/import); nothing is written until the
+ * preview is clean and the admin confirms.
+ */
+function EventImportWizard({ onClose, onImported }) {
+  const [step, setStep] = useState('source')
+  const [fileName, setFileName] = useState('')
+  const [content, setContent] = useState('')
+  const [format, setFormat] = useState('csv')
+  const [fields, setFields] = useState([])
+  const [columns, setColumns] = useState([])
+  const [mapping, setMapping] = useState({})
+  const [yearsAgoUnit, setYearsAgoUnit] = useState('years')
+  const [report, setReport] = useState(null)
+  const [showOnlyErrors, setShowOnlyErrors] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [importedCount, setImportedCount] = useState(null)
+
+  useEffect(() => {
+    apiRequest('/api/import/fields')
+      .then(({ data }) => setFields(data))
+      .catch((err) => setError(err.message))
+  }, [])
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    const text = await file.text()
+    setFileName(file.name)
+    setContent(text)
+    setFormat(detectFormat(file.name, text))
+    setError('')
+  }
+
+  const runImport = async ({ dryRun, useMapping }) => {
+    setBusy(true)
+    setError('')
+    try {
+      const { data } = await apiRequest('/api/import', {
+        method: 'POST',
+        body: {
+          format,
+          content,
+          mapping: useMapping ? mapping : undefined,
+          years_ago_unit: yearsAgoUnit,
+          dry_run: dryRun
+        }
+      })
+      setColumns(data.columns)
+      setMapping(data.mapping)
+      setReport(data)
+      return { data, columns: data.columns }
+    } catch (err) {
+      // Mapping problems still return the file's columns so the admin can fix them
+      if (err.payload?.columns) {
+        setColumns(err.payload.columns)
+        setMapping(err.payload.mapping || {})
+        if (err.payload.rows) setReport(err.payload)
+      }
+      setError(err.message)
+      return { data: null, columns: err.payload?.columns || null }
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleSourceContinue = async () => {
+    const { columns: fileColumns } = await runImport({ dryRun: true, useMapping: false })
+    if (fileColumns) setStep('mapping')
+  }
+
+  const handlePreview = async () => {
+    const { data } = await runImport({ dryRun: true, useMapping: true })
+    if (data) setStep('preview')
+  }
+
+  const handleCommit = async () => {
+    const { data } = await runImport({ dryRun: false, useMapping: true })
+    if (data) {
+      setImportedCount(data.imported)
+      if (onImported) await onImported(data)
+    }
+  }
+
+  const updateMapping = (fieldKey, column) => {
+    setMapping((prev) => {
+      const next = { ...prev }
+      if (column) next[fieldKey] = column
+      else delete next[fieldKey]
+      return next
+    })
+  }
+
+  const visibleRows = report?.rows
+    ? (showOnlyErrors ? report.rows.filter((row) => row.errors.length > 0) : report.rows)
+    : []
+  const canCommit = report && report.summary.invalid === 0 && report.summary.total > 0
+
+  return (
+    <div className="event-form event-import">
+      <div className="form-header">
+        <h2>Import Events</h2>
+        <p>Upload a CSV or JSON file, map its columns and review every row before anything is saved.</p>
+      </div>
+
+      <ol className="event-import-steps">
+        {STEPS.map((s, index) => (
+          <li
+            key={s.id}
+            className={`event-import-step ${s.id === step ? 'active' : ''} ${STEPS.findIndex((x) => x.id === step) > index ? 'done' : ''}`}
+          >
+            <span className="event-import-step-number">{index + 1}</span>
+            {s.label}
+          </li>
+        ))}
+      </ol>
+
+      {error && <div className="form-error-banner">{error}</div>}
+
+      {importedCount !== null ? (
+        <div className="event-import-done">
+          <p>Imported {importedCount} {importedCount === 1 ? 'event' : 'events'}.</p>
+          <div className="form-actions">
+            <button type="button" className="btn btn-primary" onClick={onClose}>
+              Done
+            </button>
+          </div>
+        </div>
+      ) : step === 'source' ? (
+        <>
+          <div className="form-group">
+            <label className="form-label" htmlFor="import-file">File</label>
+            <input
+              id="import-file"
+              type="file"
+              className="form-input"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleFileChange}
+            />
+            <p className="form-hint">
+              First CSV row must contain column headings. JSON can be an array of objects or an Admin export backup.
+            </p>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="import-content">Or paste content</label>
+            <textarea
+              id="import-content"
+              className="form-textarea event-import-paste"
+              value={content}
+              onChange={(e) => {
+                setContent(e.target.value)
+                setFileName('')
+                setFormat(detectFormat('', e.target.value))
+              }}
+              placeholder={'title,start_date,end_date,labels\nMoon Landing,1969-07-20,,discovery; technology'}
+              rows={6}
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="import-format">Format</label>
+            <select
+              id="import-format"
+              className="form-select"
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+            >
+              <option value="csv">CSV</option>
+              <option value="json">JSON</option>
+            </select>
+            {fileName && <p className="form-hint">{fileName}</p>}
+          </div>
+
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleSourceContinue}
+              disabled={!content.trim() || busy}
+            >
+              {busy ? 'Reading…' : 'Continue'}
+            </button>
+          </div>
+        </>
+      ) : step === 'mapping' ? (
+        <>
+          <p className="form-hint">
+            Choose which column feeds each field. Parents can be referenced by title or by an external key
+            (another row's key, or an existing event's key or id).
+          </p>
+          <div className="event-import-mapping">
+            {fields.map((field) => (
+              <label key={field.key} className="event-import-mapping-row">
+                <span>{field.label}</span>
+                <select
+                  className="form-select"
+                  value={mapping[field.key] || ''}
+                  onChange={(e) => updateMapping(field.key, e.target.value)}
+                >
+                  <option value="">— Not imported —</option>
+                  {columns.map((column) => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            <label className="event-import-mapping-row">
+              <span>Unitless years-ago values are in</span>
+              <select
+                className="form-select"
+                value={yearsAgoUnit}
+                onChange={(e) => setYearsAgoUnit(e.target.value)}
+              >
+                {YEARS_AGO_UNITS.map((unit) => (
+                  <option key={unit.value} value={unit.value}>{unit.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <p className="form-hint">
+            Years-ago cells may carry their own unit, e.g. "66 Ma", "4.54 billion" or "12,000 years ago".
+          </p>
+
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setStep('source')}>
+              Back
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handlePreview}
+              disabled={!mapping.title || busy}
+            >
+              {busy ? 'Checking…' : 'Preview'}
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          {report && (
+            <div className="event-import-summary">
+              <span>{report.summary.total} rows</span>
+              <span className="event-import-summary-valid">{report.summary.valid} ready</span>
+              <span className={report.summary.invalid > 0 ? 'event-import-summary-invalid' : ''}>
+                {report.summary.invalid} with errors
+              </span>
+              {report.labels_to_create?.length > 0 && (
+                <span>
+                  {report.labels_to_create.length} new {report.labels_to_create.length === 1 ? 'label' : 'labels'}
+                </span>
+              )}
+              {report.summary.invalid > 0 && (
+                <label className="event-import-filter">
+                  <input
+                    type="checkbox"
+                    checked={showOnlyErrors}
+                    onChange={(e) => setShowOnlyErrors(e.target.checked)}
+                  />
+                  Only rows with errors
+                </label>
+              )}
+            </div>
+          )}
+
+          <div className="event-import-table-wrapper">
+            <table className="event-import-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Title</th>
+                  <th>Date</th>
+                  <th>Parent</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleRows.map((row) => (
+                  <tr key={row.row} className={row.errors.length > 0 ? 'has-errors' : ''}>
+                    <td>{row.row}</td>
+                    <td>{row.title || <em>Untitled</em>}</td>
+                    <td>{formatEventDateRange(row.event) || '—'}</td>
+                    <td>
+                      {row.parent
+                        ? (row.parent.row ? `${row.parent.title} (row ${row.parent.row})` : row.parent.title)
+                        : '—'}
+                    </td>
+                    <td>
+                      {row.errors.length === 0 ? (
+                        <span className="event-import-ok">OK</span>
+                      ) : (
+                        <ul className="event-import-errors">
+                          {row.errors.map((message) => (
+                            <li key={message}>{message}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setStep('mapping')}>
+              Back
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleCommit}
+              disabled={!canCommit || busy}
+              title={canCommit ? undefined : 'Fix all row errors before importing'}
+            >
+              {busy ? 'Importing…' : `Import ${report?.summary.valid ?? 0} events`}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default EventImportWizard
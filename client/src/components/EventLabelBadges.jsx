@@ -0,0 +1,19 @@
+import { getEventLabels } from '../utils/eventLabels'
+
+// One badge per label, tinted with the label's colour when it has one
+function EventLabelBadges({ event, labelColorMap, className = 'event-label-badge', fallbackColor = null }) {
+  return getEventLabels(event).map((label) => {
+    const color = labelColorMap.get(label) || fallbackColor
+    return (
+      <span
+        key={label}
+        className={className}
+        style={color ? { background: `${color}20`, color } : undefined}
+      >
+        {label}
+      </span>
+    )
+  })
+}
+
+export default EventLabelBadges
@@ -0,0 +1,95 @@
+import { useRef } from 'react'
+import WorldMap from './WorldMap'
+import { WORLD_REGIONS } from '../data/worldRegions'
+import { clientToMapPoint, unprojectPoint, projectPoint, findRegionAt, validateCoordinates } from '../utils/geo'
+import './EventLocationPicker.css'
+
+// Two decimals is about a kilometre, plenty for an outline map
+const roundCoordinate = (value) => String(Number(value.toFixed(2)))
+
+/**
+ * Location fields of the event form: click the map to drop a point (which
+ * also fills in the region), or type coordinates, or just pick a region for
+ * events with no single place. Values are the form's strings.
+ */
+function EventLocationPicker({ latitude, longitude, region, onChange, error }) {
+  const svgRef = useRef(null)
+  const hasPoint = latitude !== '' && longitude !== '' && validateCoordinates(latitude, longitude).valid
+  const point = hasPoint ? projectPoint(Number(longitude), Number(latitude)) : null
+
+  const handleMapClick = (e) => {
+    const mapPoint = clientToMapPoint(svgRef.current, e.clientX, e.clientY)
+    if (!mapPoint) return
+    const location = unprojectPoint(mapPoint.x, mapPoint.y)
+    onChange({
+      latitude: roundCoordinate(location.latitude),
+      longitude: roundCoordinate(location.longitude),
+      region: findRegionAt(location.longitude, location.latitude) || region
+    })
+  }
+
+  return (
+    <div className="event-location-picker">
+      <WorldMap
+        ref={svgRef}
+        className="event-location-map"
+        activeRegionId={region || null}
+        label="Click to set the event's location"
+        onClick={handleMapClick}
+      >
+        {point && (
+          <g className="event-location-pin" transform={`translate(${point.x} ${point.y})`}>
+            <circle r="5" className="event-location-pin-halo" />
+            <circle r="2.2" className="event-location-pin-dot" />
+          </g>
+        )}
+      </WorldMap>
+      <div className="event-location-fields">
+        <input
+          type="number"
+          className={`form-input ${error ? 'error' : ''}`}
+          placeholder="Latitude"
+          aria-label="Latitude"
+          min="-90"
+          max="90"
+          step="any"
+          value={latitude}
+          onChange={(e) => onChange({ latitude: e.target.value })}
+        />
+        <input
+          type="number"
+          className={`form-input ${error ? 'error' : ''}`}
+          placeholder="Longitude"
+          aria-label="Longitude"
+          min="-180"
+          max="180"
+          step="any"
+          value={longitude}
+          onChange={(e) => onChange({ longitude: e.target.value })}
+        />
+        <select
+          className="form-select"
+          aria-label="Region"
+          value={region}
+          onChange={(e) => onChange({ region: e.target.value })}
+        >
+          <option value="">No region</option>
+          {WORLD_REGIONS.map((r) => (
+            <option key={r.id} value={r.id}>{r.name}</option>
+          ))}
+        </select>
+        {(latitude !== '' || longitude !== '' || region) && (
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={() => onChange({ latitude: '', longitude: '', region: '' })}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default EventLocationPicker
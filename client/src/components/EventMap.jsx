@@ -0,0 +1,231 @@
+import { useMemo, useRef, useState } from 'react'
+import WorldMap from './WorldMap'
+import { WORLD_REGIONS } from '../data/worldRegions'
+import {
+  clientToMapPoint,
+  unprojectPoint,
+  projectPoint,
+  findRegionAt,
+  getEventMapPoint,
+  getEventRegionId,
+  getMappableEventsInView,
+  matchesMapFilter,
+  describeMapFilter
+} from '../utils/geo'
+import { formatEventDateRange } from '../utils/dateUtils'
+import { getEventLabelColors } from '../utils/eventLabels'
+import './EventMap.css'
+
+// Drags shorter than this (map units ≈ degrees) count as a click on a region
+const MIN_BRUSH_SIZE = 3
+
+const toBox = (a, b) => ({
+  x: Math.min(a.x, b.x),
+  y: Math.min(a.y, b.y),
+  width: Math.abs(a.x - b.x),
+  height: Math.abs(a.y - b.y)
+})
+
+/**
+ * Map panel beside the timeline: plots the located events in the visible
+ * window, filters the timeline by a brushed area or a clicked region, and
+ * mirrors hover both ways with the timeline.
+ */
+function EventMap({
+  events,
+  viewStart,
+  viewEnd,
+  mapFilter = null,
+  onMapFilterChange,
+  hoveredEventId = null,
+  onHoverEvent,
+  selectedEventId = null,
+  onEventClick,
+  labelColorMap = new Map(),
+  onClose
+}) {
+  const svgRef = useRef(null)
+  const dragStartRef = useRef(null)
+  const [brush, setBrush] = useState(null)
+  const [pointerRegionId, setPointerRegionId] = useState(null)
+
+  const plottedEvents = useMemo(
+    () => getMappableEventsInView(events, viewStart, viewEnd),
+    [events, viewStart, viewEnd]
+  )
+
+  const hoveredEvent = useMemo(
+    () => (hoveredEventId === null
+      ? null
+      : plottedEvents.find((e) => String(e.id) === String(hoveredEventId)) || null),
+    [plottedEvents, hoveredEventId]
+  )
+
+  const filterBox = mapFilter?.area
+    ? toBox(
+        projectPoint(mapFilter.area.west, mapFilter.area.north),
+        projectPoint(mapFilter.area.east, mapFilter.area.south)
+      )
+    : null
+
+  const getPoint = (e) => clientToMapPoint(svgRef.current, e.clientX, e.clientY)
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return
+    const point = getPoint(e)
+    if (!point) return
+    dragStartRef.current = point
+    e.currentTarget.setPointerCapture?.(e.pointerId)
+  }
+
+  const handlePointerMove = (e) => {
+    const point = getPoint(e)
+    if (!point) return
+    const start = dragStartRef.current
+    if (start) {
+      setBrush(toBox(start, point))
+    } else {
+      const { longitude, latitude } = unprojectPoint(point.x, point.y)
+      setPointerRegionId(findRegionAt(longitude, latitude))
+    }
+  }
+
+  const handlePointerUp = (e) => {
+    const start = dragStartRef.current
+    dragStartRef.current = null
+    setBrush(null)
+    const point = getPoint(e)
+    if (!start || !point) return
+    const box = toBox(start, point)
+    if (box.width >= MIN_BRUSH_SIZE && box.height >= MIN_BRUSH_SIZE) {
+      const northWest = unprojectPoint(box.x, box.y)
+      const southEast = unprojectPoint(box.x + box.width, box.y + box.height)
+      onMapFilterChange({
+        area: {
+          west: northWest.longitude,
+          south: southEast.latitude,
+          east: southEast.longitude,
+          north: northWest.latitude
+        }
+      })
+      return
+    }
+    // A click picks the region under it, a second click (or open sea) clears
+    const { longitude, latitude } = unprojectPoint(point.x, point.y)
+    const region = findRegionAt(longitude, latitude)
+    onMapFilterChange(region && mapFilter?.region !== region ? { region } : null)
+  }
+
+  const handlePointerCancel = () => {
+    dragStartRef.current = null
+    setBrush(null)
+  }
+
+  const handleRegionSelect = (e) => {
+    const value = e.target.value
+    if (value === 'area') return
+    onMapFilterChange(value ? { region: value } : null)
+  }
+
+  const hoveredRegionId = hoveredEvent ? getEventRegionId(hoveredEvent) : pointerRegionId
+
+  return (
+    <aside className="event-map" aria-label="Event map">
+      <div className="event-map-header">
+        <h2 className="event-map-title">Map</h2>
+        <select
+          className="form-select event-map-region-select"
+          value={mapFilter?.region || (mapFilter?.area ? 'area' : '')}
+          onChange={handleRegionSelect}
+          aria-label="Filter the timeline by region"
+        >
+          <option value="">Anywhere</option>
+          {mapFilter?.area && <option value="area">Selected area</option>}
+          {WORLD_REGIONS.map((region) => (
+            <option key={region.id} value={region.id}>{region.name}</option>
+          ))}
+        </select>
+        {onClose && (
+          <button type="button" className="event-map-close" onClick={onClose} aria-label="Hide map">
+            ×
+          </button>
+        )}
+      </div>
+
+      <WorldMap
+        ref={svgRef}
+        className="event-map-canvas"
+        activeRegionId={mapFilter?.region || null}
+        highlightedRegionId={hoveredRegionId}
+        label={`Map of ${plottedEvents.length} located events in view`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+        onPointerLeave={() => setPointerRegionId(null)}
+      >
+        {filterBox && <rect className="event-map-area" {...filterBox} />}
+        <g className="event-map-markers">
+          {plottedEvents.map((event) => {
+            const { longitude, latitude, approximate } = getEventMapPoint(event)
+            const { x, y } = projectPoint(longitude, latitude)
+            const isHovered = hoveredEvent?.id === event.id
+            const isSelected = selectedEventId !== null && String(selectedEventId) === String(event.id)
+            const color = getEventLabelColors(event, labelColorMap)[0] || 'var(--color-point)'
+            return (
+              <circle
+                key={event.id}
+                cx={x}
+                cy={y}
+                r={isHovered || isSelected ? 4.5 : 3}
+                className={[
+                  'event-map-marker',
+                  approximate ? 'event-map-marker--approximate' : '',
+                  isHovered ? 'event-map-marker--hovered' : '',
+                  isSelected ? 'event-map-marker--selected' : '',
+                  matchesMapFilter(event, mapFilter) ? '' : 'event-map-marker--outside'
+                ].filter(Boolean).join(' ')}
+                style={{ '--event-map-marker-color': color }}
+                tabIndex={0}
+                role="button"
+                aria-label={`${event.title}, ${formatEventDateRange(event)}`}
+                onPointerDown={(e) => e.stopPropagation()}
+                onPointerUp={(e) => e.stopPropagation()}
+                onClick={() => onEventClick?.(event)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault()
+                    onEventClick?.(event)
+                  }
+                }}
+                onPointerEnter={() => onHoverEvent?.(event.id)}
+                onPointerLeave={() => onHoverEvent?.(null)}
+                onFocus={() => onHoverEvent?.(event.id)}
+                onBlur={() => onHoverEvent?.(null)}
+              >
+                <title>{`${event.title} (${formatEventDateRange(event)})${approximate ? ' · region only' : ''}`}</title>
+              </circle>
+            )
+          })}
+        </g>
+        {brush && <rect className="event-map-brush" {...brush} />}
+      </WorldMap>
+
+      <p className="event-map-status">
+        {plottedEvents.length === 0
+          ? 'No events with a location in this part of the timeline.'
+          : `${plottedEvents.length} located event${plottedEvents.length === 1 ? '' : 's'} in view.`}
+        {mapFilter ? (
+          <>
+            {' '}Timeline limited to {describeMapFilter(mapFilter)}.{' '}
+            <button type="button" className="event-map-clear" onClick={() => onMapFilterChange(null)}>
+              Show everywhere
+            </button>
+          </>
+        ) : ' Drag to select an area, or click a region, to filter the timeline.'}
+      </p>
+    </aside>
+  )
+}
+
+export default EventMap
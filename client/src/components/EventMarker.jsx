@@ -1,8 +1,10 @@
 import { useRef, useEffect, useCallback } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import { getLabelColorsGradient } from '../utils/eventLabels'
 import './EventMarker.css'
 
 const MIN_SPAN_WIDTH_PERCENT = 1.2
+const MIN_UNCERTAINTY_BAND_PERCENT = 0.3
 const LANE_DRAG_START_THRESHOLD_PX = 6
 
 function EventMarker({ 
@@ -12,7 +14,7 @@ function EventMarker({
   isHovered, 
   isSelected,
   showLabel = true,
-  labelColor = null,
+  labelColors = [],
   markerColor = null,
   className = '',
   disablePointerEvents = false,
@@ -23,7 +25,10 @@ function EventMarker({
   verticalDragOffsetPx = 0,
   onLaneDragStart = null,
   onLaneDragMove = null,
-  onLaneDragEnd = null
+  onLaneDragEnd = null,
+  // Keyboard access: HistoryArrow gives one marker tabIndex 0 and moves it with the arrow keys
+  tabIndex = null,
+  ariaLabel = null
 }) {
   const longHoverTimerRef = useRef(null)
   const dragStartRef = useRef(null)
@@ -67,6 +72,24 @@ function EventMarker({
     }
   }
 
+  // Focus shows the same label and readout as hovering, without the sub-focus timer
+  const handleFocus = () => {
+    if (!isLaneDragging) onHover(event)
+  }
+
+  const handleBlur = () => {
+    if (!isLaneDragging) onHover(null)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return
+    e.preventDefault()
+    e.stopPropagation()
+    if (onClick) {
+      onClick(event)
+    }
+  }
+
   const handlePointerDown = (e) => {
     if (!enableVerticalDrag || e.button !== 0 || disablePointerEvents) return
     dragStartRef.current = { x: e.clientX, y: e.clientY }
@@ -155,15 +178,54 @@ function EventMarker({
     }
   }
 
-  const resolvedMarkerColor = markerColor || labelColor || '#00d4ff'
+  const resolvedMarkerColor = markerColor || labelColors[0] || '#00d4ff'
+  // Several labels split the marker between their colours; an explicit markerColor
+  // (game overlays) always wins
+  const labelFill = markerColor ? null : getLabelColorsGradient(labelColors, isSpan ? 'linear' : 'conic')
   const dragClassName = isLaneDragging ? 'event-marker--lane-dragging' : ''
   const draggableClassName = enableVerticalDrag ? 'event-marker--lane-draggable' : ''
+  const isFocusable = tabIndex !== null && !disablePointerEvents
+  const a11yProps = isFocusable
+    ? {
+        role: 'button',
+        tabIndex,
+        'aria-label': ariaLabel || title,
+        'aria-pressed': isSelected,
+        'data-event-id': event.id,
+        onFocus: handleFocus,
+        onBlur: handleBlur,
+        onKeyDown: handleKeyDown
+      }
+    : { 'aria-hidden': true, tabIndex: -1 }
   const dragTransform = verticalDragOffsetPx
     ? (isSpan
       ? `translateY(calc(-50% + ${verticalDragOffsetPx}px))`
       : `translate(calc(-50%), calc(-50% + ${verticalDragOffsetPx}px))`)
     : undefined
 
+  // Fuzzy bands where the start (and end) may really lie; siblings of the marker so
+  // their percentages share the timeline's coordinate space
+  const renderUncertaintyBands = (top) => {
+    const band = event.uncertaintyBand
+    if (!band) return null
+    return [band.start, band.end]
+      .filter((segment) => segment && Math.abs(segment[1] - segment[0]) >= MIN_UNCERTAINTY_BAND_PERCENT)
+      .map((segment, index) => (
+        <div
+          key={index}
+          className="event-uncertainty-band"
+          aria-hidden="true"
+          style={{
+            left: `${Math.min(segment[0], segment[1])}%`,
+            width: `${Math.abs(segment[1] - segment[0])}%`,
+            top,
+            transform: verticalDragOffsetPx ? `translateY(calc(-50% + ${verticalDragOffsetPx}px))` : undefined,
+            '--marker-color': resolvedMarkerColor
+          }}
+        />
+      ))
+  }
+
   // For spans, always show labels (they're usually important periods)
   if (isSpan) {
     const spanLeft = Math.min(startPos, endPos)
@@ -171,16 +233,77 @@ function EventMarker({
     const width = Math.max(spanWidth, MIN_SPAN_WIDTH_PERCENT)
     const laneOffset = spanLaneDirection * spanLaneRing
     const isBelowBaseline = spanLaneDirection > 0
+    const spanTop = `calc(50% + (${laneOffset} * var(--span-lane-gap, 22px)))`
 
     return (
+      <>
+        {renderUncertaintyBands(spanTop)}
+        <motion.div
+          className={`event-span ${isHovered ? 'hovered' : ''} ${isSelected ? 'selected' : ''} ${dragClassName} ${draggableClassName} ${className}`.trim()}
+          style={{
+            left: `${spanLeft}%`,
+            width: `${width}%`,
+            top: spanTop,
+            transform: dragTransform,
+            '--label-color': resolvedMarkerColor,
+            '--label-fill': labelFill || undefined,
+            '--marker-color': resolvedMarkerColor,
+            pointerEvents: disablePointerEvents ? 'none' : undefined,
+            touchAction: enableVerticalDrag ? 'none' : undefined
+          }}
+          onMouseEnter={handleMouseEnter}
+          onMouseLeave={handleMouseLeave}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerCancel}
+          onClick={handleClick}
+          {...a11yProps}
+          initial={{ opacity: 0, scaleX: 0 }}
+          animate={{ opacity: 1, scaleX: 1 }}
+          whileHover={isLaneDragging ? undefined : { y: -2 }}
+          whileTap={isLaneDragging ? undefined : { scale: 0.98 }}
+          transition={{ duration: 0.3, ease: 'easeOut' }}
+        >
+          <div className="span-body">
+            <div className="span-cap span-cap-start" />
+            <div className="span-line" />
+            <div className="span-cap span-cap-end" />
+          </div>
+          <AnimatePresence>
+            {(showLabel || isHovered || isSelected) && (
+              <motion.span 
+                className={`span-label ${isBelowBaseline ? 'span-label-below' : ''}`}
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                exit={{ opacity: 0 }}
+                transition={{ duration: 0.2 }}
+              >
+                {title}
+              </motion.span>
+            )}
+          </AnimatePresence>
+        </motion.div>
+      </>
+    )
+  }
+
+  const pointLaneOffset = pointLaneDirection * pointLaneRing
+  const isPointBelowBaseline = pointLaneDirection > 0
+  const pointTop = `calc(50% + (${pointLaneOffset} * var(--point-lane-gap, 28px)))`
+
+  // Render as a point marker
+  return (
+    <>
+      {renderUncertaintyBands(pointTop)}
       <motion.div
-        className={`event-span ${isHovered ? 'hovered' : ''} ${isSelected ? 'selected' : ''} ${dragClassName} ${draggableClassName} ${className}`.trim()}
+        className={`event-point ${isHovered ? 'hovered' : ''} ${isSelected ? 'selected' : ''} ${dragClassName} ${draggableClassName} ${className}`.trim()}
         style={{
-          left: `${spanLeft}%`,
-          width: `${width}%`,
-          top: `calc(50% + (${laneOffset} * var(--span-lane-gap, 22px)))`,
+          left: `${startPos}%`,
+          top: pointTop,
           transform: dragTransform,
           '--label-color': resolvedMarkerColor,
+          '--label-fill': labelFill || undefined,
           '--marker-color': resolvedMarkerColor,
           pointerEvents: disablePointerEvents ? 'none' : undefined,
           touchAction: enableVerticalDrag ? 'none' : undefined
@@ -192,24 +315,27 @@ function EventMarker({
         onPointerUp={handlePointerUp}
         onPointerCancel={handlePointerCancel}
         onClick={handleClick}
-        initial={{ opacity: 0, scaleX: 0 }}
-        animate={{ opacity: 1, scaleX: 1 }}
-        whileHover={isLaneDragging ? undefined : { y: -2 }}
-        whileTap={isLaneDragging ? undefined : { scale: 0.98 }}
-        transition={{ duration: 0.3, ease: 'easeOut' }}
+        {...a11yProps}
+        initial={{ opacity: 0, scale: 0 }}
+        animate={{ 
+          opacity: 1,
+          scale: 1
+        }}
+        whileHover={isLaneDragging ? undefined : { scale: 1.2 }}
+        whileTap={isLaneDragging ? undefined : { scale: 0.9 }}
+        transition={{ duration: 0.2, ease: 'easeOut' }}
       >
-        <div className="span-body">
-          <div className="span-cap span-cap-start" />
-          <div className="span-line" />
-          <div className="span-cap span-cap-end" />
+        <div className="point-marker">
+          <div className="point-inner" />
+          <div className="point-pulse" />
         </div>
         <AnimatePresence>
           {(showLabel || isHovered || isSelected) && (
             <motion.span 
-              className={`span-label ${isBelowBaseline ? 'span-label-below' : ''}`}
-              initial={{ opacity: 0 }}
-              animate={{ opacity: 1 }}
-              exit={{ opacity: 0 }}
+              className={`point-label ${isPointBelowBaseline ? 'point-label-below' : ''}`}
+              initial={{ opacity: 0, y: 5 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: 5 }}
               transition={{ duration: 0.2 }}
             >
               {title}
@@ -217,59 +343,7 @@ function EventMarker({
           )}
         </AnimatePresence>
       </motion.div>
-    )
-  }
-
-  const pointLaneOffset = pointLaneDirection * pointLaneRing
-  const isPointBelowBaseline = pointLaneDirection > 0
-
-  // Render as a point marker
-  return (
-    <motion.div
-      className={`event-point ${isHovered ? 'hovered' : ''} ${isSelected ? 'selected' : ''} ${dragClassName} ${draggableClassName} ${className}`.trim()}
-      style={{
-        left: `${startPos}%`,
-        top: `calc(50% + (${pointLaneOffset} * var(--point-lane-gap, 28px)))`,
-        transform: dragTransform,
-        '--label-color': resolvedMarkerColor,
-        '--marker-color': resolvedMarkerColor,
-        pointerEvents: disablePointerEvents ? 'none' : undefined,
-        touchAction: enableVerticalDrag ? 'none' : undefined
-      }}
-      onMouseEnter={handleMouseEnter}
-      onMouseLeave={handleMouseLeave}
-      onPointerDown={handlePointerDown}
-      onPointerMove={handlePointerMove}
-      onPointerUp={handlePointerUp}
-      onPointerCancel={handlePointerCancel}
-      onClick={handleClick}
-      initial={{ opacity: 0, scale: 0 }}
-      animate={{ 
-        opacity: 1,
-        scale: 1
-      }}
-      whileHover={isLaneDragging ? undefined : { scale: 1.2 }}
-      whileTap={isLaneDragging ? undefined : { scale: 0.9 }}
-      transition={{ duration: 0.2, ease: 'easeOut' }}
-    >
-      <div className="point-marker">
-        <div className="point-inner" />
-        <div className="point-pulse" />
-      </div>
-      <AnimatePresence>
-        {(showLabel || isHovered || isSelected) && (
-          <motion.span 
-            className={`point-label ${isPointBelowBaseline ? 'point-label-below' : ''}`}
-            initial={{ opacity: 0, y: 5 }}
-            animate={{ opacity: 1, y: 0 }}
-            exit={{ opacity: 0, y: 5 }}
-            transition={{ duration: 0.2 }}
-          >
-            {title}
-          </motion.span>
-        )}
-      </AnimatePresence>
-    </motion.div>
+    </>
   )
 }
 
@@ -0,0 +1,171 @@
+import { useMemo, useState } from 'react'
+import { formatEventDateRange } from '../utils/dateUtils'
+import { isLocalEvent } from '../utils/localEvents'
+import { getRelationChoices, getRelationType, getEventRelationLinks } from '../utils/eventRelations'
+import './EventRelationsEditor.css'
+
+const RELATION_CHOICES = getRelationChoices()
+
+// Symmetric types have one reading, whichever end the event is on
+const getChoiceValue = (link) => {
+  const type = getRelationType(link.relation.relation_type)
+  return type.directed && !link.isOutgoing ? `${type.value}:inverse` : type.value
+}
+
+// Source and target for a picked reading: "Caused by X" stores X -> this event
+const toRelationEnds = (choice, eventId, otherEventId) => (
+  choice.isOutgoing
+    ? { source_event_id: eventId, target_event_id: otherEventId }
+    : { source_event_id: otherEventId, target_event_id: eventId }
+)
+
+/**
+ * Relations of a saved event ("caused", "part of", ...). Render inside the
+ * main edit modal; changes are saved right away, like sub-events.
+ */
+function EventRelationsEditor({
+  event,
+  allEvents = [],
+  relations = [],
+  createRelation,
+  updateRelation,
+  deleteRelation
+}) {
+  const [newChoice, setNewChoice] = useState(RELATION_CHOICES[0].value)
+  const [newOtherId, setNewOtherId] = useState('')
+  const [busyId, setBusyId] = useState(null)
+  const [error, setError] = useState('')
+
+  const links = useMemo(
+    () => getEventRelationLinks(event, relations, allEvents),
+    [event, relations, allEvents]
+  )
+
+  const otherEvents = useMemo(
+    () => (event
+      ? allEvents
+          .filter((e) => e.id !== event.id && !isLocalEvent(e))
+          .sort((a, b) => a.title.localeCompare(b.title))
+      : []),
+    [allEvents, event]
+  )
+
+  if (!event || isLocalEvent(event)) {
+    return null
+  }
+
+  const run = async (id, action) => {
+    try {
+      setBusyId(id)
+      setError('')
+      await action()
+      return true
+    } catch (err) {
+      setError(err.message)
+      return false
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleAdd = async () => {
+    const choice = RELATION_CHOICES.find((c) => c.value === newChoice)
+    const ends = toRelationEnds(choice, event.id, newOtherId)
+    const added = await run('new', () => createRelation(ends.source_event_id, ends.target_event_id, choice.type))
+    if (added) setNewOtherId('')
+  }
+
+  const handleChangeType = (link, value) => {
+    const choice = RELATION_CHOICES.find((c) => c.value === value)
+    run(link.relation.id, () => updateRelation(link.relation.id, {
+      relation_type: choice.type,
+      ...toRelationEnds(choice, event.id, link.otherEvent.id)
+    }))
+  }
+
+  const handleRemove = (link) => {
+    run(link.relation.id, () => deleteRelation(link.relation.id))
+  }
+
+  return (
+    <div className="event-relations-panel">
+      <div className="event-relations-header">
+        <h3 className="event-relations-title">Relationships</h3>
+        <p className="event-relations-hint">
+          How this event connects to others. Selecting it on the timeline draws an arrow to each one.
+        </p>
+      </div>
+      {error && <div className="action-message error">{error}</div>}
+      <div className="event-relations-body">
+        {links.length === 0 ? (
+          <p className="event-relations-empty">No relationships yet.</p>
+        ) : (
+          <ul className="event-relations-list">
+            {links.map((link) => (
+              <li key={link.relation.id} className="event-relations-item">
+                <select
+                  className="form-select event-relations-type"
+                  value={getChoiceValue(link)}
+                  onChange={(e) => handleChangeType(link, e.target.value)}
+                  disabled={busyId === link.relation.id}
+                  aria-label={`Relationship to ${link.otherEvent.title}`}
+                >
+                  {RELATION_CHOICES.map((choice) => (
+                    <option key={choice.value} value={choice.value}>{choice.label}</option>
+                  ))}
+                </select>
+                <div className="event-relations-item-main">
+                  <strong>{link.otherEvent.title}</strong>
+                  <span className="event-relations-date">{formatEventDateRange(link.otherEvent)}</span>
+                </div>
+                <div className="event-relations-item-actions">
+                  <button
+                    type="button"
+                    className="btn btn-danger btn-sm"
+                    onClick={() => handleRemove(link)}
+                    disabled={busyId === link.relation.id}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <div className="event-relations-add">
+        <select
+          className="form-select event-relations-type"
+          value={newChoice}
+          onChange={(e) => setNewChoice(e.target.value)}
+          aria-label="New relationship type"
+        >
+          {RELATION_CHOICES.map((choice) => (
+            <option key={choice.value} value={choice.value}>{choice.label}</option>
+          ))}
+        </select>
+        <select
+          className="form-select event-relations-target"
+          value={newOtherId}
+          onChange={(e) => setNewOtherId(e.target.value)}
+          aria-label="Related event"
+        >
+          <option value="">Choose an event…</option>
+          {otherEvents.map((other) => (
+            <option key={other.id} value={other.id}>{other.title}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="event-relations-add-btn"
+          onClick={handleAdd}
+          disabled={!newOtherId || busyId === 'new'}
+        >
+          add
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default EventRelationsEditor
@@ -3,7 +3,7 @@ import { createPortal } from 'react-dom'
 import { motion, AnimatePresence } from 'framer-motion'
 import EventForm from './EventForm'
 import { formatEventDateRange } from '../utils/dateUtils'
-import { getSubEventsForParent } from '../utils/eventHierarchy'
+import { buildEventTree, getDescendantIds, validateEventHierarchy } from '../utils/eventHierarchy'
 import './EventSubEventsEditor.css'
 
 function isEventSpan(event) {
@@ -14,9 +14,20 @@ function isEventSpan(event) {
   return !!event.end_date
 }
 
+// An event's dates, in the shape validateEventHierarchy checks
+const toDatePayload = (event) => ({
+  date_type: event.date_type,
+  start_date: event.start_date,
+  end_date: event.end_date,
+  astronomical_start_year: event.astronomical_start_year,
+  astronomical_end_year: event.astronomical_end_year
+})
+
 /**
- * Sub-events list + nested sub-event form. Render inside the main edit modal when
- * `parentEvent` is a top-level time span (shared by Admin and Home).
+ * Tree of the events nested under `parentEvent` (era → war → campaign → battle).
+ * Any span in the tree can take sub-events of its own, and an event can be moved
+ * under another span of the tree. Render inside the main edit modal when
+ * `parentEvent` is a time span (shared by Admin and Home).
  */
 function EventSubEventsEditor({
   parentEvent,
@@ -27,52 +38,56 @@ function EventSubEventsEditor({
   deleteEvent,
   onAfterMutation
 }) {
-  const [showSubForm, setShowSubForm] = useState(false)
-  const [editingSubEvent, setEditingSubEvent] = useState(null)
+  // { parent, event }: the span the form adds under, and the sub-event being edited (null to add)
+  const [subForm, setSubForm] = useState(null)
   const [subFormError, setSubFormError] = useState('')
+  const [treeError, setTreeError] = useState('')
 
-  if (!parentEvent || !isEventSpan(parentEvent) || parentEvent.parent_id) {
+  if (!parentEvent || !isEventSpan(parentEvent)) {
     return null
   }
 
-  const subs = getSubEventsForParent(allEvents, parentEvent.id)
+  const tree = buildEventTree(allEvents, parentEvent.id)
+  // Spans an event of the tree can be moved under
+  const treeIds = getDescendantIds(allEvents, parentEvent.id)
+  const spans = [parentEvent, ...allEvents.filter((e) => treeIds.has(e.id) && isEventSpan(e))]
 
   const handleSubFormSubmit = async (formData) => {
     try {
       setSubFormError('')
-      if (editingSubEvent) {
-        await updateEvent(editingSubEvent.id, formData)
+      if (subForm.event) {
+        await updateEvent(subForm.event.id, formData)
       } else {
         await createEvent(formData)
       }
       if (onAfterMutation) await onAfterMutation()
-      setShowSubForm(false)
-      setEditingSubEvent(null)
+      setSubForm(null)
     } catch (err) {
       setSubFormError(err.message)
     }
   }
 
   const handleSubFormCancel = () => {
-    setShowSubForm(false)
-    setEditingSubEvent(null)
+    setSubForm(null)
     setSubFormError('')
   }
 
-  const openNewSubEvent = () => {
-    setEditingSubEvent(null)
+  const openNewSubEvent = (parent) => {
     setSubFormError('')
-    setShowSubForm(true)
+    setSubForm({ parent, event: null })
   }
 
-  const openEditSubEvent = (sub) => {
-    setEditingSubEvent(sub)
+  const openEditSubEvent = (sub, parent) => {
     setSubFormError('')
-    setShowSubForm(true)
+    setSubForm({ parent, event: sub })
   }
 
   const handleDeleteSub = async (sub) => {
-    if (!window.confirm(`Delete sub-event “${sub.title}”?`)) return
+    const nestedCount = getDescendantIds(allEvents, sub.id).size
+    const message = nestedCount > 0
+      ? `Delete sub-event “${sub.title}” and the ${nestedCount} event${nestedCount === 1 ? '' : 's'} nested under it?`
+      : `Delete sub-event “${sub.title}”?`
+    if (!window.confirm(message)) return
     try {
       await deleteEvent(sub.id)
       if (onAfterMutation) await onAfterMutation()
@@ -81,7 +96,84 @@ function EventSubEventsEditor({
     }
   }
 
-  const subFormModal = showSubForm ? (
+  const handleMove = async (sub, targetId) => {
+    const target = spans.find((span) => String(span.id) === targetId)
+    if (!target) return
+    const check = validateEventHierarchy(toDatePayload(sub), { parent: target, eventId: sub.id, allEvents })
+    if (!check.valid) {
+      setTreeError(check.error)
+      return
+    }
+    try {
+      setTreeError('')
+      await updateEvent(sub.id, { parent_id: target.id })
+      if (onAfterMutation) await onAfterMutation()
+    } catch (err) {
+      setTreeError(err.message)
+    }
+  }
+
+  const renderNodes = (nodes, parent) => (
+    <ul className={`event-sub-events-list ${parent === parentEvent ? '' : 'event-sub-events-list--nested'}`.trim()}>
+      {nodes.map(({ event: sub, children }) => {
+        const excludedIds = getDescendantIds(allEvents, sub.id).add(sub.id).add(parent.id)
+        const moveTargets = spans.filter((span) => !excludedIds.has(span.id))
+        return (
+          <li key={sub.id} className="event-sub-events-node">
+            <div className="event-sub-events-item">
+              <div className="event-sub-events-item-main">
+                <strong>{sub.title}</strong>
+                <span className="event-sub-events-date">{formatEventDateRange(sub)}</span>
+              </div>
+              <div className="event-sub-events-item-actions">
+                {isEventSpan(sub) && (
+                  <button
+                    type="button"
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => openNewSubEvent(sub)}
+                    aria-label={`Add a sub-event to ${sub.title}`}
+                    title="Add a sub-event"
+                  >
+                    +
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => openEditSubEvent(sub, parent)}
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-danger btn-sm"
+                  onClick={() => handleDeleteSub(sub)}
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+            {moveTargets.length > 0 && (
+              <select
+                className="form-select event-sub-events-move"
+                value=""
+                onChange={(e) => handleMove(sub, e.target.value)}
+                aria-label={`Move ${sub.title} under another event`}
+              >
+                <option value="">Move under…</option>
+                {moveTargets.map((span) => (
+                  <option key={span.id} value={span.id}>{span.title}</option>
+                ))}
+              </select>
+            )}
+            {children.length > 0 && renderNodes(children, sub)}
+          </li>
+        )
+      })}
+    </ul>
+  )
+
+  const subFormModal = subForm ? (
     <AnimatePresence>
       <motion.div
         className="form-overlay form-overlay--sub"
@@ -98,8 +190,9 @@ function EventSubEventsEditor({
           onClick={(e) => e.stopPropagation()}
         >
           <EventForm
-            parentEvent={parentEvent}
-            event={editingSubEvent}
+            parentEvent={subForm.parent}
+            event={subForm.event}
+            allEvents={allEvents}
             onSubmit={handleSubFormSubmit}
             onCancel={handleSubFormCancel}
             error={subFormError}
@@ -116,43 +209,19 @@ function EventSubEventsEditor({
         <div className="event-sub-events-header">
           <h3 className="event-sub-events-title">Sub-events</h3>
           <p className="event-sub-events-hint">
-            Moments or shorter spans along this parent span. They appear on long hover on the timeline and in the detail view.
+            Moments or shorter spans along this parent span, nested as deep as needed. They appear on long hover on the timeline and in the detail view.
           </p>
         </div>
+        {treeError && <div className="action-message error">{treeError}</div>}
         <div className="event-sub-events-body">
-          {subs.length === 0 ? (
+          {tree.length === 0 ? (
             <p className="event-sub-events-empty">No sub-events yet.</p>
           ) : (
-            <ul className="event-sub-events-list">
-              {subs.map((sub) => (
-                <li key={sub.id} className="event-sub-events-item">
-                  <div className="event-sub-events-item-main">
-                    <strong>{sub.title}</strong>
-                    <span className="event-sub-events-date">{formatEventDateRange(sub)}</span>
-                  </div>
-                  <div className="event-sub-events-item-actions">
-                    <button
-                      type="button"
-                      className="btn btn-secondary btn-sm"
-                      onClick={() => openEditSubEvent(sub)}
-                    >
-                      Edit
-                    </button>
-                    <button
-                      type="button"
-                      className="btn btn-danger btn-sm"
-                      onClick={() => handleDeleteSub(sub)}
-                    >
-                      Delete
-                    </button>
-                  </div>
-                </li>
-              ))}
-            </ul>
+            renderNodes(tree, parentEvent)
           )}
         </div>
         <div className="event-sub-events-footer">
-          <button type="button" className="event-sub-events-add-btn" onClick={openNewSubEvent}>
+          <button type="button" className="event-sub-events-add-btn" onClick={() => openNewSubEvent(parentEvent)}>
             add sub-events
           </button>
         </div>
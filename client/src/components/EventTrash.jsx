@@ -0,0 +1,121 @@
+import { useCallback, useEffect, useState } from 'react'
+import { formatEventDateRange } from '../utils/dateUtils'
+import { getDescendantIds } from '../utils/eventHierarchy'
+import './EventTrash.css'
+
+const formatDeletedAt = (value) => new Date(value).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+})
+
+// Sub-events trashed together with their parent are listed under the outermost one, not separately
+const groupTrash = (rows) => {
+  const batchKey = (id, deletedAt) => `${id}|${deletedAt}`
+  const batches = new Set(rows.map((row) => batchKey(row.id, row.deleted_at)))
+  const entries = rows.filter((row) => !(row.parent_id && batches.has(batchKey(row.parent_id, row.deleted_at))))
+  return entries.map((entry) => {
+    const batch = rows.filter((row) => row.deleted_at === entry.deleted_at)
+    const nestedIds = getDescendantIds(batch, entry.id)
+    return { event: entry, subEvents: batch.filter((row) => nestedIds.has(row.id)) }
+  })
+}
+
+/**
+ * Soft-deleted events with restore and permanent delete. Restoring brings
+ * back the sub-events that were trashed in the same delete.
+ */
+function EventTrash({ fetchDeletedEvents, restoreEvent, purgeEvent, onChange }) {
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [busyId, setBusyId] = useState(null)
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError('')
+      setEntries(groupTrash(await fetchDeletedEvents()))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [fetchDeletedEvents])
+
+  useEffect(() => {
+    loadTrash()
+  }, [loadTrash])
+
+  const runAction = async (event, action, message) => {
+    try {
+      setError('')
+      setBusyId(event.id)
+      await action()
+      await loadTrash()
+      onChange?.(message)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleRestore = (event) => runAction(
+    event,
+    () => restoreEvent(event),
+    `"${event.title}" has been restored.`
+  )
+
+  const handlePurge = (event, subEventCount) => {
+    const extra = subEventCount > 0 ? ` and its ${subEventCount} sub-event(s)` : ''
+    if (!window.confirm(`Permanently delete "${event.title}"${extra}? This cannot be undone.`)) return
+    runAction(event, () => purgeEvent(event.id), `"${event.title}" has been deleted permanently.`)
+  }
+
+  return (
+    <div className="event-trash">
+      {error && <div className="action-message error">{error}</div>}
+      {loading ? (
+        <p className="event-trash-empty">Loading trash...</p>
+      ) : entries.length === 0 ? (
+        <p className="event-trash-empty">The trash is empty.</p>
+      ) : (
+        <ul className="event-trash-list">
+          {entries.map(({ event, subEvents }) => (
+            <li key={event.id} className="event-trash-item">
+              <div className="event-trash-info">
+                <strong>{event.title}</strong>
+                <span className="event-trash-meta">
+                  {formatEventDateRange(event)}
+                  {subEvents.length > 0 && ` · ${subEvents.length} sub-event${subEvents.length === 1 ? '' : 's'}`}
+                  {' · deleted '}
+                  {formatDeletedAt(event.deleted_at)}
+                </span>
+              </div>
+              <div className="event-trash-actions">
+                <button
+                  type="button"
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => handleRestore(event)}
+                  disabled={busyId !== null}
+                >
+                  Restore
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-danger btn-sm"
+                  onClick={() => handlePurge(event, subEvents.length)}
+                  disabled={busyId !== null}
+                >
+                  Delete forever
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default EventTrash
@@ -0,0 +1,132 @@
+import { useEffect, useState } from 'react'
+import { getDailyShareGrid, getDailyShareText } from '../utils/dailyChallenge'
+import { MAX_ROUND_POINTS } from '../utils/gameModes'
+import './GameDailyPanel.css'
+
+const COPIED_NOTICE_MS = 2000
+
+/**
+ * The daily challenge's panel in the game hero: who is playing, progress
+ * through the day's events and, once finished, the score, streak and a
+ * spoiler-free summary to share.
+ */
+function GameDailyPanel({
+  daily,
+  player,
+  onPlayerChange,
+  progress,
+  attempt,
+  streak,
+  loading,
+  error,
+  isPlaying,
+  onRetrySubmit
+}) {
+  const [nameDraft, setNameDraft] = useState(player)
+  const [copied, setCopied] = useState(false)
+
+  useEffect(() => {
+    setNameDraft(player)
+  }, [player])
+
+  useEffect(() => {
+    if (!copied) return undefined
+    const timer = setTimeout(() => setCopied(false), COPIED_NOTICE_MS)
+    return () => clearTimeout(timer)
+  }, [copied])
+
+  if (loading && !daily) {
+    return <div className="game-daily-panel"><p className="game-daily-note">Loading the daily challenge...</p></div>
+  }
+  if (!daily) {
+    return <div className="game-daily-panel"><p className="game-daily-error">{error}</p></div>
+  }
+
+  const eventCount = daily.event_ids.length
+  const finished = progress.length === eventCount
+  const pointsSoFar = progress.reduce((sum, guess) => sum + guess.points, 0)
+  // A run belongs to one player, so the name is locked from the first guess until it is saved
+  const canRename = !isPlaying && (progress.length === 0 || Boolean(attempt))
+  const shareText = attempt
+    ? getDailyShareText({ ...attempt, number: daily.number, streak }, `${window.location.origin}/game`)
+    : ''
+
+  const handleNameSubmit = (e) => {
+    e.preventDefault()
+    if (nameDraft.trim()) onPlayerChange(nameDraft)
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shareText)
+      setCopied(true)
+    } catch {
+      // Clipboard blocked; the summary is still there to select by hand
+    }
+  }
+
+  return (
+    <div className="game-daily-panel">
+      <div className="game-daily-header">
+        <strong>Daily #{daily.number}</strong>
+        <span className="game-daily-note">{daily.date} (UTC)</span>
+        {streak > 0 && <span className="game-daily-streak">Streak: {streak} {streak === 1 ? 'day' : 'days'}</span>}
+      </div>
+
+      <form className="game-daily-player" onSubmit={handleNameSubmit}>
+        <label htmlFor="game-daily-player-name">Playing as</label>
+        <input
+          id="game-daily-player-name"
+          className="form-input"
+          value={nameDraft}
+          onChange={(e) => setNameDraft(e.target.value)}
+          placeholder="Your name"
+          maxLength={40}
+          disabled={!canRename}
+        />
+        {canRename && nameDraft.trim() !== player && (
+          <button type="submit" className="btn btn-secondary btn-sm" disabled={!nameDraft.trim()}>
+            Use name
+          </button>
+        )}
+      </form>
+
+      {attempt
+        ? (
+            <div className="game-daily-result">
+              <p>
+                You scored <strong>{attempt.points.toLocaleString()}</strong> of {(eventCount * MAX_ROUND_POINTS).toLocaleString()} today.
+                Come back tomorrow for a new challenge.
+              </p>
+              <pre className="game-daily-share">{shareText}</pre>
+              <button type="button" className="btn btn-primary btn-sm" onClick={handleCopy}>
+                {copied ? 'Copied!' : 'Copy result'}
+              </button>
+            </div>
+          )
+        : (
+            <p className="game-daily-note">
+              {player
+                ? `Event ${Math.min(progress.length + 1, eventCount)} of ${eventCount}`
+                : 'Enter a name to play; it keeps your streak and your one attempt a day.'}
+              {progress.length > 0 && (
+                <>
+                  {' · '}{pointsSoFar.toLocaleString()} pts so far{' '}
+                  <span className="game-daily-grid">{getDailyShareGrid(progress)}</span>
+                </>
+              )}
+            </p>
+          )}
+
+      {error && <p className="game-daily-error">{error}</p>}
+      {/* A save that failed, e.g. while the API server was down, can be retried */}
+      {finished && !attempt && (
+        <button type="button" className="btn btn-secondary btn-sm" onClick={onRetrySubmit}>
+          Save result
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default GameDailyPanel
@@ -0,0 +1,86 @@
+import EventLabelBadges from './EventLabelBadges'
+import { formatEventDate } from '../utils/dateUtils'
+import { sortEventsChronologically } from '../utils/gameModes'
+import './GameOrderChallenge.css'
+
+/**
+ * Ordering round of the game: the active player sorts the hidden events
+ * oldest first and locks the order in. Once revealed, the true order is
+ * listed with dates above each player's result.
+ */
+function GameOrderChallenge({
+  events,
+  labelColorMap,
+  isRevealed,
+  guesses = [],
+  onMove,
+  onSubmit
+}) {
+  if (isRevealed) {
+    const correctOrder = sortEventsChronologically(events)
+    return (
+      <div className="game-order-challenge">
+        <ol className="game-order-list">
+          {correctOrder.map((event, index) => (
+            <li key={event.id} className="game-order-item revealed">
+              <span className="game-order-position">{index + 1}</span>
+              <span className="game-order-title">{event.title}</span>
+              <span className="game-order-date">{formatEventDate(event, false)}</span>
+            </li>
+          ))}
+        </ol>
+        <ul className="game-order-results">
+          {guesses.map((guess) => (
+            <li key={guess.playerId}>
+              {guess.color && <span className="player-color" style={{ backgroundColor: guess.color }} />}
+              {guess.playerName}: {guess.resultText} · {guess.points} pts
+            </li>
+          ))}
+        </ul>
+      </div>
+    )
+  }
+
+  return (
+    <div className="game-order-challenge">
+      <p className="game-order-hint">Oldest</p>
+      <ol className="game-order-list">
+        {events.map((event, index) => (
+          <li key={event.id} className="game-order-item">
+            <span className="game-order-position">{index + 1}</span>
+            <span className="game-order-title">{event.title}</span>
+            <span className="game-order-labels">
+              <EventLabelBadges event={event} labelColorMap={labelColorMap} />
+            </span>
+            <span className="game-order-controls">
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={() => onMove(index, -1)}
+                disabled={index === 0}
+                aria-label={`Move ${event.title} earlier`}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={() => onMove(index, 1)}
+                disabled={index === events.length - 1}
+                aria-label={`Move ${event.title} later`}
+              >
+                ↓
+              </button>
+            </span>
+          </li>
+        ))}
+      </ol>
+      <p className="game-order-hint">Newest</p>
+      <button type="button" className="btn btn-primary" onClick={onSubmit}>
+        Lock in order
+      </button>
+    </div>
+  )
+}
+
+export default GameOrderChallenge
@@ -0,0 +1,58 @@
+import EventLabelBadges from './EventLabelBadges'
+import { formatEventDate } from '../utils/dateUtils'
+import { eventToYearsAgo } from '../utils/logScaleUtils'
+import './GamePairChallenge.css'
+
+/**
+ * "Which came first" round of the game: two event cards, the active player
+ * picks the older one. Once revealed, each card shows its date and the
+ * players who picked it.
+ */
+function GamePairChallenge({ events, labelColorMap, isRevealed, guesses = [], onPick }) {
+  const olderId = eventToYearsAgo(events[0]) > eventToYearsAgo(events[1]) ? events[0].id : events[1].id
+
+  return (
+    <div className="game-pair-challenge">
+      {events.map((event, index) => {
+        const isFirst = event.id === olderId
+        const pickedBy = guesses.filter((guess) => guess.pickedEventId === event.id)
+        const stateClass = isRevealed ? (isFirst ? 'correct' : 'wrong') : ''
+
+        return (
+          <div key={event.id} className="game-pair-slot">
+            {index === 1 && <span className="game-pair-versus">or</span>}
+            <button
+              type="button"
+              className={`game-pair-card ${stateClass}`.trim()}
+              onClick={() => onPick(event)}
+              disabled={isRevealed}
+            >
+              <span className="game-pair-title">{event.title}</span>
+              <span className="game-pair-labels">
+                <EventLabelBadges event={event} labelColorMap={labelColorMap} />
+              </span>
+              {isRevealed && (
+                <span className="game-pair-date">
+                  {formatEventDate(event, false)}
+                  {isFirst && ' · came first'}
+                </span>
+              )}
+            </button>
+            {isRevealed && pickedBy.length > 0 && (
+              <ul className="game-pair-picks">
+                {pickedBy.map((guess) => (
+                  <li key={guess.playerId}>
+                    {guess.color && <span className="player-color" style={{ backgroundColor: guess.color }} />}
+                    {guess.playerName} · {guess.points} pts
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default GamePairChallenge
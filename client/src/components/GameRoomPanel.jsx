@@ -0,0 +1,137 @@
+import { useEffect, useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { ROOM_PHASE, ROOM_STATUS } from '../hooks/useGameRoom'
+import './GameRoomPanel.css'
+
+const COPIED_NOTICE_MS = 2000
+
+/**
+ * Online rooms in the game's players panel: create or join one by code
+ * (prefilled from an invite link's ?room=), then the room's players, who
+ * has guessed this round and who is hosting.
+ */
+function GameRoomPanel({
+  room,
+  playerId,
+  status,
+  error,
+  onCreate,
+  onJoin,
+  onLeave,
+  roundPointsByPlayer,
+  isRevealed
+}) {
+  const [searchParams] = useSearchParams()
+  const [name, setName] = useState('')
+  const [code, setCode] = useState(() => (searchParams.get('room') || '').toUpperCase())
+  const [copied, setCopied] = useState(false)
+
+  useEffect(() => {
+    if (!copied) return undefined
+    const timer = setTimeout(() => setCopied(false), COPIED_NOTICE_MS)
+    return () => clearTimeout(timer)
+  }, [copied])
+
+  const isConnecting = status === ROOM_STATUS.CONNECTING
+
+  if (!room) {
+    const handleSubmit = (e) => {
+      e.preventDefault()
+      if (!name.trim()) return
+      if (code.trim()) onJoin(code.trim(), name.trim())
+      else onCreate(name.trim())
+    }
+
+    return (
+      <form className="game-room-panel" onSubmit={handleSubmit}>
+        <h4>Play online</h4>
+        <p className="game-room-note">Everyone guesses at once from their own browser or tab.</p>
+        <div className="game-room-fields">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Your name"
+            maxLength={40}
+            aria-label="Your name"
+          />
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value.toUpperCase())}
+            placeholder="Room code"
+            maxLength={5}
+            aria-label="Room code"
+          />
+        </div>
+        <button type="submit" className="btn btn-secondary btn-sm" disabled={!name.trim() || isConnecting}>
+          {isConnecting ? 'Connecting...' : code.trim() ? 'Join room' : 'Create room'}
+        </button>
+        {error && <p className="game-room-error">{error}</p>}
+      </form>
+    )
+  }
+
+  const host = room.players.find((player) => player.id === room.hostId)
+  const isHost = room.hostId === playerId
+  const inviteUrl = `${window.location.origin}/game?room=${room.code}`
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl)
+      setCopied(true)
+    } catch {
+      // Clipboard blocked; the code is on screen to pass on
+    }
+  }
+
+  return (
+    <div className="game-room-panel">
+      <div className="game-room-header">
+        <span>Room <strong className="game-room-code">{room.code}</strong></span>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={handleCopy}>
+          {copied ? 'Copied!' : 'Copy invite link'}
+        </button>
+      </div>
+      {status === ROOM_STATUS.RECONNECTING && <p className="game-room-note">Connection lost, reconnecting...</p>}
+
+      <ul className="game-room-players">
+        {room.players.map((player) => (
+          <li key={player.id} className={player.connected ? '' : 'offline'}>
+            <span className="player-color" style={{ backgroundColor: player.color }} />
+            <span className="game-room-player-name">
+              {player.name}
+              {player.id === playerId && ' (you)'}
+              {player.id === room.hostId && <span className="game-room-badge">host</span>}
+            </span>
+            <span className="game-room-player-status">
+              {!player.connected
+                ? 'offline'
+                : room.phase === ROOM_PHASE.GUESSING
+                  ? (player.hasGuessed ? 'guessed' : 'guessing...')
+                  : ''}
+            </span>
+            <span className="player-meta">
+              {player.score} pts
+              {isRevealed && roundPointsByPlayer.get(player.id)
+                ? ` · +${roundPointsByPlayer.get(player.id)}`
+                : ''}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {room.phase !== ROOM_PHASE.GUESSING && (
+        <p className="game-room-note">
+          {isHost
+            ? 'You are hosting: pick the mode and labels, then start a round.'
+            : `Waiting for ${host?.name || 'the host'} to start the next round.`}
+        </p>
+      )}
+      {error && <p className="game-room-error">{error}</p>}
+      <button type="button" className="btn btn-secondary btn-sm" onClick={onLeave}>
+        Leave room
+      </button>
+    </div>
+  )
+}
+
+export default GameRoomPanel
@@ -29,6 +29,7 @@ function Header() {
 
         <nav className="header-nav">
           <Link to="/" className="nav-link">Timeline</Link>
+          <Link to="/compare" className="nav-link">Compare</Link>
           <Link to="/game" className="nav-link">Game Mode</Link>
           {isAuthenticated ? (
             <>
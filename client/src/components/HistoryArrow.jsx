@@ -1,18 +1,49 @@
-import { useState, useMemo, useRef, useCallback, useEffect, forwardRef, useImperativeHandle } from 'react'
+import { useState, useMemo, useRef, useCallback, useEffect, useLayoutEffect, useId, forwardRef, useImperativeHandle } from 'react'
 import { motion } from 'framer-motion'
 import EventMarker from './EventMarker'
 import LogarithmicMinimap from './LogarithmicMinimap'
 import {
-  yearToLinearPosition,
   linearPositionToYear,
-  getLinearTicks,
+  yearToScalePosition,
+  scalePositionToYear,
+  getScaleTicks,
   formatYearsAgoShort,
   dateToYearsAgo,
   eventToYearsAgo,
   eventEndToYearsAgo,
+  getEventUncertaintyWindow,
+  zoomViewAt,
+  centerViewAt,
+  panView,
+  SCALE_MODES,
+  DEFAULT_SCALE_MODE,
   DEFAULT_MIN_YEARS,
   DEFAULT_MAX_YEARS
 } from '../utils/logScaleUtils'
+import { formatHistoricalDate, formatHistoricalYear } from '../utils/historicalDate'
+import { getEventLabelColors } from '../utils/eventLabels'
+import { getRelationType } from '../utils/eventRelations'
+import { useTimelineZoom } from '../hooks/useTimelineZoom'
+import { useOverlays } from '../hooks/useOverlays'
+import { readOverlayAt, formatOverlayValue } from '../utils/overlays'
+import {
+  sortEventsChronologically,
+  getEventAccessibleLabel,
+  describeViewRange
+} from '../utils/timelineA11y'
+import {
+  SWIMLANE_GROUPINGS,
+  OTHER_SWIMLANE_ID,
+  buildSwimlaneDefinitions,
+  orderSwimlanes,
+  assignEventsToSwimlanes,
+  moveSwimlane
+} from '../utils/swimlanes'
+import TimelineEventList from './TimelineEventList'
+import TimelineOverlayChart from './TimelineOverlayChart'
+import TimelineEraBands from './TimelineEraBands'
+import { DEFAULT_ERAS } from '../data/eras'
+import { getEventAncestors, isParentSpan } from '../utils/eventHierarchy'
 import './HistoryArrow.css'
 import {
   DEFAULT_TIMELINE_BG_COLOR,
@@ -56,20 +87,9 @@ const GEO_MAP_FRAME_COUNT = 531
 const GEO_MAP_VIDEO_FPS = 30
 const GEO_MAP_VIDEO_DURATION_SECONDS = (GEO_MAP_FRAME_COUNT - 1) / GEO_MAP_VIDEO_FPS
 const GEO_MAP_VIDEO_FRAME_TIME = 1 / GEO_MAP_VIDEO_FPS
-const LIFE_EXPECTANCY_WORLD_ENTITY = 'World'
-const LIFE_EXPECTANCY_CONTINENTS = ['Africa', 'Americas', 'Asia', 'Europe', 'Oceania']
-const MADDISON_REGION_ORDER = [
-  'East Asia',
-  'South and South East Asia',
-  'Sub Saharan Africa',
-  'Middle East and North Africa',
-  'Latin America',
-  'Eastern Europe',
-  'Western Europe',
-  'Western Offshoots'
-]
-const POPULATION_MAX_YEAR = 2022
 const SPAN_SUB_FOCUS_HOVER_MS = 2000
+// Room left around a span the view is fitted to when drilling into it, as a share of its length
+const DRILL_VIEW_PADDING = 0.1
 /** Delay single-click guess so double-click can zoom without placing a guess (game mode). */
 const TIMELINE_GUESS_CLICK_DEFER_MS = 280
 const LANE_OVERRIDES_STORAGE_KEY = 'history-arrow-lane-overrides'
@@ -77,6 +97,38 @@ const EVENT_LABEL_SCALE_STORAGE_KEY = 'history-arrow-event-label-scale'
 const DEFAULT_EVENT_LABEL_SCALE = 1
 const MIN_EVENT_LABEL_SCALE = 0.7
 const MAX_EVENT_LABEL_SCALE = 1.5
+const SCALE_MODE_STORAGE_KEY = 'history-arrow-scale-mode'
+const ERA_BANDS_STORAGE_KEY = 'history-arrow-era-bands'
+const SCALE_MODE_OPTIONS = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'log', label: 'Logarithmic' },
+  { value: 'hybrid', label: 'Deep time + history' }
+]
+// Keyboard navigation: share of the visible span per arrow / page key, zoom factor per +/- press
+const SWIMLANE_STORAGE_KEY = 'history-arrow-swimlanes'
+const SWIMLANE_GROUPING_OPTIONS = [
+  { value: 'off', label: 'Single arrow' },
+  { value: 'label', label: 'By label' },
+  { value: 'track', label: 'By track' }
+]
+// Each band packs its events into one lane above and one below its own baseline
+const SWIMLANE_MAX_SPAN_LANES = 2
+const SWIMLANE_MAX_POINT_LANES = 2
+const DESKTOP_SWIMLANE_HEIGHT = 112
+const MOBILE_SWIMLANE_HEIGHT = 92
+const SWIMLANE_COLLAPSED_HEIGHT = 30
+// Room above the bands for the range labels, and below them for the arrow and tick labels
+const SWIMLANE_STACK_TOP = 34
+const SWIMLANE_AXIS_HEIGHT = 104
+// Relation arrows arc this far (px) above the higher of their two markers
+const RELATION_ARROW_MIN_LIFT = 28
+const RELATION_ARROW_MAX_LIFT = 110
+const RELATION_ARROW_TOP_MARGIN = 6
+const KEYBOARD_PAN_FRACTION = 0.1
+const KEYBOARD_PAGE_FRACTION = 0.8
+const KEYBOARD_ZOOM_FACTOR = 0.5
+// Let the view settle before the live region reads out the new range
+const VIEW_ANNOUNCE_DELAY_MS = 700
 
 const visualLaneToRingAndDirection = (visualLane) => ({
   laneRing: Math.floor(visualLane / 2) + 1,
@@ -124,6 +176,43 @@ const loadLaneOverrides = () => {
   }
 }
 
+const DEFAULT_SWIMLANE_SETTINGS = {
+  grouping: 'off',
+  order: { label: [], track: [] },
+  collapsed: { label: [], track: [] }
+}
+
+const loadSwimlaneSettings = () => {
+  try {
+    const parsed = JSON.parse(sessionStorage.getItem(SWIMLANE_STORAGE_KEY) || 'null')
+    if (!parsed) return DEFAULT_SWIMLANE_SETTINGS
+    return {
+      grouping: SWIMLANE_GROUPINGS.includes(parsed.grouping) ? parsed.grouping : 'off',
+      order: { ...DEFAULT_SWIMLANE_SETTINGS.order, ...parsed.order },
+      collapsed: { ...DEFAULT_SWIMLANE_SETTINGS.collapsed, ...parsed.collapsed }
+    }
+  } catch {
+    return DEFAULT_SWIMLANE_SETTINGS
+  }
+}
+
+const loadShowEraBands = () => {
+  try {
+    return sessionStorage.getItem(ERA_BANDS_STORAGE_KEY) !== 'off'
+  } catch {
+    return true
+  }
+}
+
+const loadScaleMode = () => {
+  try {
+    const stored = sessionStorage.getItem(SCALE_MODE_STORAGE_KEY)
+    return SCALE_MODES.includes(stored) ? stored : DEFAULT_SCALE_MODE
+  } catch {
+    return DEFAULT_SCALE_MODE
+  }
+}
+
 const clampEventLabelScale = (value) => (
   Math.min(MAX_EVENT_LABEL_SCALE, Math.max(MIN_EVENT_LABEL_SCALE, value))
 )
@@ -140,11 +229,22 @@ const loadEventLabelScale = () => {
   }
 }
 
+// Timeline positions of an event's fuzzy edges (date precision and ± uncertainty)
+function getUncertaintyBand(event, viewStart, viewEnd, scaleMode) {
+  const uncertainty = getEventUncertaintyWindow(event)
+  if (!uncertainty) return null
+  const toPositions = (range) => range && [
+    Math.max(-5, yearToScalePosition(range.older, viewStart, viewEnd, scaleMode)),
+    Math.min(105, yearToScalePosition(range.newer, viewStart, viewEnd, scaleMode))
+  ]
+  return { start: toPositions(uncertainty.start), end: toPositions(uncertainty.end) }
+}
+
 function isTopLevelTimelineEvent(event) {
   return !event?.parent_id
 }
 
-function buildPositionedSubEventsForParent(parentId, events, viewStart, viewEnd) {
+function buildPositionedSubEventsForParent(parentId, events, viewStart, viewEnd, scaleMode) {
   if (!parentId) return []
   const filtered = events
     .filter((e) => e.parent_id === parentId)
@@ -168,9 +268,9 @@ function buildPositionedSubEventsForParent(parentId, events, viewStart, viewEnd)
     })
 
   const withGeometry = filtered.map((event) => {
-    const startPos = yearToLinearPosition(event.yearsAgo, viewStart, viewEnd)
+    const startPos = yearToScalePosition(event.yearsAgo, viewStart, viewEnd, scaleMode)
     const endPos = event.endYearsAgo !== null
-      ? yearToLinearPosition(event.endYearsAgo, viewStart, viewEnd)
+      ? yearToScalePosition(event.endYearsAgo, viewStart, viewEnd, scaleMode)
       : null
     const spanWidth = endPos !== null ? Math.abs(endPos - startPos) : 0
     const shouldRenderAsPoint = event.isSpan && spanWidth < MIN_VISIBLE_SPAN_WIDTH_PERCENT
@@ -223,6 +323,7 @@ function buildPositionedSubEventsForParent(parentId, events, viewStart, viewEnd)
         yearsAgo: resolvedYearsAgo,
         startPos: resolvedStartPos,
         endPos: resolvedEndPos,
+        uncertaintyBand: getUncertaintyBand(event, viewStart, viewEnd, scaleMode),
         spanLaneIndex: slot,
         spanVisualLane,
         spanLaneRing,
@@ -242,6 +343,8 @@ function buildPositionedSubEventsForParent(parentId, events, viewStart, viewEnd)
       yearsAgo: resolvedYearsAgo,
       startPos: resolvedStartPos,
       endPos: null,
+      // Collapsed spans are drawn at their midpoint, where the edge bands don't apply
+      uncertaintyBand: event.isSpan ? null : getUncertaintyBand(event, viewStart, viewEnd, scaleMode),
       pointLaneIndex: slot,
       pointVisualLane,
       pointLaneRing,
@@ -252,55 +355,120 @@ function buildPositionedSubEventsForParent(parentId, events, viewStart, viewEnd)
   })
 }
 
-const getValueAtOrBeforeYear = (valuesByYear, sortedYears, targetYear) => {
-  if (!Number.isFinite(targetYear) || !valuesByYear || !Array.isArray(sortedYears) || sortedYears.length === 0) {
-    return null
-  }
+const estimateLabelWidthPx = (title, maxWidthPx, scale = 1) => {
+  const safeTitle = typeof title === 'string' ? title : ''
+  const estimated = safeTitle.length * LABEL_CHAR_WIDTH_PX * scale + LABEL_PADDING_PX
+  return Math.min(maxWidthPx, Math.max(40, estimated))
+}
 
-  let left = 0
-  let right = sortedYears.length - 1
-  let bestYear = null
+const getSpanLaneItems = (events, layerWidth, labelScale) => (
+  events
+    .filter(event => event.isSpan && event.endPos !== null)
+    .map(event => {
+      const spanLeft = Math.min(event.startPos, event.endPos)
+      const spanRight = Math.max(event.startPos, event.endPos)
+      const spanCenter = (spanLeft + spanRight) / 2
+      const labelWidthPx = estimateLabelWidthPx(event.title, SPAN_LABEL_MAX_WIDTH_PX, labelScale)
+      const labelWidthPercent = (labelWidthPx / layerWidth) * 100
+      const labelLeft = spanCenter - labelWidthPercent / 2
+      const labelRight = spanCenter + labelWidthPercent / 2
+      const left = Math.min(spanLeft, labelLeft)
+      const right = Math.max(spanRight, labelRight)
 
-  while (left <= right) {
-    const mid = Math.floor((left + right) / 2)
-    const year = sortedYears[mid]
+      return {
+        id: event.id,
+        left,
+        right,
+        width: right - left
+      }
+    })
+)
 
-    if (year <= targetYear) {
-      bestYear = year
-      left = mid + 1
-    } else {
-      right = mid - 1
-    }
-  }
+const getPointLaneItems = (events, layerWidth, labelScale) => (
+  events
+    .filter(event => !event.isSpan)
+    .map(event => {
+      const markerWidthPercent = Math.max(
+        POINT_COLLISION_WIDTH_PERCENT,
+        (POINT_MARKER_WIDTH_PX / layerWidth) * 100
+      )
+      const markerLeft = event.startPos - markerWidthPercent / 2
+      const markerRight = event.startPos + markerWidthPercent / 2
+      const labelWidthPx = estimateLabelWidthPx(event.title, POINT_LABEL_MAX_WIDTH_PX, labelScale)
+      const labelWidthPercent = (labelWidthPx / layerWidth) * 100
+      const labelLeft = event.startPos - labelWidthPercent / 2
+      const labelRight = event.startPos + labelWidthPercent / 2
+      const left = Math.min(markerLeft, labelLeft)
+      const right = Math.max(markerRight, labelRight)
 
-  if (bestYear === null) return null
+      return {
+        id: event.id,
+        left,
+        right,
+        width: right - left
+      }
+    })
+)
 
-  const value = valuesByYear instanceof Map
-    ? valuesByYear.get(bestYear)
-    : valuesByYear[String(bestYear)]
+// First focusable marker for an event (swimlane copies aren't focusable)
+const findEventMarkerNode = (layer, eventId) => (
+  [...layer.querySelectorAll('[data-event-id]')]
+    .find((node) => node.dataset.eventId === String(eventId)) || null
+)
 
-  if (!Number.isFinite(value)) return null
-  return { year: bestYear, value }
+// Arc from one marker to another over the top of the markers, with the point
+// halfway along it for the label
+const getRelationArrowGeometry = (from, to) => {
+  const lift = Math.max(RELATION_ARROW_MIN_LIFT, Math.min(RELATION_ARROW_MAX_LIFT, Math.abs(to.x - from.x) * 0.35))
+  const controlX = (from.x + to.x) / 2
+  const controlY = Math.max(RELATION_ARROW_TOP_MARGIN, Math.min(from.y, to.y) - lift)
+  return {
+    path: `M ${from.x} ${from.y} Q ${controlX} ${controlY} ${to.x} ${to.y}`,
+    labelX: 0.25 * from.x + 0.5 * controlX + 0.25 * to.x,
+    labelY: 0.25 * from.y + 0.5 * controlY + 0.25 * to.y
+  }
 }
 
-const formatLifeExpectancy = (value) => `${value.toFixed(1)} years`
+// Lane fields for one marker. Overrides are keyed by laneKey: the event id on the
+// shared arrow, band id + event id in swimlanes, so each band keeps its own drags.
+const applyLaneLayout = (event, laneKey, spanLayout, pointLayout, spanOverrides, pointOverrides) => {
+  if (event.isSpan) {
+    const spanLaneMeta = spanLayout.laneMetadata.get(event.id)
+    const autoVisualLane = spanLaneMeta?.visualLane ?? 0
+    const visualLane = spanOverrides.has(laneKey)
+      ? spanOverrides.get(laneKey)
+      : autoVisualLane
+    const { laneRing, laneDirection } = visualLaneToRingAndDirection(visualLane)
 
-const formatPopulationCompact = (populationThousands) => {
-  const population = populationThousands * 1000
-  if (population >= 1e9) return `${(population / 1e9).toFixed(2).replace(/\.?0+$/, '')}B`
-  if (population >= 1e6) return `${(population / 1e6).toFixed(2).replace(/\.?0+$/, '')}M`
-  return `${Math.round(population).toLocaleString()}`
-}
+    return {
+      ...event,
+      laneKey,
+      spanLaneIndex: spanLaneMeta?.laneIndex ?? 0,
+      spanVisualLane: visualLane,
+      spanLaneRing: laneRing,
+      spanLaneDirection: laneDirection,
+      spanLaneCount: spanLaneMeta?.laneCount ?? 1,
+      spanEffectiveLaneCount: spanLaneMeta?.effectiveLaneCount ?? 1
+    }
+  }
 
-const formatPopulationFull = (populationThousands) => {
-  const population = Math.round(populationThousands * 1000)
-  return population.toLocaleString()
-}
+  const pointLaneMeta = pointLayout.laneMetadata.get(event.id)
+  const autoVisualLane = pointLaneMeta?.visualLane ?? 0
+  const visualLane = pointOverrides.has(laneKey)
+    ? pointOverrides.get(laneKey)
+    : autoVisualLane
+  const { laneRing, laneDirection } = visualLaneToRingAndDirection(visualLane)
 
-const estimateLabelWidthPx = (title, maxWidthPx, scale = 1) => {
-  const safeTitle = typeof title === 'string' ? title : ''
-  const estimated = safeTitle.length * LABEL_CHAR_WIDTH_PX * scale + LABEL_PADDING_PX
-  return Math.min(maxWidthPx, Math.max(40, estimated))
+  return {
+    ...event,
+    laneKey,
+    pointLaneIndex: pointLaneMeta?.laneIndex ?? 0,
+    pointVisualLane: visualLane,
+    pointLaneRing: laneRing,
+    pointLaneDirection: laneDirection,
+    pointLaneCount: pointLaneMeta?.laneCount ?? 1,
+    pointEffectiveLaneCount: pointLaneMeta?.effectiveLaneCount ?? 1
+  }
 }
 
 const buildLaneLayout = (
@@ -368,6 +536,8 @@ const HistoryArrow = forwardRef(function HistoryArrow({
   selectedEvent,
   onEventClick,
   onVisibleEventsChange,
+  onViewChange,
+  initialView = null,
   labelColorMap = new Map(),
   title = 'Timeline of History',
   titleHint = '',
@@ -375,6 +545,8 @@ const HistoryArrow = forwardRef(function HistoryArrow({
   showRandomEventButton = true,
   gameGhostEvent = null,
   gameGhostColor = null,
+  // Span guesses: once one edge is placed the ghost stretches from it to the pointer
+  gameGhostAnchorYearsAgo = null,
   gameGuessMarkers = [],
   gameActualMarker = null,
   onGameGuessMove,
@@ -382,7 +554,18 @@ const HistoryArrow = forwardRef(function HistoryArrow({
   onTimelineClick,
   gameReveal = null,
   deferTimelineClickForDoubleZoom = false,
-  enableLaneDrag = true
+  enableLaneDrag = true,
+  enableSwimlanes = false,
+  tracks = [],
+  relationLinks = [],
+  // Era bands above the arrow and on the minimap (see utils/eras.js)
+  eras = DEFAULT_ERAS,
+  detailRegionId = null,
+  // Hover shared with a linked view (the map panel): reported out, highlighted in
+  onEventHoverChange,
+  highlightedEventId = null,
+  // Events a guided tour step points at: highlighted, with the rest dimmed
+  spotlightEventIds = null
 }, ref) {
   const initialLaneOverrides = useMemo(() => loadLaneOverrides(), [])
   const [spanLaneOverrides, setSpanLaneOverrides] = useState(initialLaneOverrides.span)
@@ -398,7 +581,11 @@ const HistoryArrow = forwardRef(function HistoryArrow({
     () => String(Math.round(loadEventLabelScale() * 100))
   )
   const [eventLabelScaleError, setEventLabelScaleError] = useState('')
+  const [scaleMode, setScaleMode] = useState(loadScaleMode)
+  const [swimlaneSettings, setSwimlaneSettings] = useState(loadSwimlaneSettings)
+  const [showEraBands, setShowEraBands] = useState(loadShowEraBands)
   const [hoveredEvent, setHoveredEvent] = useState(null)
+  const [relationArrows, setRelationArrows] = useState([])
   const [timelineHover, setTimelineHover] = useState({ active: false, x: 0, percentage: 0, yearsAgo: 0 })
   const [isIphoneViewport, setIsIphoneViewport] = useState(false)
   const [eventsLayerWidth, setEventsLayerWidth] = useState(1000)
@@ -411,19 +598,20 @@ const HistoryArrow = forwardRef(function HistoryArrow({
   const [mapMiniHover, setMapMiniHover] = useState({ active: false, percentage: 0 })
   const [lastTimelineYearsAgo, setLastTimelineYearsAgo] = useState(null)
   const [lastMapMiniPercentage, setLastMapMiniPercentage] = useState(null)
-  const [subFocusParentId, setSubFocusParentId] = useState(null)
+  // Drill-down into nested sub-events: span ids, outermost first; the last one is shown with its sub-events
+  const [subFocusPath, setSubFocusPath] = useState([])
+  const subFocusParentId = subFocusPath[subFocusPath.length - 1] ?? null
   const [inlineVideoReady, setInlineVideoReady] = useState(false)
   const [modalVideoReady, setModalVideoReady] = useState(false)
-  const [lifeExpectancyByEntity, setLifeExpectancyByEntity] = useState(() => new Map())
-  const [lifeExpectancyYearsByEntity, setLifeExpectancyYearsByEntity] = useState(() => new Map())
-  const [populationWorldByYear, setPopulationWorldByYear] = useState({})
-  const [populationRegionsByYear, setPopulationRegionsByYear] = useState({})
-  const [populationYears, setPopulationYears] = useState([])
+  const { overlays, activeOverlays, seriesById, toggleOverlay } = useOverlays(CURRENT_YEAR)
+  const [focusedEventId, setFocusedEventId] = useState(null)
+  const [isEventListOpen, setIsEventListOpen] = useState(false)
+  const [liveAnnouncement, setLiveAnnouncement] = useState('')
   // View state: years ago for the visible range
   // viewStart = closer to present (smaller years ago)
   // viewEnd = further in past (larger years ago)
-  const [viewStart, setViewStart] = useState(DEFAULT_MIN_YEARS)
-  const [viewEnd, setViewEnd] = useState(CURRENT_YEAR) // Default to year 0 (2026 years ago)
+  const [viewStart, setViewStart] = useState(() => initialView?.start ?? DEFAULT_MIN_YEARS)
+  const [viewEnd, setViewEnd] = useState(() => initialView?.end ?? CURRENT_YEAR) // Default to year 0 (2026 years ago)
   const timelineRef = useRef(null)
   const eventsLayerRef = useRef(null)
   const guessClickTimerRef = useRef(null)
@@ -431,6 +619,18 @@ const HistoryArrow = forwardRef(function HistoryArrow({
   const inlineMapVideoRef = useRef(null)
   const modalMapVideoRef = useRef(null)
   const hiddenEventIdSet = useMemo(() => new Set(hiddenEventIds), [hiddenEventIds])
+  const a11yId = useId()
+  const keyboardHelpId = `${a11yId}-keyboard-help`
+  const eventListId = `${a11yId}-event-list`
+  // Element ids are per instance, since comparison mode renders two timelines
+  const headerContentId = `${a11yId}-header-content`
+  const scaleModeSelectId = `${a11yId}-scale-mode`
+  const swimlaneSelectId = `${a11yId}-swimlane-grouping`
+  const backgroundPickerId = `${a11yId}-bg-picker`
+  const labelSizeSliderId = `${a11yId}-label-size-slider`
+  const overlayPickerLabelId = `${a11yId}-overlay-picker`
+  // Referenced from url(#...), which doesn't accept the colons useId produces
+  const relationArrowheadId = `${a11yId.replace(/:/g, '')}-relation-arrowhead`
 
   useEffect(() => () => {
     if (guessClickTimerRef.current) {
@@ -438,6 +638,26 @@ const HistoryArrow = forwardRef(function HistoryArrow({
     }
   }, [])
 
+  const applyViewBounds = useCallback((start, end) => {
+    setViewStart(start)
+    setViewEnd(end)
+  }, [])
+
+  const clearManualCenter = useCallback(() => {
+    setManualCenterLabel('')
+    setCenterInputError('')
+  }, [])
+
+  // Wheel/trackpad/pinch navigation; animateView eases programmatic jumps
+  const { animateView, stopViewMotion } = useTimelineZoom({
+    layerRef: eventsLayerRef,
+    view: { start: viewStart, end: viewEnd },
+    applyView: applyViewBounds,
+    scaleMode,
+    onInteract: clearManualCenter,
+    isBlocked: () => Boolean(laneDragRef.current)
+  })
+
   useEffect(() => {
     sessionStorage.setItem(
       LANE_OVERRIDES_STORAGE_KEY,
@@ -461,67 +681,20 @@ const HistoryArrow = forwardRef(function HistoryArrow({
   }, [eventLabelScale])
 
   useEffect(() => {
-    let cancelled = false
-
-    const loadDemographicData = async () => {
-      try {
-        const [lifeResponse, populationResponse] = await Promise.all([
-          fetch('/data/life-expectancy.csv'),
-          fetch('/data/maddison2023_population_aggregates.json')
-        ])
-
-        if (!lifeResponse.ok || !populationResponse.ok) {
-          throw new Error('Failed to load demographic data.')
-        }
-
-        const [lifeCsv, populationJson] = await Promise.all([
-          lifeResponse.text(),
-          populationResponse.json()
-        ])
-
-        if (cancelled) return
-
-        const lifeByEntity = new Map()
-        const lines = lifeCsv.split(/\r?\n/).filter(Boolean)
-        lines.slice(1).forEach((line) => {
-          const [entity, , yearString, valueString] = line.split(',')
-          const year = Number(yearString)
-          const value = Number(valueString)
-          if (!entity || !Number.isFinite(year) || !Number.isFinite(value)) return
-
-          const entityMap = lifeByEntity.get(entity) || new Map()
-          entityMap.set(year, value)
-          lifeByEntity.set(entity, entityMap)
-        })
-
-        const yearsByEntity = new Map()
-        lifeByEntity.forEach((entityMap, entity) => {
-          const sortedYears = [...entityMap.keys()].sort((a, b) => a - b)
-          yearsByEntity.set(entity, sortedYears)
-        })
-
-        const worldByYear = populationJson?.worldByYear || {}
-        const regionsByYear = populationJson?.regionsByYear || {}
-        const sortedPopulationYears = Object.keys(worldByYear)
-          .map(Number)
-          .filter(Number.isFinite)
-          .sort((a, b) => a - b)
-
-        setLifeExpectancyByEntity(lifeByEntity)
-        setLifeExpectancyYearsByEntity(yearsByEntity)
-        setPopulationWorldByYear(worldByYear)
-        setPopulationRegionsByYear(regionsByYear)
-        setPopulationYears(sortedPopulationYears)
-      } catch (error) {
-        console.error('Could not load demographic overlays:', error)
-      }
+    if (scaleMode === DEFAULT_SCALE_MODE) {
+      sessionStorage.removeItem(SCALE_MODE_STORAGE_KEY)
+    } else {
+      sessionStorage.setItem(SCALE_MODE_STORAGE_KEY, scaleMode)
     }
+  }, [scaleMode])
 
-    loadDemographicData()
-    return () => {
-      cancelled = true
-    }
-  }, [])
+  useEffect(() => {
+    sessionStorage.setItem(SWIMLANE_STORAGE_KEY, JSON.stringify(swimlaneSettings))
+  }, [swimlaneSettings])
+
+  useEffect(() => {
+    sessionStorage.setItem(ERA_BANDS_STORAGE_KEY, showEraBands ? 'on' : 'off')
+  }, [showEraBands])
 
   const centerViewOnEvent = useCallback((event) => {
     const startYearsAgo = eventToYearsAgo(event)
@@ -530,11 +703,20 @@ const HistoryArrow = forwardRef(function HistoryArrow({
       ? (startYearsAgo + endYearsAgo) / 2
       : startYearsAgo
     const newEnd = Math.min(yearsAgo * 2, DEFAULT_MAX_YEARS)
-    setViewStart(DEFAULT_MIN_YEARS)
-    setViewEnd(newEnd)
-    setManualCenterLabel('')
-    setCenterInputError('')
-  }, [])
+    animateView({ start: DEFAULT_MIN_YEARS, end: newEnd })
+    clearManualCenter()
+  }, [animateView, clearManualCenter])
+
+  // Bring an event to the middle of the screen without changing the zoom
+  const panToEvent = useCallback((event) => {
+    const startYearsAgo = eventToYearsAgo(event)
+    const endYearsAgo = eventEndToYearsAgo(event)
+    const yearsAgo = endYearsAgo != null
+      ? (startYearsAgo + endYearsAgo) / 2
+      : startYearsAgo
+    animateView(centerViewAt({ start: viewStart, end: viewEnd }, yearsAgo, 1, scaleMode))
+    clearManualCenter()
+  }, [viewStart, viewEnd, scaleMode, animateView, clearManualCenter])
 
   const centerViewOnRevealGuesses = useCallback((event, guessYearsAgoList = []) => {
     if (!event) return
@@ -568,22 +750,21 @@ const HistoryArrow = forwardRef(function HistoryArrow({
     const boundedEnd = Math.min(DEFAULT_MAX_YEARS, proposedEnd)
 
     if (boundedEnd - boundedStart < 1) {
-      setViewStart(Math.max(DEFAULT_MIN_YEARS, centerYearsAgo - 0.5))
-      setViewEnd(Math.min(DEFAULT_MAX_YEARS, centerYearsAgo + 0.5))
+      animateView({
+        start: Math.max(DEFAULT_MIN_YEARS, centerYearsAgo - 0.5),
+        end: Math.min(DEFAULT_MAX_YEARS, centerYearsAgo + 0.5)
+      })
     } else {
-      setViewStart(boundedStart)
-      setViewEnd(boundedEnd)
+      animateView({ start: boundedStart, end: boundedEnd })
     }
-    setManualCenterLabel('')
-    setCenterInputError('')
-  }, [])
+    clearManualCenter()
+  }, [animateView, clearManualCenter])
 
   const centerViewOnYearsAgo = useCallback((yearsAgo) => {
     const safeYearsAgo = Math.max(DEFAULT_MIN_YEARS, Math.min(DEFAULT_MAX_YEARS, yearsAgo))
     // Keep "years ago" value in the middle by anchoring to present (0) and using 2x span.
-    setViewStart(DEFAULT_MIN_YEARS)
-    setViewEnd(Math.min(DEFAULT_MAX_YEARS, safeYearsAgo * 2))
-  }, [])
+    animateView({ start: DEFAULT_MIN_YEARS, end: Math.min(DEFAULT_MAX_YEARS, safeYearsAgo * 2) })
+  }, [animateView])
 
   useEffect(() => {
     if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') return undefined
@@ -659,12 +840,12 @@ const HistoryArrow = forwardRef(function HistoryArrow({
     }
   }, [events])
 
-  // Generate timeline tick marks for the current view (LINEAR for the arrow)
+  // Generate timeline tick marks for the current view in the selected scale mode
   const timelineTicks = useMemo(() => {
-    return getLinearTicks(viewStart, viewEnd)
-  }, [viewStart, viewEnd])
+    return getScaleTicks(viewStart, viewEnd, scaleMode)
+  }, [viewStart, viewEnd, scaleMode])
 
-  // Position events on the timeline using LINEAR scale
+  // Position events on the timeline in the selected scale mode
   const positionedEvents = useMemo(() => {
     return events
       .filter(isTopLevelTimelineEvent)
@@ -709,10 +890,10 @@ const HistoryArrow = forwardRef(function HistoryArrow({
         return spanStart >= viewStart && spanEnd <= viewEnd
       })
       .map(event => {
-        // Now calculate LINEAR positions for visible events
-        const startPos = yearToLinearPosition(event.yearsAgo, viewStart, viewEnd)
+        // Positions follow the selected scale mode
+        const startPos = yearToScalePosition(event.yearsAgo, viewStart, viewEnd, scaleMode)
         const endPos = event.endYearsAgo !== null
-          ? yearToLinearPosition(event.endYearsAgo, viewStart, viewEnd)
+          ? yearToScalePosition(event.endYearsAgo, viewStart, viewEnd, scaleMode)
           : null
 
         const spanWidth = endPos !== null ? Math.abs(endPos - startPos) : 0
@@ -729,74 +910,115 @@ const HistoryArrow = forwardRef(function HistoryArrow({
           yearsAgo: shouldRenderAsPoint ? centeredYearsAgo : event.yearsAgo,
           isSpan: shouldRenderAsPoint ? false : event.isSpan,
           startPos: shouldRenderAsPoint ? centeredPos : startPos,
-          endPos: shouldRenderAsPoint ? null : endPos
+          endPos: shouldRenderAsPoint ? null : endPos,
+          uncertaintyBand: shouldRenderAsPoint ? null : getUncertaintyBand(event, viewStart, viewEnd, scaleMode)
         }
       })
-  }, [events, viewStart, viewEnd, hiddenEventIdSet])
+  }, [events, viewStart, viewEnd, scaleMode, hiddenEventIdSet])
+
+  // Track grouping needs tracks; without any the timeline stays on one arrow
+  const swimlaneGrouping = enableSwimlanes
+    && (swimlaneSettings.grouping !== 'track' || tracks.length > 0)
+    ? swimlaneSettings.grouping
+    : 'off'
+  const isSwimlaneView = swimlaneGrouping !== 'off'
+
+  // Bands come from all events, not just the visible ones, so they stay put while panning
+  const swimlaneDefinitions = useMemo(() => {
+    if (!isSwimlaneView) return []
+    const lanes = buildSwimlaneDefinitions(swimlaneGrouping, {
+      events: events.filter(isTopLevelTimelineEvent),
+      tracks,
+      labelColorMap
+    })
+    return orderSwimlanes(lanes, swimlaneSettings.order[swimlaneGrouping])
+  }, [isSwimlaneView, swimlaneGrouping, events, tracks, labelColorMap, swimlaneSettings.order])
 
-  const spanLaneLayout = useMemo(() => {
-    const laneItems = positionedEvents
-      .filter(event => event.isSpan && event.endPos !== null)
-      .map(event => {
-        const spanLeft = Math.min(event.startPos, event.endPos)
-        const spanRight = Math.max(event.startPos, event.endPos)
-        const spanCenter = (spanLeft + spanRight) / 2
-        const labelWidthPx = estimateLabelWidthPx(event.title, SPAN_LABEL_MAX_WIDTH_PX, eventLabelScale)
-        const labelWidthPercent = (labelWidthPx / eventsLayerWidth) * 100
-        const labelLeft = spanCenter - labelWidthPercent / 2
-        const labelRight = spanCenter + labelWidthPercent / 2
-        const left = Math.min(spanLeft, labelLeft)
-        const right = Math.max(spanRight, labelRight)
+  const spanLaneLayout = useMemo(() => buildLaneLayout(
+    isSwimlaneView ? [] : getSpanLaneItems(positionedEvents, eventsLayerWidth, eventLabelScale),
+    SPAN_OVERLAP_PADDING_PERCENT,
+    isIphoneViewport,
+    IPHONE_MAX_SPAN_LANES,
+    DESKTOP_MAX_SPAN_LANES
+  ), [isSwimlaneView, positionedEvents, isIphoneViewport, eventsLayerWidth, eventLabelScale])
 
+  const pointLaneLayout = useMemo(() => buildLaneLayout(
+    isSwimlaneView ? [] : getPointLaneItems(positionedEvents, eventsLayerWidth, eventLabelScale),
+    POINT_OVERLAP_PADDING_PERCENT,
+    isIphoneViewport,
+    IPHONE_MAX_POINT_LANES,
+    DESKTOP_MAX_POINT_LANES
+  ), [isSwimlaneView, positionedEvents, isIphoneViewport, eventsLayerWidth, eventLabelScale])
+
+  // Each band runs its own lane layout on the shared time axis; collapsed bands keep only their header
+  const swimlanes = useMemo(() => {
+    if (!isSwimlaneView) return []
+    const collapsed = new Set(swimlaneSettings.collapsed[swimlaneGrouping])
+    const expandedHeight = isIphoneViewport ? MOBILE_SWIMLANE_HEIGHT : DESKTOP_SWIMLANE_HEIGHT
+    const seenEventIds = new Set()
+    let top = 0
+
+    return assignEventsToSwimlanes(positionedEvents, swimlaneDefinitions).map((lane) => {
+      const isCollapsed = collapsed.has(lane.id)
+      const height = isCollapsed ? SWIMLANE_COLLAPSED_HEIGHT : expandedHeight
+      const spanLayout = buildLaneLayout(
+        getSpanLaneItems(lane.events, eventsLayerWidth, eventLabelScale),
+        SPAN_OVERLAP_PADDING_PERCENT,
+        isIphoneViewport,
+        SWIMLANE_MAX_SPAN_LANES,
+        SWIMLANE_MAX_SPAN_LANES
+      )
+      const pointLayout = buildLaneLayout(
+        getPointLaneItems(lane.events, eventsLayerWidth, eventLabelScale),
+        POINT_OVERLAP_PADDING_PERCENT,
+        isIphoneViewport,
+        SWIMLANE_MAX_POINT_LANES,
+        SWIMLANE_MAX_POINT_LANES
+      )
+      const laneEvents = isCollapsed ? [] : lane.events.map((event) => {
+        // An event in several bands is reachable from the keyboard in the first one only
+        const isSwimlaneDuplicate = seenEventIds.has(event.id)
+        seenEventIds.add(event.id)
         return {
-          id: event.id,
-          left,
-          right,
-          width: right - left
+          ...applyLaneLayout(
+            event,
+            `${lane.id}/${event.id}`,
+            spanLayout,
+            pointLayout,
+            spanLaneOverrides,
+            pointLaneOverrides
+          ),
+          swimlaneId: lane.id,
+          isSwimlaneDuplicate
         }
       })
-    return buildLaneLayout(
-      laneItems,
-      SPAN_OVERLAP_PADDING_PERCENT,
-      isIphoneViewport,
-      IPHONE_MAX_SPAN_LANES,
-      DESKTOP_MAX_SPAN_LANES
-    )
-  }, [positionedEvents, isIphoneViewport, eventsLayerWidth, eventLabelScale])
-
-  const pointLaneLayout = useMemo(() => {
-    const laneItems = positionedEvents
-      .filter(event => !event.isSpan)
-      .map(event => {
-        const markerWidthPercent = Math.max(
-          POINT_COLLISION_WIDTH_PERCENT,
-          (POINT_MARKER_WIDTH_PX / eventsLayerWidth) * 100
-        )
-        const markerLeft = event.startPos - markerWidthPercent / 2
-        const markerRight = event.startPos + markerWidthPercent / 2
-        const labelWidthPx = estimateLabelWidthPx(event.title, POINT_LABEL_MAX_WIDTH_PX, eventLabelScale)
-        const labelWidthPercent = (labelWidthPx / eventsLayerWidth) * 100
-        const labelLeft = event.startPos - labelWidthPercent / 2
-        const labelRight = event.startPos + labelWidthPercent / 2
-        const left = Math.min(markerLeft, labelLeft)
-        const right = Math.max(markerRight, labelRight)
+      const band = {
+        ...lane,
+        top,
+        height,
+        isCollapsed,
+        eventCount: lane.events.length,
+        laneEvents,
+        spanEffectiveLaneCount: spanLayout.effectiveLaneCount,
+        pointEffectiveLaneCount: pointLayout.effectiveLaneCount
+      }
+      top += height
+      return band
+    })
+  }, [
+    isSwimlaneView,
+    swimlaneGrouping,
+    swimlaneDefinitions,
+    swimlaneSettings.collapsed,
+    positionedEvents,
+    isIphoneViewport,
+    eventsLayerWidth,
+    eventLabelScale,
+    spanLaneOverrides,
+    pointLaneOverrides
+  ])
 
-        return {
-          id: event.id,
-          left,
-          right,
-          width: right - left
-        }
-      })
-
-    return buildLaneLayout(
-      laneItems,
-      POINT_OVERLAP_PADDING_PERCENT,
-      isIphoneViewport,
-      IPHONE_MAX_POINT_LANES,
-      DESKTOP_MAX_POINT_LANES
-    )
-  }, [positionedEvents, isIphoneViewport, eventsLayerWidth, eventLabelScale])
+  const swimlaneStackHeight = swimlanes.reduce((total, lane) => total + lane.height, 0)
 
   const timelineLayoutStyle = useMemo(() => {
     const baseHeight = isIphoneViewport ? MOBILE_TIMELINE_BASE_HEIGHT : DESKTOP_TIMELINE_BASE_HEIGHT
@@ -823,82 +1045,85 @@ const HistoryArrow = forwardRef(function HistoryArrow({
       '--span-lane-count': spanLaneLayout.effectiveLaneCount,
       '--point-lane-count': pointLaneLayout.effectiveLaneCount,
       '--timeline-lane-depth-px': `${laneDepthPx}px`,
-      '--event-label-scale': eventLabelScale
+      '--event-label-scale': eventLabelScale,
+      ...(isSwimlaneView ? {
+        height: `${SWIMLANE_STACK_TOP + swimlaneStackHeight + SWIMLANE_AXIS_HEIGHT}px`,
+        '--swimlane-stack-top': `${SWIMLANE_STACK_TOP}px`,
+        '--swimlane-stack-height': `${swimlaneStackHeight}px`
+      } : {})
     }
   }, [
     isIphoneViewport,
     spanLaneLayout.effectiveLaneCount,
     pointLaneLayout.effectiveLaneCount,
-    eventLabelScale
+    eventLabelScale,
+    isSwimlaneView,
+    swimlaneStackHeight
   ])
 
   const laneAwareEvents = useMemo(() => {
-    return positionedEvents.map(event => {
-      if (event.isSpan) {
-        const spanLaneMeta = spanLaneLayout.laneMetadata.get(event.id)
-        const autoVisualLane = spanLaneMeta?.visualLane ?? 0
-        const visualLane = spanLaneOverrides.has(event.id)
-          ? spanLaneOverrides.get(event.id)
-          : autoVisualLane
-        const { laneRing, laneDirection } = visualLaneToRingAndDirection(visualLane)
-
-        return {
-          ...event,
-          spanLaneIndex: spanLaneMeta?.laneIndex ?? 0,
-          spanVisualLane: visualLane,
-          spanLaneRing: laneRing,
-          spanLaneDirection: laneDirection,
-          spanLaneCount: spanLaneMeta?.laneCount ?? 1,
-          spanEffectiveLaneCount: spanLaneMeta?.effectiveLaneCount ?? 1
-        }
-      }
-
-      const pointLaneMeta = pointLaneLayout.laneMetadata.get(event.id)
-      const autoVisualLane = pointLaneMeta?.visualLane ?? 0
-      const visualLane = pointLaneOverrides.has(event.id)
-        ? pointLaneOverrides.get(event.id)
-        : autoVisualLane
-      const { laneRing, laneDirection } = visualLaneToRingAndDirection(visualLane)
-
-      return {
-        ...event,
-        pointLaneIndex: pointLaneMeta?.laneIndex ?? 0,
-        pointVisualLane: visualLane,
-        pointLaneRing: laneRing,
-        pointLaneDirection: laneDirection,
-        pointLaneCount: pointLaneMeta?.laneCount ?? 1,
-        pointEffectiveLaneCount: pointLaneMeta?.effectiveLaneCount ?? 1
-      }
-    })
+    if (isSwimlaneView) return swimlanes.flatMap((lane) => lane.laneEvents)
+    return positionedEvents.map(event => applyLaneLayout(
+      event,
+      event.id,
+      spanLaneLayout,
+      pointLaneLayout,
+      spanLaneOverrides,
+      pointLaneOverrides
+    ))
   }, [
+    isSwimlaneView,
+    swimlanes,
     positionedEvents,
-    spanLaneLayout.laneMetadata,
-    pointLaneLayout.laneMetadata,
+    spanLaneLayout,
+    pointLaneLayout,
     spanLaneOverrides,
     pointLaneOverrides
   ])
 
-  const focusParentLaneEvent = useMemo(() => {
-    if (!subFocusParentId) return null
-    return laneAwareEvents.find((e) => e.id === subFocusParentId && e.isSpan) ?? null
-  }, [laneAwareEvents, subFocusParentId])
+  // The drill-down's spans positioned at their own level (the outermost as laid out
+  // on the arrow). Stops at the first one that's out of view or filtered away.
+  const subFocusLevels = useMemo(() => {
+    const levels = []
+    for (const [index, id] of subFocusPath.entries()) {
+      const candidates = index === 0
+        ? laneAwareEvents
+        : buildPositionedSubEventsForParent(subFocusPath[index - 1], events, viewStart, viewEnd, scaleMode)
+      const level = candidates.find((e) => e.id === id && e.isSpan)
+      if (!level) break
+      levels.push(level)
+    }
+    return levels
+  }, [subFocusPath, laneAwareEvents, events, viewStart, viewEnd, scaleMode])
+
+  const focusParentLaneEvent = subFocusLevels.length === subFocusPath.length
+    ? subFocusLevels[subFocusLevels.length - 1] ?? null
+    : null
 
   const positionedSubEvents = useMemo(
-    () => buildPositionedSubEventsForParent(subFocusParentId, events, viewStart, viewEnd),
-    [events, subFocusParentId, viewStart, viewEnd]
+    () => buildPositionedSubEventsForParent(subFocusParentId, events, viewStart, viewEnd, scaleMode),
+    [events, subFocusParentId, viewStart, viewEnd, scaleMode]
   )
 
+  // Back out of the levels that are no longer there
   useEffect(() => {
-    if (!subFocusParentId) return
-    if (!focusParentLaneEvent) setSubFocusParentId(null)
-  }, [subFocusParentId, focusParentLaneEvent])
+    if (subFocusLevels.length < subFocusPath.length) {
+      setSubFocusPath((path) => path.slice(0, subFocusLevels.length))
+    }
+  }, [subFocusPath, subFocusLevels])
+
+  // Spans in the drill-down with sub-events of their own can be drilled into further
+  const parentEventIds = useMemo(
+    () => new Set(events.map((e) => e.parent_id).filter(Boolean)),
+    [events]
+  )
 
   const handleSpanSubFocusComplete = useCallback((spanEvent) => {
-    setSubFocusParentId(spanEvent.id)
-  }, [])
+    setSubFocusPath([...getEventAncestors(events, spanEvent).map((e) => e.id), spanEvent.id])
+  }, [events])
 
   const handleExitSubFocus = useCallback(() => {
-    setSubFocusParentId(null)
+    setSubFocusPath([])
   }, [])
 
   // Notify parent of visible events changes
@@ -908,35 +1133,74 @@ const HistoryArrow = forwardRef(function HistoryArrow({
     }
   }, [positionedEvents, onVisibleEventsChange])
 
+  // Notify parent of view window changes (e.g. to mirror them in the URL)
+  useEffect(() => {
+    onViewChange?.(viewStart, viewEnd)
+  }, [viewStart, viewEnd, onViewChange])
+
+  useEffect(() => {
+    onEventHoverChange?.(hoveredEvent)
+  }, [hoveredEvent, onEventHoverChange])
+
   const handleEventHover = (event) => {
     setHoveredEvent(event)
   }
 
+  const spotlightIdSet = useMemo(
+    () => (spotlightEventIds?.length ? new Set(spotlightEventIds.map(String)) : null),
+    [spotlightEventIds]
+  )
+
+  const isEventSpotlit = (event) => Boolean(spotlightIdSet?.has(String(event.id)))
+
+  const isEventHovered = (event) => (
+    hoveredEvent?.id === event.id ||
+    (highlightedEventId !== null && String(highlightedEventId) === String(event.id)) ||
+    isEventSpotlit(event)
+  )
+
+  const getSpotlightClassName = (event) => (
+    spotlightIdSet && !isEventSpotlit(event) ? 'event-marker--outside-spotlight' : ''
+  )
+
   const getLaneGapPx = useCallback((isSpan) => (
     isIphoneViewport
       ? (isSpan ? MOBILE_SPAN_LANE_GAP : MOBILE_POINT_LANE_GAP)
       : (isSpan ? DESKTOP_SPAN_LANE_GAP : DESKTOP_POINT_LANE_GAP)
   ), [isIphoneViewport])
 
-  const getMaxVisualLane = useCallback((isSpan) => {
-    const laneCap = isIphoneViewport
-      ? (isSpan ? IPHONE_MAX_SPAN_LANES : IPHONE_MAX_POINT_LANES)
-      : (isSpan ? DESKTOP_MAX_SPAN_LANES : DESKTOP_MAX_POINT_LANES)
-    const layoutCount = isSpan ? spanLaneLayout.effectiveLaneCount : pointLaneLayout.effectiveLaneCount
+  const getMaxVisualLane = useCallback((isSpan, swimlaneId) => {
+    const swimlane = swimlanes.find((lane) => lane.id === swimlaneId)
+    let laneCap
+    let layoutCount
+    if (swimlane) {
+      laneCap = isSpan ? SWIMLANE_MAX_SPAN_LANES : SWIMLANE_MAX_POINT_LANES
+      layoutCount = isSpan ? swimlane.spanEffectiveLaneCount : swimlane.pointEffectiveLaneCount
+    } else {
+      laneCap = isIphoneViewport
+        ? (isSpan ? IPHONE_MAX_SPAN_LANES : IPHONE_MAX_POINT_LANES)
+        : (isSpan ? DESKTOP_MAX_SPAN_LANES : DESKTOP_MAX_POINT_LANES)
+      layoutCount = isSpan ? spanLaneLayout.effectiveLaneCount : pointLaneLayout.effectiveLaneCount
+    }
     const overrides = isSpan ? spanLaneOverrides : pointLaneOverrides
     let maxLane = Math.max(0, (layoutCount || 1) - 1)
 
     laneAwareEvents.forEach((event) => {
-      if (event.isSpan !== isSpan) return
+      if (event.isSpan !== isSpan || event.swimlaneId !== swimlaneId) return
       maxLane = Math.max(maxLane, isSpan ? event.spanVisualLane : event.pointVisualLane)
     })
-    overrides.forEach((lane) => {
-      maxLane = Math.max(maxLane, lane)
+    overrides.forEach((lane, laneKey) => {
+      // Swimlane keys are "<band id>/<event id>"; shared-arrow keys are plain event ids
+      const isInBand = swimlane
+        ? laneKey.startsWith(`${swimlane.id}/`)
+        : !laneKey.includes('/')
+      if (isInBand) maxLane = Math.max(maxLane, lane)
     })
 
     return Math.min(maxLane, Math.max(0, laneCap - 1))
   }, [
     isIphoneViewport,
+    swimlanes,
     spanLaneLayout.effectiveLaneCount,
     pointLaneLayout.effectiveLaneCount,
     spanLaneOverrides,
@@ -944,12 +1208,13 @@ const HistoryArrow = forwardRef(function HistoryArrow({
     laneAwareEvents
   ])
 
-  const applyLaneSwap = useCallback((eventId, isSpan, fromLane, toLane) => {
+  // Swaps with whichever marker of the same band already sits in the target lane
+  const applyLaneSwap = useCallback((laneKey, isSpan, swimlaneId, fromLane, toLane) => {
     if (fromLane === toLane) return
 
     const setOverrides = isSpan ? setSpanLaneOverrides : setPointLaneOverrides
     const peer = laneAwareEvents.find((event) => {
-      if (event.isSpan !== isSpan || event.id === eventId) return false
+      if (event.isSpan !== isSpan || event.laneKey === laneKey || event.swimlaneId !== swimlaneId) return false
       const visualLane = isSpan ? event.spanVisualLane : event.pointVisualLane
       return visualLane === toLane
     })
@@ -957,9 +1222,9 @@ const HistoryArrow = forwardRef(function HistoryArrow({
     setOverrides((previous) => {
       const next = new Map(previous)
       if (peer) {
-        next.set(peer.id, fromLane)
+        next.set(peer.laneKey, fromLane)
       }
-      next.set(eventId, toLane)
+      next.set(laneKey, toLane)
       return next
     })
   }, [laneAwareEvents])
@@ -969,7 +1234,8 @@ const HistoryArrow = forwardRef(function HistoryArrow({
 
     const startVisualLane = event.isSpan ? event.spanVisualLane : event.pointVisualLane
     const nextDrag = {
-      eventId: event.id,
+      laneKey: event.laneKey,
+      swimlaneId: event.swimlaneId,
       isSpan: event.isSpan,
       startVisualLane,
       startClientY,
@@ -990,15 +1256,15 @@ const HistoryArrow = forwardRef(function HistoryArrow({
 
   const handleLaneDragEnd = useCallback((event) => {
     const drag = laneDragRef.current
-    if (!drag || drag.eventId !== event.id) return
+    if (!drag || drag.laneKey !== event.laneKey) return
 
     const gap = getLaneGapPx(drag.isSpan)
-    const maxVisualLane = getMaxVisualLane(drag.isSpan)
+    const maxVisualLane = getMaxVisualLane(drag.isSpan, drag.swimlaneId)
     const dragOffsetPx = drag.currentClientY - drag.startClientY
     const targetOffsetPx = visualLaneToOffsetPx(drag.startVisualLane, gap) + dragOffsetPx
     const targetVisualLane = snapOffsetPxToVisualLane(targetOffsetPx, gap, maxVisualLane)
 
-    applyLaneSwap(drag.eventId, drag.isSpan, drag.startVisualLane, targetVisualLane)
+    applyLaneSwap(drag.laneKey, drag.isSpan, drag.swimlaneId, drag.startVisualLane, targetVisualLane)
     laneDragRef.current = null
     setLaneDrag(null)
   }, [applyLaneSwap, getLaneGapPx, getMaxVisualLane])
@@ -1075,53 +1341,329 @@ const HistoryArrow = forwardRef(function HistoryArrow({
 
   // Handle view changes from the minimap
   const handleViewChange = useCallback((newStart, newEnd) => {
+    stopViewMotion()
     setViewStart(Math.max(DEFAULT_MIN_YEARS, newStart))
     setViewEnd(Math.min(DEFAULT_MAX_YEARS, newEnd))
-    setManualCenterLabel('')
-    setCenterInputError('')
-  }, [])
+    clearManualCenter()
+  }, [stopViewMotion, clearManualCenter])
+
+  // Fit the window to an era band, with the same margin as drilling into a span
+  const handleZoomToEra = useCallback((era) => {
+    const padding = (era.start_years_ago - era.end_years_ago) * DRILL_VIEW_PADDING
+    animateView({ start: era.end_years_ago - padding, end: era.start_years_ago + padding })
+    clearManualCenter()
+  }, [animateView, clearManualCenter])
 
   // Same span contract as LogarithmicMinimap zoom in: center on a year, narrow the window.
   const zoomTimelineToYearsAgo = useCallback((yearsAgo) => {
     const clampedCenter = Math.max(DEFAULT_MIN_YEARS, Math.min(DEFAULT_MAX_YEARS, yearsAgo))
-    const halfSpan = (viewEnd - viewStart) / 2
-    const newHalfSpan = halfSpan * 0.7
-    const totalRange = DEFAULT_MAX_YEARS - DEFAULT_MIN_YEARS
-    const safeHalfSpan = Math.min(Math.max(newHalfSpan, 0), totalRange / 2)
-
-    let start = clampedCenter - safeHalfSpan
-    let end = clampedCenter + safeHalfSpan
-
-    if (start < DEFAULT_MIN_YEARS) {
-      const shift = DEFAULT_MIN_YEARS - start
-      start = DEFAULT_MIN_YEARS
-      end = Math.min(DEFAULT_MAX_YEARS, end + shift)
-    }
-    if (end > DEFAULT_MAX_YEARS) {
-      const shift = end - DEFAULT_MAX_YEARS
-      end = DEFAULT_MAX_YEARS
-      start = Math.max(DEFAULT_MIN_YEARS, start - shift)
-    }
+    animateView(centerViewAt({ start: viewStart, end: viewEnd }, clampedCenter, 0.7, scaleMode))
+    clearManualCenter()
+  }, [viewStart, viewEnd, scaleMode, animateView, clearManualCenter])
 
-    setViewStart(start)
-    setViewEnd(end)
-    setManualCenterLabel('')
-    setCenterInputError('')
-  }, [viewStart, viewEnd])
+  // The window stays put; only the mapping from years to screen position changes
+  const handleScaleModeChange = useCallback((e) => {
+    setScaleMode(e.target.value)
+  }, [])
+
+  const handleSwimlaneGroupingChange = useCallback((e) => {
+    const grouping = e.target.value
+    setSubFocusPath([])
+    setSwimlaneSettings((previous) => ({ ...previous, grouping }))
+  }, [])
+
+  const toggleSwimlaneCollapsed = useCallback((laneId) => {
+    setSwimlaneSettings((previous) => {
+      const collapsed = previous.collapsed[swimlaneGrouping] || []
+      return {
+        ...previous,
+        collapsed: {
+          ...previous.collapsed,
+          [swimlaneGrouping]: collapsed.includes(laneId)
+            ? collapsed.filter((id) => id !== laneId)
+            : [...collapsed, laneId]
+        }
+      }
+    })
+  }, [swimlaneGrouping])
+
+  // Saves the whole displayed order, so bands added later slot in after it
+  const moveSwimlaneBy = useCallback((laneId, offset) => {
+    const order = swimlanes
+      .filter((lane) => lane.id !== OTHER_SWIMLANE_ID)
+      .map((lane) => lane.id)
+    setSwimlaneSettings((previous) => ({
+      ...previous,
+      order: { ...previous.order, [swimlaneGrouping]: moveSwimlane(order, laneId, offset) }
+    }))
+  }, [swimlanes, swimlaneGrouping])
+
+  // Guided tours fly between steps more slowly than other programmatic jumps
+  const flyToView = useCallback((start, end, duration) => {
+    setSubFocusPath([])
+    animateView({ start, end }, duration)
+    clearManualCenter()
+  }, [animateView, clearManualCenter])
 
   // Reset view to show all events
   const handleReset = useCallback(() => {
-    setViewStart(DEFAULT_MIN_YEARS)
-    setViewEnd(CURRENT_YEAR)
-    setManualCenterLabel('')
-    setCenterInputError('')
-  }, [])
+    animateView({ start: DEFAULT_MIN_YEARS, end: CURRENT_YEAR })
+    clearManualCenter()
+  }, [animateView, clearManualCenter])
+
+  // Opens the drill-down where an event sits (inside its parent, or inside the event
+  // itself when it has sub-events) and fits the view to that span
+  const drillToEvent = useCallback((event) => {
+    const path = [
+      ...getEventAncestors(events, event),
+      ...(parentEventIds.has(event.id) && isParentSpan(event) ? [event] : [])
+    ]
+    if (path.length === 0 || isSwimlaneView) {
+      setSubFocusPath([])
+      panToEvent(event)
+      return
+    }
+    const focusSpan = path[path.length - 1]
+    const older = Math.max(eventToYearsAgo(focusSpan), eventEndToYearsAgo(focusSpan))
+    const newer = Math.min(eventToYearsAgo(focusSpan), eventEndToYearsAgo(focusSpan))
+    const padding = Math.max((older - newer) * DRILL_VIEW_PADDING, 1)
+    handleViewChange(newer - padding, older + padding)
+    setSubFocusPath(path.map((e) => e.id))
+  }, [events, parentEventIds, isSwimlaneView, panToEvent, handleViewChange])
 
   useImperativeHandle(ref, () => ({
     centerOnEvent: centerViewOnEvent,
+    panToEvent,
+    drillToEvent,
     centerOnRevealGuesses: centerViewOnRevealGuesses,
-    resetView: handleReset
-  }), [centerViewOnEvent, centerViewOnRevealGuesses, handleReset])
+    resetView: handleReset,
+    setView: handleViewChange,
+    flyToView
+  }), [centerViewOnEvent, panToEvent, drillToEvent, centerViewOnRevealGuesses, handleReset, handleViewChange, flyToView])
+
+  // Markers reachable from the keyboard, oldest first
+  const keyboardEvents = useMemo(() => {
+    if (subFocusParentId) {
+      return sortEventsChronologically(
+        focusParentLaneEvent ? [focusParentLaneEvent, ...positionedSubEvents] : positionedSubEvents
+      )
+    }
+    return sortEventsChronologically(laneAwareEvents.filter((event) => !event.isSwimlaneDuplicate))
+  }, [subFocusParentId, focusParentLaneEvent, positionedSubEvents, laneAwareEvents])
+
+  // Roving tab stop: the focused marker, else the selected one, else the oldest
+  const tabStopEventId = useMemo(() => {
+    const isAvailable = (id) => id != null && keyboardEvents.some((e) => e.id === id)
+    if (isAvailable(focusedEventId)) return focusedEventId
+    if (isAvailable(selectedEvent?.id)) return selectedEvent.id
+    return keyboardEvents[0]?.id ?? null
+  }, [keyboardEvents, focusedEventId, selectedEvent])
+
+  const focusEventMarker = useCallback((event) => {
+    const layer = eventsLayerRef.current
+    if (!layer || !event) return
+    findEventMarkerNode(layer, event.id)?.focus()
+  }, [])
+
+  // Arrows from the selected marker to each related event, measured from the rendered
+  // markers. A related event that isn't drawn gets an arrow to where it would be,
+  // or to the screen edge on its side when it's out of view.
+  useLayoutEffect(() => {
+    const layer = eventsLayerRef.current
+    const selectedMarker = layer && selectedEvent && relationLinks.length > 0
+      ? findEventMarkerNode(layer, selectedEvent.id)
+      : null
+    if (!selectedMarker) {
+      setRelationArrows((prev) => (prev.length > 0 ? [] : prev))
+      return
+    }
+
+    const origin = layer.getBoundingClientRect()
+    const toAnchor = (rect) => ({
+      x: Math.max(0, Math.min(origin.width, rect.left + rect.width / 2 - origin.left)),
+      y: rect.top - origin.top
+    })
+    const selectedAnchor = toAnchor(selectedMarker.getBoundingClientRect())
+
+    setRelationArrows(relationLinks.map((link) => {
+      const { relation, otherEvent, isOutgoing, label } = link
+      const otherMarker = findEventMarkerNode(layer, otherEvent.id)
+      let otherAnchor
+      let offscreenSide = null
+      if (otherMarker) {
+        otherAnchor = toAnchor(otherMarker.getBoundingClientRect())
+      } else {
+        const endYearsAgo = eventEndToYearsAgo(otherEvent)
+        const startYearsAgo = eventToYearsAgo(otherEvent)
+        const yearsAgo = endYearsAgo != null ? (startYearsAgo + endYearsAgo) / 2 : startYearsAgo
+        const position = yearToScalePosition(yearsAgo, viewStart, viewEnd, scaleMode)
+        if (position < 0) offscreenSide = 'older'
+        if (position > 100) offscreenSide = 'newer'
+        otherAnchor = {
+          x: (Math.max(0, Math.min(100, position)) / 100) * origin.width,
+          y: selectedAnchor.y
+        }
+      }
+      const [from, to] = isOutgoing ? [selectedAnchor, otherAnchor] : [otherAnchor, selectedAnchor]
+      return {
+        key: `${relation.id}`,
+        otherEvent,
+        type: relation.relation_type,
+        isDirected: getRelationType(relation.relation_type).directed,
+        text: offscreenSide
+          ? `${offscreenSide === 'older' ? '‹ ' : ''}${label}: ${otherEvent.title}${offscreenSide === 'newer' ? ' ›' : ''}`
+          : label,
+        title: `${label} ${otherEvent.title}`,
+        ...getRelationArrowGeometry(from, to)
+      }
+    }))
+  }, [selectedEvent, relationLinks, laneAwareEvents, positionedSubEvents, viewStart, viewEnd, scaleMode, eventsLayerWidth])
+
+  // Tracks the focused marker however it got focus (Tab, arrows, a click)
+  const handleTimelineFocus = useCallback((e) => {
+    const eventId = e.target.dataset?.eventId
+    if (eventId === undefined) {
+      if (e.target === e.currentTarget) setFocusedEventId(null)
+      return
+    }
+    const index = keyboardEvents.findIndex((event) => String(event.id) === eventId)
+    if (index === -1) return
+    setFocusedEventId(keyboardEvents[index].id)
+    setLiveAnnouncement(`Event ${index + 1} of ${keyboardEvents.length}.`)
+  }, [keyboardEvents])
+
+  // A focused marker that pans out of view takes focus with it; hand it back to the layer
+  useEffect(() => {
+    if (focusedEventId == null || keyboardEvents.some((e) => e.id === focusedEventId)) return
+    setFocusedEventId(null)
+    if (document.activeElement === document.body || !document.activeElement) {
+      eventsLayerRef.current?.focus()
+    }
+  }, [focusedEventId, keyboardEvents])
+
+  const zoomAroundFocus = useCallback((factor) => {
+    const view = { start: viewStart, end: viewEnd }
+    const focused = keyboardEvents.find((e) => e.id === focusedEventId)
+    const anchor = focused
+      ? (focused.endYearsAgo != null ? (focused.yearsAgo + focused.endYearsAgo) / 2 : focused.yearsAgo)
+      : scalePositionToYear(50, viewStart, viewEnd, scaleMode)
+    animateView(zoomViewAt(view, anchor, factor, scaleMode))
+    clearManualCenter()
+  }, [viewStart, viewEnd, scaleMode, keyboardEvents, focusedEventId, animateView, clearManualCenter])
+
+  const panByFraction = useCallback((fraction) => {
+    animateView(panView({ start: viewStart, end: viewEnd }, fraction, scaleMode))
+    clearManualCenter()
+  }, [viewStart, viewEnd, scaleMode, animateView, clearManualCenter])
+
+  /**
+   * Keys on the events layer and its markers:
+   * arrows pan (or, on a marker, step to the previous/next event), Shift+arrows
+   * always pan, Page Up/Down pan a screen, +/- zoom, 0 resets, Home/End jump to
+   * the oldest/newest event, Tab walks the events in order, Escape leaves a marker.
+   * Enter/Space on a marker is handled by EventMarker; on the layer it places a
+   * game guess at the middle of the view.
+   */
+  const handleTimelineKeyDown = useCallback((e) => {
+    if (e.altKey || e.ctrlKey || e.metaKey) return
+    const onMarker = e.target !== e.currentTarget && e.target.dataset?.eventId !== undefined
+    const index = onMarker
+      ? keyboardEvents.findIndex((event) => String(event.id) === e.target.dataset.eventId)
+      : -1
+    const step = (offset) => {
+      const next = keyboardEvents[index + offset]
+      if (!next) return false
+      focusEventMarker(next)
+      return true
+    }
+
+    switch (e.key) {
+      case 'ArrowLeft':
+      case 'ArrowRight': {
+        const direction = e.key === 'ArrowLeft' ? -1 : 1
+        if (!onMarker || e.shiftKey) {
+          // Left moves toward the past, i.e. larger years ago
+          panByFraction(-direction * KEYBOARD_PAN_FRACTION)
+        } else {
+          step(direction)
+        }
+        break
+      }
+      case 'PageUp':
+      case 'PageDown':
+        panByFraction((e.key === 'PageUp' ? 1 : -1) * KEYBOARD_PAGE_FRACTION)
+        break
+      case '+':
+      case '=':
+        zoomAroundFocus(KEYBOARD_ZOOM_FACTOR)
+        break
+      case '-':
+      case '_':
+        zoomAroundFocus(1 / KEYBOARD_ZOOM_FACTOR)
+        break
+      case '0':
+        handleReset()
+        break
+      case 'Home':
+      case 'End': {
+        const target = e.key === 'Home' ? keyboardEvents[0] : keyboardEvents[keyboardEvents.length - 1]
+        if (!target) return
+        focusEventMarker(target)
+        break
+      }
+      case 'Tab':
+        if (!onMarker) return
+        if (e.shiftKey) {
+          if (!step(-1)) {
+            setFocusedEventId(null)
+            eventsLayerRef.current?.focus()
+          }
+        } else if (!step(1)) {
+          // Past the newest event, let the browser move on to the next control
+          return
+        }
+        break
+      case 'Enter':
+      case ' ':
+        // Game mode: guess the date at the middle of the view
+        if (onMarker || !onGameGuessPlace) return
+        onGameGuessPlace({ percentage: 50, yearsAgo: (viewStart + viewEnd) / 2 })
+        break
+      case 'Escape':
+        if (!onMarker && !subFocusParentId) return
+        // Back out of the drill-down one level at a time
+        setSubFocusPath((path) => path.slice(0, -1))
+        setFocusedEventId(null)
+        eventsLayerRef.current?.focus()
+        break
+      default:
+        return
+    }
+    e.preventDefault()
+  }, [
+    keyboardEvents,
+    focusEventMarker,
+    panByFraction,
+    zoomAroundFocus,
+    handleReset,
+    subFocusParentId,
+    onGameGuessPlace,
+    viewStart,
+    viewEnd
+  ])
+
+  // Read out the visible range once the view stops moving, while the timeline has focus
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      if (!timelineRef.current?.contains(document.activeElement)) return
+      setLiveAnnouncement(describeViewRange(viewStart, viewEnd, keyboardEvents.length))
+    }, VIEW_ANNOUNCE_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [viewStart, viewEnd, keyboardEvents.length])
+
+  const handleEventListSelect = useCallback((event) => {
+    onEventClick?.(event)
+  }, [onEventClick])
 
   const handleRandomEventSelect = useCallback(() => {
     if (!events || events.length === 0) return
@@ -1148,15 +1690,14 @@ const HistoryArrow = forwardRef(function HistoryArrow({
     }
 
     if (centerInputType === 'date') {
-      const parsedDate = new Date(centerInputValue)
-      if (Number.isNaN(parsedDate.getTime())) {
+      const yearsAgo = dateToYearsAgo(centerInputValue)
+      if (Number.isNaN(yearsAgo)) {
         setCenterInputError('Please enter a valid date.')
         return
       }
 
-      const yearsAgo = dateToYearsAgo(parsedDate)
       centerViewOnYearsAgo(yearsAgo)
-      setManualCenterLabel(parsedDate.toLocaleDateString())
+      setManualCenterLabel(formatHistoricalDate(centerInputValue))
       return
     }
 
@@ -1179,7 +1720,7 @@ const HistoryArrow = forwardRef(function HistoryArrow({
     const percentage = Math.max(0, Math.min(100, (x / rect.width) * 100))
     
     // Convert position to years ago
-    const yearsAgo = linearPositionToYear(percentage, viewStart, viewEnd)
+    const yearsAgo = scalePositionToYear(percentage, viewStart, viewEnd, scaleMode)
     
     setTimelineHover({
       active: true,
@@ -1189,20 +1730,20 @@ const HistoryArrow = forwardRef(function HistoryArrow({
     })
     setLastTimelineYearsAgo(yearsAgo)
     onGameGuessMove?.({ percentage, yearsAgo })
-  }, [viewStart, viewEnd, onGameGuessMove])
+  }, [viewStart, viewEnd, scaleMode, onGameGuessMove])
 
   // Keep hover readout in sync when view changes (including keyboard pan/zoom).
   useEffect(() => {
     if (!timelineHover.active) return
 
-    const yearsAgo = linearPositionToYear(timelineHover.percentage, viewStart, viewEnd)
+    const yearsAgo = scalePositionToYear(timelineHover.percentage, viewStart, viewEnd, scaleMode)
     setTimelineHover(prev => {
       if (Math.abs(prev.yearsAgo - yearsAgo) < 1e-6) return prev
       return { ...prev, yearsAgo }
     })
     setLastTimelineYearsAgo(yearsAgo)
     onGameGuessMove?.({ percentage: timelineHover.percentage, yearsAgo })
-  }, [timelineHover.active, timelineHover.percentage, viewStart, viewEnd, onGameGuessMove])
+  }, [timelineHover.active, timelineHover.percentage, viewStart, viewEnd, scaleMode, onGameGuessMove])
 
   const handleTimelineMouseLeave = useCallback(() => {
     setTimelineHover(prev => ({ ...prev, active: false }))
@@ -1211,7 +1752,7 @@ const HistoryArrow = forwardRef(function HistoryArrow({
   const handleTimelineClick = useCallback(() => {
     const runClickActions = () => {
       if (timelineHover.active) {
-        const guessPercentage = yearToLinearPosition(timelineHover.yearsAgo, viewStart, viewEnd)
+        const guessPercentage = yearToScalePosition(timelineHover.yearsAgo, viewStart, viewEnd, scaleMode)
         onGameGuessPlace?.({
           percentage: guessPercentage,
           yearsAgo: timelineHover.yearsAgo
@@ -1230,7 +1771,7 @@ const HistoryArrow = forwardRef(function HistoryArrow({
     }
 
     runClickActions()
-  }, [timelineHover, onGameGuessPlace, onTimelineClick, viewStart, viewEnd, deferTimelineClickForDoubleZoom])
+  }, [timelineHover, onGameGuessPlace, onTimelineClick, viewStart, viewEnd, scaleMode, deferTimelineClickForDoubleZoom])
 
   const handleTimelineDoubleClick = useCallback((e) => {
     e.preventDefault()
@@ -1242,9 +1783,9 @@ const HistoryArrow = forwardRef(function HistoryArrow({
     const rect = eventsLayerRef.current.getBoundingClientRect()
     const x = e.clientX - rect.left
     const percentage = Math.max(0, Math.min(100, (x / rect.width) * 100))
-    const yearsAgo = linearPositionToYear(percentage, viewStart, viewEnd)
+    const yearsAgo = scalePositionToYear(percentage, viewStart, viewEnd, scaleMode)
     zoomTimelineToYearsAgo(yearsAgo)
-  }, [viewStart, viewEnd, zoomTimelineToYearsAgo])
+  }, [viewStart, viewEnd, scaleMode, zoomTimelineToYearsAgo])
 
   const formatHoverTime = (yearsAgo) => {
     if (yearsAgo <= CURRENT_YEAR) {
@@ -1262,8 +1803,8 @@ const HistoryArrow = forwardRef(function HistoryArrow({
         return `${dd}.${mm}.${date.getFullYear()}`
       }
 
-      if (year < 0) {
-        return `${Math.abs(year)} BCE`
+      if (year <= 0) {
+        return formatHistoricalYear(year)
       }
       return `${year} CE`
     }
@@ -1326,17 +1867,36 @@ const HistoryArrow = forwardRef(function HistoryArrow({
     return {
       isSpan,
       centerYearsAgo,
-      startPos: yearToLinearPosition(guessStartYears, viewStart, viewEnd),
+      startPos: yearToScalePosition(guessStartYears, viewStart, viewEnd, scaleMode),
       endPos: guessEndYears !== null
-        ? yearToLinearPosition(guessEndYears, viewStart, viewEnd)
+        ? yearToScalePosition(guessEndYears, viewStart, viewEnd, scaleMode)
         : null
     }
-  }, [viewStart, viewEnd])
+  }, [viewStart, viewEnd, scaleMode])
+
+  // A guessed { older, newer } range drawn as it was placed, whatever the event's own length
+  const buildRangePlacement = useCallback((range) => {
+    if (!range || !Number.isFinite(range.older) || !Number.isFinite(range.newer)) return null
+
+    const isSpan = range.older !== range.newer
+    return {
+      isSpan,
+      centerYearsAgo: (range.older + range.newer) / 2,
+      startPos: yearToScalePosition(range.older, viewStart, viewEnd, scaleMode),
+      endPos: isSpan ? yearToScalePosition(range.newer, viewStart, viewEnd, scaleMode) : null
+    }
+  }, [viewStart, viewEnd, scaleMode])
 
   const ghostPlacement = useMemo(() => {
     if (!gameGhostEvent || !timelineHover.active) return null
+    if (Number.isFinite(gameGhostAnchorYearsAgo)) {
+      return buildRangePlacement({
+        older: Math.max(gameGhostAnchorYearsAgo, timelineHover.yearsAgo),
+        newer: Math.min(gameGhostAnchorYearsAgo, timelineHover.yearsAgo)
+      })
+    }
     return buildGhostPlacement(gameGhostEvent, timelineHover.yearsAgo)
-  }, [gameGhostEvent, timelineHover, buildGhostPlacement])
+  }, [gameGhostEvent, gameGhostAnchorYearsAgo, timelineHover, buildGhostPlacement, buildRangePlacement])
 
   const minimapEvents = useMemo(() => {
     const topLevel = events.filter(isTopLevelTimelineEvent)
@@ -1378,49 +1938,12 @@ const HistoryArrow = forwardRef(function HistoryArrow({
     return Math.round(CURRENT_YEAR - yearsAgo)
   }, [timelineHover.active, timelineHover.yearsAgo, lastTimelineYearsAgo])
 
-  const lifeExpectancyWorld = useMemo(() => {
-    if (!Number.isFinite(hoveredTimelineYear)) return null
-    const worldSeries = lifeExpectancyByEntity.get(LIFE_EXPECTANCY_WORLD_ENTITY)
-    const worldYears = lifeExpectancyYearsByEntity.get(LIFE_EXPECTANCY_WORLD_ENTITY) || []
-    return getValueAtOrBeforeYear(worldSeries, worldYears, hoveredTimelineYear)
-  }, [hoveredTimelineYear, lifeExpectancyByEntity, lifeExpectancyYearsByEntity])
-
-  const lifeExpectancyTooltipRows = useMemo(() => {
-    if (!Number.isFinite(hoveredTimelineYear)) return []
-    return LIFE_EXPECTANCY_CONTINENTS.map((continent) => {
-      const continentSeries = lifeExpectancyByEntity.get(continent)
-      const continentYears = lifeExpectancyYearsByEntity.get(continent) || []
-      const entry = getValueAtOrBeforeYear(continentSeries, continentYears, hoveredTimelineYear)
-      return {
-        name: continent,
-        value: entry ? formatLifeExpectancy(entry.value) : 'N/A'
-      }
-    })
-  }, [hoveredTimelineYear, lifeExpectancyByEntity, lifeExpectancyYearsByEntity])
-
-  const populationWorld = useMemo(() => {
-    if (!Number.isFinite(hoveredTimelineYear)) return { state: 'idle' }
-    if (hoveredTimelineYear > POPULATION_MAX_YEAR) return { state: 'na_after_2022' }
-    const entry = getValueAtOrBeforeYear(populationWorldByYear, populationYears, hoveredTimelineYear)
-    if (!entry) return { state: 'missing' }
-    return {
-      state: 'ready',
-      year: entry.year,
-      value: entry.value
-    }
-  }, [hoveredTimelineYear, populationWorldByYear, populationYears])
-
-  const populationTooltipRows = useMemo(() => {
-    if (populationWorld.state !== 'ready') return []
-    const regionValues = populationRegionsByYear[String(populationWorld.year)] || {}
-    return MADDISON_REGION_ORDER.map((regionName) => {
-      const value = regionValues[regionName]
-      return {
-        name: regionName,
-        value: Number.isFinite(value) ? formatPopulationCompact(value) : 'N/A'
-      }
-    })
-  }, [populationWorld, populationRegionsByYear])
+  const overlayReadouts = useMemo(() => (
+    activeOverlays.map((overlay) => ({
+      overlay,
+      readout: readOverlayAt(overlay, seriesById.get(overlay.id), hoveredTimelineYear)
+    }))
+  ), [activeOverlays, seriesById, hoveredTimelineYear])
 
   const mapFrameMa = useMemo(() => {
     const rawFrame = mapYearsAgo / 1e6
@@ -1530,7 +2053,9 @@ const HistoryArrow = forwardRef(function HistoryArrow({
         const sourceEvent = marker.event || gameGhostEvent || gameReveal?.event
         if (!sourceEvent) return null
 
-        const placement = buildGhostPlacement(sourceEvent, marker.yearsAgo)
+        const placement = marker.range
+          ? buildRangePlacement(marker.range)
+          : buildGhostPlacement(sourceEvent, marker.yearsAgo)
         if (!placement) return null
 
         return {
@@ -1549,7 +2074,7 @@ const HistoryArrow = forwardRef(function HistoryArrow({
         }
       })
       .filter(Boolean)
-  }, [gameGuessMarkers, gameGhostEvent, gameReveal, buildGhostPlacement])
+  }, [gameGuessMarkers, gameGhostEvent, gameReveal, buildGhostPlacement, buildRangePlacement])
 
   const actualMarkerEvent = useMemo(() => {
     if (!gameActualMarker) return null
@@ -1559,8 +2084,8 @@ const HistoryArrow = forwardRef(function HistoryArrow({
     const startYearsAgo = eventToYearsAgo(sourceEvent)
     const endYearsAgo = eventEndToYearsAgo(sourceEvent)
     const isSpan = endYearsAgo !== null && endYearsAgo !== undefined
-    const startPos = yearToLinearPosition(startYearsAgo, viewStart, viewEnd)
-    const endPos = isSpan ? yearToLinearPosition(endYearsAgo, viewStart, viewEnd) : null
+    const startPos = yearToScalePosition(startYearsAgo, viewStart, viewEnd, scaleMode)
+    const endPos = isSpan ? yearToScalePosition(endYearsAgo, viewStart, viewEnd, scaleMode) : null
 
     return {
       ...sourceEvent,
@@ -1576,7 +2101,51 @@ const HistoryArrow = forwardRef(function HistoryArrow({
       _markerColor: gameActualMarker.color || null,
       _overlayClass: gameActualMarker.overlayClass || 'game-overlay-actual'
     }
-  }, [gameActualMarker, gameReveal, gameGhostEvent, viewStart, viewEnd])
+  }, [gameActualMarker, gameReveal, gameGhostEvent, viewStart, viewEnd, scaleMode])
+
+  // Markers of the shared arrow and of each swimlane band
+  const renderLaneMarker = (event) => {
+    const eventLabelColors = getEventLabelColors(event, labelColorMap)
+    const labelLaneBudget = event.isSpan
+      ? Math.min(
+          event.spanEffectiveLaneCount,
+          isIphoneViewport ? IPHONE_VISIBLE_SPAN_LABEL_LANES : DESKTOP_VISIBLE_SPAN_LABEL_LANES
+        )
+      : Math.min(
+          event.pointEffectiveLaneCount,
+          isIphoneViewport ? IPHONE_VISIBLE_POINT_LABEL_LANES : DESKTOP_VISIBLE_POINT_LABEL_LANES
+        )
+    const shouldShowLabel = event.isSpan
+      ? event.spanLaneIndex < labelLaneBudget
+      : event.pointLaneIndex < labelLaneBudget
+    // Sub-event focus needs the whole layer, so swimlane bands don't open it
+    const canOpenSubFocus = event.isSpan && !isSwimlaneView
+    const isLaneDragging = laneDrag?.laneKey === event.laneKey
+
+    return (
+      <EventMarker
+        key={event.laneKey}
+        event={event}
+        onHover={handleEventHover}
+        onClick={onEventClick}
+        isHovered={isEventHovered(event)}
+        isSelected={selectedEvent?.id === event.id}
+        showLabel={shouldShowLabel}
+        labelColors={eventLabelColors}
+        spanLongHoverMs={canOpenSubFocus ? SPAN_SUB_FOCUS_HOVER_MS : null}
+        onSpanLongHoverComplete={canOpenSubFocus ? handleSpanSubFocusComplete : null}
+        enableVerticalDrag={enableLaneDrag}
+        isLaneDragging={isLaneDragging}
+        verticalDragOffsetPx={isLaneDragging ? laneDrag.currentClientY - laneDrag.startClientY : 0}
+        onLaneDragStart={handleLaneDragStart}
+        onLaneDragMove={handleLaneDragMove}
+        onLaneDragEnd={handleLaneDragEnd}
+        tabIndex={event.isSwimlaneDuplicate ? null : (event.id === tabStopEventId ? 0 : -1)}
+        ariaLabel={event.isSwimlaneDuplicate ? null : getEventAccessibleLabel(event)}
+        className={getSpotlightClassName(event)}
+      />
+    )
+  }
 
   return (
     <div className="history-arrow-container">
@@ -1586,7 +2155,7 @@ const HistoryArrow = forwardRef(function HistoryArrow({
           className="timeline-header-toggle"
           onClick={() => setIsHeaderExpanded((prev) => !prev)}
           aria-expanded={isHeaderExpanded}
-          aria-controls="timeline-header-content"
+          aria-controls={headerContentId}
         >
           <span>{isHeaderExpanded ? 'Hide timeline controls' : 'Show timeline controls'}</span>
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -1595,7 +2164,7 @@ const HistoryArrow = forwardRef(function HistoryArrow({
         </button>
 
         {isHeaderExpanded && (
-          <div id="timeline-header-content" className="timeline-header has-inline-map">
+          <div id={headerContentId} className="timeline-header has-inline-map">
             <div className="inline-geological-map">
               <button
                 type="button"
@@ -1635,94 +2204,70 @@ const HistoryArrow = forwardRef(function HistoryArrow({
                 <span className="timeline-title-hint">{titleHint}</span>
               )}
               <div className="timeline-demographics">
-                <div className="timeline-demographic-item" role="note" aria-label="World life expectancy at hovered timeline year">
-                  <span className="demographic-label">Life expectancy</span>
-                  <span className="demographic-value">
-                    {!Number.isFinite(hoveredTimelineYear)
-                      ? 'Hover timeline'
-                      : lifeExpectancyWorld
-                        ? formatLifeExpectancy(lifeExpectancyWorld.value)
-                        : 'N/A'}
-                  </span>
-                  <span className="demographic-year">
-                    {lifeExpectancyWorld ? `${lifeExpectancyWorld.year}` : '\u00a0'}
-                  </span>
-                  <div className="demographic-tooltip" role="tooltip">
-                    <div className="demographic-tooltip-title">Continents</div>
-                    {!Number.isFinite(hoveredTimelineYear) && (
-                      <div className="demographic-tooltip-empty">Hover timeline to inspect values.</div>
-                    )}
-                    {Number.isFinite(hoveredTimelineYear) && lifeExpectancyTooltipRows.map((row) => (
-                      <div key={row.name} className="demographic-tooltip-row">
-                        <span>{row.name}</span>
-                        <strong>{row.value}</strong>
-                      </div>
-                    ))}
-                    <div className="demographic-tooltip-footnote">
-                      Low historical life expectancy does not mean everyone died young; high child mortality lowered the average.
-                    </div>
-                  </div>
-                </div>
-
-                <div className="timeline-demographic-item" role="note" aria-label="World population at hovered timeline year">
-                  <span className="demographic-label">World population</span>
-                  <span className="demographic-value">
-                    {!Number.isFinite(hoveredTimelineYear)
-                      ? 'Hover timeline'
-                      : populationWorld.state === 'na_after_2022'
-                        ? 'N/A'
-                        : populationWorld.state === 'ready'
-                          ? formatPopulationCompact(populationWorld.value)
-                          : 'N/A'}
-                  </span>
-                  <span className="demographic-year">
-                    {populationWorld.state === 'ready' ? `${populationWorld.year}` : '\u00a0'}
-                  </span>
-                  <div className="demographic-tooltip" role="tooltip">
-                    <div className="demographic-tooltip-title">Maddison regions</div>
-                    {populationWorld.state === 'na_after_2022' && (
-                      <div className="demographic-tooltip-empty">No data after 2022.</div>
-                    )}
-                    {populationWorld.state === 'ready' && (
-                      <>
-                        {populationTooltipRows.map((row) => (
-                          <div key={row.name} className="demographic-tooltip-row">
-                            <span>{row.name}</span>
-                            <strong>{row.value}</strong>
-                          </div>
-                        ))}
-                        <div className="demographic-tooltip-footnote">
-                          Unit: people (from thousands in source)
+                {overlayReadouts.map(({ overlay, readout }) => (
+                  <div
+                    key={overlay.id}
+                    className="timeline-demographic-item"
+                    role="note"
+                    aria-label={`${overlay.name} at hovered timeline year`}
+                  >
+                    <span className="demographic-label">{overlay.name}</span>
+                    <span className="demographic-value">
+                      {readout.state === 'idle'
+                        ? 'Hover timeline'
+                        : readout.state === 'loading'
+                          ? 'Loading…'
+                          : readout.state === 'ready'
+                            ? formatOverlayValue(overlay, readout.value)
+                            : 'N/A'}
+                    </span>
+                    <span className="demographic-year">
+                      {readout.state === 'ready' ? formatHistoricalYear(Math.round(readout.year)) : '\u00a0'}
+                    </span>
+                    <div className="demographic-tooltip" role="tooltip">
+                      {overlay.detailTitle && (
+                        <div className="demographic-tooltip-title">{overlay.detailTitle}</div>
+                      )}
+                      {readout.state === 'idle' && (
+                        <div className="demographic-tooltip-empty">Hover timeline to inspect values.</div>
+                      )}
+                      {readout.state === 'loading' && (
+                        <div className="demographic-tooltip-empty">Loading data…</div>
+                      )}
+                      {readout.state === 'after_max' && (
+                        <div className="demographic-tooltip-empty">No data after {overlay.maxYear}.</div>
+                      )}
+                      {readout.state === 'missing' && (
+                        <div className="demographic-tooltip-empty">No value for this hover year.</div>
+                      )}
+                      {readout.rows.map((row) => (
+                        <div key={row.name} className="demographic-tooltip-row">
+                          <span>{row.name}</span>
+                          <strong>{row.value}</strong>
                         </div>
-                      </>
-                    )}
-                    {populationWorld.state === 'missing' && (
-                      <div className="demographic-tooltip-empty">No population value for this hover year.</div>
-                    )}
-                    {populationWorld.state === 'idle' && (
-                      <div className="demographic-tooltip-empty">Hover timeline to inspect values.</div>
-                    )}
+                      ))}
+                      {overlay.footnote && (
+                        <div className="demographic-tooltip-footnote">{overlay.footnote}</div>
+                      )}
+                    </div>
                   </div>
-                </div>
+                ))}
               </div>
               <div className="timeline-attribution">
-                <span>
-                  Life expectancy: Riley (2005); Zijdeman et al. (2015); HMD (2025); UN WPP (2024), processed by OWID.
-                </span>
-                <span>
-                  Population: Agnus Maddison,{' '}
-                  <a href="https://ghdx.healthdata.org/organizations/groningen-growth-and-development-centre-university-groningen" target="_blank" rel="noreferrer">
-                    Groningen Growth and Development Centre, University of Groningen
-                  </a>
-                  {' '}·{' '}
-                  <a href="https://ghdx.healthdata.org/record/statistics-world-population-gdp-and-capita-gdp-1-2008-ad" target="_blank" rel="noreferrer">
-                    Statistics on World Population, GDP, and Per Capita GDP 1-2008 AD
-                  </a>
-                  .
-                  {populationWorld.state === 'ready' && (
-                    <> Current hover: {formatPopulationFull(populationWorld.value)} ({populationWorld.year}).</>
-                  )}
-                </span>
+                {overlayReadouts
+                  .filter(({ overlay }) => overlay.attribution.length > 0)
+                  .map(({ overlay, readout }) => (
+                    <span key={overlay.id}>
+                      {overlay.attribution.map((part, index) => (
+                        typeof part === 'string' ? part : (
+                          <a key={index} href={part.href} target="_blank" rel="noreferrer">{part.text}</a>
+                        )
+                      ))}
+                      {readout.state === 'ready' && overlay.valueFormat.style === 'compact' && (
+                        <> Current hover: {formatOverlayValue(overlay, readout.value, { full: true })} ({formatHistoricalYear(Math.round(readout.year))}).</>
+                      )}
+                    </span>
+                  ))}
               </div>
             </div>
             <div className="timeline-actions">
@@ -1741,13 +2286,13 @@ const HistoryArrow = forwardRef(function HistoryArrow({
                   </select>
                   <input
                     className="center-input-field"
-                    type={centerInputType === 'date' ? 'date' : 'text'}
+                    type="text"
                     value={centerInputValue}
                     onChange={(e) => {
                       setCenterInputValue(e.target.value)
                       setCenterInputError('')
                     }}
-                    placeholder={centerInputType === 'date' ? '' : 'e.g. 66000000'}
+                    placeholder={centerInputType === 'date' ? 'e.g. 1969-07-20 or 753 BCE' : 'e.g. 66000000'}
                   />
                   <button type="submit" className="center-input-btn">
                     Center
@@ -1773,12 +2318,72 @@ const HistoryArrow = forwardRef(function HistoryArrow({
                 Reset View
               </button>
               <div className="timeline-bg-control">
-                <label className="timeline-bg-label" htmlFor="timeline-bg-picker">
+                <label className="timeline-bg-label" htmlFor={scaleModeSelectId}>
+                  Scale
+                </label>
+                <select
+                  id={scaleModeSelectId}
+                  className="timeline-scale-select"
+                  value={scaleMode}
+                  onChange={handleScaleModeChange}
+                >
+                  {SCALE_MODE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              {enableSwimlanes && (
+                <div className="timeline-bg-control">
+                  <label className="timeline-bg-label" htmlFor={swimlaneSelectId}>
+                    Lanes
+                  </label>
+                  <select
+                    id={swimlaneSelectId}
+                    className="timeline-scale-select"
+                    value={swimlaneGrouping}
+                    onChange={handleSwimlaneGroupingChange}
+                  >
+                    {SWIMLANE_GROUPING_OPTIONS
+                      .filter(option => option.value !== 'track' || tracks.length > 0)
+                      .map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                  </select>
+                </div>
+              )}
+              <div className="timeline-bg-control" role="group" aria-labelledby={overlayPickerLabelId}>
+                <span id={overlayPickerLabelId} className="timeline-bg-label">
+                  Layers
+                </span>
+                <div className="timeline-overlay-picker">
+                  <label className="timeline-overlay-option">
+                    <input
+                      type="checkbox"
+                      checked={showEraBands}
+                      onChange={() => setShowEraBands(prev => !prev)}
+                    />
+                    Era bands
+                  </label>
+                  {overlays.map(overlay => (
+                    <label key={overlay.id} className="timeline-overlay-option">
+                      <input
+                        type="checkbox"
+                        checked={activeOverlays.includes(overlay)}
+                        onChange={() => toggleOverlay(overlay.id)}
+                      />
+                      <span className="timeline-overlay-swatch" style={{ background: overlay.color }} aria-hidden="true" />
+                      {overlay.name}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="timeline-bg-control">
+                <label className="timeline-bg-label" htmlFor={backgroundPickerId}>
                   Background
                 </label>
                 <div className="timeline-bg-row">
                   <input
-                    id="timeline-bg-picker"
+                    id={backgroundPickerId}
                     className="timeline-bg-picker"
                     type="color"
                     value={timelineBackgroundColor || DEFAULT_TIMELINE_BG_COLOR}
@@ -1802,12 +2407,12 @@ const HistoryArrow = forwardRef(function HistoryArrow({
                 )}
               </div>
               <div className="timeline-bg-control">
-                <label className="timeline-bg-label" htmlFor="timeline-label-size-slider">
+                <label className="timeline-bg-label" htmlFor={labelSizeSliderId}>
                   Label size
                 </label>
                 <div className="timeline-bg-row timeline-label-size-row">
                   <input
-                    id="timeline-label-size-slider"
+                    id={labelSizeSliderId}
                     className="timeline-label-size-slider"
                     type="range"
                     min={MIN_EVENT_LABEL_SCALE * 100}
@@ -1840,8 +2445,18 @@ const HistoryArrow = forwardRef(function HistoryArrow({
         )}
       </div>
 
+      {showEraBands && (
+        <TimelineEraBands
+          eras={eras}
+          viewStart={viewStart}
+          viewEnd={viewEnd}
+          scaleMode={scaleMode}
+          onZoomToEra={handleZoomToEra}
+        />
+      )}
+
       <div 
-        className="timeline-wrapper"
+        className={`timeline-wrapper ${isSwimlaneView ? 'timeline-wrapper--swimlanes' : ''}`.trim()}
         ref={timelineRef}
         style={timelineLayoutStyle}
       >
@@ -1891,13 +2506,47 @@ const HistoryArrow = forwardRef(function HistoryArrow({
             onMouseLeave={handleTimelineMouseLeave}
             onClick={handleTimelineClick}
             onDoubleClick={handleTimelineDoubleClick}
-            title="Double-click to zoom in on this date"
+            onKeyDown={handleTimelineKeyDown}
+            onFocus={handleTimelineFocus}
+            title="Scroll or pinch to zoom, double-click to zoom in on this date"
+            tabIndex={0}
+            role="application"
+            aria-roledescription="timeline"
+            aria-label={`${title}, ${formatYearsAgoShort(viewEnd)} to ${formatYearsAgoShort(viewStart)} years ago`}
+            aria-describedby={keyboardHelpId}
           >
             {subFocusParentId && focusParentLaneEvent ? (
               <div
                 className="timeline-sub-focus"
                 onMouseLeave={handleExitSubFocus}
               >
+                <nav
+                  className="timeline-sub-focus-path"
+                  aria-label="Sub-event levels"
+                  onClick={(e) => e.stopPropagation()}
+                  onDoubleClick={(e) => e.stopPropagation()}
+                  onKeyDown={(e) => e.stopPropagation()}
+                >
+                  <button type="button" className="timeline-sub-focus-step" onClick={handleExitSubFocus}>
+                    All events
+                  </button>
+                  {subFocusLevels.map((level, index) => (
+                    index === subFocusLevels.length - 1 ? (
+                      <span key={level.id} className="timeline-sub-focus-step" aria-current="location">
+                        {level.title}
+                      </span>
+                    ) : (
+                      <button
+                        key={level.id}
+                        type="button"
+                        className="timeline-sub-focus-step"
+                        onClick={() => setSubFocusPath(subFocusPath.slice(0, index + 1))}
+                      >
+                        {level.title}
+                      </button>
+                    )
+                  ))}
+                </nav>
                 {(() => {
                   const event = focusParentLaneEvent
                   const focusedParentEvent = {
@@ -1907,7 +2556,7 @@ const HistoryArrow = forwardRef(function HistoryArrow({
                     spanLaneRing: 1,
                     spanLaneDirection: -1
                   }
-                  const eventLabelColor = labelColorMap.get(event.label) || null
+                  const eventLabelColors = getEventLabelColors(event, labelColorMap)
                   const labelLaneBudget = Math.min(
                     event.spanEffectiveLaneCount,
                     isIphoneViewport ? IPHONE_VISIBLE_SPAN_LABEL_LANES : DESKTOP_VISIBLE_SPAN_LABEL_LANES
@@ -1919,15 +2568,17 @@ const HistoryArrow = forwardRef(function HistoryArrow({
                       event={focusedParentEvent}
                       onHover={handleEventHover}
                       onClick={onEventClick}
-                      isHovered={hoveredEvent?.id === event.id}
+                      isHovered={isEventHovered(event)}
                       isSelected={selectedEvent?.id === event.id}
                       showLabel={shouldShowLabel}
-                      labelColor={eventLabelColor}
+                      labelColors={eventLabelColors}
+                      tabIndex={event.id === tabStopEventId ? 0 : -1}
+                      ariaLabel={getEventAccessibleLabel(event)}
                     />
                   )
                 })()}
                 {positionedSubEvents.map((event) => {
-                  const eventLabelColor = labelColorMap.get(event.label) || null
+                  const eventLabelColors = getEventLabelColors(event, labelColorMap)
                   const labelLaneBudget = event.isSpan
                     ? Math.min(
                         event.spanEffectiveLaneCount,
@@ -1940,71 +2591,94 @@ const HistoryArrow = forwardRef(function HistoryArrow({
                   const shouldShowLabel = event.isSpan
                     ? event.spanLaneIndex < labelLaneBudget
                     : event.pointLaneIndex < labelLaneBudget
+                  const canDrillDown = event.isSpan && parentEventIds.has(event.id)
                   return (
                     <EventMarker
                       key={event.id}
                       event={event}
                       onHover={handleEventHover}
                       onClick={onEventClick}
-                      isHovered={hoveredEvent?.id === event.id}
+                      isHovered={isEventHovered(event)}
                       isSelected={selectedEvent?.id === event.id}
                       showLabel={shouldShowLabel}
-                      labelColor={eventLabelColor}
-                      className={
+                      labelColors={eventLabelColors}
+                      spanLongHoverMs={canDrillDown ? SPAN_SUB_FOCUS_HOVER_MS : null}
+                      onSpanLongHoverComplete={canDrillDown ? handleSpanSubFocusComplete : null}
+                      tabIndex={event.id === tabStopEventId ? 0 : -1}
+                      ariaLabel={getEventAccessibleLabel(event)}
+                      className={`${
                         event.isSpan
                           ? 'event-span--sub-focus'
                           : `event-point--sub-focus ${
                               event.pointLaneDirection < 0 ? 'event-point--sub-focus-above' : 'event-point--sub-focus-below'
                             }`
-                      }
+                      } ${getSpotlightClassName(event)}`.trim()}
                     />
                   )
                 })}
               </div>
+            ) : isSwimlaneView ? (
+              <div className="timeline-swimlanes">
+                {swimlanes.map((lane) => (
+                  <div
+                    key={lane.id}
+                    className={`timeline-swimlane ${lane.isCollapsed ? 'timeline-swimlane--collapsed' : ''}`.trim()}
+                    style={{
+                      top: `${lane.top}px`,
+                      height: `${lane.height}px`,
+                      '--swimlane-color': lane.color || undefined
+                    }}
+                  >
+                    {lane.laneEvents.map(renderLaneMarker)}
+                  </div>
+                ))}
+              </div>
             ) : !subFocusParentId ? (
               <>
-                {laneAwareEvents.map(event => {
-                  const eventLabelColor = labelColorMap.get(event.label) || null
-                  const labelLaneBudget = event.isSpan
-                    ? Math.min(
-                        event.spanEffectiveLaneCount,
-                        isIphoneViewport ? IPHONE_VISIBLE_SPAN_LABEL_LANES : DESKTOP_VISIBLE_SPAN_LABEL_LANES
-                      )
-                    : Math.min(
-                        event.pointEffectiveLaneCount,
-                        isIphoneViewport ? IPHONE_VISIBLE_POINT_LABEL_LANES : DESKTOP_VISIBLE_POINT_LABEL_LANES
-                      )
-                  const shouldShowLabel = event.isSpan
-                    ? event.spanLaneIndex < labelLaneBudget
-                    : event.pointLaneIndex < labelLaneBudget
-
-                  return (
-                    <EventMarker
-                      key={event.id}
-                      event={event}
-                      onHover={handleEventHover}
-                      onClick={onEventClick}
-                      isHovered={hoveredEvent?.id === event.id}
-                      isSelected={selectedEvent?.id === event.id}
-                      showLabel={shouldShowLabel}
-                      labelColor={eventLabelColor}
-                      spanLongHoverMs={event.isSpan ? SPAN_SUB_FOCUS_HOVER_MS : null}
-                      onSpanLongHoverComplete={event.isSpan ? handleSpanSubFocusComplete : null}
-                      enableVerticalDrag={enableLaneDrag}
-                      isLaneDragging={laneDrag?.eventId === event.id}
-                      verticalDragOffsetPx={
-                        laneDrag?.eventId === event.id
-                          ? laneDrag.currentClientY - laneDrag.startClientY
-                          : 0
-                      }
-                      onLaneDragStart={handleLaneDragStart}
-                      onLaneDragMove={handleLaneDragMove}
-                      onLaneDragEnd={handleLaneDragEnd}
-                    />
-                  )
-                })}
+                {laneAwareEvents.map(renderLaneMarker)}
               </>
             ) : null}
+            {relationArrows.length > 0 && (
+              <svg className="timeline-relation-arrows" aria-hidden="true">
+                <defs>
+                  <marker
+                    id={relationArrowheadId}
+                    className="timeline-relation-arrowhead"
+                    viewBox="0 0 10 10"
+                    refX="9"
+                    refY="5"
+                    markerWidth="7"
+                    markerHeight="7"
+                    orient="auto-start-reverse"
+                  >
+                    <path d="M 0 0 L 10 5 L 0 10 z" />
+                  </marker>
+                </defs>
+                {/* Clicking an arrow pans to the event at its other end */}
+                {relationArrows.map((arrow) => (
+                  <g
+                    key={arrow.key}
+                    className={`timeline-relation-arrow timeline-relation-arrow--${arrow.type}`}
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      panToEvent(arrow.otherEvent)
+                    }}
+                    onDoubleClick={(e) => e.stopPropagation()}
+                  >
+                    <title>{arrow.title}</title>
+                    <path className="timeline-relation-arrow-hit" d={arrow.path} />
+                    <path
+                      className="timeline-relation-arrow-line"
+                      d={arrow.path}
+                      markerEnd={arrow.isDirected ? `url(#${relationArrowheadId})` : undefined}
+                    />
+                    <text className="timeline-relation-arrow-label" x={arrow.labelX} y={arrow.labelY - 4}>
+                      {arrow.text}
+                    </text>
+                  </g>
+                ))}
+              </svg>
+            )}
             {ghostMarkerEvent && (
               <EventMarker
                 event={ghostMarkerEvent}
@@ -2015,7 +2689,7 @@ const HistoryArrow = forwardRef(function HistoryArrow({
                 showLabel
                 disablePointerEvents
                 className="game-overlay-ghost"
-                labelColor={labelColorMap.get(ghostMarkerEvent.label) || null}
+                labelColors={getEventLabelColors(ghostMarkerEvent, labelColorMap)}
                 markerColor={gameGhostColor}
               />
             )}
@@ -2030,7 +2704,7 @@ const HistoryArrow = forwardRef(function HistoryArrow({
                 showLabel
                 disablePointerEvents
                 className={markerEvent._overlayClass}
-                labelColor={labelColorMap.get(markerEvent.label) || null}
+                labelColors={getEventLabelColors(markerEvent, labelColorMap)}
                 markerColor={markerEvent._markerColor}
               />
             ))}
@@ -2045,12 +2719,72 @@ const HistoryArrow = forwardRef(function HistoryArrow({
                 showLabel
                 disablePointerEvents
                 className={actualMarkerEvent._overlayClass}
-                labelColor={labelColorMap.get(actualMarkerEvent.label) || null}
+                labelColors={getEventLabelColors(actualMarkerEvent, labelColorMap)}
                 markerColor={actualMarkerEvent._markerColor}
               />
             )}
           </div>
 
+          {/* Swimlane headers sit outside the events layer so their buttons don't place guesses or zoom */}
+          {isSwimlaneView && (
+            <div className="timeline-swimlane-headers">
+              {swimlanes.map((lane, index) => {
+                const isMovable = lane.id !== OTHER_SWIMLANE_ID
+                const isLastMovable = index === swimlanes.length - 1
+                  || swimlanes[index + 1].id === OTHER_SWIMLANE_ID
+                return (
+                  <div
+                    key={lane.id}
+                    className="timeline-swimlane-header"
+                    style={{ top: `${lane.top}px`, '--swimlane-color': lane.color || undefined }}
+                  >
+                    <button
+                      type="button"
+                      className="timeline-swimlane-toggle"
+                      onClick={() => toggleSwimlaneCollapsed(lane.id)}
+                      aria-expanded={!lane.isCollapsed}
+                      title={lane.isCollapsed ? `Expand ${lane.name}` : `Collapse ${lane.name}`}
+                    >
+                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+                        <path d={lane.isCollapsed ? 'M9 6l6 6-6 6' : 'M6 9l6 6 6-6'} />
+                      </svg>
+                      <span className="timeline-swimlane-name">{lane.name}</span>
+                      <span className="timeline-swimlane-count">{lane.eventCount}</span>
+                    </button>
+                    {isMovable && (
+                      <>
+                        <button
+                          type="button"
+                          className="timeline-swimlane-move"
+                          onClick={() => moveSwimlaneBy(lane.id, -1)}
+                          disabled={index === 0}
+                          aria-label={`Move ${lane.name} up`}
+                          title="Move up"
+                        >
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+                            <path d="M6 15l6-6 6 6" />
+                          </svg>
+                        </button>
+                        <button
+                          type="button"
+                          className="timeline-swimlane-move"
+                          onClick={() => moveSwimlaneBy(lane.id, 1)}
+                          disabled={isLastMovable}
+                          aria-label={`Move ${lane.name} down`}
+                          title="Move down"
+                        >
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+                            <path d="M6 9l6 6 6-6" />
+                          </svg>
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          )}
+
           {/* View range labels */}
           <div className="view-range-labels">
             <span className="range-label past">
@@ -2088,6 +2822,49 @@ const HistoryArrow = forwardRef(function HistoryArrow({
 
       </div>
 
+      {/* Data overlays, charted on the arrow's scale */}
+      <TimelineOverlayChart
+        overlays={activeOverlays}
+        seriesById={seriesById}
+        viewStart={viewStart}
+        viewEnd={viewEnd}
+        scaleMode={scaleMode}
+        currentYear={CURRENT_YEAR}
+        hoverPercentage={timelineHover.active ? timelineHover.percentage : null}
+      />
+
+      {/* Screen-reader help, announcements and the list alternative */}
+      <p id={keyboardHelpId} className="visually-hidden">
+        Arrow keys pan, plus and minus zoom, 0 resets the view. Tab or Home and End move to events,
+        then arrow keys step through them in time order and Enter selects one. Escape backs out of sub-events.
+        {onGameGuessPlace ? ' In the game, Enter on the timeline guesses the date at its middle.' : ''}
+      </p>
+      <div className="visually-hidden" role="status" aria-live="polite" aria-atomic="true">
+        {liveAnnouncement}
+      </div>
+      <div className="timeline-list-toggle-row">
+        <button
+          type="button"
+          className="timeline-list-toggle"
+          onClick={() => setIsEventListOpen((prev) => !prev)}
+          aria-expanded={isEventListOpen}
+          aria-controls={eventListId}
+        >
+          {isEventListOpen ? 'Hide event list' : 'Show events in view as a list'}
+        </button>
+      </div>
+      {isEventListOpen && (
+        <TimelineEventList
+          id={eventListId}
+          heading="Events in view"
+          events={keyboardEvents}
+          selectedEventId={selectedEvent?.id ?? null}
+          onSelect={handleEventListSelect}
+          labelColorMap={labelColorMap}
+          controlsId={detailRegionId}
+        />
+      )}
+
       {/* Logarithmic Minimap */}
       <LogarithmicMinimap
         viewStart={viewStart}
@@ -2098,6 +2875,7 @@ const HistoryArrow = forwardRef(function HistoryArrow({
         totalMin={DEFAULT_MIN_YEARS}
         totalMax={DEFAULT_MAX_YEARS}
         labelColorMap={labelColorMap}
+        eras={eras}
       />
 
       {isMapModalOpen && (
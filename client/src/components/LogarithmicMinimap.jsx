@@ -1,16 +1,18 @@
-import { useState, useRef, useCallback, useEffect } from 'react'
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react'
 import { motion } from 'framer-motion'
 import {
   yearToLogPosition,
   logPositionToYear,
   getLogTicks,
-  getEraMarkers,
   formatYearsAgoShort,
   eventToYearsAgo,
   eventEndToYearsAgo,
   DEFAULT_MIN_YEARS,
   DEFAULT_MAX_YEARS
 } from '../utils/logScaleUtils'
+import { getEventLabelColors, getLabelColorsGradient } from '../utils/eventLabels'
+import { getOverviewEras } from '../utils/eras'
+import { DEFAULT_ERAS } from '../data/eras'
 import './LogarithmicMinimap.css'
 
 const PAN_STEP_RATIO = 0.25
@@ -24,7 +26,8 @@ function LogarithmicMinimap({
   selectedEvent = null,
   totalMin = DEFAULT_MIN_YEARS,
   totalMax = DEFAULT_MAX_YEARS,
-  labelColorMap = new Map()
+  labelColorMap = new Map(),
+  eras: eraDataset = DEFAULT_ERAS
 }) {
   const containerRef = useRef(null)
   const [isDragging, setIsDragging] = useState(false)
@@ -64,14 +67,21 @@ function LogarithmicMinimap({
 
   // Get tick marks and era markers
   const ticks = getLogTicks(totalMin, totalMax)
-  const eras = getEraMarkers()
+  const eras = useMemo(() => getOverviewEras(eraDataset), [eraDataset])
 
   // Convert events to minimap dots
   const eventDots = events.map(event => {
     const yearsAgo = eventToYearsAgo(event)
     const position = yearToLogPosition(yearsAgo, totalMin, totalMax)
-    const color = labelColorMap.get(event.label) || '#00d4ff'
-    return { id: event.id, position, title: event.title, color }
+    const colors = getEventLabelColors(event, labelColorMap)
+    return {
+      id: event.id,
+      position,
+      title: event.title,
+      color: colors[0] || '#00d4ff',
+      // Events with several labels get a pie of their label colours
+      gradient: getLabelColorsGradient(colors, 'conic')
+    }
   })
 
   // Handle mouse down on viewfinder
@@ -337,14 +347,14 @@ function LogarithmicMinimap({
           >
         {/* Era backgrounds */}
         <div className="minimap-eras">
-          {eras.map((era, index) => {
-            const left = yearToLogPosition(era.startYearsAgo, totalMin, totalMax)
-            const right = yearToLogPosition(era.endYearsAgo, totalMin, totalMax)
+          {eras.map((era) => {
+            const left = yearToLogPosition(era.start_years_ago, totalMin, totalMax)
+            const right = yearToLogPosition(era.end_years_ago, totalMin, totalMax)
             const width = right - left
 
             return (
               <div
-                key={index}
+                key={era.id}
                 className="minimap-era"
                 style={{
                   left: `${left}%`,
@@ -379,7 +389,11 @@ function LogarithmicMinimap({
             <div
               key={dot.id}
               className="minimap-event-dot"
-              style={{ left: `${dot.position}%`, backgroundColor: dot.color }}
+              style={{
+                left: `${dot.position}%`,
+                backgroundColor: dot.color,
+                backgroundImage: dot.gradient || undefined
+              }}
               title={dot.title}
             />
           ))}
@@ -1,8 +1,12 @@
 import { useEffect, useState, useMemo } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import { Link } from 'react-router-dom'
 import { formatEventDate, formatEventDateRange } from '../utils/dateUtils'
+import { parseHistoricalDate, compareHistoricalDates } from '../utils/historicalDate'
 import { canViewEventContent, getRestrictedContentMessage } from '../utils/contentVisibility'
-import { getSubEventsForParent } from '../utils/eventHierarchy'
+import { getSubEventsForParent, getEventAncestors, getDescendantIds } from '../utils/eventHierarchy'
+import { getEventPath } from '../utils/eventSeo'
+import { formatEventLocation } from '../utils/geo'
 import './SelectedEventDetail.css'
 
 const MARKDOWN_LINK_REGEX = /\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g
@@ -155,10 +159,10 @@ function renderAttributionText(text) {
 }
 
 function formatIsoDateToDotted(dateString) {
-  if (!dateString || typeof dateString !== 'string') return null
-  const match = dateString.match(/^(\d{4})-(\d{2})-(\d{2})/)
-  if (!match) return null
-  return `${match[3]}.${match[2]}.${match[1]}`
+  const parts = parseHistoricalDate(dateString)
+  if (!parts || parts.day === null || parts.year < 1) return null
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${pad(parts.day)}.${pad(parts.month)}.${String(parts.year).padStart(4, '0')}`
 }
 
 function formatAgeFromYears(years) {
@@ -184,10 +188,9 @@ function getSubEventAgeMeta(parentEvent, subEvent) {
     return `age: ${ageLabel} | ${atLabel}`
   }
 
-  const parentStart = new Date(parentEvent.start_date)
-  const subStart = new Date(subEvent.start_date)
-  if (Number.isNaN(parentStart.getTime()) || Number.isNaN(subStart.getTime())) return null
-  const diffYears = Math.max(0, (subStart.getTime() - parentStart.getTime()) / (365.25 * 24 * 60 * 60 * 1000))
+  const diffMs = compareHistoricalDates(subEvent.start_date, parentEvent.start_date)
+  if (diffMs === null) return null
+  const diffYears = Math.max(0, diffMs / (365.25 * 24 * 60 * 60 * 1000))
   const ageLabel = formatAgeFromYears(diffYears)
   const atLabel = formatIsoDateToDotted(subEvent.start_date) || formatEventDate(subEvent, false)
   if (!ageLabel || !atLabel) return null
@@ -203,7 +206,14 @@ function SelectedEventDetail({
   onToggleHidden,
   isAdmin = false,
   allEvents = [],
-  labelColor = null
+  labelColor = null,
+  // From getEventRelationLinks; clicking one calls onRelationClick with it
+  relationLinks = [],
+  onRelationClick,
+  // Called with an event above or below this one picked from the panel; links to its page without it
+  onHierarchySelect,
+  // Lets the timeline's event list point at this panel with aria-controls
+  id
 }) {
   const [isImageZoomed, setIsImageZoomed] = useState(false)
 
@@ -241,6 +251,7 @@ function SelectedEventDetail({
   // Get formatted dates based on event type
   const startDateDisplay = formatEventDate(event, false)
   const endDateDisplay = formatEventDate(event, true)
+  const location = formatEventLocation(event)
 
   // Determine if this is a span based on the event type
   const isSpan = date_type === 'astronomical'
@@ -253,6 +264,19 @@ function SelectedEventDetail({
   }, [event?.id, allEvents, isAdmin])
 
   const subTimelineAccent = labelColor || '#22c55e'
+  const ancestors = getEventAncestors(allEvents, event)
+
+  const renderHierarchyLink = (target, label, className) => (
+    onHierarchySelect ? (
+      <button type="button" className={className} onClick={() => onHierarchySelect(target)}>
+        {label}
+      </button>
+    ) : (
+      <Link to={getEventPath(target)} className={className}>
+        {label}
+      </Link>
+    )
+  )
 
   // Get event type label
   const eventTypeLabel = date_type === 'astronomical' ? 'Astronomical' : 'Historical'
@@ -271,6 +295,9 @@ function SelectedEventDetail({
   return (
     <motion.div
       className="selected-event-detail"
+      id={id}
+      role="region"
+      aria-label={`${title} details`}
       initial={{ opacity: 0, y: -20, height: 0 }}
       animate={{ opacity: 1, y: 0, height: 'auto' }}
       exit={{ opacity: 0, y: -20, height: 0 }}
@@ -331,14 +358,36 @@ function SelectedEventDetail({
                 )}
               </button>
             )}
-            <button className="close-btn" onClick={onClose} aria-label="Close">
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M18 6L6 18M6 6l12 12" />
-              </svg>
-            </button>
+            {onClose && !event.is_local && (
+              <Link className="permalink-btn" to={getEventPath(event)} aria-label="Open event page" title="Open event page">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71" />
+                  <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71" />
+                </svg>
+              </Link>
+            )}
+            {onClose && (
+              <button className="close-btn" onClick={onClose} aria-label="Close">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M18 6L6 18M6 6l12 12" />
+                </svg>
+              </button>
+            )}
           </div>
         </div>
 
+        {ancestors.length > 0 && (
+          <nav className="selected-event-breadcrumbs" aria-label="Part of">
+            <ol>
+              {ancestors.map((ancestor) => (
+                <li key={ancestor.id}>
+                  {renderHierarchyLink(ancestor, ancestor.title, 'selected-event-breadcrumb')}
+                </li>
+              ))}
+            </ol>
+          </nav>
+        )}
+
         <h2 className="selected-event-title">{title}</h2>
 
         {canViewProtectedContent && image_url && (
@@ -373,6 +422,10 @@ function SelectedEventDetail({
           )}
         </div>
 
+        {location && (
+          <p className="selected-event-location">{location}</p>
+        )}
+
         {!canViewProtectedContent && (
           <p className="selected-event-note">{getRestrictedContentMessage()}</p>
         )}
@@ -381,6 +434,34 @@ function SelectedEventDetail({
           <p className="selected-event-description">{description}</p>
         )}
 
+        {relationLinks.length > 0 && (
+          <div className="selected-event-relations">
+            <h4 className="selected-event-relations-title">Relationships</h4>
+            <ul className="selected-event-relations-list">
+              {relationLinks.map((link) => (
+                <li key={link.relation.id} className="selected-event-relation">
+                  <span className="selected-event-relation-type">{link.label}</span>
+                  {onRelationClick ? (
+                    <button
+                      type="button"
+                      className="selected-event-relation-link"
+                      onClick={() => onRelationClick(link)}
+                      title="Show on the timeline"
+                    >
+                      {link.otherEvent.title}
+                    </button>
+                  ) : (
+                    <Link to={getEventPath(link.otherEvent)} className="selected-event-relation-link">
+                      {link.otherEvent.title}
+                    </Link>
+                  )}
+                  <span className="selected-event-relation-date">{formatEventDateRange(link.otherEvent)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {canViewProtectedContent && isSpan && subEvents.length > 0 && (
           <div
             className="selected-event-sub-timeline"
@@ -394,6 +475,7 @@ function SelectedEventDetail({
               const subYoutubeEmbedUrl = subYoutubeVideoId
                 ? `https://www.youtube-nocookie.com/embed/${subYoutubeVideoId}`
                 : null
+              const nestedCount = getDescendantIds(allEvents, sub.id).size
               return (
                 <div key={sub.id} className="selected-event-sub-row">
                   <div className="selected-event-sub-track">
@@ -406,6 +488,11 @@ function SelectedEventDetail({
                       {(subAgeMeta || formatEventDateRange(sub)) && (
                         <span className="selected-event-sub-meta"> - {subAgeMeta || formatEventDateRange(sub)}</span>
                       )}
+                      {nestedCount > 0 && renderHierarchyLink(
+                        sub,
+                        `${nestedCount} sub-event${nestedCount === 1 ? '' : 's'} ›`,
+                        'selected-event-sub-nested'
+                      )}
                     </p>
                     {canViewSub && sub.description && (
                       <p className="selected-event-sub-text">{sub.description}</p>
@@ -518,10 +605,12 @@ function SelectedEventDetail({
         )}
       </div>
 
-      <div className="selected-event-indicator">
-        <span>Click another event to view details, or</span>
-        <button className="text-btn" onClick={onClose}>dismiss</button>
-      </div>
+      {onClose && (
+        <div className="selected-event-indicator">
+          <span>Click another event to view details, or</span>
+          <button className="text-btn" onClick={onClose}>dismiss</button>
+        </div>
+      )}
 
       <AnimatePresence>
         {isImageZoomed && canViewProtectedContent && image_url && (
@@ -0,0 +1,51 @@
+import { useMemo } from 'react'
+import { formatYearsAgoFull } from '../utils/logScaleUtils'
+import { getEraBandRows } from '../utils/eras'
+import './TimelineEraBands.css'
+
+const describeEra = (era, rankLabel) => (
+  `${era.name} (${rankLabel.toLowerCase()}): ${formatYearsAgoFull(era.start_years_ago)} to ${
+    era.end_years_ago > 0 ? formatYearsAgoFull(era.end_years_ago) : 'the present'
+  }`
+)
+
+/**
+ * Stacked era bands above the timeline, on the arrow's scale. The rows
+ * shown depend on the zoom (see getEraBandRows); clicking a band zooms the
+ * timeline to its bounds.
+ */
+function TimelineEraBands({ eras, viewStart, viewEnd, scaleMode, onZoomToEra }) {
+  const rows = useMemo(
+    () => getEraBandRows(eras, viewStart, viewEnd, scaleMode),
+    [eras, viewStart, viewEnd, scaleMode]
+  )
+
+  if (rows.length === 0) return null
+
+  return (
+    <div className="timeline-era-bands" role="group" aria-label="Eras in view">
+      {rows.map((row) => (
+        <div key={row.rank} className="timeline-era-row" role="group" aria-label={row.label}>
+          {row.bands.map(({ era, left, width }) => {
+            const description = describeEra(era, row.label)
+            return (
+              <button
+                key={era.id}
+                type="button"
+                className="timeline-era-band"
+                style={{ left: `${left}%`, width: `${width}%`, '--era-color': era.color || '#64748b' }}
+                onClick={() => onZoomToEra(era)}
+                title={`${description}. Click to zoom to it.`}
+                aria-label={`Zoom to ${description}`}
+              >
+                <span className="timeline-era-name">{era.name}</span>
+              </button>
+            )
+          })}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default TimelineEraBands
@@ -0,0 +1,64 @@
+import { useMemo } from 'react'
+import { formatEventDateRange } from '../utils/dateUtils'
+import { sortEventsChronologically, getEventAccessibleLabel } from '../utils/timelineA11y'
+import EventLabelBadges from './EventLabelBadges'
+import './TimelineEventList.css'
+
+/**
+ * Events as a plain, chronological list of buttons: the non-visual
+ * alternative to the timeline. Takes any subset of events (the events in
+ * view, a cluster's members); `controlsId` points each button at the panel
+ * that shows the selection, usually SelectedEventDetail.
+ */
+function TimelineEventList({
+  events,
+  heading,
+  selectedEventId = null,
+  onSelect,
+  labelColorMap = null,
+  controlsId = null,
+  id,
+  emptyMessage = 'No events in this range.'
+}) {
+  const sortedEvents = useMemo(() => sortEventsChronologically(events), [events])
+  const headingId = id ? `${id}-heading` : undefined
+
+  return (
+    <section className="timeline-event-list" id={id} aria-labelledby={headingId}>
+      <h4 className="timeline-event-list-heading" id={headingId}>
+        {heading} <span className="timeline-event-list-count">({sortedEvents.length})</span>
+      </h4>
+      {sortedEvents.length === 0 ? (
+        <p className="timeline-event-list-empty">{emptyMessage}</p>
+      ) : (
+        <ol className="timeline-event-list-items">
+          {sortedEvents.map((event) => {
+            const isSelected = event.id === selectedEventId
+            return (
+              <li key={event.id}>
+                <button
+                  type="button"
+                  className={`timeline-event-list-item ${isSelected ? 'selected' : ''}`.trim()}
+                  onClick={() => onSelect?.(event)}
+                  aria-pressed={isSelected}
+                  aria-controls={controlsId || undefined}
+                  aria-label={getEventAccessibleLabel(event)}
+                >
+                  <span className="timeline-event-list-title">{event.title}</span>
+                  <span className="timeline-event-list-date">{formatEventDateRange(event)}</span>
+                  {labelColorMap && (
+                    <span className="timeline-event-list-labels">
+                      <EventLabelBadges event={event} labelColorMap={labelColorMap} />
+                    </span>
+                  )}
+                </button>
+              </li>
+            )
+          })}
+        </ol>
+      )}
+    </section>
+  )
+}
+
+export default TimelineEventList
@@ -0,0 +1,107 @@
+import { useMemo } from 'react'
+import { scalePositionToYear } from '../utils/logScaleUtils'
+import { sampleOverlaySeries, formatOverlayValue } from '../utils/overlays'
+import './TimelineOverlayChart.css'
+
+const CHART_HEIGHT = 36
+const CHART_PADDING = 3
+
+// SVG path pieces for the sampled values; gaps (no data) split the path
+function buildChartPaths(samples, min, max, chart) {
+  const span = max - min || 1
+  const toY = (value) => CHART_HEIGHT - CHART_PADDING - ((value - min) / span) * (CHART_HEIGHT - CHART_PADDING * 2)
+  const segments = []
+  let current = []
+  samples.forEach((sample) => {
+    if (sample.value === null) {
+      if (current.length) segments.push(current)
+      current = []
+      return
+    }
+    current.push({ x: sample.position, y: toY(sample.value) })
+  })
+  if (current.length) segments.push(current)
+
+  return segments.map((points) => {
+    const line = points.map((p, index) => `${index === 0 ? 'M' : 'L'}${p.x.toFixed(2)} ${p.y.toFixed(2)}`).join(' ')
+    if (chart === 'line') return line
+    const first = points[0]
+    const last = points[points.length - 1]
+    return `${line} L${last.x.toFixed(2)} ${CHART_HEIGHT} L${first.x.toFixed(2)} ${CHART_HEIGHT} Z`
+  })
+}
+
+/**
+ * Strips under the timeline charting each active data overlay across the
+ * visible window, on the same scale as the arrow, with a line at the
+ * hovered position.
+ */
+function TimelineOverlayChart({
+  overlays,
+  seriesById,
+  viewStart,
+  viewEnd,
+  scaleMode,
+  currentYear,
+  hoverPercentage = null
+}) {
+  const charts = useMemo(() => {
+    const yearAtPosition = (position) => currentYear - scalePositionToYear(position, viewStart, viewEnd, scaleMode)
+    return overlays.map((overlay) => {
+      const series = seriesById.get(overlay.id)
+      const samples = series
+        ? sampleOverlaySeries(overlay, series.get(overlay.primarySeries), yearAtPosition)
+        : []
+      const values = samples.map((sample) => sample.value).filter((value) => value !== null)
+      if (values.length === 0) {
+        return { overlay, loading: !series, paths: [] }
+      }
+      const min = Math.min(...values)
+      const max = Math.max(...values)
+      return { overlay, min, max, paths: buildChartPaths(samples, min, max, overlay.chart) }
+    })
+  }, [overlays, seriesById, viewStart, viewEnd, scaleMode, currentYear])
+
+  if (charts.length === 0) return null
+
+  return (
+    <div className="timeline-overlay-charts">
+      {charts.map(({ overlay, loading, min, max, paths }) => (
+        <div
+          key={overlay.id}
+          className="timeline-overlay-chart"
+          style={{ '--overlay-color': overlay.color }}
+        >
+          <span className="timeline-overlay-chart-label">{overlay.name}</span>
+          {paths.length > 0 ? (
+            <>
+              <svg
+                className={`timeline-overlay-chart-plot timeline-overlay-chart-plot--${overlay.chart}`}
+                viewBox={`0 0 100 ${CHART_HEIGHT}`}
+                preserveAspectRatio="none"
+                role="img"
+                aria-label={`${overlay.name} in view: ${formatOverlayValue(overlay, min)} to ${formatOverlayValue(overlay, max)}`}
+              >
+                {paths.map((d, index) => (
+                  <path key={index} d={d} vectorEffect="non-scaling-stroke" />
+                ))}
+              </svg>
+              <span className="timeline-overlay-chart-range" aria-hidden="true">
+                {formatOverlayValue(overlay, min)} – {formatOverlayValue(overlay, max)}
+              </span>
+            </>
+          ) : (
+            <span className="timeline-overlay-chart-empty">
+              {loading ? 'Loading…' : 'No data in this part of the timeline'}
+            </span>
+          )}
+          {hoverPercentage !== null && (
+            <span className="timeline-overlay-chart-hover" style={{ left: `${hoverPercentage}%` }} aria-hidden="true" />
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default TimelineOverlayChart
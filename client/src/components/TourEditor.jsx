@@ -0,0 +1,259 @@
+import { useState } from 'react'
+import { formatYearsAgoFull } from '../utils/logScaleUtils'
+import {
+  createTourStep,
+  validateTour,
+  MAX_TOUR_TITLE_LENGTH,
+  MAX_TOUR_STEP_TITLE_LENGTH
+} from '../utils/tours'
+import './TourEditor.css'
+
+const describeView = (view) => (
+  `${formatYearsAgoFull(view.end)} to ${view.start < 1 ? 'now' : formatYearsAgoFull(view.start)}`
+)
+
+const formatLabel = (label) => (label === '__none__' ? 'No label' : label)
+
+/**
+ * Admin editor for a guided tour, shown beside the timeline so each step
+ * can capture what the timeline currently shows: its window, the label
+ * filter and the selected event (added to the step's spotlight).
+ */
+function TourEditor({
+  tour = null,
+  currentView,
+  activeLabels,
+  selectedEvent,
+  events = [],
+  onSave,
+  onDelete,
+  onPreviewStep,
+  onClose
+}) {
+  const [title, setTitle] = useState(tour?.title || '')
+  const [description, setDescription] = useState(tour?.description || '')
+  const [steps, setSteps] = useState(tour?.steps || [])
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const eventTitle = (id) => events.find((event) => String(event.id) === id)?.title || 'Unknown event'
+
+  const updateStep = (index, patch) => {
+    setSteps((prev) => prev.map((step, i) => (i === index ? { ...step, ...patch } : step)))
+  }
+
+  const moveStep = (index, offset) => {
+    setSteps((prev) => {
+      const next = [...prev]
+      const [step] = next.splice(index, 1)
+      next.splice(index + offset, 0, step)
+      return next
+    })
+  }
+
+  const captureStep = () => createTourStep(currentView, {
+    labels: activeLabels,
+    eventIds: selectedEvent ? [selectedEvent.id] : []
+  })
+
+  const handleAddStep = () => {
+    setSteps((prev) => [...prev, captureStep()])
+  }
+
+  const handleCaptureView = (index) => {
+    updateStep(index, { view: { start: currentView.start, end: currentView.end }, labels: [...activeLabels] })
+  }
+
+  const handleSpotlightSelected = (index) => {
+    const id = String(selectedEvent.id)
+    const step = steps[index]
+    if (!step.event_ids.includes(id)) updateStep(index, { event_ids: [...step.event_ids, id] })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const draft = { title, description, steps }
+    const validation = validateTour(draft)
+    if (!validation.valid) {
+      setError(validation.error)
+      return
+    }
+    try {
+      setIsSaving(true)
+      setError('')
+      await onSave(draft)
+    } catch (err) {
+      setError(err.message)
+      setIsSaving(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the tour "${tour.title}"?`)) return
+    try {
+      setIsSaving(true)
+      await onDelete()
+    } catch (err) {
+      setError(err.message)
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <form className="tour-editor" onSubmit={handleSubmit} aria-label={tour ? `Edit tour ${tour.title}` : 'New tour'}>
+      <div className="tour-editor-header">
+        <h2>{tour ? 'Edit Tour' : 'New Tour'}</h2>
+        <button type="button" className="tour-editor-close" onClick={onClose} aria-label="Close tour editor">
+          ×
+        </button>
+      </div>
+
+      {error && <div className="action-message error">{error}</div>}
+
+      <input
+        type="text"
+        className="form-input"
+        placeholder="Tour title, e.g. From the Big Bang to the Cambrian"
+        value={title}
+        maxLength={MAX_TOUR_TITLE_LENGTH}
+        onChange={(e) => setTitle(e.target.value)}
+        aria-label="Tour title"
+      />
+      <textarea
+        className="form-textarea"
+        rows={2}
+        placeholder="Short description shown in the tour list (optional)"
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        aria-label="Tour description"
+      />
+
+      <ol className="tour-editor-steps">
+        {steps.map((step, index) => (
+          <li key={index} className="tour-editor-step">
+            <div className="tour-editor-step-header">
+              <span className="tour-editor-step-number">{index + 1}</span>
+              <input
+                type="text"
+                className="form-input"
+                placeholder="Step title"
+                value={step.title}
+                maxLength={MAX_TOUR_STEP_TITLE_LENGTH}
+                onChange={(e) => updateStep(index, { title: e.target.value })}
+                aria-label={`Step ${index + 1} title`}
+              />
+              <div className="tour-editor-step-order">
+                <button
+                  type="button"
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => moveStep(index, -1)}
+                  disabled={index === 0}
+                  aria-label={`Move step ${index + 1} earlier`}
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => moveStep(index, 1)}
+                  disabled={index === steps.length - 1}
+                  aria-label={`Move step ${index + 1} later`}
+                >
+                  ↓
+                </button>
+              </div>
+            </div>
+
+            <textarea
+              className="form-textarea"
+              rows={3}
+              placeholder="Narrative for this step; leave a blank line between paragraphs"
+              value={step.narrative}
+              onChange={(e) => updateStep(index, { narrative: e.target.value })}
+              aria-label={`Step ${index + 1} narrative`}
+            />
+
+            <dl className="tour-editor-step-details">
+              <dt>View</dt>
+              <dd>{describeView(step.view)}</dd>
+              <dt>Labels</dt>
+              <dd>{step.labels.length > 0 ? step.labels.map(formatLabel).join(', ') : 'All labels'}</dd>
+              <dt>In focus</dt>
+              <dd className="tour-editor-spotlight">
+                {step.event_ids.length === 0 && 'No events'}
+                {step.event_ids.map((id) => (
+                  <span key={id} className="tour-editor-chip">
+                    {eventTitle(id)}
+                    <button
+                      type="button"
+                      onClick={() => updateStep(index, { event_ids: step.event_ids.filter((eventId) => eventId !== id) })}
+                      aria-label={`Remove ${eventTitle(id)} from step ${index + 1}`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </dd>
+            </dl>
+
+            <div className="tour-editor-step-actions">
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={() => handleCaptureView(index)}
+                disabled={!currentView}
+                title="Use the timeline's current window and label filter for this step"
+              >
+                Capture view
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={() => handleSpotlightSelected(index)}
+                disabled={!selectedEvent}
+                title={selectedEvent ? `Add "${selectedEvent.title}" to this step` : 'Select an event on the timeline first'}
+              >
+                Add selected event
+              </button>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => onPreviewStep(step)}>
+                Show
+              </button>
+              <button
+                type="button"
+                className="btn btn-danger btn-sm"
+                onClick={() => setSteps((prev) => prev.filter((_, i) => i !== index))}
+              >
+                Remove
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      <button
+        type="button"
+        className="btn btn-secondary"
+        onClick={handleAddStep}
+        disabled={!currentView}
+      >
+        + Add step from current view
+      </button>
+
+      <div className="tour-editor-actions">
+        {tour && (
+          <button type="button" className="btn btn-danger" onClick={handleDelete} disabled={isSaving}>
+            Delete Tour
+          </button>
+        )}
+        <button type="button" className="btn btn-secondary" onClick={onClose} disabled={isSaving}>
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-primary" disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Save Tour'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default TourEditor
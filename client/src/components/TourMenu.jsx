@@ -0,0 +1,95 @@
+import { useState, useEffect, useRef, useId } from 'react'
+import './TourMenu.css'
+
+/**
+ * Toolbar button listing the guided tours. Everyone can start one; admins
+ * also get edit and "New tour" entries.
+ */
+function TourMenu({ tours, loading, isAdmin, onPlay, onEdit, onCreate }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const menuRef = useRef(null)
+  const listId = useId()
+
+  useEffect(() => {
+    if (!isOpen) return undefined
+    const handlePointerDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false)
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setIsOpen(false)
+    }
+    document.addEventListener('pointerdown', handlePointerDown)
+    document.addEventListener('keydown', handleKeyDown)
+    return () => {
+      document.removeEventListener('pointerdown', handlePointerDown)
+      document.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [isOpen])
+
+  const choose = (action) => {
+    setIsOpen(false)
+    action()
+  }
+
+  return (
+    <div className="tour-menu" ref={menuRef}>
+      <button
+        type="button"
+        className={`btn btn-secondary ${isOpen ? 'active' : ''}`.trim()}
+        onClick={() => setIsOpen((prev) => !prev)}
+        aria-expanded={isOpen}
+        aria-controls={listId}
+      >
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" className="btn-icon">
+          <path d="M8 5v14l11-7z" />
+        </svg>
+        Tours
+      </button>
+      {isOpen && (
+        <div className="tour-menu-popover" id={listId}>
+          {loading && <p className="tour-menu-empty">Loading tours...</p>}
+          {!loading && tours.length === 0 && (
+            <p className="tour-menu-empty">No tours yet.</p>
+          )}
+          {tours.length > 0 && (
+            <ul className="tour-menu-list">
+              {tours.map((tour) => (
+                <li key={tour.id} className="tour-menu-item">
+                  <button
+                    type="button"
+                    className="tour-menu-play"
+                    onClick={() => choose(() => onPlay(tour))}
+                    disabled={tour.steps.length === 0}
+                  >
+                    <span className="tour-menu-title">{tour.title}</span>
+                    <span className="tour-menu-meta">
+                      {tour.steps.length} step{tour.steps.length === 1 ? '' : 's'}
+                      {tour.description && ` · ${tour.description}`}
+                    </span>
+                  </button>
+                  {isAdmin && (
+                    <button
+                      type="button"
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => choose(() => onEdit(tour))}
+                      aria-label={`Edit tour ${tour.title}`}
+                    >
+                      Edit
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          {isAdmin && (
+            <button type="button" className="btn btn-primary btn-sm tour-menu-create" onClick={() => choose(onCreate)}>
+              + New tour
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TourMenu
@@ -0,0 +1,122 @@
+import { useState, useEffect, useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import { getTourStepDuration } from '../utils/tours'
+import './TourPlayer.css'
+
+/**
+ * Playback controls and narration for a guided tour. The step index lives
+ * in the URL (see Home); this panel only asks for step changes. Autoplay
+ * moves on after each step's reading time and stops at the last step.
+ */
+function TourPlayer({ tour, stepIndex, events = [], onStepChange, onExit, onEventSelect }) {
+  const [isPlaying, setIsPlaying] = useState(false)
+  const step = tour.steps[stepIndex]
+  const isFirst = stepIndex === 0
+  const isLast = stepIndex === tour.steps.length - 1
+
+  useEffect(() => {
+    if (!isPlaying) return undefined
+    if (isLast) {
+      setIsPlaying(false)
+      return undefined
+    }
+    const timer = setTimeout(
+      () => onStepChange(stepIndex + 1, { autoplay: true }),
+      getTourStepDuration(step)
+    )
+    return () => clearTimeout(timer)
+  }, [isPlaying, isLast, step, stepIndex, onStepChange])
+
+  const spotlightEvents = useMemo(
+    () => step.event_ids
+      .map((id) => events.find((event) => String(event.id) === id))
+      .filter(Boolean),
+    [step, events]
+  )
+
+  const paragraphs = step.narrative.split(/\n\s*\n/).map((text) => text.trim()).filter(Boolean)
+
+  return (
+    <section className="tour-player" aria-label={`Tour: ${tour.title}`}>
+      <div className="tour-player-header">
+        <span className="tour-player-eyebrow">Tour</span>
+        <h2 className="tour-player-title">{tour.title}</h2>
+        <Link className="tour-player-link" to={`/?tour=${encodeURIComponent(tour.id)}`}>
+          Link to this tour
+        </Link>
+        <button type="button" className="tour-player-close" onClick={onExit} aria-label="Exit tour">
+          ×
+        </button>
+      </div>
+
+      <ol className="tour-player-progress" aria-label="Steps">
+        {tour.steps.map((s, index) => (
+          <li key={index}>
+            <button
+              type="button"
+              className={`tour-player-dot ${index <= stepIndex ? 'tour-player-dot--done' : ''}`.trim()}
+              onClick={() => onStepChange(index)}
+              aria-label={`Step ${index + 1}${s.title ? `: ${s.title}` : ''}`}
+              aria-current={index === stepIndex ? 'step' : undefined}
+            />
+          </li>
+        ))}
+      </ol>
+
+      <div className="tour-player-step" aria-live="polite">
+        <p className="tour-player-count">Step {stepIndex + 1} of {tour.steps.length}</p>
+        {step.title && <h3 className="tour-player-step-title">{step.title}</h3>}
+        {paragraphs.map((text, index) => (
+          <p key={index} className="tour-player-narrative">{text}</p>
+        ))}
+      </div>
+
+      {spotlightEvents.length > 0 && (
+        <div className="tour-player-spotlight">
+          <span>In focus:</span>
+          {spotlightEvents.map((event) => (
+            <button
+              key={event.id}
+              type="button"
+              className="tour-player-event"
+              onClick={() => onEventSelect(event)}
+            >
+              {event.title}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="tour-player-controls">
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={() => onStepChange(stepIndex - 1)}
+          disabled={isFirst}
+        >
+          ‹ Previous
+        </button>
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={() => setIsPlaying((prev) => !prev)}
+          aria-pressed={isPlaying}
+          disabled={isLast && !isPlaying}
+        >
+          {isPlaying ? 'Pause' : 'Autoplay'}
+        </button>
+        {isLast ? (
+          <button type="button" className="btn btn-primary btn-sm" onClick={onExit}>
+            Finish
+          </button>
+        ) : (
+          <button type="button" className="btn btn-primary btn-sm" onClick={() => onStepChange(stepIndex + 1)}>
+            Next ›
+          </button>
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default TourPlayer
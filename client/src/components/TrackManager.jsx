@@ -0,0 +1,187 @@
+import { useState } from 'react'
+import './TrackManager.css'
+
+/**
+ * Admin list of swimlane tracks. A track is a name plus the labels whose
+ * events it collects; the list order is the default band order on the timeline.
+ */
+function TrackManager({ tracks, labels, createTrack, updateTrack, deleteTrack, moveTrack }) {
+  const [newTrackName, setNewTrackName] = useState('')
+  const [newTrackLabels, setNewTrackLabels] = useState([])
+  const [editingTrackId, setEditingTrackId] = useState(null)
+  const [editTrackName, setEditTrackName] = useState('')
+  const [busyId, setBusyId] = useState(null)
+  const [error, setError] = useState('')
+
+  const run = async (id, action) => {
+    try {
+      setBusyId(id)
+      setError('')
+      await action()
+      return true
+    } catch (err) {
+      setError(err.message)
+      return false
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const toggleNewLabel = (name) => {
+    setNewTrackLabels(prev => (
+      prev.includes(name) ? prev.filter(l => l !== name) : [...prev, name]
+    ))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    const created = await run('new', () => createTrack(newTrackName, newTrackLabels))
+    if (created) {
+      setNewTrackName('')
+      setNewTrackLabels([])
+    }
+  }
+
+  const handleRename = async (track) => {
+    const renamed = await run(track.id, () => updateTrack(track.id, { name: editTrackName }))
+    if (renamed) setEditingTrackId(null)
+  }
+
+  const handleToggleLabel = (track, name) => {
+    const nextLabels = track.labels.includes(name)
+      ? track.labels.filter(l => l !== name)
+      : [...track.labels, name]
+    run(track.id, () => updateTrack(track.id, { labels: nextLabels }))
+  }
+
+  const handleDelete = (track) => {
+    if (!window.confirm(`Delete the "${track.name}" track? Its labels and events are kept.`)) return
+    run(track.id, () => deleteTrack(track.id))
+  }
+
+  const renderLabelToggles = (selected, onToggle, disabled) => (
+    <div className="track-label-toggles">
+      {labels.map((label) => {
+        const isOn = selected.includes(label.name)
+        return (
+          <button
+            key={label.id}
+            type="button"
+            className={`track-label-toggle ${isOn ? 'track-label-toggle--on' : ''}`.trim()}
+            style={{ '--track-label-color': label.color }}
+            onClick={() => onToggle(label.name)}
+            aria-pressed={isOn}
+            disabled={disabled}
+          >
+            {label.name}
+          </button>
+        )
+      })}
+      {labels.length === 0 && (
+        <span className="label-chips-empty">Add labels first; tracks group events by label.</span>
+      )}
+    </div>
+  )
+
+  return (
+    <div className="track-manager">
+      {error && (
+        <div className="action-message error" style={{ marginBottom: '0.75rem' }}>{error}</div>
+      )}
+
+      <form className="track-add-form" onSubmit={handleCreate}>
+        <input
+          type="text"
+          className="form-input"
+          placeholder="Track name, e.g. Europe"
+          value={newTrackName}
+          onChange={(e) => setNewTrackName(e.target.value)}
+        />
+        {renderLabelToggles(newTrackLabels, toggleNewLabel, busyId === 'new')}
+        <button
+          type="submit"
+          className="btn btn-primary btn-sm"
+          disabled={!newTrackName.trim() || busyId === 'new'}
+        >
+          Add Track
+        </button>
+      </form>
+
+      {tracks.length === 0 ? (
+        <p className="label-chips-empty">
+          No tracks yet. Without tracks the timeline can still be split into one lane per label.
+        </p>
+      ) : (
+        <ol className="track-list">
+          {tracks.map((track, index) => {
+            const isBusy = busyId === track.id
+            return (
+              <li key={track.id} className="track-row">
+                <div className="track-row-header">
+                  {editingTrackId === track.id ? (
+                    <input
+                      type="text"
+                      className="form-input track-name-input"
+                      value={editTrackName}
+                      onChange={(e) => setEditTrackName(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && editTrackName.trim()) handleRename(track)
+                        if (e.key === 'Escape') setEditingTrackId(null)
+                      }}
+                      onBlur={() => setEditingTrackId(null)}
+                      aria-label={`Rename ${track.name}`}
+                      autoFocus
+                    />
+                  ) : (
+                    <button
+                      type="button"
+                      className="track-name"
+                      title="Rename"
+                      onClick={() => {
+                        setEditingTrackId(track.id)
+                        setEditTrackName(track.name)
+                      }}
+                    >
+                      {track.name}
+                    </button>
+                  )}
+                  <div className="track-row-actions">
+                    <button
+                      type="button"
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => run(track.id, () => moveTrack(track.id, -1))}
+                      disabled={index === 0 || isBusy}
+                      aria-label={`Move ${track.name} up`}
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => run(track.id, () => moveTrack(track.id, 1))}
+                      disabled={index === tracks.length - 1 || isBusy}
+                      aria-label={`Move ${track.name} down`}
+                    >
+                      ↓
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-danger btn-sm"
+                      onClick={() => handleDelete(track)}
+                      disabled={isBusy}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+                {renderLabelToggles(track.labels, (name) => handleToggleLabel(track, name), isBusy)}
+              </li>
+            )
+          })}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+export default TrackManager
@@ -0,0 +1,59 @@
+import { forwardRef } from 'react'
+import { WORLD_REGIONS } from '../data/worldRegions'
+import { MAP_VIEWBOX, getRegionPath } from '../utils/geo'
+import './WorldMap.css'
+
+const REGION_PATHS = WORLD_REGIONS.map((region) => ({ region, path: getRegionPath(region) }))
+// Every 30° of longitude and latitude
+const MERIDIANS = [30, 60, 90, 120, 150, 180, 210, 240, 270, 300, 330]
+const PARALLELS = [30, 60, 90, 120, 150]
+
+/**
+ * The bundled world outline map (see data/worldRegions.js), drawn in map
+ * coordinates: one unit per degree. Markers, brushes and other overlays are
+ * passed as children in the same coordinates.
+ */
+const WorldMap = forwardRef(function WorldMap({
+  activeRegionId = null,
+  highlightedRegionId = null,
+  className = '',
+  label = 'World map',
+  children,
+  ...svgProps
+}, ref) {
+  const { x, y, width, height } = MAP_VIEWBOX
+  return (
+    <svg
+      ref={ref}
+      className={`world-map ${className}`.trim()}
+      viewBox={`${x} ${y} ${width} ${height}`}
+      role="group"
+      aria-label={label}
+      {...svgProps}
+    >
+      <rect className="world-map-sea" x={x} y={y} width={width} height={height} />
+      <g className="world-map-graticule" aria-hidden="true">
+        {MERIDIANS.map((mx) => <line key={`m${mx}`} x1={mx} y1={y} x2={mx} y2={y + height} />)}
+        {PARALLELS.map((py) => <line key={`p${py}`} x1={x} y1={py} x2={x + width} y2={py} />)}
+      </g>
+      <g className="world-map-regions">
+        {REGION_PATHS.map(({ region, path }) => (
+          <path
+            key={region.id}
+            d={path}
+            className={[
+              'world-map-region',
+              region.id === activeRegionId ? 'world-map-region--active' : '',
+              region.id === highlightedRegionId ? 'world-map-region--highlighted' : ''
+            ].filter(Boolean).join(' ')}
+          >
+            <title>{region.name}</title>
+          </path>
+        ))}
+      </g>
+      {children}
+    </svg>
+  )
+})
+
+export default WorldMap
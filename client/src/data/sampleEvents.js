@@ -8,7 +8,7 @@ export const sampleEvents = [
     end_date: null,
     astronomical_start_year: 4540000000,
     astronomical_end_year: null,
-    label: 'nature'
+    labels: ['nature']
   },
   {
     id: 2,
@@ -19,7 +19,7 @@ export const sampleEvents = [
     end_date: null,
     astronomical_start_year: 4600000000,
     astronomical_end_year: 4000000000,
-    label: 'nature'
+    labels: ['nature']
   },
   {
     id: 3,
@@ -30,7 +30,7 @@ export const sampleEvents = [
     end_date: null,
     astronomical_start_year: 538000000,
     astronomical_end_year: 485000000,
-    label: 'nature'
+    labels: ['nature']
   },
   {
     id: 4,
@@ -41,7 +41,10 @@ export const sampleEvents = [
     end_date: null,
     astronomical_start_year: 66000000,
     astronomical_end_year: null,
-    label: 'nature'
+    latitude: 21.4,
+    longitude: -89.5,
+    region: 'north-america',
+    labels: ['nature']
   },
   {
     id: 5,
@@ -52,7 +55,10 @@ export const sampleEvents = [
     end_date: null,
     astronomical_start_year: null,
     astronomical_end_year: null,
-    label: 'discovery'
+    latitude: 40.56,
+    longitude: -74.35,
+    region: 'north-america',
+    labels: ['discovery']
   },
   {
     id: 6,
@@ -63,7 +69,10 @@ export const sampleEvents = [
     end_date: '1945-09-02',
     astronomical_start_year: null,
     astronomical_end_year: null,
-    label: 'war'
+    latitude: null,
+    longitude: null,
+    region: 'europe',
+    labels: ['war']
   },
   {
     id: 7,
@@ -74,6 +83,6 @@ export const sampleEvents = [
     end_date: null,
     astronomical_start_year: null,
     astronomical_end_year: null,
-    label: 'discovery'
+    labels: ['discovery', 'technology']
   }
 ]
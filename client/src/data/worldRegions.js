@@ -0,0 +1,211 @@
+/**
+ * Coarse world regions for the map panel and the event location picker,
+ * drawn by hand so the map needs no tile server. Outlines are [longitude,
+ * latitude] rings, simplified to a few dozen points each: good enough to
+ * recognise the continents and to look up which region a point falls in,
+ * not for anything finer.
+ *
+ * `center` is where events that only have a region (no coordinates) are
+ * plotted. The ids are stored in events.region; keep them in sync with
+ * EVENT_REGIONS in server/src/utils/eventPayload.js and the schema check.
+ */
+export const WORLD_REGIONS = [
+  {
+    id: 'north-america',
+    name: 'North America',
+    center: [-100, 45],
+    outlines: [
+      [
+        [-168, 66], [-162, 70], [-140, 70], [-125, 70], [-95, 72], [-80, 73], [-62, 60],
+        [-56, 52], [-66, 45], [-70, 41], [-76, 35], [-81, 31], [-80, 25], [-82, 29],
+        [-90, 30], [-97, 26], [-97, 21], [-87, 21], [-83, 15], [-77, 8], [-80, 7],
+        [-86, 11], [-92, 14], [-105, 20], [-110, 23], [-114, 31], [-117, 33], [-124, 40],
+        [-124, 48], [-132, 55], [-140, 60], [-152, 59], [-165, 55], [-160, 59], [-166, 62]
+      ],
+      // Greenland
+      [
+        [-73, 78], [-60, 82], [-30, 83], [-20, 80], [-20, 70], [-43, 60], [-52, 64], [-57, 72]
+      ]
+    ]
+  },
+  {
+    id: 'south-america',
+    name: 'South America',
+    center: [-60, -15],
+    outlines: [
+      [
+        [-77, 8], [-72, 12], [-62, 11], [-52, 5], [-50, 0], [-35, -5], [-39, -13],
+        [-41, -22], [-48, -26], [-53, -34], [-58, -38], [-65, -42], [-66, -55], [-72, -53],
+        [-75, -45], [-73, -37], [-71, -30], [-70, -18], [-76, -14], [-81, -5], [-80, 1]
+      ]
+    ]
+  },
+  {
+    id: 'europe',
+    name: 'Europe',
+    center: [15, 52],
+    outlines: [
+      [
+        [-6, 36], [-9, 37], [-9, 43], [-2, 43.5], [-5, 48], [0, 49.5], [2, 51], [5, 53],
+        [8, 54], [8, 57], [5, 58], [5, 62], [10, 64], [15, 69], [25, 71], [31, 70],
+        [40, 67], [45, 68], [60, 69], [60, 50], [52, 47], [48, 42], [41, 41.5], [29, 41],
+        [26, 40], [24, 38], [22, 36.5], [21, 39], [19, 42], [13, 45], [12, 44], [16, 41],
+        [18, 40], [16, 38], [12, 41], [8, 44], [3, 43], [0, 39], [-2, 37]
+      ],
+      // Great Britain and Ireland
+      [
+        [-5, 50], [1, 51], [2, 53], [-2, 56], [-2, 58], [-5, 58.5], [-6, 56], [-3, 54], [-5, 52]
+      ],
+      [
+        [-10, 52], [-6, 52], [-6, 55], [-8, 55]
+      ]
+    ]
+  },
+  {
+    id: 'africa',
+    name: 'Africa',
+    center: [20, 5],
+    outlines: [
+      [
+        [-17, 21], [-17, 15], [-12, 7], [-8, 4.5], [-2, 5], [9, 4], [9, -1], [12, -5],
+        [14, -11], [12, -17], [15, -27], [18, -34], [26, -34], [33, -28], [35, -23],
+        [40, -16], [40, -10], [42, -1], [51, 11], [44, 11], [39, 16], [32, 30], [25, 32],
+        [20, 31], [19, 30.5], [10, 34], [10, 37], [-1, 35.5], [-6, 36], [-10, 30], [-13, 27]
+      ],
+      // Madagascar
+      [
+        [44, -25], [47, -25], [50, -15], [49, -12], [44, -17]
+      ]
+    ]
+  },
+  {
+    id: 'middle-east',
+    name: 'Middle East',
+    center: [45, 28],
+    outlines: [
+      [
+        [26, 40], [29, 41], [36, 42], [41, 41.5], [46, 41], [49, 38], [54, 37], [61, 36],
+        [61, 25], [57, 25.5], [56, 27], [52, 27], [48, 30], [50, 26], [51, 24], [56, 26],
+        [59, 22], [52, 16], [45, 13], [43, 13], [39, 21], [35, 28], [32, 30], [35, 32],
+        [36, 36], [30, 36.5], [27, 37]
+      ]
+    ]
+  },
+  {
+    id: 'south-asia',
+    name: 'South Asia',
+    center: [78, 22],
+    outlines: [
+      [
+        [61, 25], [61, 36], [66, 38], [71, 37], [75, 37], [79, 35], [81, 30], [88, 28],
+        [92, 28], [97, 28], [95, 24], [92, 22], [88, 22], [85, 20], [80, 15], [80, 10],
+        [77, 8], [76, 10], [73, 16], [72, 21], [68, 23], [66, 25]
+      ],
+      // Sri Lanka
+      [
+        [80, 10], [82, 7.5], [81, 6], [79.8, 7]
+      ]
+    ]
+  },
+  {
+    id: 'east-asia',
+    name: 'East Asia',
+    center: [108, 35],
+    outlines: [
+      [
+        [75, 37], [74, 40], [80, 43], [87, 49], [92, 51], [100, 52], [108, 50], [116, 50],
+        [120, 53], [127, 50], [134, 48], [131, 43], [129, 41], [130, 35], [126, 35],
+        [125, 39], [122, 40], [121, 37], [119, 35], [121, 31], [122, 30], [119, 25],
+        [114, 22], [108, 21], [106, 23], [100, 22], [98, 25], [97, 28], [92, 28], [88, 28],
+        [81, 30], [79, 35]
+      ],
+      // Japan
+      [
+        [130, 31], [135, 34], [140, 35], [142, 40], [141, 45], [145, 44], [140, 41],
+        [136, 37], [131, 34]
+      ],
+      // Taiwan
+      [
+        [120, 22], [122, 25], [121.5, 22]
+      ]
+    ]
+  },
+  {
+    id: 'southeast-asia',
+    name: 'Southeast Asia',
+    center: [110, 5],
+    outlines: [
+      [
+        [92, 22], [94, 16], [98, 16], [98, 8], [100, 6], [101, 3], [104, 1.3], [103, 5],
+        [100, 13], [102, 12], [105, 9], [109, 12], [108, 16], [106, 19], [108, 21],
+        [106, 23], [100, 22], [98, 25], [95, 24]
+      ],
+      // Sumatra, Java, Borneo, the Philippines
+      [
+        [95, 5], [98, 4], [106, -6], [102, -5]
+      ],
+      [
+        [105, -5.8], [111, -6.3], [114, -6.7], [114.5, -8.5], [106, -7.2]
+      ],
+      [
+        [109, 2], [117, 7], [119, 5], [116, -4], [110, -3]
+      ],
+      [
+        [120, 18], [122, 18], [126, 7], [122, 7], [120, 14]
+      ]
+    ]
+  },
+  {
+    id: 'northern-central-asia',
+    name: 'Northern & Central Asia',
+    center: [95, 60],
+    outlines: [
+      [
+        [60, 69], [70, 73], [80, 73], [100, 77], [113, 74], [130, 71], [140, 72], [160, 70],
+        [170, 70], [180, 69], [180, 65], [178, 62], [163, 60], [160, 53], [156, 51],
+        [156, 57], [143, 59], [138, 55], [141, 52], [135, 44], [131, 43], [134, 48],
+        [127, 50], [120, 53], [116, 50], [108, 50], [100, 52], [92, 51], [87, 49], [80, 43],
+        [74, 40], [75, 37], [71, 37], [66, 38], [61, 36], [54, 37], [53, 40], [50, 45],
+        [52, 47], [60, 50]
+      ]
+    ]
+  },
+  {
+    id: 'oceania',
+    name: 'Oceania',
+    center: [134, -25],
+    outlines: [
+      [
+        [114, -22], [122, -17], [130, -12], [137, -12], [136, -16], [142, -11], [146, -19],
+        [153, -25], [153.5, -28], [152.5, -32.5], [151.3, -34.5], [150, -37], [141, -38],
+        [135, -35], [131, -31], [124, -34], [115, -34], [113, -26]
+      ],
+      // New Guinea, New Zealand
+      [
+        [131, -1], [141, -3], [151, -10], [141, -9], [138, -8]
+      ],
+      [
+        [172, -34], [178, -38], [174, -41], [170, -46], [167, -46], [172, -41]
+      ]
+    ]
+  },
+  {
+    id: 'antarctica',
+    name: 'Antarctica',
+    center: [0, -80],
+    outlines: [
+      [
+        [-180, -66], [-120, -73], [-60, -63], [-30, -76], [0, -70], [60, -67], [90, -66],
+        [140, -66], [180, -67], [180, -90], [-180, -90]
+      ]
+    ]
+  }
+]
+
+export const WORLD_REGION_IDS = WORLD_REGIONS.map((region) => region.id)
+
+const REGIONS_BY_ID = new Map(WORLD_REGIONS.map((region) => [region.id, region]))
+
+export function getWorldRegion(id) {
+  return REGIONS_BY_ID.get(id) || null
+}
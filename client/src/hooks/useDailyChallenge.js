@@ -0,0 +1,119 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  fetchDailyChallenge,
+  fetchDailyStatus,
+  submitDailyAttempt,
+  loadDailyPlayer,
+  saveDailyPlayer,
+  loadDailyProgress,
+  saveDailyProgress
+} from '../utils/dailyChallenge'
+
+/**
+ * Today's daily challenge for the named player: the day's events, the
+ * guesses placed so far and, once all are in, the saved attempt and streak.
+ * Nothing is fetched until `enabled` (the Daily mode is picked).
+ */
+export function useDailyChallenge(enabled) {
+  const [daily, setDaily] = useState(null)
+  const [player, setPlayerName] = useState(loadDailyPlayer)
+  const [progress, setProgress] = useState([])
+  const [attempt, setAttempt] = useState(null)
+  const [streak, setStreak] = useState(0)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!enabled || daily) return undefined
+    let cancelled = false
+    setLoading(true)
+    setError('')
+    fetchDailyChallenge()
+      .then((data) => {
+        if (!cancelled) setDaily(data)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load the daily challenge')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [enabled, daily])
+
+  useEffect(() => {
+    setAttempt(null)
+    setStreak(0)
+    if (!enabled || !daily || !player) {
+      setProgress([])
+      return undefined
+    }
+    setProgress(loadDailyProgress(daily.date, player))
+
+    let cancelled = false
+    fetchDailyStatus(player, daily.date)
+      .then((status) => {
+        if (cancelled) return
+        setAttempt(status.attempt)
+        setStreak(status.streak)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load your daily challenge status')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [enabled, daily, player])
+
+  const setPlayer = useCallback((name) => {
+    const trimmed = name.trim()
+    saveDailyPlayer(trimmed)
+    setPlayerName(trimmed)
+    setError('')
+  }, [])
+
+  const submit = useCallback(async (guesses) => {
+    try {
+      const saved = await submitDailyAttempt(player, daily.date, guesses)
+      setAttempt(saved)
+      setStreak(saved.streak)
+      setError('')
+    } catch (err) {
+      setError(err.message || 'Could not save your daily challenge')
+    }
+  }, [player, daily])
+
+  /**
+   * Adds the guess for the current event; the attempt is saved once every
+   * event has one.
+   * @param {{ event_id: string, years_ago: number, points: number }} guess
+   */
+  const recordDailyGuess = useCallback((guess) => {
+    if (!daily || !player) return
+    const guesses = [...progress, guess]
+    setProgress(guesses)
+    saveDailyProgress(daily.date, player, guesses)
+    if (guesses.length === daily.event_ids.length) {
+      submit(guesses)
+    }
+  }, [daily, player, progress, submit])
+
+  const retrySubmit = useCallback(() => {
+    if (daily && progress.length === daily.event_ids.length) submit(progress)
+  }, [daily, progress, submit])
+
+  return {
+    daily,
+    player,
+    setPlayer,
+    progress,
+    attempt,
+    streak,
+    loading,
+    error,
+    recordDailyGuess,
+    retrySubmit
+  }
+}
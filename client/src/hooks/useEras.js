@@ -0,0 +1,116 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../utils/supabase'
+import { DEFAULT_ERAS } from '../data/eras'
+
+const ERA_COLUMNS = ['name', 'rank', 'start_years_ago', 'end_years_ago', 'color']
+
+function toReadableError(error, fallbackMessage) {
+  if (!error) return fallbackMessage
+  if (error.code === '42501') return 'Not authorized. Please sign in with an admin account.'
+  if (error.code === '23514') return 'Check the era: its start must be older than its end'
+  return error.message || fallbackMessage
+}
+
+const toEraRow = (era) => Object.fromEntries(
+  ERA_COLUMNS.filter((key) => era[key] !== undefined).map((key) => [key, era[key]])
+)
+
+const sortEras = (eras) => [...eras].sort((a, b) => b.start_years_ago - a.start_years_ago)
+
+/**
+ * The era dataset behind the era bands: the `eras` table, edited by admins
+ * in the dashboard. Until the table has rows (or when it can't be read),
+ * the built-in ICS and human-history eras from data/eras.js are used.
+ */
+export function useEras() {
+  const [storedEras, setStoredEras] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchEras = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const { data, error: fetchError } = await supabase
+        .from('eras')
+        .select('*')
+        .order('start_years_ago', { ascending: false })
+      if (fetchError) throw fetchError
+      setStoredEras(data)
+    } catch (err) {
+      setError(toReadableError(err, 'Failed to fetch eras'))
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchEras()
+  }, [fetchEras])
+
+  const createEra = async (era) => {
+    const { data, error: createError } = await supabase
+      .from('eras')
+      .insert([toEraRow({ ...era, name: era.name.trim() })])
+      .select()
+      .single()
+    if (createError) {
+      throw new Error(toReadableError(createError, 'Failed to create era'))
+    }
+    setStoredEras(prev => sortEras([...prev, data]))
+    return data
+  }
+
+  const updateEra = async (id, updates) => {
+    const { data, error: updateError } = await supabase
+      .from('eras')
+      .update(toEraRow(updates.name === undefined ? updates : { ...updates, name: updates.name.trim() }))
+      .eq('id', id)
+      .select()
+      .single()
+    if (updateError) {
+      throw new Error(toReadableError(updateError, 'Failed to update era'))
+    }
+    setStoredEras(prev => sortEras(prev.map(e => e.id === id ? data : e)))
+    return data
+  }
+
+  const deleteEra = async (id) => {
+    const { error: deleteError } = await supabase
+      .from('eras')
+      .delete()
+      .eq('id', id)
+    if (deleteError) {
+      throw new Error(toReadableError(deleteError, 'Failed to delete era'))
+    }
+    setStoredEras(prev => prev.filter(e => e.id !== id))
+  }
+
+  // Copies the built-in eras into the table so they can be edited
+  const importDefaultEras = async () => {
+    const { data, error: insertError } = await supabase
+      .from('eras')
+      .insert(DEFAULT_ERAS.map(toEraRow))
+      .select()
+    if (insertError) {
+      throw new Error(toReadableError(insertError, 'Failed to add the built-in eras'))
+    }
+    setStoredEras(prev => sortEras([...prev, ...data]))
+    return data
+  }
+
+  const usingDefaults = storedEras.length === 0
+
+  return {
+    eras: usingDefaults ? DEFAULT_ERAS : storedEras,
+    storedEras,
+    usingDefaults,
+    loading,
+    error,
+    refetch: fetchEras,
+    createEra,
+    updateEra,
+    deleteEra,
+    importDefaultEras
+  }
+}
@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../utils/supabase'
+import { withTimeout } from '../utils/asyncTimeout'
+
+const REQUEST_TIMEOUT_MS = 15000
+
+/**
+ * Revisions recorded for one event (newest first). Rows come from the
+ * `revisions` table, which the database fills by trigger on every write.
+ * @param {string|null} eventId
+ */
+export function useEventHistory(eventId) {
+  const [revisions, setRevisions] = useState([])
+  const [loading, setLoading] = useState(Boolean(eventId))
+  const [error, setError] = useState(null)
+
+  const fetchRevisions = useCallback(async () => {
+    if (!eventId) {
+      setRevisions([])
+      setLoading(false)
+      return
+    }
+    try {
+      setLoading(true)
+      setError(null)
+      const { data, error: fetchError } = await withTimeout(
+        supabase
+          .from('revisions')
+          .select('*')
+          .eq('entity_type', 'event')
+          .eq('entity_id', eventId)
+          .order('changed_at', { ascending: false }),
+        REQUEST_TIMEOUT_MS,
+        'Request timed out while loading history. Check local network or Supabase status.'
+      )
+      if (fetchError) throw fetchError
+      setRevisions(data)
+    } catch (err) {
+      setError(err.message || 'Failed to load history')
+    } finally {
+      setLoading(false)
+    }
+  }, [eventId])
+
+  useEffect(() => {
+    fetchRevisions()
+  }, [fetchRevisions])
+
+  return { revisions, loading, error, refetch: fetchRevisions }
+}
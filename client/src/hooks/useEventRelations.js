@@ -0,0 +1,110 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../utils/supabase'
+import { DEFAULT_RELATION_TYPE, findRelation as findRelationIn } from '../utils/eventRelations'
+
+function toReadableError(error, fallbackMessage) {
+  if (!error) return fallbackMessage
+  if (error.code === '42501') return 'Not authorized. Please sign in with an admin account.'
+  if (error.code === '23505') return 'These events are already related'
+  return error.message || fallbackMessage
+}
+
+/**
+ * Typed relations between events (see utils/eventRelations.js). Listed in the
+ * event detail, drawn as arrows on the timeline and as connectors in
+ * comparison mode.
+ */
+export function useEventRelations() {
+  const [relations, setRelations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchRelations = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const { data, error: fetchError } = await supabase
+        .from('event_relations')
+        .select('*')
+        .order('created_at', { ascending: true })
+      if (fetchError) throw fetchError
+      setRelations(data)
+    } catch (err) {
+      setError(toReadableError(err, 'Failed to fetch related events'))
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchRelations()
+  }, [fetchRelations])
+
+  const findRelation = useCallback((sourceEventId, targetEventId, type = DEFAULT_RELATION_TYPE) => (
+    findRelationIn(relations, type, sourceEventId, targetEventId)
+  ), [relations])
+
+  const createRelation = async (sourceEventId, targetEventId, type = DEFAULT_RELATION_TYPE) => {
+    if (findRelation(sourceEventId, targetEventId, type)) {
+      throw new Error('These events are already related')
+    }
+    const { data, error: createError } = await supabase
+      .from('event_relations')
+      .insert([{ source_event_id: sourceEventId, target_event_id: targetEventId, relation_type: type }])
+      .select()
+      .single()
+    if (createError) {
+      throw new Error(toReadableError(createError, 'Failed to relate events'))
+    }
+    setRelations(prev => [...prev, data])
+    return data
+  }
+
+  // Changes the type and/or the ends (both ends together)
+  const updateRelation = async (id, updates) => {
+    const current = relations.find(r => r.id === id)
+    const next = { ...current, ...updates }
+    const duplicate = findRelationIn(
+      relations.filter(r => r.id !== id),
+      next.relation_type,
+      next.source_event_id,
+      next.target_event_id
+    )
+    if (duplicate) {
+      throw new Error('These events are already related')
+    }
+    const { data, error: updateError } = await supabase
+      .from('event_relations')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single()
+    if (updateError) {
+      throw new Error(toReadableError(updateError, 'Failed to update relation'))
+    }
+    setRelations(prev => prev.map(r => r.id === id ? data : r))
+    return data
+  }
+
+  const deleteRelation = async (id) => {
+    const { error: deleteError } = await supabase
+      .from('event_relations')
+      .delete()
+      .eq('id', id)
+    if (deleteError) {
+      throw new Error(toReadableError(deleteError, 'Failed to remove relation'))
+    }
+    setRelations(prev => prev.filter(r => r.id !== id))
+  }
+
+  return {
+    relations,
+    loading,
+    error,
+    refetch: fetchRelations,
+    findRelation,
+    createRelation,
+    updateRelation,
+    deleteRelation
+  }
+}
@@ -11,8 +11,37 @@ import {
   isLocalEventId,
   toRemoteEventPayload
 } from '../utils/localEvents'
+import { getDescendantIds } from '../utils/eventHierarchy'
 
 const REQUEST_TIMEOUT_MS = 15000
+// Events are read through this view, which adds their label names as `labels`;
+// writes go to the events table and set_event_labels()
+const EVENTS_VIEW = 'events_with_labels'
+
+// Columns a revision snapshot may write back; ids, timestamps and the
+// trigger-maintained position columns are left to the database
+const RESTORABLE_EVENT_COLUMNS = [
+  'title',
+  'description',
+  'image_url',
+  'source_url',
+  'youtube_url',
+  'attribution_text',
+  'is_published',
+  'license_type',
+  'date_type',
+  'start_date',
+  'end_date',
+  'astronomical_start_year',
+  'astronomical_end_year',
+  'date_precision',
+  'uncertainty_years',
+  'latitude',
+  'longitude',
+  'region',
+  'parent_id',
+  'external_key'
+]
 
 function toReadableError(error, fallbackMessage) {
   if (!error) return fallbackMessage
@@ -20,6 +49,34 @@ function toReadableError(error, fallbackMessage) {
   return error.message || fallbackMessage
 }
 
+// Replaces an event's labels; resolves to the label names now on the event
+async function saveEventLabels(eventId, labels) {
+  const { data, error } = await withTimeout(
+    supabase.rpc('set_event_labels', { target_event_id: eventId, label_names: labels }),
+    REQUEST_TIMEOUT_MS,
+    'Request timed out while saving labels. Check local network or Supabase status.'
+  )
+  if (error) {
+    throw new Error(toReadableError(error, 'Failed to save event labels'))
+  }
+  return data
+}
+
+async function fetchEventsWithLabels(ids, fallbackMessage) {
+  const { data, error } = await withTimeout(
+    supabase
+      .from(EVENTS_VIEW)
+      .select('*')
+      .in('id', ids),
+    REQUEST_TIMEOUT_MS,
+    'Request timed out while loading events. Check local network or Supabase status.'
+  )
+  if (error) {
+    throw new Error(toReadableError(error, fallbackMessage))
+  }
+  return data
+}
+
 export function useEvents() {
   const { isAdmin, loading: authLoading } = useAuth()
   const canWriteRemote = isAdmin
@@ -39,8 +96,9 @@ export function useEvents() {
       setError(null)
       const { data, error: fetchError } = await withTimeout(
         supabase
-          .from('events')
+          .from(EVENTS_VIEW)
           .select('*')
+          .is('deleted_at', null)
           .order('created_at', { ascending: true }),
         REQUEST_TIMEOUT_MS,
         'Request timed out while fetching events. Check local network or Supabase status.'
@@ -77,10 +135,11 @@ export function useEvents() {
       return newEvent
     }
 
-    const { data: newEvent, error: createError } = await withTimeout(
+    const { labels = [], ...row } = eventData
+    const { data: createdRow, error: createError } = await withTimeout(
       supabase
         .from('events')
-        .insert([eventData])
+        .insert([row])
         .select()
         .single(),
       REQUEST_TIMEOUT_MS,
@@ -89,6 +148,7 @@ export function useEvents() {
     if (createError) {
       throw new Error(toReadableError(createError, 'Failed to create event'))
     }
+    const newEvent = { ...createdRow, labels: await saveEventLabels(createdRow.id, labels) }
     setRemoteEvents(prev => [...prev, newEvent])
     return newEvent
   }
@@ -104,10 +164,12 @@ export function useEvents() {
       return updated
     }
 
-    const { data: updatedEvent, error: updateError } = await withTimeout(
+    // Labels are only rewritten when the update includes them
+    const { labels, ...row } = eventData
+    const { data: updatedRow, error: updateError } = await withTimeout(
       supabase
         .from('events')
-        .update(eventData)
+        .update(row)
         .eq('id', id)
         .select()
         .single(),
@@ -117,6 +179,9 @@ export function useEvents() {
     if (updateError) {
       throw new Error(toReadableError(updateError, 'Failed to update event'))
     }
+    const updatedEvent = labels === undefined
+      ? { ...updatedRow, labels: remoteEvents.find(e => e.id === id)?.labels ?? [] }
+      : { ...updatedRow, labels: await saveEventLabels(id, labels) }
     setRemoteEvents(prev => prev.map(e => e.id === id ? updatedEvent : e))
     return updatedEvent
   }
@@ -132,18 +197,143 @@ export function useEvents() {
       return
     }
 
+    // Soft delete: the event and everything nested under it move to the trash together
+    const deletedAt = new Date().toISOString()
+    const ids = [id, ...getDescendantIds(remoteEvents, id)]
     const { error: deleteError } = await withTimeout(
       supabase
         .from('events')
-        .delete()
-        .eq('id', id),
+        .update({ deleted_at: deletedAt })
+        .in('id', ids)
+        .is('deleted_at', null),
       REQUEST_TIMEOUT_MS,
       'Request timed out while deleting event. Check local network or Supabase status.'
     )
     if (deleteError) {
       throw new Error(toReadableError(deleteError, 'Failed to delete event'))
     }
-    setRemoteEvents(prev => prev.filter(e => e.id !== id))
+    setRemoteEvents(prev => prev.filter(e => !ids.includes(e.id)))
+    return { id, deleted_at: deletedAt }
+  }
+
+  const fetchDeletedEvents = async () => {
+    const { data, error: fetchError } = await withTimeout(
+      supabase
+        .from(EVENTS_VIEW)
+        .select('*')
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false }),
+      REQUEST_TIMEOUT_MS,
+      'Request timed out while loading the trash. Check local network or Supabase status.'
+    )
+    if (fetchError) {
+      throw new Error(toReadableError(fetchError, 'Failed to load deleted events'))
+    }
+    return data
+  }
+
+  // Restores the event plus the events nested under it that were trashed in the same delete
+  const restoreEvent = async ({ id, deleted_at: deletedAt }) => {
+    assertAuthReady()
+    if (!canWriteRemote) {
+      throw new Error('Not authorized. Please sign in with an admin account.')
+    }
+
+    const { data: batch, error: batchError } = await withTimeout(
+      supabase
+        .from('events')
+        .select('id, parent_id')
+        .eq('deleted_at', deletedAt),
+      REQUEST_TIMEOUT_MS,
+      'Request timed out while restoring event. Check local network or Supabase status.'
+    )
+    if (batchError) {
+      throw new Error(toReadableError(batchError, 'Failed to restore event'))
+    }
+
+    const { data: restoredRows, error: restoreError } = await withTimeout(
+      supabase
+        .from('events')
+        .update({ deleted_at: null })
+        .in('id', [id, ...getDescendantIds(batch, id)])
+        .select('id'),
+      REQUEST_TIMEOUT_MS,
+      'Request timed out while restoring event. Check local network or Supabase status.'
+    )
+    if (restoreError) {
+      throw new Error(toReadableError(restoreError, 'Failed to restore event'))
+    }
+    const restored = await fetchEventsWithLabels(restoredRows.map(e => e.id), 'Failed to load restored events')
+    setRemoteEvents(prev => [...prev, ...restored])
+    return restored
+  }
+
+  // Permanently removes a trashed event; sub-events cascade
+  const purgeEvent = async (id) => {
+    assertAuthReady()
+    if (!canWriteRemote) {
+      throw new Error('Not authorized. Please sign in with an admin account.')
+    }
+
+    const { error: purgeError } = await withTimeout(
+      supabase
+        .from('events')
+        .delete()
+        .eq('id', id)
+        .not('deleted_at', 'is', null),
+      REQUEST_TIMEOUT_MS,
+      'Request timed out while deleting event. Check local network or Supabase status.'
+    )
+    if (purgeError) {
+      throw new Error(toReadableError(purgeError, 'Failed to delete event permanently'))
+    }
+  }
+
+  // Writes a revision snapshot back; also recreates purged rows and undeletes trashed ones
+  const restoreEventVersion = async (snapshot) => {
+    assertAuthReady()
+    if (!canWriteRemote) {
+      throw new Error('Not authorized. Please sign in with an admin account.')
+    }
+
+    const payload = { id: snapshot.id, deleted_at: null }
+    RESTORABLE_EVENT_COLUMNS.forEach((column) => {
+      if (column in snapshot) payload[column] = snapshot[column]
+    })
+
+    const { error: restoreError } = await withTimeout(
+      supabase
+        .from('events')
+        .upsert(payload),
+      REQUEST_TIMEOUT_MS,
+      'Request timed out while restoring event. Check local network or Supabase status.'
+    )
+    if (restoreError) {
+      throw new Error(toReadableError(restoreError, 'Failed to restore this version'))
+    }
+    // Snapshots list labels by id; older ones have none, so the event keeps its current labels
+    if (Array.isArray(snapshot.label_ids)) {
+      const { data: snapshotLabels, error: labelsError } = await withTimeout(
+        supabase
+          .from('labels')
+          .select('name')
+          .in('id', snapshot.label_ids),
+        REQUEST_TIMEOUT_MS,
+        'Request timed out while restoring labels. Check local network or Supabase status.'
+      )
+      if (labelsError) {
+        throw new Error(toReadableError(labelsError, 'Failed to restore labels'))
+      }
+      // Labels deleted since then are gone for good
+      await saveEventLabels(snapshot.id, snapshotLabels.map(label => label.name))
+    }
+    const [restored] = await fetchEventsWithLabels([snapshot.id], 'Failed to load the restored event')
+    setRemoteEvents(prev => (
+      prev.some(e => e.id === restored.id)
+        ? prev.map(e => e.id === restored.id ? restored : e)
+        : [...prev, restored]
+    ))
+    return restored
   }
 
   const syncLocalEventsToRemote = async () => {
@@ -159,7 +349,7 @@ export function useEvents() {
     const parents = locals.filter((e) => !e.parent_id)
     const children = locals.filter((e) => e.parent_id)
 
-    const insertOne = async (payload) => {
+    const insertOne = async ({ labels, ...payload }) => {
       const { data, error: createError } = await withTimeout(
         supabase
           .from('events')
@@ -172,7 +362,7 @@ export function useEvents() {
       if (createError) {
         throw new Error(toReadableError(createError, 'Failed to sync local events'))
       }
-      return data
+      return { ...data, labels: await saveEventLabels(data.id, labels) }
     }
 
     const created = []
@@ -228,6 +418,10 @@ export function useEvents() {
     createEvent,
     updateEvent,
     deleteEvent,
+    fetchDeletedEvents,
+    restoreEvent,
+    purgeEvent,
+    restoreEventVersion,
     syncLocalEventsToRemote
   }
 }
@@ -0,0 +1,60 @@
+import { useState, useRef, useCallback } from 'react'
+import { createGameSession, saveGameRound, toApiGuess } from '../utils/gameRecords'
+
+// The server's cap on rounds per session (MAX_SESSION_ROUNDS)
+const MAX_SESSION_ROUNDS = 100
+
+/**
+ * Saves finished guessing-game rounds to the API server. Rounds share a
+ * session until the mode, label filter or roster changes (or the session is
+ * full), and saving is
+ * best-effort: a failure is reported through `saveError` but never stops play.
+ */
+export function useGameRecorder() {
+  const sessionRef = useRef(null)
+  const [sessionId, setSessionId] = useState(null)
+  const [saveError, setSaveError] = useState('')
+
+  const ensureSession = useCallback(async ({ mode, filters, players }) => {
+    const key = JSON.stringify({ mode, filters, players: players.map((player) => player.name) })
+    const current = sessionRef.current
+    if (current?.key === key && current.rounds < MAX_SESSION_ROUNDS) return current
+
+    sessionRef.current = null
+    setSessionId(null)
+    const session = await createGameSession({
+      mode,
+      filters,
+      players: players.map((player) => player.name)
+    })
+    // The server returns the roster in the order it was sent
+    const playerIds = Object.fromEntries(players.map((player, index) => [player.id, session.players[index]?.id]))
+    sessionRef.current = { key, id: session.id, playerIds, rounds: 0 }
+    setSessionId(session.id)
+    return sessionRef.current
+  }, [])
+
+  /**
+   * @param {Object} round
+   * @param {string} round.mode
+   * @param {Object} round.filters - { labels, filter_mode, label_match }
+   * @param {Object[]} round.players - the roster, empty when playing solo
+   * @param {Array<string|number>} round.eventIds
+   * @param {Object[]} round.guesses - Game.jsx guesses, in turn order
+   */
+  const recordRound = useCallback(async ({ mode, filters, players, eventIds, guesses }) => {
+    try {
+      const session = await ensureSession({ mode, filters, players })
+      await saveGameRound(session.id, {
+        event_ids: eventIds.map(String),
+        guesses: guesses.map((guess) => toApiGuess(guess, session.playerIds[guess.playerId] ?? null))
+      })
+      session.rounds += 1
+      setSaveError('')
+    } catch (err) {
+      setSaveError(err.message || 'Could not save this round')
+    }
+  }, [ensureSession])
+
+  return { sessionId, saveError, recordRound }
+}
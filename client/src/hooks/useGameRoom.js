@@ -0,0 +1,240 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { getApiSocketUrl } from '../utils/api'
+import { toApiGuess, fromApiGuess } from '../utils/gameRecords'
+
+const GAME_ROOMS_PATH = '/api/game/rooms'
+// Per tab rather than localStorage, so each tab can sit in a room as its own player
+const SEAT_STORAGE_KEY = 'history-arrow-game-room'
+const RECONNECT_DELAYS_MS = [1000, 2000, 4000, 8000]
+// The server closes a connection with this code when the seat is resumed elsewhere
+const REPLACED_CLOSE_CODE = 4000
+
+export const ROOM_PHASE = {
+  LOBBY: 'lobby',
+  GUESSING: 'guessing',
+  REVEAL: 'reveal'
+}
+
+export const ROOM_STATUS = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting'
+}
+
+function loadSeat() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SEAT_STORAGE_KEY) || 'null')
+  } catch {
+    return null
+  }
+}
+
+function saveSeat(seat) {
+  try {
+    if (seat) sessionStorage.setItem(SEAT_STORAGE_KEY, JSON.stringify(seat))
+    else sessionStorage.removeItem(SEAT_STORAGE_KEY)
+  } catch {
+    // Private browsing; a reload just leaves the room
+  }
+}
+
+// The server's room in Game.jsx's shape; guesses are only filled in at the reveal
+const toRoom = (room) => ({
+  code: room.code,
+  hostId: room.host_id,
+  phase: room.phase,
+  settings: {
+    mode: room.settings.mode,
+    labels: room.settings.filters.labels,
+    filterMode: room.settings.filters.filter_mode,
+    labelMatch: room.settings.filters.label_match
+  },
+  players: room.players.map((player) => ({
+    id: player.id,
+    name: player.name,
+    color: player.color,
+    score: player.score,
+    connected: player.connected,
+    hasGuessed: player.has_guessed
+  })),
+  round: room.round && {
+    number: room.round.number,
+    mode: room.round.mode,
+    eventIds: room.round.event_ids,
+    timeLeftMs: room.round.time_left_ms,
+    guesses: room.round.guesses.map((guess) => ({
+      playerId: guess.player_id,
+      resultText: guess.result_text,
+      ...fromApiGuess(guess)
+    }))
+  }
+})
+
+/**
+ * This tab's seat in an online game room (/api/game/rooms on the API
+ * server). The room's state arrives over a WebSocket after every change. A
+ * dropped connection reconnects on its own, and a reloaded tab resumes its
+ * seat, until the server has given the seat away.
+ */
+export function useGameRoom() {
+  const [status, setStatus] = useState(ROOM_STATUS.IDLE)
+  const [room, setRoom] = useState(null)
+  const [playerId, setPlayerId] = useState(null)
+  const [error, setError] = useState('')
+  const socketRef = useRef(null)
+  const seatRef = useRef(null)
+  const retryRef = useRef({ attempt: 0, timer: null })
+
+  const forgetSeat = useCallback(() => {
+    seatRef.current = null
+    saveSeat(null)
+    setRoom(null)
+    setPlayerId(null)
+    setStatus(ROOM_STATUS.IDLE)
+  }, [])
+
+  const closeSocket = useCallback(() => {
+    clearTimeout(retryRef.current.timer)
+    const socket = socketRef.current
+    socketRef.current = null
+    socket?.close()
+  }, [])
+
+  // Opens a new connection that starts with `firstMessage` (create, join or resume)
+  const connect = useCallback((firstMessage) => {
+    closeSocket()
+    setStatus(seatRef.current ? ROOM_STATUS.RECONNECTING : ROOM_STATUS.CONNECTING)
+
+    const socket = new WebSocket(getApiSocketUrl(GAME_ROOMS_PATH))
+    socketRef.current = socket
+
+    socket.addEventListener('open', () => {
+      socket.send(JSON.stringify(firstMessage))
+    })
+
+    socket.addEventListener('message', (messageEvent) => {
+      if (socketRef.current !== socket) return
+      let message
+      try {
+        message = JSON.parse(messageEvent.data)
+      } catch {
+        return
+      }
+
+      if (message.type === 'joined') {
+        seatRef.current = { code: message.code, token: message.token }
+        saveSeat(seatRef.current)
+        retryRef.current.attempt = 0
+        setPlayerId(message.player_id)
+        setStatus(ROOM_STATUS.CONNECTED)
+        setError('')
+      } else if (message.type === 'state') {
+        setRoom(toRoom(message.room))
+      } else if (message.type === 'room_closed') {
+        closeSocket()
+        forgetSeat()
+        setError('That room has closed. Create or join another one.')
+      } else if (message.type === 'error') {
+        setError(message.message)
+        // A create or join that failed leaves nothing to stay connected for
+        if (!seatRef.current) {
+          closeSocket()
+          setStatus(ROOM_STATUS.IDLE)
+        }
+      }
+    })
+
+    socket.addEventListener('close', (closeEvent) => {
+      if (socketRef.current !== socket) return
+      socketRef.current = null
+
+      if (closeEvent.code === REPLACED_CLOSE_CODE) {
+        forgetSeat()
+        setError('This seat is now playing in another tab.')
+        return
+      }
+      if (!seatRef.current) {
+        setStatus(ROOM_STATUS.IDLE)
+        setError('Could not reach the game server. Is the API server running?')
+        return
+      }
+
+      const retry = retryRef.current
+      const delay = RECONNECT_DELAYS_MS[Math.min(retry.attempt, RECONNECT_DELAYS_MS.length - 1)]
+      retry.attempt += 1
+      setStatus(ROOM_STATUS.RECONNECTING)
+      retry.timer = setTimeout(() => {
+        if (seatRef.current) connect({ type: 'resume', ...seatRef.current })
+      }, delay)
+    })
+  }, [closeSocket, forgetSeat])
+
+  // A reloaded tab picks its seat back up
+  useEffect(() => {
+    const seat = loadSeat()
+    if (seat) {
+      seatRef.current = seat
+      connect({ type: 'resume', ...seat })
+    }
+    return closeSocket
+  }, [connect, closeSocket])
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current
+    if (socket?.readyState !== WebSocket.OPEN) {
+      setError('Not connected to the room right now; try again in a moment.')
+      return
+    }
+    socket.send(JSON.stringify(message))
+  }, [])
+
+  const createRoom = useCallback((name) => {
+    setError('')
+    connect({ type: 'create', name })
+  }, [connect])
+
+  const joinRoom = useCallback((code, name) => {
+    setError('')
+    connect({ type: 'join', code, name })
+  }, [connect])
+
+  const leaveRoom = useCallback(() => {
+    send({ type: 'leave' })
+    closeSocket()
+    forgetSeat()
+    setError('')
+  }, [send, closeSocket, forgetSeat])
+
+  const updateSettings = useCallback(({ mode, labels, filterMode, labelMatch }) => {
+    send({ type: 'settings', mode, filters: { labels, filter_mode: filterMode, label_match: labelMatch } })
+  }, [send])
+
+  const startRound = useCallback((eventIds) => {
+    send({ type: 'start_round', event_ids: eventIds })
+  }, [send])
+
+  /** @param {Object} result - a Game.jsx guess: resultText and the mode's answer */
+  const submitGuess = useCallback((result) => {
+    const { answer } = toApiGuess(result, null)
+    send({ type: 'guess', guess: { answer, result_text: result.resultText } })
+  }, [send])
+
+  const revealNow = useCallback(() => {
+    send({ type: 'reveal' })
+  }, [send])
+
+  return {
+    status,
+    room,
+    playerId,
+    error,
+    createRoom,
+    joinRoom,
+    leaveRoom,
+    updateSettings,
+    startRound,
+    submitGuess,
+    revealNow
+  }
+}
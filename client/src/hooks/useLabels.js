@@ -51,30 +51,12 @@ export function useLabels() {
     return newLabel
   }
 
+  // Events reference labels by id (event_labels), so renaming needs no event updates
   const updateLabel = async (id, { name, color }) => {
-    const { data: existing, error: findError } = await supabase
-      .from('labels')
-      .select('*')
-      .eq('id', id)
-      .single()
-    if (findError) {
-      throw new Error(toReadableError(findError, 'Failed to update label'))
-    }
-
     const updates = {}
     if (name !== undefined) updates.name = name.trim().toLowerCase()
     if (color !== undefined) updates.color = color.trim()
 
-    if (updates.name && updates.name !== existing.name) {
-      const { error: relabelEventsError } = await supabase
-        .from('events')
-        .update({ label: updates.name })
-        .eq('label', existing.name)
-      if (relabelEventsError) {
-        throw new Error(toReadableError(relabelEventsError, 'Failed to update label usage on events'))
-      }
-    }
-
     const { data: updated, error: updateError } = await supabase
       .from('labels')
       .update(updates)
@@ -88,24 +70,8 @@ export function useLabels() {
     return updated
   }
 
+  // Removing the label also removes it from its events (event_labels cascades)
   const deleteLabel = async (id) => {
-    const { data: label, error: findError } = await supabase
-      .from('labels')
-      .select('name')
-      .eq('id', id)
-      .single()
-    if (findError) {
-      throw new Error(toReadableError(findError, 'Failed to delete label'))
-    }
-
-    const { error: clearEventLabelsError } = await supabase
-      .from('events')
-      .update({ label: null })
-      .eq('label', label.name)
-    if (clearEventLabelsError) {
-      throw new Error(toReadableError(clearEventLabelsError, 'Failed to detach label from events'))
-    }
-
     const { error: deleteError } = await supabase
       .from('labels')
       .delete()
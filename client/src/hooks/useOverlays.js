@@ -0,0 +1,117 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { OVERLAY_MANIFEST_FILE, parseOverlayManifest, parseOverlayData } from '../utils/overlays'
+
+const OVERLAY_DATA_PATH = '/data/'
+const ACTIVE_OVERLAYS_STORAGE_KEY = 'history-arrow-overlays'
+
+// Shared by every timeline on the page (comparison mode has two)
+let manifestRequest = null
+const datasetRequests = new Map()
+
+function loadManifest() {
+  if (!manifestRequest) {
+    manifestRequest = fetch(`${OVERLAY_DATA_PATH}${OVERLAY_MANIFEST_FILE}`)
+      .then((response) => {
+        if (!response.ok) throw new Error(`Failed to load ${OVERLAY_MANIFEST_FILE}`)
+        return response.json()
+      })
+      .then(parseOverlayManifest)
+      .catch((error) => {
+        manifestRequest = null
+        throw error
+      })
+  }
+  return manifestRequest
+}
+
+function loadDataset(overlay, currentYear) {
+  if (!datasetRequests.has(overlay.id)) {
+    const request = fetch(`${OVERLAY_DATA_PATH}${overlay.file}`)
+      .then((response) => {
+        if (!response.ok) throw new Error(`Failed to load ${overlay.file}`)
+        return overlay.format === 'json' ? response.json() : response.text()
+      })
+      .then((content) => parseOverlayData(overlay, content, currentYear))
+      .catch((error) => {
+        datasetRequests.delete(overlay.id)
+        throw error
+      })
+    datasetRequests.set(overlay.id, request)
+  }
+  return datasetRequests.get(overlay.id)
+}
+
+// Null until the user picks layers; the manifest's defaultVisible applies until then
+const loadActiveOverlayIds = () => {
+  try {
+    const parsed = JSON.parse(sessionStorage.getItem(ACTIVE_OVERLAYS_STORAGE_KEY) || 'null')
+    return Array.isArray(parsed) ? parsed.filter((id) => typeof id === 'string') : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Data overlays registered in public/data/overlays.json (see utils/overlays.js).
+ * Only the layers switched on are fetched; the choice lasts for the session.
+ * @param {number} currentYear - Calendar year the timeline counts back from
+ */
+export function useOverlays(currentYear) {
+  const [overlays, setOverlays] = useState([])
+  const [seriesById, setSeriesById] = useState(() => new Map())
+  const [storedActiveIds, setStoredActiveIds] = useState(loadActiveOverlayIds)
+
+  useEffect(() => {
+    let cancelled = false
+    loadManifest()
+      .then((loaded) => {
+        if (!cancelled) setOverlays(loaded)
+      })
+      .catch((error) => {
+        console.error('Could not load data overlays:', error)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const activeOverlays = useMemo(() => (
+    overlays.filter((overlay) => (
+      storedActiveIds ? storedActiveIds.includes(overlay.id) : overlay.defaultVisible
+    ))
+  ), [overlays, storedActiveIds])
+
+  useEffect(() => {
+    let cancelled = false
+    activeOverlays.forEach((overlay) => {
+      loadDataset(overlay, currentYear)
+        .then((series) => {
+          if (cancelled) return
+          setSeriesById((prev) => (
+            prev.get(overlay.id) === series ? prev : new Map(prev).set(overlay.id, series)
+          ))
+        })
+        .catch((error) => {
+          console.error(`Could not load the ${overlay.name} overlay:`, error)
+        })
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [activeOverlays, currentYear])
+
+  useEffect(() => {
+    if (storedActiveIds) {
+      sessionStorage.setItem(ACTIVE_OVERLAYS_STORAGE_KEY, JSON.stringify(storedActiveIds))
+    }
+  }, [storedActiveIds])
+
+  const toggleOverlay = useCallback((id) => {
+    setStoredActiveIds((prev) => {
+      const current = prev || overlays.filter((overlay) => overlay.defaultVisible).map((overlay) => overlay.id)
+      return current.includes(id) ? current.filter((activeId) => activeId !== id) : [...current, id]
+    })
+  }, [overlays])
+
+  return { overlays, activeOverlays, seriesById, toggleOverlay }
+}
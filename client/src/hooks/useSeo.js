@@ -36,11 +36,20 @@ function setCanonical(url) {
   link.setAttribute('href', url)
 }
 
+// Image tags are removed when a page has no image, so a previous page's doesn't linger
+function setImage(url) {
+  document.querySelectorAll('meta[property="og:image"], meta[name="twitter:image"]')
+    .forEach((tag) => tag.remove())
+  setMetaByProperty('og:image', url)
+  setMetaByName('twitter:image', url)
+}
+
 export function useSeo({
   title,
   description,
   path = '/',
-  robots = 'index, follow'
+  robots = 'index, follow',
+  image = null
 }) {
   useEffect(() => {
     const canonicalUrl = `${SITE_URL}${path}`
@@ -58,7 +67,8 @@ export function useSeo({
     setMetaByProperty('og:title', pageTitle)
     setMetaByProperty('og:description', description)
     setMetaByProperty('og:url', canonicalUrl)
+    setImage(image)
 
     setCanonical(canonicalUrl)
-  }, [title, description, path, robots])
+  }, [title, description, path, robots, image])
 }
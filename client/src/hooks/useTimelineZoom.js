@@ -0,0 +1,279 @@
+import { useRef, useCallback, useEffect } from 'react'
+import {
+  scalePositionToYear,
+  interpolateView,
+  clampView,
+  zoomViewAt,
+  panView
+} from '../utils/logScaleUtils'
+
+export const VIEW_ANIMATION_MS = 450
+const WHEEL_ANIMATION_MS = 120
+// Span multiplier per pixel of wheel delta; trackpad pinches arrive as ctrl+wheel with small deltas
+const WHEEL_ZOOM_SPEED = 0.0015
+const PINCH_WHEEL_ZOOM_SPEED = 0.01
+const WHEEL_LINE_HEIGHT_PX = 16
+const TOUCH_PAN_THRESHOLD_PX = 6
+// Inertia: velocity in px/ms, decayed per 16ms frame until it drops below the stop speed
+const INERTIA_FRICTION = 0.94
+const INERTIA_MIN_SPEED = 0.02
+const VELOCITY_SMOOTHING = 0.8
+
+const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3)
+
+const prefersReducedMotion = () => (
+  typeof window !== 'undefined'
+  && typeof window.matchMedia === 'function'
+  && window.matchMedia('(prefers-reduced-motion: reduce)').matches
+)
+
+/**
+ * Wheel, trackpad and touch navigation for the timeline's events layer.
+ *
+ * - Wheel and trackpad pinch (ctrl+wheel) zoom around the cursor; horizontal
+ *   trackpad swipes pan.
+ * - One finger drags the timeline and keeps gliding after release; two
+ *   fingers pinch-zoom around their midpoint.
+ * - animateView eases to a window along interpolateView, so programmatic
+ *   jumps (reset, centering, double-click zoom) read as one motion.
+ *
+ * Every window is clamped to DEFAULT_MIN_YEARS..DEFAULT_MAX_YEARS. Cursor
+ * anchoring, pans and zoom steps follow the timeline's scale mode.
+ *
+ * @param {Object} options
+ * @param {React.RefObject<HTMLElement>} options.layerRef - Element whose width maps to the view
+ * @param {{start: number, end: number}} options.view - Current window in years ago
+ * @param {(start: number, end: number) => void} options.applyView - Writes a window to state
+ * @param {string} [options.scaleMode] - One of SCALE_MODES
+ * @param {() => void} [options.onInteract] - Called when the user starts zooming or panning
+ * @param {() => boolean} [options.isBlocked] - Return true to leave gestures to someone else (e.g. lane drags)
+ */
+export function useTimelineZoom({ layerRef, view, applyView, scaleMode = 'linear', onInteract, isBlocked }) {
+  const viewRef = useRef(view)
+  viewRef.current = view
+  const frameRef = useRef(null)
+  // Where a running animation is heading, so rapid wheel ticks build on each other
+  const targetRef = useRef(null)
+  const pointersRef = useRef(new Map())
+  const gestureRef = useRef(null)
+  const didPanRef = useRef(false)
+  const callbacksRef = useRef({ applyView, onInteract, isBlocked })
+  callbacksRef.current = { applyView, onInteract, isBlocked }
+  const scaleModeRef = useRef(scaleMode)
+  scaleModeRef.current = scaleMode
+
+  const setView = useCallback((next) => {
+    viewRef.current = next
+    callbacksRef.current.applyView(next.start, next.end)
+  }, [])
+
+  const stopViewMotion = useCallback(() => {
+    if (frameRef.current !== null) {
+      cancelAnimationFrame(frameRef.current)
+      frameRef.current = null
+    }
+    targetRef.current = null
+  }, [])
+
+  const animateView = useCallback((target, duration = VIEW_ANIMATION_MS) => {
+    stopViewMotion()
+    const to = clampView(target)
+    if (duration <= 0 || prefersReducedMotion()) {
+      setView(to)
+      return
+    }
+
+    const from = viewRef.current
+    const startedAt = performance.now()
+    targetRef.current = to
+    const step = (now) => {
+      const t = Math.min(1, (now - startedAt) / duration)
+      setView(t < 1 ? interpolateView(from, to, easeOutCubic(t)) : to)
+      if (t < 1) {
+        frameRef.current = requestAnimationFrame(step)
+      } else {
+        frameRef.current = null
+        targetRef.current = null
+      }
+    }
+    frameRef.current = requestAnimationFrame(step)
+  }, [setView, stopViewMotion])
+
+  const startInertia = useCallback((initialVelocity) => {
+    stopViewMotion()
+    if (prefersReducedMotion()) return
+    let velocity = initialVelocity
+    let lastTime = performance.now()
+    const step = (now) => {
+      const layer = layerRef.current
+      const dt = now - lastTime
+      lastTime = now
+      if (!layer) return
+      const width = layer.getBoundingClientRect().width || 1
+      setView(panView(viewRef.current, velocity * dt / width, scaleModeRef.current))
+      velocity *= Math.pow(INERTIA_FRICTION, dt / 16)
+      frameRef.current = Math.abs(velocity) > INERTIA_MIN_SPEED
+        ? requestAnimationFrame(step)
+        : null
+    }
+    frameRef.current = requestAnimationFrame(step)
+  }, [layerRef, setView, stopViewMotion])
+
+  useEffect(() => stopViewMotion, [stopViewMotion])
+
+  useEffect(() => {
+    const layer = layerRef.current
+    if (!layer) return undefined
+
+    const toYearsAgo = (clientX, rect, range) => {
+      const percentage = Math.max(0, Math.min(100, ((clientX - rect.left) / rect.width) * 100))
+      return scalePositionToYear(percentage, range.start, range.end, scaleModeRef.current)
+    }
+
+    // Registered natively: React's wheel listener is passive and can't stop page scroll
+    const handleWheel = (e) => {
+      if (callbacksRef.current.isBlocked?.()) return
+      e.preventDefault()
+      const rect = layer.getBoundingClientRect()
+      const unit = e.deltaMode === 1 ? WHEEL_LINE_HEIGHT_PX : e.deltaMode === 2 ? rect.width : 1
+      const deltaX = e.deltaX * unit
+      const deltaY = e.deltaY * unit
+      const base = targetRef.current ?? viewRef.current
+      callbacksRef.current.onInteract?.()
+
+      if (!e.ctrlKey && Math.abs(deltaX) > Math.abs(deltaY)) {
+        // Swiping left brings the present (right edge) into view
+        animateView(panView(base, -deltaX / rect.width, scaleModeRef.current), WHEEL_ANIMATION_MS)
+        return
+      }
+      const speed = e.ctrlKey ? PINCH_WHEEL_ZOOM_SPEED : WHEEL_ZOOM_SPEED
+      const anchor = toYearsAgo(e.clientX, rect, base)
+      animateView(zoomViewAt(base, anchor, Math.exp(deltaY * speed), scaleModeRef.current), WHEEL_ANIMATION_MS)
+    }
+
+    const beginGesture = () => {
+      const points = [...pointersRef.current.values()]
+      const rect = layer.getBoundingClientRect()
+      const startView = viewRef.current
+      if (points.length === 1) {
+        gestureRef.current = {
+          type: 'pan',
+          rect,
+          startView,
+          startX: points[0].x,
+          lastX: points[0].x,
+          lastTime: performance.now(),
+          velocity: 0
+        }
+      } else if (points.length === 2) {
+        const midX = (points[0].x + points[1].x) / 2
+        gestureRef.current = {
+          type: 'pinch',
+          rect,
+          startView,
+          startMidX: midX,
+          startDistance: Math.max(1, Math.abs(points[0].x - points[1].x)),
+          anchor: toYearsAgo(midX, rect, startView)
+        }
+      } else {
+        gestureRef.current = null
+      }
+    }
+
+    const handlePointerDown = (e) => {
+      if (pointersRef.current.size === 0) didPanRef.current = false
+      if (e.pointerType === 'mouse' || callbacksRef.current.isBlocked?.()) return
+      stopViewMotion()
+      pointersRef.current.set(e.pointerId, { x: e.clientX })
+      beginGesture()
+    }
+
+    const handlePointerMove = (e) => {
+      const pointer = pointersRef.current.get(e.pointerId)
+      const gesture = gestureRef.current
+      if (!pointer || !gesture) return
+      if (callbacksRef.current.isBlocked?.()) {
+        pointersRef.current.clear()
+        gestureRef.current = null
+        return
+      }
+      pointer.x = e.clientX
+      const { rect, startView } = gesture
+      const mode = scaleModeRef.current
+
+      if (gesture.type === 'pan') {
+        const offsetPx = e.clientX - gesture.startX
+        if (!didPanRef.current && Math.abs(offsetPx) < TOUCH_PAN_THRESHOLD_PX) return
+        if (!didPanRef.current) callbacksRef.current.onInteract?.()
+        didPanRef.current = true
+        const now = performance.now()
+        const dt = Math.max(1, now - gesture.lastTime)
+        const instant = (e.clientX - gesture.lastX) / dt
+        gesture.velocity = gesture.velocity * (1 - VELOCITY_SMOOTHING) + instant * VELOCITY_SMOOTHING
+        gesture.lastX = e.clientX
+        gesture.lastTime = now
+        // Dragging right pulls older time into view
+        setView(panView(startView, offsetPx / rect.width, mode))
+        return
+      }
+
+      const [a, b] = [...pointersRef.current.values()]
+      const distance = Math.max(1, Math.abs(a.x - b.x))
+      const midX = (a.x + b.x) / 2
+      if (!didPanRef.current) callbacksRef.current.onInteract?.()
+      didPanRef.current = true
+      const zoomed = zoomViewAt(startView, gesture.anchor, gesture.startDistance / distance, mode)
+      setView(panView(zoomed, (midX - gesture.startMidX) / rect.width, mode))
+    }
+
+    const handlePointerEnd = (e) => {
+      if (!pointersRef.current.has(e.pointerId)) return
+      const gesture = gestureRef.current
+      pointersRef.current.delete(e.pointerId)
+
+      if (pointersRef.current.size === 0) {
+        gestureRef.current = null
+        const idleMs = performance.now() - (gesture?.lastTime ?? 0)
+        if (
+          e.type === 'pointerup'
+          && gesture?.type === 'pan'
+          && didPanRef.current
+          && idleMs < 100
+          && Math.abs(gesture.velocity) > INERTIA_MIN_SPEED
+        ) {
+          startInertia(gesture.velocity)
+        }
+        return
+      }
+      // Lifting one finger of a pinch hands over to a pan from the current view
+      beginGesture()
+    }
+
+    // A drag or pinch should not also place a guess or select the event under the finger
+    const handleClickCapture = (e) => {
+      if (!didPanRef.current) return
+      didPanRef.current = false
+      e.preventDefault()
+      e.stopPropagation()
+    }
+
+    layer.addEventListener('wheel', handleWheel, { passive: false })
+    layer.addEventListener('pointerdown', handlePointerDown)
+    layer.addEventListener('pointermove', handlePointerMove)
+    layer.addEventListener('pointerup', handlePointerEnd)
+    layer.addEventListener('pointercancel', handlePointerEnd)
+    layer.addEventListener('click', handleClickCapture, true)
+    return () => {
+      layer.removeEventListener('wheel', handleWheel)
+      layer.removeEventListener('pointerdown', handlePointerDown)
+      layer.removeEventListener('pointermove', handlePointerMove)
+      layer.removeEventListener('pointerup', handlePointerEnd)
+      layer.removeEventListener('pointercancel', handlePointerEnd)
+      layer.removeEventListener('click', handleClickCapture, true)
+      pointersRef.current.clear()
+      gestureRef.current = null
+    }
+  }, [layerRef, animateView, setView, startInertia, stopViewMotion])
+
+  return { animateView, stopViewMotion }
+}
@@ -0,0 +1,98 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../utils/supabase'
+import { normalizeTour } from '../utils/tours'
+
+function toReadableError(error, fallbackMessage) {
+  if (!error) return fallbackMessage
+  if (error.code === '42501') return 'Not authorized. Please sign in with an admin account.'
+  return error.message || fallbackMessage
+}
+
+const toTourRow = ({ title, description, steps }) => ({
+  title: title.trim(),
+  description: description?.trim() || null,
+  steps
+})
+
+const sortTours = (tours) => [...tours].sort((a, b) => a.title.localeCompare(b.title))
+
+/**
+ * Guided tours (the `tours` table): listed for everyone, edited by admins
+ * from the timeline. Steps are stored as a JSON array on the tour row.
+ */
+export function useTours() {
+  const [tours, setTours] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchTours = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const { data, error: fetchError } = await supabase
+        .from('tours')
+        .select('*')
+        .order('title', { ascending: true })
+      if (fetchError) throw fetchError
+      setTours(data.map(normalizeTour))
+    } catch (err) {
+      setError(toReadableError(err, 'Failed to fetch tours'))
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchTours()
+  }, [fetchTours])
+
+  const createTour = async (tour) => {
+    const { data, error: createError } = await supabase
+      .from('tours')
+      .insert([toTourRow(tour)])
+      .select()
+      .single()
+    if (createError) {
+      throw new Error(toReadableError(createError, 'Failed to create tour'))
+    }
+    const created = normalizeTour(data)
+    setTours(prev => sortTours([...prev, created]))
+    return created
+  }
+
+  const updateTour = async (id, tour) => {
+    const { data, error: updateError } = await supabase
+      .from('tours')
+      .update(toTourRow(tour))
+      .eq('id', id)
+      .select()
+      .single()
+    if (updateError) {
+      throw new Error(toReadableError(updateError, 'Failed to update tour'))
+    }
+    const updated = normalizeTour(data)
+    setTours(prev => sortTours(prev.map(t => t.id === id ? updated : t)))
+    return updated
+  }
+
+  const deleteTour = async (id) => {
+    const { error: deleteError } = await supabase
+      .from('tours')
+      .delete()
+      .eq('id', id)
+    if (deleteError) {
+      throw new Error(toReadableError(deleteError, 'Failed to delete tour'))
+    }
+    setTours(prev => prev.filter(t => t.id !== id))
+  }
+
+  return {
+    tours,
+    loading,
+    error,
+    refetch: fetchTours,
+    createTour,
+    updateTour,
+    deleteTour
+  }
+}
@@ -0,0 +1,137 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../utils/supabase'
+
+// Tracks are read through this view, which adds their label names as `labels`
+const TRACKS_VIEW = 'tracks_with_labels'
+
+function toReadableError(error, fallbackMessage) {
+  if (!error) return fallbackMessage
+  if (error.code === '42501') return 'Not authorized. Please sign in with an admin account.'
+  if (error.code === '23505') return 'Track already exists'
+  return error.message || fallbackMessage
+}
+
+// Replaces a track's labels; resolves to the label names now on the track
+async function saveTrackLabels(trackId, labels) {
+  const { data, error } = await supabase
+    .rpc('set_track_labels', { target_track_id: trackId, label_names: labels })
+  if (error) {
+    throw new Error(toReadableError(error, 'Failed to save track labels'))
+  }
+  return data
+}
+
+/**
+ * Admin-defined swimlane tracks: a named group of labels ("Europe", "Science")
+ * that gets its own band when the timeline is split by track.
+ */
+export function useTracks() {
+  const [tracks, setTracks] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchTracks = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const { data, error: fetchError } = await supabase
+        .from(TRACKS_VIEW)
+        .select('*')
+        .order('position', { ascending: true })
+        .order('name', { ascending: true })
+      if (fetchError) throw fetchError
+      setTracks(data)
+    } catch (err) {
+      setError(toReadableError(err, 'Failed to fetch tracks'))
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchTracks()
+  }, [fetchTracks])
+
+  const createTrack = async (name, labels = []) => {
+    const position = tracks.reduce((max, t) => Math.max(max, t.position + 1), 0)
+    const { data: createdRow, error: createError } = await supabase
+      .from('tracks')
+      .insert([{ name: name.trim(), position }])
+      .select()
+      .single()
+    if (createError) {
+      throw new Error(toReadableError(createError, 'Failed to create track'))
+    }
+    const newTrack = { ...createdRow, labels: await saveTrackLabels(createdRow.id, labels) }
+    setTracks(prev => [...prev, newTrack])
+    return newTrack
+  }
+
+  // Labels are only rewritten when the update includes them
+  const updateTrack = async (id, { name, labels }) => {
+    let updatedRow = tracks.find(t => t.id === id)
+    if (name !== undefined) {
+      const { data, error: updateError } = await supabase
+        .from('tracks')
+        .update({ name: name.trim() })
+        .eq('id', id)
+        .select()
+        .single()
+      if (updateError) {
+        throw new Error(toReadableError(updateError, 'Failed to update track'))
+      }
+      updatedRow = { ...updatedRow, ...data }
+    }
+    const updated = labels === undefined
+      ? updatedRow
+      : { ...updatedRow, labels: await saveTrackLabels(id, labels) }
+    setTracks(prev => prev.map(t => t.id === id ? updated : t))
+    return updated
+  }
+
+  // track_labels rows cascade with the track
+  const deleteTrack = async (id) => {
+    const { error: deleteError } = await supabase
+      .from('tracks')
+      .delete()
+      .eq('id', id)
+    if (deleteError) {
+      throw new Error(toReadableError(deleteError, 'Failed to delete track'))
+    }
+    setTracks(prev => prev.filter(t => t.id !== id))
+  }
+
+  // Default band order for everyone; viewers can still reorder their own view.
+  // Positions are rewritten as 0..n-1, so tracks created with equal positions still move.
+  const moveTrack = async (id, offset) => {
+    const index = tracks.findIndex(t => t.id === id)
+    const target = index + offset
+    if (index === -1 || target < 0 || target >= tracks.length) return
+
+    const reordered = [...tracks]
+    const [moved] = reordered.splice(index, 1)
+    reordered.splice(target, 0, moved)
+    const results = await Promise.all(
+      reordered
+        .map((track, position) => ({ track, position }))
+        .filter(({ track, position }) => track.position !== position)
+        .map(({ track, position }) => supabase.from('tracks').update({ position }).eq('id', track.id))
+    )
+    const moveError = results.find(result => result.error)?.error
+    if (moveError) {
+      throw new Error(toReadableError(moveError, 'Failed to reorder tracks'))
+    }
+    setTracks(reordered.map((track, position) => ({ ...track, position })))
+  }
+
+  return {
+    tracks,
+    loading,
+    error,
+    refetch: fetchTracks,
+    createTrack,
+    updateTrack,
+    deleteTrack,
+    moveTrack
+  }
+}
@@ -2,10 +2,24 @@ import { useState } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useEvents } from '../hooks/useEvents'
 import { useLabels } from '../hooks/useLabels'
+import { useTracks } from '../hooks/useTracks'
+import { useEventRelations } from '../hooks/useEventRelations'
+import { useEras } from '../hooks/useEras'
 import { useSeo } from '../hooks/useSeo'
 import EventForm from '../components/EventForm'
 import EventSubEventsEditor from '../components/EventSubEventsEditor'
+import EventRelationsEditor from '../components/EventRelationsEditor'
+import EventImportWizard from '../components/EventImportWizard'
+import EventHistoryPanel from '../components/EventHistoryPanel'
+import EventTrash from '../components/EventTrash'
+import TrackManager from '../components/TrackManager'
+import EraManager from '../components/EraManager'
+import EventLabelBadges from '../components/EventLabelBadges'
 import { formatEventDate } from '../utils/dateUtils'
+import { getEventStartYearsAgo } from '../utils/logScaleUtils'
+import { apiRequest } from '../utils/api'
+import { getEventLabels } from '../utils/eventLabels'
+import { getEventAncestors } from '../utils/eventHierarchy'
 import './Admin.css'
 
 // Helper to check if an event is a span
@@ -16,31 +30,35 @@ const isEventSpan = (event) => {
   return !!event.end_date
 }
 
+// Admin "Needs cleanup" filter -> export `missing` query param
+const CLEANUP_FILTER_FIELDS = {
+  missingAttribution: 'attribution_text',
+  missingSource: 'source_url',
+  missingLicense: 'license_type'
+}
+
+const EXPORT_OPTIONS = {
+  json: { label: 'JSON backup', query: { format: 'json' } },
+  csv: { label: 'Events CSV', query: { format: 'csv', resource: 'events' } },
+  labels: { label: 'Labels CSV', query: { format: 'csv', resource: 'labels' } }
+}
+
+const UNDO_MESSAGE_MS = 8000
+
+const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
 // Helper to get a sortable date value from an event
 // Returns "years ago" value - larger numbers = older events
-// This allows proper comparison between astronomical and calendar dates
-const getEventSortValue = (event) => {
-  const currentYear = new Date().getFullYear()
-  
-  if (event.date_type === 'astronomical') {
-    // Astronomical years are stored as "years ago", so use directly
-    // These are typically millions/billions of years ago
-    return event.astronomical_start_year || 0
-  }
-  
-  // For calendar dates, convert to "years ago" format
-  if (event.start_date) {
-    const eventDate = new Date(event.start_date)
-    const eventYear = eventDate.getFullYear()
-    // Calculate years ago (can be negative for future dates, positive for past)
-    // Add fractional year for more precise sorting within the same year
-    const dayOfYear = (eventDate - new Date(eventYear, 0, 0)) / (1000 * 60 * 60 * 24)
-    const yearsAgo = currentYear - eventYear + (1 - dayOfYear / 365)
-    return Math.max(0, yearsAgo) // Ensure non-negative
-  }
-  
-  return 0
-}
+const getEventSortValue = (event) => getEventStartYearsAgo(event) ?? 0
 
 function Admin() {
   useSeo({
@@ -50,8 +68,23 @@ function Admin() {
     robots: 'noindex, nofollow'
   })
 
-  const { events, loading, error, createEvent, updateEvent, deleteEvent, refetch } = useEvents()
+  const {
+    events,
+    loading,
+    error,
+    createEvent,
+    updateEvent,
+    deleteEvent,
+    fetchDeletedEvents,
+    restoreEvent,
+    purgeEvent,
+    restoreEventVersion,
+    refetch
+  } = useEvents()
   const { labels, createLabel, updateLabel, deleteLabel, labelColorMap } = useLabels()
+  const { tracks, createTrack, updateTrack, deleteTrack, moveTrack, refetch: refetchTracks } = useTracks()
+  const { relations, createRelation, updateRelation, deleteRelation } = useEventRelations()
+  const { storedEras, usingDefaults, createEra, updateEra, deleteEra, importDefaultEras } = useEras()
   const [showForm, setShowForm] = useState(false)
   const [editingEvent, setEditingEvent] = useState(null)
   const [actionError, setActionError] = useState('')
@@ -69,6 +102,13 @@ function Admin() {
   const [editLabelColor, setEditLabelColor] = useState('')
   const [tableSubEdit, setTableSubEdit] = useState(null)
   const [tableSubEditError, setTableSubEditError] = useState('')
+  const [showImport, setShowImport] = useState(false)
+  const [exportType, setExportType] = useState('json')
+  const [exporting, setExporting] = useState(false)
+  const [historyEvent, setHistoryEvent] = useState(null)
+  const [showTrash, setShowTrash] = useState(false)
+  const [trashKey, setTrashKey] = useState(0)
+  const [lastDeleted, setLastDeleted] = useState(null)
 
   const hasText = (value) => typeof value === 'string' && value.trim().length > 0
 
@@ -154,20 +194,55 @@ function Admin() {
   }
 
   const handleDelete = async (event) => {
-    if (!window.confirm(`Are you sure you want to delete "${event.title}"?`)) {
+    if (!window.confirm(`Move "${event.title}" and its sub-events to the trash?`)) {
       return
     }
 
     try {
       setActionError('')
-      await deleteEvent(event.id)
-      setActionSuccess(`"${event.title}" has been deleted.`)
+      const deleted = await deleteEvent(event.id)
+      setLastDeleted({ ...event, ...deleted })
+      setTrashKey(prev => prev + 1)
+      setActionSuccess(`"${event.title}" has been moved to the trash.`)
+      setTimeout(() => {
+        setActionSuccess('')
+        setLastDeleted(null)
+      }, UNDO_MESSAGE_MS)
+    } catch (err) {
+      setActionError(err.message)
+    }
+  }
+
+  const handleUndoDelete = async () => {
+    const event = lastDeleted
+    if (!event) return
+    try {
+      setActionError('')
+      setLastDeleted(null)
+      await restoreEvent(event)
+      setTrashKey(prev => prev + 1)
+      setActionSuccess(`"${event.title}" has been restored.`)
       setTimeout(() => setActionSuccess(''), 3000)
     } catch (err) {
+      setActionSuccess('')
       setActionError(err.message)
     }
   }
 
+  const handleTrashChange = async (message) => {
+    await refetch()
+    setActionSuccess(message)
+    setTimeout(() => setActionSuccess(''), 3000)
+  }
+
+  const handleRestoreVersion = async (snapshot) => {
+    const restored = await restoreEventVersion(snapshot)
+    setHistoryEvent(restored)
+    setTrashKey(prev => prev + 1)
+    setActionSuccess(`"${restored.title}" has been restored to an earlier version.`)
+    setTimeout(() => setActionSuccess(''), 3000)
+  }
+
   const handleFormSubmit = async (formData) => {
     try {
       setActionError('')
@@ -186,6 +261,41 @@ function Admin() {
     }
   }
 
+  const handleImported = async (result) => {
+    await refetch()
+    setActionSuccess(`Imported ${result.imported} ${result.imported === 1 ? 'event' : 'events'}.`)
+    setTimeout(() => setActionSuccess(''), 3000)
+  }
+
+  // Export uses the same filters as the table below
+  const handleExport = async () => {
+    const option = EXPORT_OPTIONS[exportType]
+    try {
+      setActionError('')
+      setExporting(true)
+      const { data, headers } = await apiRequest('/api/export', {
+        query: {
+          ...option.query,
+          q: searchQuery.trim(),
+          published: publicationFilter === 'all' ? undefined : publicationFilter === 'published',
+          missing: CLEANUP_FILTER_FIELDS[cleanupFilter]
+        }
+      })
+      const isJson = option.query.format === 'json'
+      const fileName = headers.get('content-disposition')?.match(/filename="([^"]+)"/)?.[1]
+        || `history-arrow-export.${isJson ? 'json' : 'csv'}`
+      downloadFile(
+        isJson ? JSON.stringify(data, null, 2) : data,
+        fileName,
+        isJson ? 'application/json' : 'text/csv'
+      )
+    } catch (err) {
+      setActionError(err.message)
+    } finally {
+      setExporting(false)
+    }
+  }
+
   const handleFormCancel = () => {
     setShowForm(false)
     setEditingEvent(null)
@@ -203,15 +313,36 @@ function Admin() {
           <h1>Admin Dashboard</h1>
           <p>Manage historical events and time spans</p>
         </div>
-        <button
-          className="btn btn-primary"
-          onClick={handleCreate}
-        >
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" className="btn-icon">
-            <path d="M12 5v14M5 12h14" />
-          </svg>
-          Add Event
-        </button>
+        <div className="admin-header-actions">
+          <button
+            className="btn btn-secondary"
+            onClick={() => setShowTrash(prev => !prev)}
+            aria-pressed={showTrash}
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" className="btn-icon">
+              <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+            </svg>
+            Trash
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setShowImport(true)}
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" className="btn-icon">
+              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4M17 8l-5-5-5 5M12 3v12" />
+            </svg>
+            Import
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={handleCreate}
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" className="btn-icon">
+              <path d="M12 5v14M5 12h14" />
+            </svg>
+            Add Event
+          </button>
+        </div>
       </motion.div>
 
       <AnimatePresence>
@@ -223,6 +354,11 @@ function Admin() {
             exit={{ opacity: 0, y: -10 }}
           >
             {actionError || actionSuccess}
+            {!actionError && lastDeleted && (
+              <button type="button" className="action-message-undo" onClick={handleUndoDelete}>
+                Undo
+              </button>
+            )}
           </motion.div>
         )}
       </AnimatePresence>
@@ -245,20 +381,31 @@ function Admin() {
             >
               <EventForm
                 event={editingEvent}
+                allEvents={events}
                 onSubmit={handleFormSubmit}
                 onCancel={handleFormCancel}
                 error={actionError}
                 labels={labels}
                 beforeFormActions={
-                  <EventSubEventsEditor
-                    parentEvent={editingEvent && isEventSpan(editingEvent) && !editingEvent.parent_id ? editingEvent : null}
-                    allEvents={events}
-                    labels={labels}
-                    createEvent={createEvent}
-                    updateEvent={updateEvent}
-                    deleteEvent={deleteEvent}
-                    onAfterMutation={refetch}
-                  />
+                  <>
+                    <EventSubEventsEditor
+                      parentEvent={editingEvent && isEventSpan(editingEvent) ? editingEvent : null}
+                      allEvents={events}
+                      labels={labels}
+                      createEvent={createEvent}
+                      updateEvent={updateEvent}
+                      deleteEvent={deleteEvent}
+                      onAfterMutation={refetch}
+                    />
+                    <EventRelationsEditor
+                      event={editingEvent}
+                      allEvents={events}
+                      relations={relations}
+                      createRelation={createRelation}
+                      updateRelation={updateRelation}
+                      deleteRelation={deleteRelation}
+                    />
+                  </>
                 }
               />
             </motion.div>
@@ -266,6 +413,59 @@ function Admin() {
         )}
       </AnimatePresence>
 
+      <AnimatePresence>
+        {historyEvent && (
+          <motion.div
+            className="form-overlay"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={() => setHistoryEvent(null)}
+          >
+            <motion.div
+              className="form-modal form-modal--wide"
+              initial={{ opacity: 0, scale: 0.95, y: 20 }}
+              animate={{ opacity: 1, scale: 1, y: 0 }}
+              exit={{ opacity: 0, scale: 0.95, y: 20 }}
+              onClick={(e) => e.stopPropagation()}
+            >
+              <EventHistoryPanel
+                key={`${historyEvent.id}-${historyEvent.updated_at}`}
+                event={historyEvent}
+                labels={labels}
+                onRestore={handleRestoreVersion}
+                onClose={() => setHistoryEvent(null)}
+              />
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {showImport && (
+          <motion.div
+            className="form-overlay"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={() => setShowImport(false)}
+          >
+            <motion.div
+              className="form-modal form-modal--wide"
+              initial={{ opacity: 0, scale: 0.95, y: 20 }}
+              animate={{ opacity: 1, scale: 1, y: 0 }}
+              exit={{ opacity: 0, scale: 0.95, y: 20 }}
+              onClick={(e) => e.stopPropagation()}
+            >
+              <EventImportWizard
+                onClose={() => setShowImport(false)}
+                onImported={handleImported}
+              />
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       <AnimatePresence>
         {tableSubEdit && (
           <motion.div
@@ -286,10 +486,32 @@ function Admin() {
               <EventForm
                 parentEvent={events.find((e) => e.id === tableSubEdit.parent_id)}
                 event={tableSubEdit}
+                allEvents={events}
                 onSubmit={handleTableSubEditSubmit}
                 onCancel={handleTableSubEditCancel}
                 error={tableSubEditError}
                 labels={labels}
+                beforeFormActions={
+                  <>
+                    <EventSubEventsEditor
+                      parentEvent={isEventSpan(tableSubEdit) ? tableSubEdit : null}
+                      allEvents={events}
+                      labels={labels}
+                      createEvent={createEvent}
+                      updateEvent={updateEvent}
+                      deleteEvent={deleteEvent}
+                      onAfterMutation={refetch}
+                    />
+                    <EventRelationsEditor
+                      event={tableSubEdit}
+                      allEvents={events}
+                      relations={relations}
+                      createRelation={createRelation}
+                      updateRelation={updateRelation}
+                      deleteRelation={deleteRelation}
+                    />
+                  </>
+                }
               />
             </motion.div>
           </motion.div>
@@ -357,6 +579,27 @@ function Admin() {
               <option value="missingLicense">Missing license</option>
             </select>
           </label>
+          <div className="admin-filter-item">
+            <span>Export filtered</span>
+            <div className="admin-export-controls">
+              <select
+                className="admin-filter-select"
+                value={exportType}
+                onChange={(e) => setExportType(e.target.value)}
+              >
+                {Object.entries(EXPORT_OPTIONS).map(([value, option]) => (
+                  <option key={value} value={value}>{option.label}</option>
+                ))}
+              </select>
+              <button
+                className="btn btn-secondary btn-sm"
+                onClick={handleExport}
+                disabled={exporting}
+              >
+                {exporting ? 'Exporting…' : 'Export'}
+              </button>
+            </div>
+          </div>
         </div>
       </motion.div>
 
@@ -383,6 +626,28 @@ function Admin() {
         </div>
       </div>
 
+      <AnimatePresence>
+        {showTrash && (
+          <motion.div
+            className="label-management admin-trash"
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+          >
+            <div className="label-management-header">
+              <h2>Trash</h2>
+            </div>
+            <EventTrash
+              key={trashKey}
+              fetchDeletedEvents={fetchDeletedEvents}
+              restoreEvent={restoreEvent}
+              purgeEvent={purgeEvent}
+              onChange={handleTrashChange}
+            />
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Label Management */}
       <motion.div
         className="label-management"
@@ -448,7 +713,7 @@ function Admin() {
 
         <div className="label-chips">
           {labels.map((label) => {
-            const eventCount = events.filter(e => e.label === label.name).length
+            const eventCount = events.filter(e => getEventLabels(e).includes(label.name)).length
             const isEditing = editingLabel === label.id
 
             if (isEditing) {
@@ -482,7 +747,7 @@ function Admin() {
                       try {
                         setLabelError('')
                         await updateLabel(label.id, { name: editLabelName, color: editLabelColor })
-                        await refetch()
+                        await Promise.all([refetch(), refetchTracks()])
                         setEditingLabel(null)
                       } catch (err) {
                         setLabelError(err.message)
@@ -534,7 +799,7 @@ function Admin() {
                     try {
                       setLabelError('')
                       await deleteLabel(label.id)
-                      await refetch()
+                      await Promise.all([refetch(), refetchTracks()])
                     } catch (err) {
                       setLabelError(err.message)
                     }
@@ -553,6 +818,46 @@ function Admin() {
         </div>
       </motion.div>
 
+      {/* Swimlane Tracks */}
+      <motion.div
+        className="label-management"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        transition={{ delay: 0.18 }}
+      >
+        <div className="label-management-header">
+          <h2>Swimlane Tracks</h2>
+        </div>
+        <TrackManager
+          tracks={tracks}
+          labels={labels}
+          createTrack={createTrack}
+          updateTrack={updateTrack}
+          deleteTrack={deleteTrack}
+          moveTrack={moveTrack}
+        />
+      </motion.div>
+
+      {/* Era Bands */}
+      <motion.div
+        className="label-management"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        transition={{ delay: 0.19 }}
+      >
+        <div className="label-management-header">
+          <h2>Era Bands</h2>
+        </div>
+        <EraManager
+          eras={storedEras}
+          usingDefaults={usingDefaults}
+          createEra={createEra}
+          updateEra={updateEra}
+          deleteEra={deleteEra}
+          importDefaultEras={importDefaultEras}
+        />
+      </motion.div>
+
       <motion.div
         className="events-table-container"
         initial={{ opacity: 0 }}
@@ -641,22 +946,26 @@ function Admin() {
                           <span className="admin-badge-sub">Sub</span>
                         )}
                         <strong>{event.title}</strong>
+                        {event.parent_id && (
+                          <span className="event-parent-path">
+                            in {getEventAncestors(events, event).map((ancestor) => ancestor.title).join(' › ')}
+                          </span>
+                        )}
                         {event.description && (
                           <span className="event-preview">{event.description.substring(0, 60)}...</span>
                         )}
                       </div>
                     </td>
                     <td>
-                      {event.label ? (
-                        <span
-                          className="label-badge"
-                          style={{
-                            background: `${labelColorMap.get(event.label) || '#6b7280'}20`,
-                            color: labelColorMap.get(event.label) || '#6b7280'
-                          }}
-                        >
-                          {event.label}
-                        </span>
+                      {getEventLabels(event).length > 0 ? (
+                        <div className="label-badges">
+                          <EventLabelBadges
+                            event={event}
+                            labelColorMap={labelColorMap}
+                            className="label-badge"
+                            fallbackColor="#6b7280"
+                          />
+                        </div>
                       ) : (
                         <span className="label-badge label-none">None</span>
                       )}
@@ -692,10 +1001,20 @@ function Admin() {
                             <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" />
                           </svg>
                         </button>
+                        <button
+                          className="btn btn-secondary btn-sm"
+                          onClick={() => setHistoryEvent(event)}
+                          title="History"
+                        >
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M3 12a9 9 0 1 0 3-6.7L3 8" />
+                            <path d="M3 3v5h5M12 7v5l3 3" />
+                          </svg>
+                        </button>
                         <button
                           className="btn btn-danger btn-sm"
                           onClick={() => handleDelete(event)}
-                          title="Delete"
+                          title="Move to trash"
                         >
                           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                             <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
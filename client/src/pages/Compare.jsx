@@ -0,0 +1,400 @@
+import { useEffect, useState, useMemo, useRef, useCallback } from 'react'
+import { Link, useNavigationType, useSearchParams } from 'react-router-dom'
+import HistoryArrow from '../components/HistoryArrow'
+import { useEvents } from '../hooks/useEvents'
+import { useAuth } from '../hooks/useAuth'
+import { useLabels } from '../hooks/useLabels'
+import { useEventRelations } from '../hooks/useEventRelations'
+import { useEras } from '../hooks/useEras'
+import { useSeo } from '../hooks/useSeo'
+import { sampleEvents } from '../data/sampleEvents'
+import { getEventsForTimeline } from '../utils/eventHierarchy'
+import { isLocalEvent } from '../utils/localEvents'
+import { formatEventDateRange } from '../utils/dateUtils'
+import { getEventPath } from '../utils/eventSeo'
+import { clampView } from '../utils/logScaleUtils'
+import { parseComparisonSearchParams, buildComparisonSearchParams } from '../utils/timelineUrlState'
+import { getEventRelationLinks } from '../utils/eventRelations'
+import './Compare.css'
+
+const VIEW_URL_DEBOUNCE_MS = 300
+const PANE_NAMES = ['Upper', 'Lower']
+
+const isSameView = (a, b) => Boolean(a && b) &&
+  Math.abs(a.start - b.start) <= Math.abs(a.start) * 1e-9 &&
+  Math.abs(a.end - b.end) <= Math.abs(a.end) * 1e-9
+
+// "1 : 250" reads as "the lower timeline shows 250 times the span of the upper one"
+function formatZoomRatio(ratio) {
+  const format = (value) => value.toLocaleString(undefined, { maximumSignificantDigits: 3 })
+  return ratio >= 1 ? `1 : ${format(ratio)}` : `${format(1 / ratio)} : 1`
+}
+
+/**
+ * Two independently zoomable timelines stacked on one page, e.g. the 20th
+ * century above the whole of deep time. Their zoom can be locked to a ratio,
+ * and related events (of any relation type) are joined by connector lines.
+ */
+function Compare() {
+  useSeo({
+    title: 'Compare Timelines',
+    description: 'Compare two periods of history side by side on two independently zoomable timelines.',
+    path: '/compare'
+  })
+
+  const { events, loading, error } = useEvents()
+  const { isAdmin } = useAuth()
+  const { labelColorMap } = useLabels()
+  const { relations, findRelation, createRelation, deleteRelation } = useEventRelations()
+  const { eras } = useEras()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const navigationType = useNavigationType()
+  const [displayEvents, setDisplayEvents] = useState([])
+  const [connectors, setConnectors] = useState([])
+  const [layoutVersion, setLayoutVersion] = useState(0)
+  const [relationBusy, setRelationBusy] = useState(false)
+  const [relationError, setRelationError] = useState('')
+  const panesRef = useRef(null)
+  const upperPaneRef = useRef(null)
+  const lowerPaneRef = useRef(null)
+  const upperTimelineRef = useRef(null)
+  const lowerTimelineRef = useRef(null)
+  // Indexed by pane; the ref objects themselves never change
+  const paneRefs = [upperPaneRef, lowerPaneRef]
+  const timelineRefs = [upperTimelineRef, lowerTimelineRef]
+  const viewUrlTimerRef = useRef(null)
+  const setSearchParamsRef = useRef(setSearchParams)
+  setSearchParamsRef.current = setSearchParams
+
+  const urlState = useMemo(() => parseComparisonSearchParams(searchParams), [searchParams])
+  const { selectedEventIds, zoomRatio } = urlState
+  const [initialViews] = useState(urlState.views)
+  // Latest window of each timeline, and the window we last pushed into one to keep
+  // the zoom ratio, so its echo in onViewChange isn't linked back again
+  const viewsRef = useRef([...urlState.views])
+  const pendingSyncRef = useRef([null, null])
+  const zoomRatioRef = useRef(zoomRatio)
+  zoomRatioRef.current = zoomRatio
+
+  const selectedEvents = useMemo(
+    () => selectedEventIds.map((id) => (
+      id ? displayEvents.find((e) => String(e.id) === id) || null : null
+    )),
+    [displayEvents, selectedEventIds]
+  )
+
+  const timelineEvents = useMemo(
+    () => getEventsForTimeline(displayEvents, displayEvents.filter((e) => !e.parent_id)),
+    [displayEvents]
+  )
+
+  useEffect(() => {
+    if (events && events.length > 0) {
+      setDisplayEvents(events)
+    } else if (!loading) {
+      setDisplayEvents(sampleEvents)
+    }
+  }, [events, loading])
+
+  // Selection and the zoom lock push a history entry; panning replaces it
+  const updateUrlState = useCallback((patch, { replace = false } = {}) => {
+    setSearchParamsRef.current(
+      (prev) => buildComparisonSearchParams({ ...parseComparisonSearchParams(prev), ...patch }),
+      { replace }
+    )
+  }, [])
+
+  const scheduleViewUrlUpdate = useCallback(() => {
+    clearTimeout(viewUrlTimerRef.current)
+    viewUrlTimerRef.current = setTimeout(() => {
+      const current = new URLSearchParams(window.location.search)
+      const next = buildComparisonSearchParams({
+        ...parseComparisonSearchParams(current),
+        views: viewsRef.current
+      })
+      if (next.toString() === current.toString()) return
+      updateUrlState({ views: [...viewsRef.current] }, { replace: true })
+    }, VIEW_URL_DEBOUNCE_MS)
+  }, [updateUrlState])
+
+  useEffect(() => () => clearTimeout(viewUrlTimerRef.current), [])
+
+  // With zoom linked, a change of span in one timeline resizes the other around its
+  // own center; panning one leaves the other where it is
+  const handleViewChange = useCallback((paneIndex, start, end) => {
+    const view = { start, end }
+    viewsRef.current[paneIndex] = view
+    scheduleViewUrlUpdate()
+
+    const pending = pendingSyncRef.current[paneIndex]
+    pendingSyncRef.current[paneIndex] = null
+    if (isSameView(pending, view)) return
+
+    const ratio = zoomRatioRef.current
+    const otherIndex = 1 - paneIndex
+    const otherView = viewsRef.current[otherIndex]
+    if (!ratio || !otherView) return
+
+    const targetSpan = (end - start) * (paneIndex === 0 ? ratio : 1 / ratio)
+    if (Math.abs(otherView.end - otherView.start - targetSpan) <= targetSpan * 1e-6) return
+    const center = (otherView.start + otherView.end) / 2
+    const next = clampView({ start: center - targetSpan / 2, end: center + targetSpan / 2 })
+    pendingSyncRef.current[otherIndex] = next
+    timelineRefs[otherIndex].current?.setView(next.start, next.end)
+  }, [scheduleViewUrlUpdate])
+
+  const handleUpperViewChange = useCallback((start, end) => {
+    handleViewChange(0, start, end)
+    setLayoutVersion((v) => v + 1)
+  }, [handleViewChange])
+
+  const handleLowerViewChange = useCallback((start, end) => {
+    handleViewChange(1, start, end)
+    setLayoutVersion((v) => v + 1)
+  }, [handleViewChange])
+
+  // Lanes, swimlanes and scale mode move markers without changing the window
+  const handleVisibleEventsChange = useCallback(() => {
+    setLayoutVersion((v) => v + 1)
+  }, [])
+
+  // Back/forward: move both timelines to the windows stored in that history entry
+  useEffect(() => {
+    if (navigationType !== 'POP') return
+    clearTimeout(viewUrlTimerRef.current)
+    urlState.views.forEach((view, index) => {
+      const timeline = timelineRefs[index].current
+      if (!timeline) return
+      pendingSyncRef.current[index] = view
+      if (view) {
+        timeline.setView(view.start, view.end)
+      } else {
+        timeline.resetView()
+      }
+    })
+  }, [navigationType, urlState.views])
+
+  const toggleZoomLink = useCallback(() => {
+    if (zoomRatio) {
+      updateUrlState({ zoomRatio: null })
+      return
+    }
+    const [upper, lower] = viewsRef.current
+    if (!upper || !lower) return
+    updateUrlState({
+      views: [...viewsRef.current],
+      zoomRatio: (lower.end - lower.start) / (upper.end - upper.start)
+    })
+  }, [zoomRatio, updateUrlState])
+
+  const selectEvent = useCallback((paneIndex, event) => {
+    const ids = [...selectedEventIds]
+    ids[paneIndex] = event ? String(event.id) : null
+    updateUrlState({ selectedEventIds: ids })
+  }, [selectedEventIds, updateUrlState])
+
+  const handleUpperEventClick = useCallback((event) => {
+    selectEvent(0, selectedEventIds[0] === String(event.id) ? null : event)
+  }, [selectEvent, selectedEventIds])
+
+  const handleLowerEventClick = useCallback((event) => {
+    selectEvent(1, selectedEventIds[1] === String(event.id) ? null : event)
+  }, [selectEvent, selectedEventIds])
+
+  // Following a relation selects the other end in the other timeline and brings it into view
+  const showInPane = useCallback((paneIndex, event) => {
+    selectEvent(paneIndex, event)
+    timelineRefs[paneIndex].current?.panToEvent(event)
+  }, [selectEvent])
+
+  const [upperSelected, lowerSelected] = selectedEvents
+  const selectedPairRelation = upperSelected && lowerSelected
+    ? findRelation(upperSelected.id, lowerSelected.id)
+    : null
+  const canRelateSelected = Boolean(
+    upperSelected && lowerSelected &&
+    upperSelected.id !== lowerSelected.id &&
+    !isLocalEvent(upperSelected) && !isLocalEvent(lowerSelected)
+  )
+
+  const handleToggleRelation = async () => {
+    try {
+      setRelationBusy(true)
+      setRelationError('')
+      if (selectedPairRelation) {
+        await deleteRelation(selectedPairRelation.id)
+      } else {
+        await createRelation(upperSelected.id, lowerSelected.id)
+      }
+    } catch (err) {
+      setRelationError(err.message)
+    } finally {
+      setRelationBusy(false)
+    }
+  }
+
+  // Connectors run from the bottom of a marker in the upper timeline to the top of
+  // its related marker in the lower one; pairs with an end out of view are skipped
+  useEffect(() => {
+    const container = panesRef.current
+    const [upperPane, lowerPane] = paneRefs.map((paneRef) => paneRef.current)
+    if (!container || !upperPane || !lowerPane) return undefined
+
+    const frame = requestAnimationFrame(() => {
+      const origin = container.getBoundingClientRect()
+      const findMarker = (pane, eventId) => [...pane.querySelectorAll('[data-event-id]')]
+        .find((node) => node.dataset.eventId === String(eventId))
+      const selectedIds = new Set(selectedEventIds.filter(Boolean))
+
+      const next = []
+      relations.forEach((relation) => {
+        [
+          [relation.source_event_id, relation.target_event_id],
+          [relation.target_event_id, relation.source_event_id]
+        ].forEach(([upperId, lowerId]) => {
+          const from = findMarker(upperPane, upperId)?.getBoundingClientRect()
+          const to = findMarker(lowerPane, lowerId)?.getBoundingClientRect()
+          if (!from || !to) return
+          next.push({
+            key: `${relation.id}:${upperId}`,
+            x1: from.left + from.width / 2 - origin.left,
+            y1: from.bottom - origin.top,
+            x2: to.left + to.width / 2 - origin.left,
+            y2: to.top - origin.top,
+            isSelected: selectedIds.has(String(upperId)) || selectedIds.has(String(lowerId))
+          })
+        })
+      })
+      setConnectors(next)
+    })
+    return () => cancelAnimationFrame(frame)
+    // paneRefs holds stable ref objects
+  }, [relations, selectedEventIds, layoutVersion, timelineEvents])
+
+  useEffect(() => {
+    const handleResize = () => setLayoutVersion((v) => v + 1)
+    window.addEventListener('resize', handleResize)
+    return () => window.removeEventListener('resize', handleResize)
+  }, [])
+
+  const renderSelection = (paneIndex) => {
+    const event = selectedEvents[paneIndex]
+    const otherIndex = 1 - paneIndex
+    const links = getEventRelationLinks(event, relations, displayEvents)
+    return (
+      <div className="compare-selection">
+        <span className="compare-selection-pane">{PANE_NAMES[paneIndex]}</span>
+        {event ? (
+          <>
+            <Link to={getEventPath(event)} className="compare-selection-title">{event.title}</Link>
+            <span className="compare-selection-date">{formatEventDateRange(event)}</span>
+            {links.length > 0 && (
+              <ul className="compare-related">
+                {links.map((link) => (
+                  <li key={link.relation.id}>
+                    <span className="compare-related-heading">{link.label}</span>
+                    <button
+                      type="button"
+                      className="compare-related-link"
+                      onClick={() => showInPane(otherIndex, link.otherEvent)}
+                      title={`Show in the ${PANE_NAMES[otherIndex].toLowerCase()} timeline`}
+                    >
+                      {link.otherEvent.title}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        ) : (
+          <span className="compare-selection-empty">Click an event to select it.</span>
+        )}
+      </div>
+    )
+  }
+
+  const renderTimeline = (paneIndex) => (
+    <div className="compare-pane" ref={paneRefs[paneIndex]}>
+      <HistoryArrow
+        ref={timelineRefs[paneIndex]}
+        events={timelineEvents}
+        selectedEvent={selectedEvents[paneIndex]}
+        onEventClick={paneIndex === 0 ? handleUpperEventClick : handleLowerEventClick}
+        onVisibleEventsChange={handleVisibleEventsChange}
+        initialView={initialViews[paneIndex]}
+        onViewChange={paneIndex === 0 ? handleUpperViewChange : handleLowerViewChange}
+        labelColorMap={labelColorMap}
+        eras={eras}
+        title={`${PANE_NAMES[paneIndex]} timeline`}
+        showRandomEventButton={false}
+      />
+    </div>
+  )
+
+  return (
+    <div className="compare-page">
+      <h1 className="visually-hidden">Compare Timelines</h1>
+      <div className="compare-toolbar">
+        <button
+          type="button"
+          className={`btn btn-sm ${zoomRatio ? 'btn-primary' : 'btn-secondary'}`}
+          onClick={toggleZoomLink}
+          aria-pressed={Boolean(zoomRatio)}
+          title="Keep the ratio between the two zoom levels while zooming either timeline"
+        >
+          {zoomRatio ? `Zoom linked ${formatZoomRatio(zoomRatio)}` : 'Link zoom'}
+        </button>
+        <Link to="/" className="btn btn-secondary btn-sm">Single timeline</Link>
+      </div>
+
+      {loading ? (
+        <div className="loading-state">
+          <div className="loading-spinner" />
+          <p>Loading timeline...</p>
+        </div>
+      ) : error && displayEvents.length === 0 ? (
+        <div className="error-state">
+          <p>Using sample data (API not connected)</p>
+        </div>
+      ) : (
+        <div className="compare-panes" ref={panesRef}>
+          {renderTimeline(0)}
+          {renderTimeline(1)}
+          <svg className="compare-connectors" aria-hidden="true">
+            {connectors.map(({ key, x1, y1, x2, y2, isSelected }) => {
+              const bend = Math.max(24, (y2 - y1) / 2)
+              return (
+                <path
+                  key={key}
+                  className={`compare-connector ${isSelected ? 'compare-connector--selected' : ''}`.trim()}
+                  d={`M ${x1} ${y1} C ${x1} ${y1 + bend}, ${x2} ${y2 - bend}, ${x2} ${y2}`}
+                />
+              )
+            })}
+          </svg>
+        </div>
+      )}
+
+      <section className="compare-selections" aria-live="polite">
+        {renderSelection(0)}
+        {renderSelection(1)}
+        {isAdmin && (
+          <div className="compare-relation-actions">
+            <button
+              type="button"
+              className={`btn btn-sm ${selectedPairRelation ? 'btn-danger' : 'btn-primary'}`}
+              onClick={handleToggleRelation}
+              disabled={!canRelateSelected || relationBusy}
+              title={canRelateSelected ? undefined : 'Select a different saved event in each timeline'}
+            >
+              {selectedPairRelation ? 'Remove relation' : 'Mark as related'}
+            </button>
+            {relationError && <span className="compare-relation-error">{relationError}</span>}
+          </div>
+        )}
+      </section>
+    </div>
+  )
+}
+
+export default Compare
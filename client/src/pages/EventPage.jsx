@@ -0,0 +1,86 @@
+import { useMemo } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import SelectedEventDetail from '../components/SelectedEventDetail'
+import { useEvents } from '../hooks/useEvents'
+import { useAuth } from '../hooks/useAuth'
+import { useLabels } from '../hooks/useLabels'
+import { useEventRelations } from '../hooks/useEventRelations'
+import { useSeo } from '../hooks/useSeo'
+import { sampleEvents } from '../data/sampleEvents'
+import { getEventSeo } from '../utils/eventSeo'
+import { getEventLabelColors } from '../utils/eventLabels'
+import { getEventRelationLinks } from '../utils/eventRelations'
+import './Home.css'
+import './EventPage.css'
+
+const NOT_FOUND_SEO = {
+  title: 'Event Not Found',
+  description: 'This event is not on the History Arrow timeline.',
+  robots: 'noindex, follow'
+}
+
+// Standalone permalink page for one event (/event/:id)
+function EventPage() {
+  const { id } = useParams()
+  const { events, loading } = useEvents()
+  const { isAdmin } = useAuth()
+  const { labelColorMap } = useLabels()
+  const { relations } = useEventRelations()
+
+  const allEvents = events.length > 0 ? events : sampleEvents
+  const event = useMemo(
+    () => allEvents.find((e) => String(e.id) === id) || null,
+    [allEvents, id]
+  )
+  // Without a timeline here, relations and the events above and below link to their pages
+  const relationLinks = useMemo(
+    () => getEventRelationLinks(event, relations, allEvents),
+    [event, relations, allEvents]
+  )
+
+  useSeo(loading ? getEventSeo(null, isAdmin) : getEventSeo(event, isAdmin, {
+    ...NOT_FOUND_SEO,
+    path: `/event/${encodeURIComponent(id)}`
+  }))
+
+  if (loading) {
+    return (
+      <div className="event-page">
+        <div className="loading-state">
+          <div className="loading-spinner" />
+          <p>Loading event...</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (!event) {
+    return (
+      <div className="event-page">
+        <div className="error-state">
+          <p>This event could not be found. It may have been removed or not published yet.</p>
+        </div>
+        <Link className="event-page-link" to="/">Back to the timeline</Link>
+      </div>
+    )
+  }
+
+  return (
+    <div className="event-page">
+      <nav className="event-page-nav">
+        <Link className="event-page-link" to={`/?event=${encodeURIComponent(event.id)}`}>
+          View on the timeline
+        </Link>
+      </nav>
+      <SelectedEventDetail
+        event={event}
+        allEvents={allEvents}
+        labelColor={getEventLabelColors(event, labelColorMap)[0] || null}
+        relationLinks={relationLinks}
+        isAdmin={isAdmin}
+      />
+    </div>
+  )
+}
+
+export default EventPage
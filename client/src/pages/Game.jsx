@@ -1,16 +1,48 @@
 import { useEffect, useMemo, useRef, useState, useCallback } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import { Link } from 'react-router-dom'
 import HistoryArrow from '../components/HistoryArrow'
 import SelectedEventDetail from '../components/SelectedEventDetail'
+import EventLabelBadges from '../components/EventLabelBadges'
+import GameOrderChallenge from '../components/GameOrderChallenge'
+import GamePairChallenge from '../components/GamePairChallenge'
+import GameDailyPanel from '../components/GameDailyPanel'
+import GameRoomPanel from '../components/GameRoomPanel'
 import { useEvents } from '../hooks/useEvents'
 import { useAuth } from '../hooks/useAuth'
 import { useLabels } from '../hooks/useLabels'
 import { useSeo } from '../hooks/useSeo'
+import { useGameRecorder } from '../hooks/useGameRecorder'
+import { useDailyChallenge } from '../hooks/useDailyChallenge'
+import { useGameRoom, ROOM_PHASE } from '../hooks/useGameRoom'
 import { sampleEvents } from '../data/sampleEvents'
 import { formatEventDate } from '../utils/dateUtils'
-import { eventToYearsAgo, eventEndToYearsAgo, formatYearsAgoShort } from '../utils/logScaleUtils'
+import {
+  eventToYearsAgo,
+  eventEndToYearsAgo,
+  getEventStartYearsAgo,
+  formatYearsAgoShort,
+  DEFAULT_MIN_YEARS,
+  DEFAULT_MAX_YEARS
+} from '../utils/logScaleUtils'
+import {
+  GAME_MODE,
+  GAME_MODES,
+  TIMED_TURN_MS,
+  getGameMode,
+  pickRoundEvents,
+  getGuessTarget,
+  getYearsOffTarget,
+  getPointsFromRelativeTimeError,
+  getTimedPoints,
+  getOrderingResult,
+  getWhichFirstResult,
+  getSpanOverlapResult
+} from '../utils/gameModes'
 import { canViewEventContent, getRestrictedContentMessage } from '../utils/contentVisibility'
 import { getEventsForTimeline } from '../utils/eventHierarchy'
+import { filterEventsByLabels, getEventLabels, getEventLabelColors } from '../utils/eventLabels'
+import { isLocalEvent } from '../utils/localEvents'
 import './Home.css'
 import './Game.css'
 
@@ -35,11 +67,37 @@ const PLAYER_COLORS = [
 const ROUND_PHASE = {
   IDLE: 'idle',
   GUESSING: 'guessing',
+  // Online: this player's guess is in, the rest of the room is still guessing
+  WAITING: 'waiting',
   FINAL_REVEAL: 'final-reveal'
 }
 const EXCLUDED_GAME_LABEL = 'Eons'
+// The daily challenge is one attempt per player, so rooms play the other modes
+const ONLINE_GAME_MODES = GAME_MODES.filter((option) => option.id !== GAME_MODE.DAILY)
 const LONG_SPAN_YEARS_THRESHOLD = 2000
 
+const SINGLE_PLAYER = { id: 'single-player', name: 'You', color: null }
+// Reveals of the card modes fit the round's events with this much room either side
+const REVEAL_VIEW_PADDING = 0.1
+const COUNTDOWN_TICK_MS = 100
+const COUNTDOWN_URGENT_MS = 5000
+
+const GUESSING_PROMPTS = {
+  [GAME_MODE.CLASSIC]: 'Round active: place your guess on timeline',
+  [GAME_MODE.TIMED]: 'Round active: place your guess before the time runs out',
+  [GAME_MODE.ORDERING]: 'Round active: sort the events, oldest first',
+  [GAME_MODE.WHICH_FIRST]: 'Round active: pick the event that came first',
+  [GAME_MODE.SPAN]: 'Round active: click where the span begins or ends',
+  [GAME_MODE.DAILY]: 'Daily challenge: place your guess on timeline'
+}
+
+// The span ghost is a point until one edge is placed, so it doesn't give the length away
+const toPointEvent = (event) => ({ ...event, end_date: null, astronomical_end_year: null })
+
+const getGuessYearsAgoList = (guess) => (
+  guess.range ? [guess.range.older, guess.range.newer] : [guess.yearsAgo]
+)
+
 function Game() {
   useSeo({
     title: 'Timeline Guessing Game',
@@ -51,21 +109,37 @@ function Game() {
   const { isAdmin } = useAuth()
   const { labels, labelColorMap } = useLabels()
   const timelineRef = useRef(null)
+  const { sessionId, saveError, recordRound } = useGameRecorder()
+  const gameRoom = useGameRoom()
+  const {
+    room,
+    playerId: roomPlayerId,
+    updateSettings: updateRoomSettings,
+    startRound: startRoomRound,
+    submitGuess: submitRoomGuess
+  } = gameRoom
+  // The room round this tab has set up and revealed
+  const syncedRoundRef = useRef({ code: null, number: 0, revealed: false })
 
   const [displayEvents, setDisplayEvents] = useState([])
   const [searchQuery, setSearchQuery] = useState('')
   const [activeLabels, setActiveLabels] = useState([])
   const [filterMode, setFilterMode] = useState('include')
+  const [labelMatch, setLabelMatch] = useState('any')
   const [selectedEvent, setSelectedEvent] = useState(null)
 
   const [players, setPlayers] = useState([])
   const [playerNameInputs, setPlayerNameInputs] = useState({})
   const [newPlayerInput, setNewPlayerInput] = useState('')
 
-  const [roundEvent, setRoundEvent] = useState(null)
+  const [gameMode, setGameMode] = useState(GAME_MODE.CLASSIC)
+  const [roundEvents, setRoundEvents] = useState([])
   const [guessYearsAgo, setGuessYearsAgo] = useState(null)
+  const [spanAnchorYearsAgo, setSpanAnchorYearsAgo] = useState(null)
+  const [orderDraft, setOrderDraft] = useState([])
+  const [turnDeadline, setTurnDeadline] = useState(null)
+  const [timeLeftMs, setTimeLeftMs] = useState(TIMED_TURN_MS)
   const [isRevealed, setIsRevealed] = useState(false)
-  const [yearsApart, setYearsApart] = useState(null)
   const [roundPoints, setRoundPoints] = useState(0)
   const [totalPoints, setTotalPoints] = useState(0)
   const [roundGuesses, setRoundGuesses] = useState([])
@@ -75,10 +149,31 @@ function Game() {
   const [pointsPopup, setPointsPopup] = useState(null)
   const [gameError, setGameError] = useState('')
 
-  const isMultiplayer = players.length > 0
+  const mode = getGameMode(gameMode)
+  const isDaily = gameMode === GAME_MODE.DAILY
+  const dailyChallenge = useDailyChallenge(isDaily)
+  const {
+    daily,
+    player: dailyPlayer,
+    progress: dailyProgress,
+    attempt: dailyAttempt,
+    error: dailyError,
+    recordDailyGuess
+  } = dailyChallenge
+  // Timeline modes hide a single event; the card modes several, shown above the timeline
+  const roundEvent = mode.usesTimeline ? roundEvents[0] || null : null
+  const hasRound = roundEvents.length > 0
+  // Online rooms replace the hot-seat roster, and the daily challenge is one attempt per player
+  const isOnline = Boolean(room)
+  const isMultiplayer = players.length > 0 && !isDaily && !isOnline
+  const isRoomHost = isOnline && room.hostId === roomPlayerId
+  const roomPlayer = isOnline ? room.players.find((player) => player.id === roomPlayerId) || null : null
+  // Everyone plays the host's mode and labels, which stay put while a round is on
+  const isSettingsLocked = isOnline && (!isRoomHost || room.phase === ROOM_PHASE.GUESSING)
   const isGuessingPhase = roundPhase === ROUND_PHASE.GUESSING
+  const isWaitingForRoom = roundPhase === ROUND_PHASE.WAITING
   const isFinalReveal = roundPhase === ROUND_PHASE.FINAL_REVEAL
-  const isRevealFocus = !!roundEvent && isFinalReveal
+  const isRevealFocus = hasRound && isFinalReveal
 
   useEffect(() => {
     if (events && events.length > 0) {
@@ -90,22 +185,13 @@ function Game() {
 
   const filteredEvents = useMemo(() => {
     const gameBaseEvents = displayEvents.filter(
-      (event) => event.label !== EXCLUDED_GAME_LABEL && !event.parent_id
+      (event) => !getEventLabels(event).includes(EXCLUDED_GAME_LABEL)
+        && !event.parent_id
+        && getEventStartYearsAgo(event) !== null
     )
 
-    if (activeLabels.length === 0) return gameBaseEvents
-    if (filterMode === 'include') {
-      return gameBaseEvents.filter((event) => {
-        if (!event.label && activeLabels.includes('__none__')) return true
-        return event.label && activeLabels.includes(event.label)
-      })
-    }
-    return gameBaseEvents.filter((event) => {
-      if (!event.label && activeLabels.includes('__none__')) return false
-      if (event.label && activeLabels.includes(event.label)) return false
-      return true
-    })
-  }, [displayEvents, activeLabels, filterMode])
+    return filterEventsByLabels(gameBaseEvents, { activeLabels, filterMode, labelMatch })
+  }, [displayEvents, activeLabels, filterMode, labelMatch])
 
   const gameLabels = useMemo(() => {
     return labels.filter((labelItem) => labelItem.name !== EXCLUDED_GAME_LABEL)
@@ -122,13 +208,29 @@ function Game() {
     setRoundStartPlayerIndex((prev) => prev % players.length)
   }, [players.length])
 
+  const isDailyDone = isDaily && Boolean(dailyAttempt || (daily && dailyProgress.length >= daily.event_ids.length))
+
+  // The day's events as this page loaded them, falling back to the server's copy
+  const dailyEvents = useMemo(() => {
+    if (!daily) return []
+    return daily.events.map((event) => (
+      displayEvents.find((candidate) => String(candidate.id) === String(event.id)) || event
+    ))
+  }, [daily, displayEvents])
+
   const timelineEventsTopLevel = useMemo(() => {
-    if (isFinalReveal) return []
-    if (roundEvent && !isRevealed) {
-      return filteredEvents.filter((event) => event.id !== roundEvent.id)
+    if (isFinalReveal) return mode.usesTimeline ? [] : roundEvents
+    const hiddenIds = new Set()
+    if (hasRound && !isRevealed) {
+      roundEvents.forEach((event) => hiddenIds.add(String(event.id)))
     }
-    return filteredEvents
-  }, [filteredEvents, isFinalReveal, roundEvent, isRevealed])
+    // Daily events stay hidden until their round, so the timeline doesn't give them away
+    if (isDaily && !dailyAttempt) {
+      dailyEvents.slice(dailyProgress.length).forEach((event) => hiddenIds.add(String(event.id)))
+    }
+    if (hiddenIds.size === 0) return filteredEvents
+    return filteredEvents.filter((event) => !hiddenIds.has(String(event.id)))
+  }, [filteredEvents, isFinalReveal, mode.usesTimeline, roundEvents, hasRound, isRevealed, isDaily, dailyAttempt, dailyEvents, dailyProgress.length])
 
   const timelineEvents = useMemo(
     () => getEventsForTimeline(displayEvents, timelineEventsTopLevel),
@@ -153,9 +255,9 @@ function Game() {
   }, [])
 
   const activePlayer = useMemo(() => {
-    if (!isMultiplayer || !roundEvent || isRevealed || !isGuessingPhase || players.length === 0) return null
+    if (!isMultiplayer || !hasRound || isRevealed || !isGuessingPhase || players.length === 0) return null
     return players[currentPlayerIndex] || null
-  }, [isMultiplayer, roundEvent, isRevealed, isGuessingPhase, players, currentPlayerIndex])
+  }, [isMultiplayer, hasRound, isRevealed, isGuessingPhase, players, currentPlayerIndex])
 
   const totalPlayerPoints = useMemo(() => {
     return players.reduce((sum, player) => sum + player.score, 0)
@@ -164,16 +266,20 @@ function Game() {
   const gameGuessMarkers = useMemo(() => {
     if (!roundEvent || !isFinalReveal) return []
 
-    return roundGuesses.map((guess, index) => ({
-      id: `${guess.playerId}-${index}`,
-      event: roundEvent,
-      displayTitle: isMultiplayer ? guess.playerName : 'You',
-      yearsAgo: guess.yearsAgo,
-      color: guess.color,
-      overlayClass: 'game-overlay-guess',
-      laneDirection: index % 2 === 0 ? 1 : -1
-    }))
-  }, [roundGuesses, roundEvent, isFinalReveal, isMultiplayer])
+    // Turns that ran out of time have nothing to show
+    return roundGuesses
+      .filter((guess) => guess.range || Number.isFinite(guess.yearsAgo))
+      .map((guess, index) => ({
+        id: `${guess.playerId}-${index}`,
+        event: roundEvent,
+        displayTitle: isMultiplayer || isOnline ? guess.playerName : 'You',
+        yearsAgo: guess.yearsAgo,
+        range: guess.range,
+        color: guess.color,
+        overlayClass: 'game-overlay-guess',
+        laneDirection: index % 2 === 0 ? 1 : -1
+      }))
+  }, [roundGuesses, roundEvent, isFinalReveal, isMultiplayer, isOnline])
 
   const gameActualMarker = useMemo(() => {
     if (!roundEvent || !isFinalReveal) return null
@@ -185,6 +291,11 @@ function Game() {
     }
   }, [roundEvent, isFinalReveal])
 
+  const gameGhostEvent = useMemo(() => {
+    if (!roundEvent || !isGuessingPhase) return null
+    return gameMode === GAME_MODE.SPAN && spanAnchorYearsAgo === null ? toPointEvent(roundEvent) : roundEvent
+  }, [roundEvent, isGuessingPhase, gameMode, spanAnchorYearsAgo])
+
   const roundPointsByPlayer = useMemo(() => {
     const pointsMap = new Map()
     roundGuesses.forEach((guess) => {
@@ -196,21 +307,9 @@ function Game() {
     return pointsMap
   }, [roundGuesses])
 
-  const getPointsFromRelativeTimeError = useCallback((yearsOff, eventCenterYearsAgo) => {
-    if (!Number.isFinite(yearsOff) || !Number.isFinite(eventCenterYearsAgo)) return 0
-
-    const safeCenterYears = Math.max(1, eventCenterYearsAgo)
-    const relativeError = yearsOff / safeCenterYears
-
-    // Softer curve: near guesses retain more points, and perfect-ish guesses hit max quickly.
-    const fullScoreThreshold = 0.015
-    if (relativeError <= fullScoreThreshold) {
-      return 5000
-    }
-
-    const softenedRatio = Math.max(0, 1 - Math.min(1, relativeError * 2))
-    return Math.round(Math.pow(softenedRatio, 0.7) * 5000)
-  }, [])
+  const bestGuess = useMemo(() => {
+    return roundGuesses.reduce((best, guess) => (!best || guess.points > best.points ? guess : best), null)
+  }, [roundGuesses])
 
   const addPlayer = useCallback((rawName) => {
     const name = rawName.trim()
@@ -234,22 +333,38 @@ function Game() {
     )))
   }, [playerNameInputs])
 
-  const startRound = useCallback(() => {
-    if (!filteredEvents.length) {
-      setGameError('No events match the current filter.')
-      return
+  // Every player's turn starts from the same shuffled order and a full countdown
+  // (less when rejoining an online round that is already running)
+  const beginTurn = useCallback((events, durationMs = TIMED_TURN_MS) => {
+    setGuessYearsAgo(null)
+    setSpanAnchorYearsAgo(null)
+    setOrderDraft(events)
+    if (gameMode === GAME_MODE.TIMED) {
+      setTurnDeadline(Date.now() + durationMs)
+      setTimeLeftMs(durationMs)
+    } else {
+      setTurnDeadline(null)
     }
+  }, [gameMode])
 
-    const randomEvent = filteredEvents[Math.floor(Math.random() * filteredEvents.length)]
-    if (!randomEvent) {
-      setGameError('Could not pick an event. Try again.')
-      return
+  // The next event of the daily challenge, or why there isn't one
+  const getDailyRound = useCallback(() => {
+    if (!daily) return { error: dailyError || 'The daily challenge is still loading.' }
+    if (dailyEvents.length < daily.event_ids.length) {
+      return { error: 'One of today\'s daily events has been removed, so the challenge can\'t be played.' }
     }
+    if (!dailyPlayer) return { error: 'Enter a name to play the daily challenge.' }
+    if (dailyAttempt || dailyProgress.length >= dailyEvents.length) {
+      return { error: 'You have played today\'s daily challenge. Come back tomorrow!' }
+    }
+    return { events: [dailyEvents[dailyProgress.length]] }
+  }, [daily, dailyError, dailyEvents, dailyPlayer, dailyAttempt, dailyProgress.length])
 
-    setRoundEvent(randomEvent)
-    setGuessYearsAgo(null)
+  // Sets up a round of the given events on this page
+  const playRound = useCallback((pickedEvents, durationMs) => {
+    setRoundEvents(pickedEvents)
+    beginTurn(pickedEvents, durationMs)
     setIsRevealed(false)
-    setYearsApart(null)
     setRoundPoints(0)
     setRoundGuesses([])
     setRoundPhase(ROUND_PHASE.GUESSING)
@@ -258,20 +373,148 @@ function Game() {
       setCurrentPlayerIndex(roundStartPlayerIndex % players.length)
     }
 
-    const roundStartYearsAgo = eventToYearsAgo(randomEvent)
-    const roundEndYearsAgo = eventEndToYearsAgo(randomEvent)
+    const [firstEvent] = pickedEvents
+    const roundStartYearsAgo = eventToYearsAgo(firstEvent)
+    const roundEndYearsAgo = eventEndToYearsAgo(firstEvent)
     const roundDurationYears = (roundEndYearsAgo !== null && roundEndYearsAgo !== undefined)
       ? Math.abs(roundStartYearsAgo - roundEndYearsAgo)
       : 0
 
-    if (roundDurationYears > LONG_SPAN_YEARS_THRESHOLD) {
-      timelineRef.current?.centerOnEvent?.(randomEvent)
+    if (mode.usesTimeline && roundDurationYears > LONG_SPAN_YEARS_THRESHOLD) {
+      timelineRef.current?.centerOnEvent?.(firstEvent)
     } else {
       timelineRef.current?.resetView?.()
     }
 
     setGameError('')
-  }, [filteredEvents, players.length, roundStartPlayerIndex])
+  }, [mode.usesTimeline, beginTurn, players.length, roundStartPlayerIndex])
+
+  const startRound = useCallback(() => {
+    let pickedEvents
+    if (isDaily) {
+      const dailyRound = getDailyRound()
+      if (dailyRound.error) {
+        setGameError(dailyRound.error)
+        return
+      }
+      pickedEvents = dailyRound.events
+    } else {
+      // Drafts saved in this browser aren't on the other players' timelines
+      const candidates = isOnline ? filteredEvents.filter((event) => !isLocalEvent(event)) : filteredEvents
+      if (!candidates.length) {
+        setGameError('No events match the current filter.')
+        return
+      }
+
+      pickedEvents = pickRoundEvents(gameMode, candidates)
+      if (!pickedEvents.length) {
+        setGameError(gameMode === GAME_MODE.SPAN
+          ? 'No spans match the current filter.'
+          : `${mode.label} needs ${mode.eventCount} events with different dates. Try a wider filter.`)
+        return
+      }
+    }
+
+    // The room starts the round for everyone, this tab included, when the server confirms it
+    if (isOnline) {
+      startRoomRound(pickedEvents.map((event) => event.id))
+      setGameError('')
+      return
+    }
+    playRound(pickedEvents)
+  }, [isDaily, getDailyRound, isOnline, filteredEvents, gameMode, mode, startRoomRound, playRound])
+
+  const revealRound = useCallback((guesses) => {
+    const roundScoreTotal = guesses.reduce((sum, guess) => sum + guess.points, 0)
+
+    if (isMultiplayer) {
+      setPlayers((prev) => prev.map((player) => {
+        const pointsForPlayer = guesses
+          .filter((guess) => guess.playerId === player.id)
+          .reduce((sum, guess) => sum + guess.points, 0)
+        return { ...player, score: player.score + pointsForPlayer }
+      }))
+      setRoundStartPlayerIndex((prev) => (prev + 1) % players.length)
+    } else if (!isOnline) {
+      setTotalPoints((prev) => prev + roundScoreTotal)
+    }
+    // Online rooms keep everyone's score on the server; the popup shows this player's points
+    const ownPoints = isOnline
+      ? guesses.find((guess) => guess.playerId === roomPlayerId)?.points || 0
+      : roundScoreTotal
+    setRoundPoints(roundScoreTotal)
+    setPointsPopup({ points: ownPoints, key: Date.now() })
+    setIsRevealed(true)
+    setRoundPhase(ROUND_PHASE.FINAL_REVEAL)
+    setTurnDeadline(null)
+    // Daily rounds are saved together as the day's attempt, not as a game session
+    if (isDaily) {
+      recordDailyGuess({ event_id: String(roundEvents[0].id), years_ago: guesses[0].yearsAgo, points: guesses[0].points })
+    } else if (!isOnline) {
+      recordRound({
+        mode: gameMode,
+        filters: { labels: activeLabels, filter_mode: filterMode, label_match: labelMatch },
+        players: isMultiplayer ? players : [],
+        eventIds: roundEvents.map((event) => event.id),
+        guesses
+      })
+    } else if (isRoomHost && guesses.length > 0) {
+      // The host saves online rounds, with everyone who guessed as the roster
+      recordRound({
+        mode: gameMode,
+        filters: { labels: activeLabels, filter_mode: filterMode, label_match: labelMatch },
+        players: room.players.filter((player) => guesses.some((guess) => guess.playerId === player.id)),
+        eventIds: roundEvents.map((event) => event.id),
+        guesses
+      })
+    }
+
+    if (mode.usesTimeline) {
+      setSelectedEvent(roundEvents[0])
+      timelineRef.current?.centerOnRevealGuesses?.(roundEvents[0], guesses.flatMap(getGuessYearsAgoList))
+      return
+    }
+
+    const edges = roundEvents.flatMap((event) => [eventToYearsAgo(event), eventEndToYearsAgo(event) ?? eventToYearsAgo(event)])
+    const older = Math.max(...edges)
+    const newer = Math.min(...edges)
+    const padding = Math.max((older - newer) * REVEAL_VIEW_PADDING, 1)
+    timelineRef.current?.flyToView?.(
+      Math.max(DEFAULT_MIN_YEARS, newer - padding),
+      Math.min(DEFAULT_MAX_YEARS, older + padding)
+    )
+  }, [isMultiplayer, players, isOnline, roomPlayerId, isRoomHost, room, mode.usesTimeline, roundEvents, isDaily, recordDailyGuess, recordRound, gameMode, activeLabels, filterMode, labelMatch])
+
+  // Adds the active player's guess; the round is revealed once everyone has had a turn.
+  // Online guesses go to the room, which reveals them all together
+  const recordGuess = useCallback((result) => {
+    if (isOnline) {
+      if (!roomPlayer) return
+      submitRoomGuess(result)
+      setRoundGuesses([{ playerId: roomPlayer.id, playerName: roomPlayer.name, color: roomPlayer.color, ...result }])
+      setRoundPhase(ROUND_PHASE.WAITING)
+      setTurnDeadline(null)
+      return
+    }
+
+    const guesser = isMultiplayer ? players[currentPlayerIndex] : SINGLE_PLAYER
+    if (!guesser) return
+
+    const updatedGuesses = [...roundGuesses, {
+      playerId: guesser.id,
+      playerName: guesser.name,
+      color: guesser.color,
+      ...result
+    }]
+    setRoundGuesses(updatedGuesses)
+
+    if (isMultiplayer && updatedGuesses.length < players.length) {
+      setCurrentPlayerIndex((prev) => (prev + 1) % players.length)
+      beginTurn(roundEvents)
+      return
+    }
+    revealRound(updatedGuesses)
+  }, [isOnline, roomPlayer, submitRoomGuess, isMultiplayer, players, currentPlayerIndex, roundGuesses, roundEvents, beginTurn, revealRound])
 
   const handleGuessMove = useCallback(({ yearsAgo }) => {
     if (!roundEvent || isRevealed || !isGuessingPhase) return
@@ -281,100 +524,172 @@ function Game() {
   const handleGuessPlace = useCallback(({ yearsAgo }) => {
     if (!roundEvent || isRevealed || !isGuessingPhase) return
 
-    const eventStart = eventToYearsAgo(roundEvent)
-    const eventEnd = eventEndToYearsAgo(roundEvent)
-    const eventCenter = eventEnd !== null && eventEnd !== undefined
-      ? (eventStart + eventEnd) / 2
-      : eventStart
+    // Span rounds take two clicks, one per edge, in either order
+    if (gameMode === GAME_MODE.SPAN) {
+      if (spanAnchorYearsAgo === null) {
+        setSpanAnchorYearsAgo(yearsAgo)
+        return
+      }
+      const range = {
+        older: Math.max(spanAnchorYearsAgo, yearsAgo),
+        newer: Math.min(spanAnchorYearsAgo, yearsAgo)
+      }
+      const { overlap, points } = getSpanOverlapResult(range, roundEvent)
+      recordGuess({ range, points, resultText: `${Math.round(overlap * 100)}% overlap` })
+      return
+    }
 
-    const distance = Math.abs(yearsAgo - eventCenter)
-    const earnedPoints = getPointsFromRelativeTimeError(distance, eventCenter)
+    const target = getGuessTarget(roundEvent)
+    const apart = `${formatYearsAgoShort(getYearsOffTarget(yearsAgo, target))} apart`
+    const basePoints = getPointsFromRelativeTimeError(yearsAgo, target)
 
-    if (!isMultiplayer) {
-      setRoundGuesses([{
-        playerId: 'single-player',
-        playerName: 'You',
-        color: null,
+    if (gameMode === GAME_MODE.TIMED) {
+      const turnTimeLeftMs = turnDeadline - Date.now()
+      const { points, speedBonus } = getTimedPoints(basePoints, turnTimeLeftMs)
+      recordGuess({
         yearsAgo,
-        points: earnedPoints
-      }])
-      setGuessYearsAgo(yearsAgo)
-      setYearsApart(distance)
-      setRoundPoints(earnedPoints)
-      setTotalPoints((prev) => prev + earnedPoints)
-      setPointsPopup({ points: earnedPoints, key: Date.now() })
-      setIsRevealed(true)
-      setRoundPhase(ROUND_PHASE.FINAL_REVEAL)
-      setSelectedEvent(roundEvent)
-      timelineRef.current?.centerOnRevealGuesses?.(roundEvent, [yearsAgo])
+        timeLeftMs: turnTimeLeftMs,
+        points,
+        speedBonus,
+        resultText: speedBonus > 0 ? `${apart} (+${speedBonus} speed bonus)` : apart
+      })
       return
     }
 
-    const active = players[currentPlayerIndex]
-    if (!active) return
+    recordGuess({ yearsAgo, points: basePoints, resultText: apart })
+  }, [roundEvent, isRevealed, isGuessingPhase, gameMode, spanAnchorYearsAgo, turnDeadline, recordGuess])
 
-    const nextGuess = {
-      playerId: active.id,
-      playerName: active.name,
-      color: active.color,
-      yearsAgo,
-      points: earnedPoints
-    }
-    const updatedGuesses = [...roundGuesses, nextGuess]
-    setRoundGuesses(updatedGuesses)
+  const moveOrderItem = useCallback((index, offset) => {
+    setOrderDraft((prev) => {
+      const next = [...prev]
+      const [event] = next.splice(index, 1)
+      next.splice(index + offset, 0, event)
+      return next
+    })
+  }, [])
 
-    const finalGuessPlaced = updatedGuesses.length >= players.length
-    if (!finalGuessPlaced) {
-      setCurrentPlayerIndex((prev) => (prev + 1) % players.length)
-      setGuessYearsAgo(null)
-      return
-    }
+  const handleOrderSubmit = useCallback(() => {
+    if (!isGuessingPhase) return
+    const { concordant, pairs, points } = getOrderingResult(orderDraft)
+    recordGuess({
+      order: orderDraft.map((event) => event.id),
+      points,
+      resultText: `${concordant}/${pairs} pairs in order`
+    })
+  }, [isGuessingPhase, orderDraft, recordGuess])
 
-    const roundScoreTotal = updatedGuesses.reduce((sum, guess) => sum + guess.points, 0)
-    const bestDistance = updatedGuesses.reduce((best, guess) => {
-      const current = Math.abs(guess.yearsAgo - eventCenter)
-      return Math.min(best, current)
-    }, Number.POSITIVE_INFINITY)
-
-    setPlayers((prev) => prev.map((player) => {
-      const pointsForPlayer = updatedGuesses
-        .filter((guess) => guess.playerId === player.id)
-        .reduce((sum, guess) => sum + guess.points, 0)
-      return { ...player, score: player.score + pointsForPlayer }
-    }))
-    setRoundPoints(roundScoreTotal)
-    setYearsApart(Number.isFinite(bestDistance) ? bestDistance : distance)
-    setPointsPopup({ points: roundScoreTotal, key: Date.now() })
-    setIsRevealed(true)
-    setRoundPhase(ROUND_PHASE.FINAL_REVEAL)
-    setSelectedEvent(roundEvent)
-    timelineRef.current?.centerOnRevealGuesses?.(
-      roundEvent,
-      updatedGuesses.map((guess) => guess.yearsAgo)
-    )
-    setRoundStartPlayerIndex((prev) => (prev + 1) % players.length)
-  }, [
-    roundEvent,
-    isRevealed,
-    isGuessingPhase,
-    getPointsFromRelativeTimeError,
-    isMultiplayer,
-    players,
-    currentPlayerIndex,
-    roundGuesses
-  ])
+  const handlePairPick = useCallback((event) => {
+    if (!isGuessingPhase) return
+    const other = roundEvents.find((candidate) => candidate.id !== event.id)
+    const { correct, points } = getWhichFirstResult(event, other)
+    recordGuess({ pickedEventId: event.id, points, resultText: correct ? 'correct' : 'wrong' })
+  }, [isGuessingPhase, roundEvents, recordGuess])
 
-  const handleTimelineBackgroundClick = useCallback(() => {
-    if (roundPhase !== ROUND_PHASE.FINAL_REVEAL) return
+  useEffect(() => {
+    if (turnDeadline === null) return undefined
+    const timer = setInterval(() => {
+      setTimeLeftMs(Math.max(0, turnDeadline - Date.now()))
+    }, COUNTDOWN_TICK_MS)
+    return () => clearInterval(timer)
+  }, [turnDeadline])
+
+  // Out of time: the turn scores nothing and play moves on
+  useEffect(() => {
+    if (turnDeadline === null || timeLeftMs > 0 || !isGuessingPhase) return
+    recordGuess({ points: 0, resultText: 'out of time' })
+  }, [turnDeadline, timeLeftMs, isGuessingPhase, recordGuess])
+
+  const clearRound = useCallback(() => {
     setRoundPhase(ROUND_PHASE.IDLE)
-    setRoundEvent(null)
+    setRoundEvents([])
     setRoundGuesses([])
     setGuessYearsAgo(null)
+    setSpanAnchorYearsAgo(null)
+    setTurnDeadline(null)
     setIsRevealed(false)
     setSelectedEvent(null)
-    setYearsApart(null)
     setRoundPoints(0)
-  }, [roundPhase])
+  }, [])
+
+  const handleTimelineBackgroundClick = useCallback(() => {
+    if (roundPhase !== ROUND_PHASE.FINAL_REVEAL) return
+    clearRound()
+  }, [roundPhase, clearRound])
+
+  // Switching modes abandons the current round
+  const changeGameMode = useCallback((modeId) => {
+    if (modeId === gameMode) return
+    clearRound()
+    setGameMode(modeId)
+    setGameError('')
+  }, [gameMode, clearRound])
+
+  // Joining or leaving a room abandons the round in progress
+  useEffect(() => {
+    syncedRoundRef.current = { code: null, number: 0, revealed: false }
+    clearRound()
+  }, [isOnline, clearRound])
+
+  // The host's mode and labels become the room's, between rounds
+  useEffect(() => {
+    if (!isRoomHost || room.phase === ROOM_PHASE.GUESSING) return
+    if (isDaily) {
+      changeGameMode(GAME_MODE.CLASSIC)
+      return
+    }
+    const { settings } = room
+    const isInSync = settings.mode === gameMode &&
+      settings.filterMode === filterMode &&
+      settings.labelMatch === labelMatch &&
+      settings.labels.join('\n') === activeLabels.join('\n')
+    if (!isInSync) {
+      updateRoomSettings({ mode: gameMode, labels: activeLabels, filterMode, labelMatch })
+    }
+  }, [isRoomHost, room, isDaily, changeGameMode, gameMode, activeLabels, filterMode, labelMatch, updateRoomSettings])
+
+  // ...and everyone else follows them
+  useEffect(() => {
+    if (!isOnline || isRoomHost) return
+    const { settings } = room
+    changeGameMode(settings.mode)
+    if (settings.labels.join('\n') !== activeLabels.join('\n')) setActiveLabels(settings.labels)
+    setFilterMode(settings.filterMode)
+    setLabelMatch(settings.labelMatch)
+  }, [isOnline, isRoomHost, room, changeGameMode, activeLabels])
+
+  // Plays the room's rounds: each one starts in every tab at once and is revealed
+  // to everyone when the server says so
+  useEffect(() => {
+    const round = room?.round
+    if (!round || round.mode !== gameMode || displayEvents.length === 0) return
+
+    const synced = syncedRoundRef.current
+    if (synced.code !== room.code || synced.number !== round.number) {
+      // A round that was already over when this tab (re)joined is skipped
+      syncedRoundRef.current = { code: room.code, number: round.number, revealed: room.phase !== ROOM_PHASE.GUESSING }
+      if (room.phase !== ROOM_PHASE.GUESSING) return
+
+      const roundEventsById = round.eventIds.map((id) => (
+        displayEvents.find((event) => String(event.id) === String(id))
+      ))
+      if (roundEventsById.some((event) => !event)) {
+        setGameError('This round\'s events aren\'t on your timeline yet. Reload the page to catch up.')
+        return
+      }
+      playRound(roundEventsById, round.timeLeftMs === null ? undefined : Math.min(round.timeLeftMs, TIMED_TURN_MS))
+      // Back from a reload after guessing: the guess is in, so wait for the others
+      if (roomPlayer?.hasGuessed) setRoundPhase(ROUND_PHASE.WAITING)
+      return
+    }
+
+    if (room.phase === ROOM_PHASE.REVEAL && !synced.revealed) {
+      synced.revealed = true
+      revealRound(round.guesses.map((guess) => {
+        const guesser = room.players.find((player) => player.id === guess.playerId)
+        return { ...guess, playerName: guesser?.name || 'Former player', color: guesser?.color || null }
+      }))
+    }
+  }, [room, gameMode, displayEvents, roomPlayer, playRound, revealRound])
 
   useEffect(() => {
     if (!pointsPopup) return undefined
@@ -400,30 +715,84 @@ function Game() {
         transition={{ duration: 0.45 }}
       >
         <h1 className="hero-title">Guess Timeline Position</h1>
-        <p className="hero-subtitle">
-          Start a round to hide one visible event, place it by hovering the timeline, then click to reveal your guess.
-        </p>
+        <div className="filter-mode-toggle game-mode-picker" role="group" aria-label="Game mode">
+          {(isOnline ? ONLINE_GAME_MODES : GAME_MODES).map((option) => (
+            <button
+              key={option.id}
+              className={`filter-mode-btn ${gameMode === option.id ? 'active' : ''}`}
+              onClick={() => changeGameMode(option.id)}
+              aria-pressed={gameMode === option.id}
+              disabled={isSettingsLocked}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <p className="hero-subtitle">{mode.description}</p>
         <div className="game-controls">
-          <button className="btn btn-primary" onClick={startRound}>
-            {roundEvent && !isRevealed ? 'New Hidden Event' : 'Start Round'}
-          </button>
-          {roundEvent && (
+          {/* Online, only the host starts rounds, and can end one before everyone has guessed */}
+          {isOnline && isRoomHost && room.phase === ROOM_PHASE.GUESSING && (
+            <button className="btn btn-primary" onClick={gameRoom.revealNow}>
+              Reveal Now
+            </button>
+          )}
+          {(!isOnline || (isRoomHost && room.phase !== ROOM_PHASE.GUESSING)) && (
+            <button
+              className="btn btn-primary"
+              onClick={startRound}
+              disabled={isDaily && ((hasRound && !isRevealed) || isDailyDone)}
+            >
+              {isDaily
+                ? (isDailyDone ? 'Played Today' : dailyProgress.length > 0 ? 'Next Daily Event' : 'Start Daily Challenge')
+                : (hasRound && !isRevealed
+                    ? (mode.eventCount === 1 ? 'New Hidden Event' : 'New Events')
+                    : isOnline && room.round ? 'Next Round' : 'Start Round')}
+            </button>
+          )}
+          {hasRound && (
             <span className={`game-status-pill ${isRevealed ? 'revealed' : 'active'}`}>
-              {isMultiplayer
+              {isOnline
                 ? (
                     isRevealed
-                      ? `Revealed · Best guess ${formatYearsAgoShort(yearsApart || 0)} apart · Round ${roundPoints} pts · Click timeline to resume`
+                      ? `Revealed · ${bestGuess ? `Best guess ${bestGuess.playerName}: ${bestGuess.resultText}` : 'Nobody guessed'} · Click timeline to resume`
+                      : isWaitingForRoom
+                        ? `Guess in · Waiting for ${room.players.filter((player) => player.connected && !player.hasGuessed).length} more`
+                        : (spanAnchorYearsAgo !== null
+                            ? 'Round active: click the other end of the span'
+                            : GUESSING_PROMPTS[gameMode])
+                  )
+                : isMultiplayer
+                ? (
+                    isRevealed
+                      ? `Revealed · Best guess ${bestGuess?.resultText} · Round ${roundPoints} pts · Click timeline to resume`
                       : `Turn: ${activePlayer?.name || 'Player'} (${Math.min(roundGuesses.length + 1, players.length)}/${players.length})`
                   )
                 : (
                     isRevealed
-                      ? `Revealed: ${formatYearsAgoShort(yearsApart || 0)} apart · ${roundPoints} pts · Click timeline to resume`
-                      : 'Round active: place your guess on timeline'
+                      ? `Revealed: ${bestGuess?.resultText} · ${roundPoints} pts · Click timeline to resume`
+                      : (spanAnchorYearsAgo !== null
+                          ? 'Round active: click the other end of the span'
+                          : GUESSING_PROMPTS[gameMode])
                   )}
             </span>
           )}
+          {gameMode === GAME_MODE.TIMED && isGuessingPhase && turnDeadline !== null && (
+            <span
+              className={`game-countdown ${timeLeftMs <= COUNTDOWN_URGENT_MS ? 'urgent' : ''}`.trim()}
+              role="timer"
+              aria-label="Time left"
+            >
+              <span className="game-countdown-bar" style={{ width: `${(timeLeftMs / TIMED_TURN_MS) * 100}%` }} />
+              <span className="game-countdown-text">{Math.ceil(timeLeftMs / 1000)}s</span>
+            </span>
+          )}
+          {spanAnchorYearsAgo !== null && isGuessingPhase && (
+            <button className="btn btn-secondary btn-sm" onClick={() => setSpanAnchorYearsAgo(null)}>
+              Clear first edge
+            </button>
+          )}
           <span className="game-total-points">
-            Total: {isMultiplayer ? totalPlayerPoints : totalPoints} pts
+            {isOnline ? `You: ${roomPlayer?.score ?? 0}` : `Total: ${isMultiplayer ? totalPlayerPoints : totalPoints}`} pts
           </span>
         </div>
         <AnimatePresence>
@@ -441,11 +810,49 @@ function Game() {
           )}
         </AnimatePresence>
         {gameError && <p className="game-error">{gameError}</p>}
+        {isDaily && (
+          <GameDailyPanel
+            daily={daily}
+            player={dailyPlayer}
+            onPlayerChange={dailyChallenge.setPlayer}
+            progress={dailyProgress}
+            attempt={dailyAttempt}
+            streak={dailyChallenge.streak}
+            loading={dailyChallenge.loading}
+            error={dailyError}
+            isPlaying={hasRound && isGuessingPhase}
+            onRetrySubmit={dailyChallenge.retrySubmit}
+          />
+        )}
+        <div className="game-records-links">
+          <Link to="/game/leaderboard">Leaderboard</Link>
+          {sessionId && <Link to={`/game/sessions/${sessionId}`}>Session results</Link>}
+          {saveError && <span className="game-save-error">Rounds are not being saved: {saveError}</span>}
+        </div>
+        {hasRound && gameMode === GAME_MODE.ORDERING && (
+          <GameOrderChallenge
+            events={isRevealed ? roundEvents : orderDraft}
+            labelColorMap={labelColorMap}
+            isRevealed={isRevealed}
+            guesses={roundGuesses}
+            onMove={moveOrderItem}
+            onSubmit={handleOrderSubmit}
+          />
+        )}
+        {hasRound && gameMode === GAME_MODE.WHICH_FIRST && (
+          <GamePairChallenge
+            events={roundEvents}
+            labelColorMap={labelColorMap}
+            isRevealed={isRevealed}
+            guesses={roundGuesses}
+            onPick={handlePairPick}
+          />
+        )}
       </motion.section>
 
       <section className="multiplayer-panel">
-        <h3>Players</h3>
-        {players.map((player) => (
+        <h3>{isOnline ? 'Online room' : 'Players'}</h3>
+        {!isOnline && players.map((player) => (
           <div
             key={player.id}
             className={`player-row ${activePlayer?.id === player.id ? 'active' : ''}`}
@@ -474,23 +881,36 @@ function Game() {
             </div>
           </div>
         ))}
-        <div className="player-row new-player">
-          <input
-            placeholder="Add player and press Enter"
-            value={newPlayerInput}
-            onChange={(event) => setNewPlayerInput(event.target.value)}
-            onKeyDown={(event) => {
-              if (event.key === 'Enter') {
-                event.preventDefault()
-                addPlayer(newPlayerInput)
-              }
-            }}
-          />
-        </div>
+        {!isOnline && (
+          <div className="player-row new-player">
+            <input
+              placeholder="Add player and press Enter"
+              value={newPlayerInput}
+              onChange={(event) => setNewPlayerInput(event.target.value)}
+              onKeyDown={(event) => {
+                if (event.key === 'Enter') {
+                  event.preventDefault()
+                  addPlayer(newPlayerInput)
+                }
+              }}
+            />
+          </div>
+        )}
         {isMultiplayer && <span className="multiplayer-mode-pill">Multiplayer active</span>}
+        <GameRoomPanel
+          room={room}
+          playerId={roomPlayerId}
+          status={gameRoom.status}
+          error={gameRoom.error}
+          onCreate={gameRoom.createRoom}
+          onJoin={gameRoom.joinRoom}
+          onLeave={gameRoom.leaveRoom}
+          roundPointsByPlayer={roundPointsByPlayer}
+          isRevealed={isRevealed}
+        />
       </section>
 
-      <div className="label-filter-bar">
+      <div className={`label-filter-bar ${isSettingsLocked ? 'locked' : ''}`.trim()} aria-disabled={isSettingsLocked}>
         <div className="filter-mode-toggle">
           <button
             className={`filter-mode-btn ${filterMode === 'include' ? 'active' : ''}`}
@@ -505,6 +925,20 @@ function Game() {
             Exclude
           </button>
         </div>
+        <div className="filter-mode-toggle" title="Match events with any or all of the selected labels">
+          <button
+            className={`filter-mode-btn ${labelMatch === 'any' ? 'active' : ''}`}
+            onClick={() => setLabelMatch('any')}
+          >
+            Any
+          </button>
+          <button
+            className={`filter-mode-btn ${labelMatch === 'all' ? 'active' : ''}`}
+            onClick={() => setLabelMatch('all')}
+          >
+            All
+          </button>
+        </div>
         <button
           className={`label-filter-chip ${activeLabels.includes('__none__') ? 'active' : ''}`}
           style={activeLabels.includes('__none__') ? { borderColor: '#6b7280', background: 'rgba(107, 114, 128, 0.2)', color: '#6b7280' } : {}}
@@ -561,14 +995,15 @@ function Game() {
             labelColorMap={labelColorMap}
             hiddenEventIds={[]}
             showRandomEventButton={false}
-            gameGhostEvent={roundEvent && isGuessingPhase ? roundEvent : null}
-            gameGhostColor={isMultiplayer ? activePlayer?.color || null : null}
+            gameGhostEvent={gameGhostEvent}
+            gameGhostColor={isMultiplayer ? activePlayer?.color || null : roomPlayer?.color || null}
+            gameGhostAnchorYearsAgo={spanAnchorYearsAgo}
             gameGuessMarkers={gameGuessMarkers}
             gameActualMarker={gameActualMarker}
-            onGameGuessMove={handleGuessMove}
-            onGameGuessPlace={handleGuessPlace}
+            onGameGuessMove={mode.usesTimeline ? handleGuessMove : undefined}
+            onGameGuessPlace={mode.usesTimeline ? handleGuessPlace : undefined}
             onTimelineClick={handleTimelineBackgroundClick}
-            deferTimelineClickForDoubleZoom={isGuessingPhase && !isRevealed}
+            deferTimelineClickForDoubleZoom={isGuessingPhase && !isRevealed && mode.usesTimeline}
             enableLaneDrag={false}
           />
         )}
@@ -586,7 +1021,7 @@ function Game() {
             <SelectedEventDetail
               event={selectedEvent}
               allEvents={displayEvents}
-              labelColor={selectedEvent?.label ? labelColorMap.get(selectedEvent.label) : null}
+              labelColor={selectedEvent ? getEventLabelColors(selectedEvent, labelColorMap)[0] : null}
               onClose={() => setSelectedEvent(null)}
               isAdmin={isAdmin}
             />
@@ -647,16 +1082,7 @@ function Game() {
                     {isAdmin && !event.is_published && (
                       <span className="event-type-badge unpublished">Unpublished</span>
                     )}
-                    {event.label && (() => {
-                      const color = labelColorMap.get(event.label)
-                      return color ? (
-                        <span className="event-label-badge" style={{ background: `${color}20`, color }}>
-                          {event.label}
-                        </span>
-                      ) : (
-                        <span className="event-label-badge">{event.label}</span>
-                      )
-                    })()}
+                    <EventLabelBadges event={event} labelColorMap={labelColorMap} />
                   </div>
                   <h3>{event.title}</h3>
                 </div>
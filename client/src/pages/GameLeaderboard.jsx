@@ -0,0 +1,121 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useSeo } from '../hooks/useSeo'
+import { GAME_MODE, GAME_MODES } from '../utils/gameModes'
+import { LEADERBOARD_PERIODS, fetchLeaderboard, formatAccuracy } from '../utils/gameRecords'
+import './Home.css'
+import './GameRecords.css'
+
+// Daily challenges are saved as attempts, not session rounds, so they aren't ranked here
+const RANKED_MODES = GAME_MODES.filter((option) => option.id !== GAME_MODE.DAILY)
+
+// Top guessing-game players of today, this week or all time (/game/leaderboard)
+function GameLeaderboard() {
+  useSeo({
+    title: 'Guessing Game Leaderboard',
+    description: 'The best History Arrow guessing-game players today, this week and of all time.',
+    path: '/game/leaderboard'
+  })
+
+  const [period, setPeriod] = useState('daily')
+  const [mode, setMode] = useState('')
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    setError('')
+    fetchLeaderboard({ period, mode: mode || undefined })
+      .then((data) => {
+        if (!cancelled) setEntries(data.entries)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load the leaderboard')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [period, mode])
+
+  return (
+    <div className="game-records-page">
+      <nav className="game-records-nav">
+        <Link to="/game">Back to the game</Link>
+      </nav>
+      <h1>Leaderboard</h1>
+      <div className="game-records-controls">
+        <div className="filter-mode-toggle" role="group" aria-label="Period">
+          {LEADERBOARD_PERIODS.map((option) => (
+            <button
+              key={option.id}
+              className={`filter-mode-btn ${period === option.id ? 'active' : ''}`}
+              onClick={() => setPeriod(option.id)}
+              aria-pressed={period === option.id}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <select
+          className="form-select"
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          aria-label="Game mode"
+        >
+          <option value="">All modes</option>
+          {RANKED_MODES.map((option) => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading && (
+        <div className="loading-state">
+          <div className="loading-spinner" />
+          <p>Loading leaderboard...</p>
+        </div>
+      )}
+      {!loading && error && (
+        <div className="error-state">
+          <p>{error}</p>
+        </div>
+      )}
+      {!loading && !error && entries.length === 0 && (
+        <p className="game-records-empty">
+          No rounds played by named players yet. Add players in the game to get on the board.
+        </p>
+      )}
+      {!loading && !error && entries.length > 0 && (
+        <table className="game-records-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Player</th>
+              <th>Points</th>
+              <th>Rounds</th>
+              <th>Accuracy</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry) => (
+              <tr key={entry.player_id}>
+                <td>{entry.rank}</td>
+                <td><Link to={`/game/players/${encodeURIComponent(entry.player_id)}`}>{entry.name}</Link></td>
+                <td>{entry.points}</td>
+                <td>{entry.rounds}</td>
+                <td>{formatAccuracy(entry.accuracy)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default GameLeaderboard
@@ -0,0 +1,163 @@
+import { useEffect, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { useEvents } from '../hooks/useEvents'
+import { useLabels } from '../hooks/useLabels'
+import { useSeo } from '../hooks/useSeo'
+import { sampleEvents } from '../data/sampleEvents'
+import { getGameMode } from '../utils/gameModes'
+import {
+  fetchPlayerProfile,
+  formatAccuracy,
+  describeGameAnswer,
+  getGameEventTitle
+} from '../utils/gameRecords'
+import { NO_LABEL_FILTER } from '../utils/eventLabels'
+import './Home.css'
+import './GameRecords.css'
+
+function AccuracyList({ title, items, getName, getColor }) {
+  if (items.length === 0) return null
+  return (
+    <section className="game-records-section">
+      <h2>{title}</h2>
+      <ul className="game-accuracy-list">
+        {items.map((item) => (
+          <li key={getName(item)}>
+            <span className="game-accuracy-name">{getName(item)}</span>
+            <span className="game-accuracy-track">
+              <span
+                className="game-accuracy-bar"
+                style={{ width: formatAccuracy(item.accuracy), background: getColor?.(item) || undefined }}
+              />
+            </span>
+            <span className="game-accuracy-value">
+              {formatAccuracy(item.accuracy)} · {item.rounds} {item.rounds === 1 ? 'round' : 'rounds'}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </section>
+  )
+}
+
+// A guessing-game player's totals, accuracy breakdowns and recent rounds (/game/players/:id)
+function GamePlayer() {
+  const { id } = useParams()
+  const { events } = useEvents()
+  const { labelColorMap } = useLabels()
+  const [profile, setProfile] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useSeo({
+    title: profile ? `${profile.player.name} · Guessing Game` : 'Guessing Game Player',
+    description: 'Guessing-game history and accuracy by label and era on History Arrow.',
+    path: `/game/players/${encodeURIComponent(id)}`,
+    robots: 'noindex, follow'
+  })
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    setError('')
+    fetchPlayerProfile(id)
+      .then((data) => {
+        if (!cancelled) setProfile(data)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.status === 404 ? 'This player could not be found.' : err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [id])
+
+  const allEvents = events.length > 0 ? events : sampleEvents
+
+  if (loading || error) {
+    return (
+      <div className="game-records-page">
+        {loading
+          ? (
+              <div className="loading-state">
+                <div className="loading-spinner" />
+                <p>Loading player...</p>
+              </div>
+            )
+          : (
+              <div className="error-state">
+                <p>{error}</p>
+              </div>
+            )}
+        <nav className="game-records-nav">
+          <Link to="/game/leaderboard">Back to the leaderboard</Link>
+        </nav>
+      </div>
+    )
+  }
+
+  const { player, totals, history } = profile
+
+  return (
+    <div className="game-records-page">
+      <nav className="game-records-nav">
+        <Link to="/game/leaderboard">Leaderboard</Link>
+        <Link to="/game">Play</Link>
+      </nav>
+      <h1>{player.name}</h1>
+      <dl className="game-records-totals">
+        <div><dt>Rounds</dt><dd>{totals.rounds}</dd></div>
+        <div><dt>Points</dt><dd>{totals.points}</dd></div>
+        <div><dt>Accuracy</dt><dd>{formatAccuracy(totals.accuracy)}</dd></div>
+        <div><dt>Best round</dt><dd>{totals.best_round}</dd></div>
+      </dl>
+
+      <AccuracyList
+        title="By mode"
+        items={profile.by_mode}
+        getName={(item) => getGameMode(item.mode).label}
+      />
+      <AccuracyList
+        title="By label"
+        items={profile.by_label}
+        getName={(item) => (item.label === NO_LABEL_FILTER ? 'No label' : item.label)}
+        getColor={(item) => labelColorMap.get(item.label)}
+      />
+      <AccuracyList
+        title="By era"
+        items={profile.by_era}
+        getName={(item) => item.name}
+      />
+
+      <section className="game-records-section">
+        <h2>Recent rounds</h2>
+        {history.length === 0 && <p className="game-records-empty">No rounds played yet.</p>}
+        <ol className="game-round-list">
+          {history.map((round) => (
+            <li key={`${round.session_id}-${round.round_number}`} className="game-round-item">
+              <div className="game-round-events">
+                {round.event_ids.map((eventId) => (
+                  <Link key={eventId} to={`/event/${encodeURIComponent(eventId)}`}>
+                    {getGameEventTitle(allEvents, eventId)}
+                  </Link>
+                ))}
+              </div>
+              <div className="game-round-meta">
+                {getGameMode(round.mode).label} · {describeGameAnswer(round.answer, (eventId) => getGameEventTitle(allEvents, eventId))}
+                {' · '}<strong>{round.points} pts</strong>
+                {' · '}<Link to={`/game/sessions/${encodeURIComponent(round.session_id)}`}>
+                  {new Date(round.created_at).toLocaleDateString()}
+                </Link>
+              </div>
+            </li>
+          ))}
+        </ol>
+      </section>
+    </div>
+  )
+}
+
+export default GamePlayer
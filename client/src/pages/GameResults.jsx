@@ -0,0 +1,175 @@
+import { useEffect, useMemo, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { useEvents } from '../hooks/useEvents'
+import { useSeo } from '../hooks/useSeo'
+import { sampleEvents } from '../data/sampleEvents'
+import { formatEventDate } from '../utils/dateUtils'
+import { getGameMode } from '../utils/gameModes'
+import {
+  fetchGameSession,
+  formatAccuracy,
+  describeGameAnswer,
+  getGameEventTitle
+} from '../utils/gameRecords'
+import './Home.css'
+import './GameRecords.css'
+
+// Solo sessions have no roster; their guesses are stored without a player
+const SOLO_PLAYER = { id: null, name: 'You' }
+
+// Every round of one guessing-game session, linked back to its events (/game/sessions/:id)
+function GameResults() {
+  const { id } = useParams()
+  const { events } = useEvents()
+  const [session, setSession] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useSeo({
+    title: 'Guessing Game Results',
+    description: 'Round-by-round results of a History Arrow guessing-game session.',
+    path: `/game/sessions/${encodeURIComponent(id)}`,
+    robots: 'noindex, follow'
+  })
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    setError('')
+    fetchGameSession(id)
+      .then((data) => {
+        if (!cancelled) setSession(data)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.status === 404 ? 'This game session could not be found.' : err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [id])
+
+  const allEvents = events.length > 0 ? events : sampleEvents
+  const players = useMemo(
+    () => (session?.players.length > 0 ? session.players : [SOLO_PLAYER]),
+    [session]
+  )
+
+  const standings = useMemo(() => {
+    if (!session) return []
+    return players
+      .map((player) => {
+        const guesses = session.rounds.flatMap((round) => round.guesses.filter((guess) => guess.player_id === player.id))
+        const accuracy = guesses.reduce((sum, guess) => sum + guess.accuracy, 0)
+        return {
+          ...player,
+          points: guesses.reduce((sum, guess) => sum + guess.points, 0),
+          accuracy: guesses.length > 0 ? accuracy / guesses.length : 0
+        }
+      })
+      .sort((a, b) => b.points - a.points)
+  }, [session, players])
+
+  if (loading || error) {
+    return (
+      <div className="game-records-page">
+        {loading
+          ? (
+              <div className="loading-state">
+                <div className="loading-spinner" />
+                <p>Loading results...</p>
+              </div>
+            )
+          : (
+              <div className="error-state">
+                <p>{error}</p>
+              </div>
+            )}
+        <nav className="game-records-nav">
+          <Link to="/game">Back to the game</Link>
+        </nav>
+      </div>
+    )
+  }
+
+  const getEventTitle = (eventId) => getGameEventTitle(allEvents, eventId)
+  const getPlayerName = (playerId) => players.find((player) => player.id === playerId)?.name || 'Unknown player'
+
+  return (
+    <div className="game-records-page">
+      <nav className="game-records-nav">
+        <Link to="/game">Play</Link>
+        <Link to="/game/leaderboard">Leaderboard</Link>
+      </nav>
+      <h1>{getGameMode(session.mode).label} session</h1>
+      <p className="game-records-subtitle">
+        Started {new Date(session.created_at).toLocaleString()}
+        {session.filters.labels.length > 0 && (
+          ` · ${session.filters.filter_mode === 'exclude' ? 'Without' : 'Only'} ${session.filters.labels.join(session.filters.label_match === 'all' ? ' + ' : ', ')}`
+        )}
+      </p>
+
+      <section className="game-records-section">
+        <h2>Standings</h2>
+        <table className="game-records-table">
+          <thead>
+            <tr>
+              <th>Player</th>
+              <th>Points</th>
+              <th>Accuracy</th>
+            </tr>
+          </thead>
+          <tbody>
+            {standings.map((player) => (
+              <tr key={player.id ?? 'solo'}>
+                <td>
+                  {player.id
+                    ? <Link to={`/game/players/${encodeURIComponent(player.id)}`}>{player.name}</Link>
+                    : player.name}
+                </td>
+                <td>{player.points}</td>
+                <td>{formatAccuracy(player.accuracy)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="game-records-section">
+        <h2>Rounds</h2>
+        {session.rounds.length === 0 && <p className="game-records-empty">No rounds finished yet.</p>}
+        <ol className="game-round-list">
+          {session.rounds.map((round) => (
+            <li key={round.id} className="game-round-item">
+              <div className="game-round-events">
+                <span className="game-round-number">Round {round.round_number}</span>
+                {round.event_ids.map((eventId) => {
+                  const event = allEvents.find((candidate) => String(candidate.id) === eventId)
+                  return (
+                    <Link key={eventId} to={`/event/${encodeURIComponent(eventId)}`}>
+                      {getEventTitle(eventId)}
+                      {event && <span className="game-round-date"> ({formatEventDate(event)})</span>}
+                    </Link>
+                  )
+                })}
+              </div>
+              <ul className="game-round-guesses">
+                {round.guesses.map((guess) => (
+                  <li key={guess.player_id ?? 'solo'}>
+                    <span>{guess.player_id ? getPlayerName(guess.player_id) : SOLO_PLAYER.name}</span>
+                    <span>{describeGameAnswer(guess.answer, getEventTitle)}</span>
+                    <strong>{guess.points} pts</strong>
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ol>
+      </section>
+    </div>
+  )
+}
+
+export default GameResults
@@ -1,18 +1,35 @@
 import { useEffect, useState, useMemo, useRef, useCallback } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import { useNavigationType, useSearchParams } from 'react-router-dom'
 import HistoryArrow from '../components/HistoryArrow'
 import SelectedEventDetail from '../components/SelectedEventDetail'
 import { useEvents } from '../hooks/useEvents'
 import { useAuth } from '../hooks/useAuth'
 import { useLabels } from '../hooks/useLabels'
+import { useTracks } from '../hooks/useTracks'
+import { useEras } from '../hooks/useEras'
+import { useTours } from '../hooks/useTours'
+import { useEventRelations } from '../hooks/useEventRelations'
 import { useSeo } from '../hooks/useSeo'
 import EventForm from '../components/EventForm'
 import EventSubEventsEditor from '../components/EventSubEventsEditor'
+import EventRelationsEditor from '../components/EventRelationsEditor'
+import EventLabelBadges from '../components/EventLabelBadges'
+import EventMap from '../components/EventMap'
+import TourMenu from '../components/TourMenu'
+import TourPlayer from '../components/TourPlayer'
+import TourEditor from '../components/TourEditor'
 import { formatEventDate } from '../utils/dateUtils'
 import { canViewEventContent, getRestrictedContentMessage } from '../utils/contentVisibility'
 import { isLocalEvent } from '../utils/localEvents'
 import { sampleEvents } from '../data/sampleEvents'
 import { getEventsForTimeline } from '../utils/eventHierarchy'
+import { parseTimelineSearchParams, buildTimelineSearchParams } from '../utils/timelineUrlState'
+import { getEventSeo } from '../utils/eventSeo'
+import { filterEventsByLabels, getEventLabelColors } from '../utils/eventLabels'
+import { getEventRelationLinks } from '../utils/eventRelations'
+import { filterEventsByMapArea } from '../utils/geo'
+import { clampTourStep, TOUR_STEP_ANIMATION_MS } from '../utils/tours'
 import './Home.css'
 
 // Helper to check if an event is a span
@@ -23,13 +40,12 @@ const isEventSpan = (event) => {
   return !!event.end_date
 }
 
-function Home() {
-  useSeo({
-    title: 'Interactive Timeline of Historical Events',
-    description: 'Explore world history on an interactive timeline. Discover point events and time spans across ancient, historical, and modern eras.',
-    path: '/'
-  })
+const VIEW_URL_DEBOUNCE_MS = 300
+const MAP_PANEL_STORAGE_KEY = 'history-arrow-map-panel'
+// aria-controls target for the timeline's event list
+const SELECTED_EVENT_DETAIL_ID = 'selected-event-detail'
 
+function Home() {
   const {
     events,
     localEvents,
@@ -43,18 +59,212 @@ function Home() {
   } = useEvents()
   const { isAdmin } = useAuth()
   const { labels, labelColorMap } = useLabels()
+  const { tracks } = useTracks()
+  const { eras } = useEras()
+  const { tours, loading: toursLoading, createTour, updateTour, deleteTour } = useTours()
+  const { relations, createRelation, updateRelation, deleteRelation } = useEventRelations()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const navigationType = useNavigationType()
   const [displayEvents, setDisplayEvents] = useState([])
-  const [selectedEvent, setSelectedEvent] = useState(null)
   const [visibleEvents, setVisibleEvents] = useState([])
-  const [searchQuery, setSearchQuery] = useState('')
-  const [activeLabels, setActiveLabels] = useState([])
-  const [filterMode, setFilterMode] = useState('include')
   const [showForm, setShowForm] = useState(false)
   const [editingEvent, setEditingEvent] = useState(null)
   const [editError, setEditError] = useState('')
   const [temporarilyHiddenEventIds, setTemporarilyHiddenEventIds] = useState([])
+  const [timelineView, setTimelineView] = useState(null)
+  const [hoveredEventId, setHoveredEventId] = useState(null)
+  // Open tour editor: { tour } with tour null for a new one
+  const [tourEditor, setTourEditor] = useState(null)
   const timelineRef = useRef(null)
+  // Label filters from before a tour started, put back when it ends
+  const preTourFiltersRef = useRef(null)
   const syncPromptShownRef = useRef(false)
+  const viewUrlTimerRef = useRef(null)
+  const setSearchParamsRef = useRef(setSearchParams)
+  setSearchParamsRef.current = setSearchParams
+
+  // Selection, label filters and search live in the URL so views can be shared
+  const urlState = useMemo(() => parseTimelineSearchParams(searchParams), [searchParams])
+  const { selectedEventId, activeLabels, filterMode, labelMatch, searchQuery, mapFilter, tourId, tourStep } = urlState
+  // Open by default when a shared link carries a map filter
+  const [showMap, setShowMap] = useState(() => {
+    try {
+      return Boolean(urlState.mapFilter) || sessionStorage.getItem(MAP_PANEL_STORAGE_KEY) === 'open'
+    } catch {
+      return Boolean(urlState.mapFilter)
+    }
+  })
+  const [initialView] = useState(urlState.view)
+  // A link to an event without a view window centers on the event once loaded
+  const pendingCenterRef = useRef(!urlState.view && Boolean(urlState.selectedEventId))
+
+  const selectedEvent = useMemo(
+    () => (selectedEventId
+      ? displayEvents.find((e) => String(e.id) === selectedEventId) || null
+      : null),
+    [displayEvents, selectedEventId]
+  )
+
+  useSeo(getEventSeo(selectedEvent, isAdmin))
+
+  const activeTour = useMemo(
+    () => (tourId ? tours.find((tour) => String(tour.id) === tourId) || null : null),
+    [tours, tourId]
+  )
+  const activeTourStepIndex = clampTourStep(activeTour, tourStep)
+  const activeTourStep = activeTour?.steps[activeTourStepIndex] || null
+
+  // Relations of the selected event, listed in its detail and drawn as arrows on the timeline
+  const selectedRelationLinks = useMemo(
+    () => getEventRelationLinks(selectedEvent, relations, displayEvents),
+    [selectedEvent, relations, displayEvents]
+  )
+
+  // Keeps the zoom and the selection, so the arrows stay in view
+  const handleRelationClick = useCallback((link) => {
+    timelineRef.current?.panToEvent(link.otherEvent)
+  }, [])
+
+  // Discrete changes (selection, filters) push a history entry; typing and panning replace it
+  const updateUrlState = useCallback((patch, { replace = false } = {}) => {
+    setSearchParamsRef.current(
+      (prev) => buildTimelineSearchParams({ ...parseTimelineSearchParams(prev), ...patch }),
+      { replace }
+    )
+  }, [])
+
+  const setSelectedEvent = useCallback((event) => {
+    updateUrlState({ selectedEventId: event ? event.id : null })
+  }, [updateUrlState])
+
+  // Sub-events only show inside their parent, so the timeline drills down to them
+  const handleHierarchySelect = useCallback((event) => {
+    setSelectedEvent(event)
+    timelineRef.current?.drillToEvent(event)
+  }, [setSelectedEvent])
+
+  const setActiveLabels = useCallback((labelsOrUpdater) => {
+    updateUrlState({
+      activeLabels: typeof labelsOrUpdater === 'function'
+        ? labelsOrUpdater(activeLabels)
+        : labelsOrUpdater
+    })
+  }, [updateUrlState, activeLabels])
+
+  const setFilterMode = useCallback((mode) => {
+    updateUrlState({ filterMode: mode })
+  }, [updateUrlState])
+
+  const setLabelMatch = useCallback((match) => {
+    updateUrlState({ labelMatch: match })
+  }, [updateUrlState])
+
+  const setSearchQuery = useCallback((query) => {
+    updateUrlState({ searchQuery: query }, { replace: true })
+  }, [updateUrlState])
+
+  const setMapFilter = useCallback((filter) => {
+    updateUrlState({ mapFilter: filter })
+  }, [updateUrlState])
+
+  const toggleMap = useCallback(() => {
+    setShowMap((prev) => !prev)
+  }, [])
+
+  const startTour = useCallback((tour) => {
+    if (!tourId) {
+      preTourFiltersRef.current = { activeLabels, filterMode, labelMatch }
+    }
+    updateUrlState({ tourId: tour.id, tourStep: 0, selectedEventId: null })
+  }, [tourId, activeLabels, filterMode, labelMatch, updateUrlState])
+
+  // Steps stepped through by hand get history entries; autoplay replaces them
+  const changeTourStep = useCallback((index, { autoplay = false } = {}) => {
+    updateUrlState({ tourStep: index }, { replace: autoplay })
+  }, [updateUrlState])
+
+  const exitTour = useCallback(() => {
+    const filters = preTourFiltersRef.current || { activeLabels: [], filterMode: 'include', labelMatch: 'any' }
+    preTourFiltersRef.current = null
+    updateUrlState({ tourId: null, tourStep: 0, ...filters })
+  }, [updateUrlState])
+
+  const previewTourStep = useCallback((step) => {
+    timelineRef.current?.flyToView(step.view.start, step.view.end, TOUR_STEP_ANIMATION_MS)
+  }, [])
+
+  const handleTourSave = useCallback(async (draft) => {
+    if (tourEditor.tour) {
+      await updateTour(tourEditor.tour.id, draft)
+    } else {
+      await createTour(draft)
+    }
+    setTourEditor(null)
+  }, [tourEditor, createTour, updateTour])
+
+  const handleTourDelete = useCallback(async () => {
+    const { id } = tourEditor.tour
+    await deleteTour(id)
+    if (tourId === String(id)) exitTour()
+    setTourEditor(null)
+  }, [tourEditor, deleteTour, tourId, exitTour])
+
+  useEffect(() => {
+    if (showMap) {
+      sessionStorage.setItem(MAP_PANEL_STORAGE_KEY, 'open')
+    } else {
+      sessionStorage.removeItem(MAP_PANEL_STORAGE_KEY)
+    }
+  }, [showMap])
+
+  const handleTimelineHover = useCallback((event) => {
+    setHoveredEventId(event ? event.id : null)
+  }, [])
+
+  const handleViewChange = useCallback((start, end) => {
+    // The map plots the visible window, so it follows every frame of a pan
+    setTimelineView({ start, end })
+    clearTimeout(viewUrlTimerRef.current)
+    viewUrlTimerRef.current = setTimeout(() => {
+      const current = new URLSearchParams(window.location.search)
+      const next = buildTimelineSearchParams({ ...parseTimelineSearchParams(current), view: { start, end } })
+      if (next.get('from') === current.get('from') && next.get('to') === current.get('to')) return
+      updateUrlState({ view: { start, end } }, { replace: true })
+    }, VIEW_URL_DEBOUNCE_MS)
+  }, [updateUrlState])
+
+  useEffect(() => () => clearTimeout(viewUrlTimerRef.current), [])
+
+  // Back/forward: move the timeline to the window stored in that history entry
+  useEffect(() => {
+    if (navigationType !== 'POP') return
+    clearTimeout(viewUrlTimerRef.current)
+    if (urlState.view) {
+      timelineRef.current?.setView(urlState.view.start, urlState.view.end)
+    } else {
+      timelineRef.current?.resetView()
+    }
+  }, [navigationType, urlState.view])
+
+  // Each tour step flies the timeline to its window and applies its label filter
+  useEffect(() => {
+    if (!activeTourStep || loading) return
+    timelineRef.current?.flyToView(activeTourStep.view.start, activeTourStep.view.end, TOUR_STEP_ANIMATION_MS)
+    updateUrlState(
+      { activeLabels: activeTourStep.labels, filterMode: 'include', labelMatch: 'any' },
+      { replace: true }
+    )
+  }, [activeTourStep, loading, updateUrlState])
+
+  useEffect(() => {
+    if (!pendingCenterRef.current || !selectedEvent || !timelineRef.current) return
+    pendingCenterRef.current = false
+    if (selectedEvent.parent_id) {
+      timelineRef.current.drillToEvent(selectedEvent)
+    } else {
+      timelineRef.current.centerOnEvent(selectedEvent)
+    }
+  }, [selectedEvent, loading])
 
   const hiddenEventIdSet = useMemo(
     () => new Set(temporarilyHiddenEventIds),
@@ -74,17 +284,23 @@ function Home() {
 
   // Handle event click to select/deselect
   const handleEventClick = (event) => {
-    setSelectedEvent(prev => prev?.id === event.id ? null : event)
+    setSelectedEvent(selectedEvent?.id === event.id ? null : event)
   }
 
   // Handle click from event card — select + center timeline
+  // Spotlighted events listed by the tour player keep the step's zoom
+  const handleTourEventSelect = useCallback((event) => {
+    setSelectedEvent(event)
+    timelineRef.current?.panToEvent(event)
+  }, [setSelectedEvent])
+
   const handleEventCardClick = useCallback((event) => {
     const isDeselecting = selectedEvent?.id === event.id
     setSelectedEvent(isDeselecting ? null : event)
     if (!isDeselecting) {
       timelineRef.current?.centerOnEvent(event)
     }
-  }, [selectedEvent])
+  }, [selectedEvent, setSelectedEvent])
 
   // Close selected event detail
   const handleCloseSelectedEvent = () => {
@@ -97,6 +313,14 @@ function Home() {
     setShowForm(true)
   }, [])
 
+  // Edited sub-events stay under their parent and are checked against it
+  const editingParentEvent = useMemo(
+    () => (editingEvent?.parent_id
+      ? displayEvents.find((e) => e.id === editingEvent.parent_id) || null
+      : null),
+    [editingEvent, displayEvents]
+  )
+
   const handleEditEvent = useCallback((event) => {
     setEditingEvent(event)
     setEditError('')
@@ -115,16 +339,13 @@ function Home() {
     } catch (err) {
       window.alert(err.message)
     }
-  }, [deleteEvent, selectedEvent])
+  }, [deleteEvent, selectedEvent, setSelectedEvent])
 
   const handleFormSubmit = async (formData) => {
     try {
       setEditError('')
       if (editingEvent) {
-        const updated = await updateEvent(editingEvent.id, formData)
-        if (selectedEvent?.id === updated.id) {
-          setSelectedEvent(updated)
-        }
+        await updateEvent(editingEvent.id, formData)
       } else {
         const created = await createEvent(formData)
         setSelectedEvent(created)
@@ -153,7 +374,7 @@ function Home() {
     setActiveLabels(prev =>
       prev.includes(label) ? prev.filter(l => l !== label) : [...prev, label]
     )
-  }, [])
+  }, [setActiveLabels])
 
   useEffect(() => {
     if (events && events.length > 0) {
@@ -189,49 +410,40 @@ function Home() {
 
   const filteredEvents = useMemo(() => {
     const topLevel = displayEvents.filter((e) => !e.parent_id)
-    if (activeLabels.length === 0) return topLevel
-    if (filterMode === 'include') {
-      return topLevel.filter(e => {
-        if (!e.label && activeLabels.includes('__none__')) return true
-        return e.label && activeLabels.includes(e.label)
-      })
-    }
-    return topLevel.filter(e => {
-      if (!e.label && activeLabels.includes('__none__')) return false
-      if (e.label && activeLabels.includes(e.label)) return false
-      return true
-    })
-  }, [displayEvents, activeLabels, filterMode])
+    return filterEventsByLabels(topLevel, { activeLabels, filterMode, labelMatch })
+  }, [displayEvents, activeLabels, filterMode, labelMatch])
+
+  const mapFilteredEvents = useMemo(
+    () => filterEventsByMapArea(filteredEvents, displayEvents, mapFilter),
+    [filteredEvents, displayEvents, mapFilter]
+  )
 
   const searchFilteredEvents = useMemo(() => {
     const query = searchQuery.trim().toLowerCase()
     if (!query) {
-      return filteredEvents.filter((event) => !hiddenEventIdSet.has(event.id))
+      return mapFilteredEvents.filter((event) => !hiddenEventIdSet.has(event.id))
     }
-    return filteredEvents.filter(
+    return mapFilteredEvents.filter(
       (event) =>
         event.title.toLowerCase().includes(query) ||
         (canViewEventContent(event, isAdmin) &&
           event.description &&
           event.description.toLowerCase().includes(query))
     )
-  }, [filteredEvents, searchQuery, isAdmin, hiddenEventIdSet])
+  }, [mapFilteredEvents, searchQuery, isAdmin, hiddenEventIdSet])
 
-  // Timeline follows label filters only; search applies to the "All Events" list, not the arrow
+  // Timeline follows label and map filters; search applies to the "All Events" list, not the arrow
   const timelineEvents = useMemo(
+    () => getEventsForTimeline(displayEvents, mapFilteredEvents),
+    [displayEvents, mapFilteredEvents]
+  )
+
+  // The map keeps events outside its own filter, dimmed, so the selection can be changed
+  const mapEvents = useMemo(
     () => getEventsForTimeline(displayEvents, filteredEvents),
     [displayEvents, filteredEvents]
   )
 
-  // Keep selectedEvent in sync when local/remote lists refresh
-  useEffect(() => {
-    if (!selectedEvent) return
-    const fresh = displayEvents.find((e) => e.id === selectedEvent.id)
-    if (fresh && fresh !== selectedEvent) {
-      setSelectedEvent(fresh)
-    }
-  }, [displayEvents, selectedEvent])
-
   return (
     <div className="home-page">
       <h1 className="visually-hidden">History Arrow Timeline Explorer</h1>
@@ -250,6 +462,20 @@ function Home() {
             Exclude
           </button>
         </div>
+        <div className="filter-mode-toggle" title="Match events with any or all of the selected labels">
+          <button
+            className={`filter-mode-btn ${labelMatch === 'any' ? 'active' : ''}`}
+            onClick={() => setLabelMatch('any')}
+          >
+            Any
+          </button>
+          <button
+            className={`filter-mode-btn ${labelMatch === 'all' ? 'active' : ''}`}
+            onClick={() => setLabelMatch('all')}
+          >
+            All
+          </button>
+        </div>
         <button
           className={`label-filter-chip ${activeLabels.includes('__none__') ? 'active' : ''}`}
           style={activeLabels.includes('__none__') ? { borderColor: '#6b7280', background: 'rgba(107, 114, 128, 0.2)', color: '#6b7280' } : {}}
@@ -282,6 +508,25 @@ function Home() {
       </div>
 
       <div className="home-toolbar">
+        <TourMenu
+          tours={tours}
+          loading={toursLoading}
+          isAdmin={isAdmin}
+          onPlay={startTour}
+          onEdit={(tour) => setTourEditor({ tour })}
+          onCreate={() => setTourEditor({ tour: null })}
+        />
+        <button
+          type="button"
+          className={`btn btn-secondary ${showMap ? 'active' : ''}`.trim()}
+          onClick={toggleMap}
+          aria-pressed={showMap}
+        >
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" className="btn-icon">
+            <path d="M9 4L3 6v14l6-2 6 2 6-2V4l-6 2-6-2zM9 4v14M15 6v14" />
+          </svg>
+          Map
+        </button>
         <button type="button" className="btn btn-primary" onClick={handleCreateEvent}>
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" className="btn-icon">
             <path d="M12 5v14M5 12h14" />
@@ -291,8 +536,27 @@ function Home() {
         </button>
       </div>
 
+      {activeTourStep && (
+        <TourPlayer
+          tour={activeTour}
+          stepIndex={activeTourStepIndex}
+          events={displayEvents}
+          onStepChange={changeTourStep}
+          onExit={exitTour}
+          onEventSelect={handleTourEventSelect}
+        />
+      )}
+      {tourId && !toursLoading && !activeTourStep && (
+        <div className="tour-missing" role="status">
+          <span>This tour is no longer available.</span>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={exitTour}>
+            Dismiss
+          </button>
+        </div>
+      )}
+
       <motion.section
-        className="timeline-section"
+        className={`timeline-section ${showMap ? 'timeline-section--with-map' : ''}`.trim()}
         initial={{ opacity: 0, y: 30 }}
         animate={{ opacity: 1, y: 0 }}
         transition={{ delay: 0.4, duration: 0.6 }}
@@ -313,13 +577,55 @@ function Home() {
             selectedEvent={selectedEvent}
             onEventClick={handleEventClick}
             onVisibleEventsChange={handleVisibleEventsChange}
+            initialView={initialView}
+            onViewChange={handleViewChange}
             labelColorMap={labelColorMap}
+            enableSwimlanes
+            tracks={tracks}
+            eras={eras}
+            relationLinks={selectedRelationLinks}
             hiddenEventIds={temporarilyHiddenEventIds}
             titleHint="Hover over events to preview, or click to view details."
+            detailRegionId={SELECTED_EVENT_DETAIL_ID}
+            onEventHoverChange={handleTimelineHover}
+            highlightedEventId={hoveredEventId}
+            spotlightEventIds={activeTourStep?.event_ids}
+          />
+        )}
+        {showMap && !loading && timelineView && (
+          <EventMap
+            events={mapEvents}
+            viewStart={timelineView.start}
+            viewEnd={timelineView.end}
+            mapFilter={mapFilter}
+            onMapFilterChange={setMapFilter}
+            hoveredEventId={hoveredEventId}
+            onHoverEvent={setHoveredEventId}
+            selectedEventId={selectedEventId}
+            onEventClick={handleEventClick}
+            labelColorMap={labelColorMap}
+            onClose={toggleMap}
           />
         )}
       </motion.section>
 
+      {isAdmin && tourEditor && (
+        <section className="tour-editor-section">
+          <TourEditor
+            key={tourEditor.tour?.id ?? 'new'}
+            tour={tourEditor.tour}
+            currentView={timelineView}
+            activeLabels={activeLabels}
+            selectedEvent={selectedEvent}
+            events={displayEvents}
+            onSave={handleTourSave}
+            onDelete={handleTourDelete}
+            onPreviewStep={previewTourStep}
+            onClose={() => setTourEditor(null)}
+          />
+        </section>
+      )}
+
       {/* Selected Event Detail - appears between timeline and events list */}
       <AnimatePresence>
         {selectedEvent && (
@@ -331,9 +637,13 @@ function Home() {
             transition={{ duration: 0.2 }}
           >
             <SelectedEventDetail 
+              id={SELECTED_EVENT_DETAIL_ID}
               event={selectedEvent} 
               allEvents={displayEvents}
-              labelColor={selectedEvent?.label ? labelColorMap.get(selectedEvent.label) : null}
+              labelColor={selectedEvent ? getEventLabelColors(selectedEvent, labelColorMap)[0] : null}
+              relationLinks={selectedRelationLinks}
+              onRelationClick={handleRelationClick}
+              onHierarchySelect={handleHierarchySelect}
               onClose={handleCloseSelectedEvent}
               onEdit={canEditEvent(selectedEvent) ? handleEditEvent : undefined}
               onDelete={canEditEvent(selectedEvent) ? handleDeleteEvent : undefined}
@@ -363,22 +673,34 @@ function Home() {
             >
               <EventForm
                 event={editingEvent}
+                parentEvent={editingParentEvent}
+                allEvents={events?.length ? events : displayEvents}
                 onSubmit={handleFormSubmit}
                 onCancel={handleFormCancel}
                 error={editError}
                 labels={labels}
                 beforeFormActions={
-                  <EventSubEventsEditor
-                    parentEvent={
-                      editingEvent && isEventSpan(editingEvent) && !editingEvent.parent_id ? editingEvent : null
-                    }
-                    allEvents={events?.length ? events : displayEvents}
-                    labels={labels}
-                    createEvent={createEvent}
-                    updateEvent={updateEvent}
-                    deleteEvent={deleteEvent}
-                    onAfterMutation={refetch}
-                  />
+                  <>
+                    <EventSubEventsEditor
+                      parentEvent={editingEvent && isEventSpan(editingEvent) ? editingEvent : null}
+                      allEvents={events?.length ? events : displayEvents}
+                      labels={labels}
+                      createEvent={createEvent}
+                      updateEvent={updateEvent}
+                      deleteEvent={deleteEvent}
+                      onAfterMutation={refetch}
+                    />
+                    {isAdmin && (
+                      <EventRelationsEditor
+                        event={editingEvent}
+                        allEvents={events?.length ? events : displayEvents}
+                        relations={relations}
+                        createRelation={createRelation}
+                        updateRelation={updateRelation}
+                        deleteRelation={deleteRelation}
+                      />
+                    )}
+                  </>
                 }
               />
             </motion.div>
@@ -446,19 +768,7 @@ function Home() {
                     {isTemporarilyHidden && (
                       <span className="event-type-badge temporarily-hidden">Hidden</span>
                     )}
-                    {event.label && (() => {
-                      const color = labelColorMap.get(event.label)
-                      return color ? (
-                        <span
-                          className="event-label-badge"
-                          style={{ background: `${color}20`, color }}
-                        >
-                          {event.label}
-                        </span>
-                      ) : (
-                        <span className="event-label-badge">{event.label}</span>
-                      )
-                    })()}
+                    <EventLabelBadges event={event} labelColorMap={labelColorMap} />
                   </div>
                   <h3>{event.title}</h3>
                 </div>
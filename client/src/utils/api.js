@@ -0,0 +1,60 @@
+import { supabase } from './supabase'
+
+// Empty base uses the Vite dev proxy (/api -> Express on :5001)
+const API_BASE_URL = (import.meta.env.VITE_API_URL || '').replace(/\/$/, '')
+
+/**
+ * WebSocket URL of an API path: the API server's host, or this page's host
+ * when the Vite dev proxy forwards /api.
+ * @param {string} path - e.g. '/api/game/rooms'
+ */
+export function getApiSocketUrl(path) {
+  const base = API_BASE_URL || `${window.location.protocol}//${window.location.host}`
+  return `${base.replace(/^http/, 'ws')}${path}`
+}
+
+/**
+ * Call the Express API. Sends the Supabase session token so routes behind
+ * requireAuth accept the request. Throws an Error carrying `status` and the
+ * parsed response body (`payload`) for non-2xx responses.
+ * @param {string} path - e.g. '/api/import'
+ * @param {{ method?: string, body?: any, query?: Object }} [options]
+ * @returns {Promise<{ data: any, headers: Headers }>}
+ */
+export async function apiRequest(path, { method = 'GET', body, query } = {}) {
+  const { data: { session } } = await supabase.auth.getSession()
+
+  const search = query
+    ? new URLSearchParams(
+      Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    ).toString()
+    : ''
+  const url = `${API_BASE_URL}${path}${search ? `?${search}` : ''}`
+
+  const headers = {}
+  if (body !== undefined) headers['Content-Type'] = 'application/json'
+  if (session?.access_token) headers.Authorization = `Bearer ${session.access_token}`
+
+  let response
+  try {
+    response = await fetch(url, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    })
+  } catch {
+    throw new Error('Could not reach the API server. Is it running?')
+  }
+
+  const isJson = response.headers.get('content-type')?.includes('application/json')
+  const data = response.status === 204 ? null : isJson ? await response.json() : await response.text()
+
+  if (!response.ok) {
+    const error = new Error(data?.error || `Request failed (${response.status})`)
+    error.status = response.status
+    error.payload = data
+    throw error
+  }
+
+  return { data, headers: response.headers }
+}
@@ -2,10 +2,17 @@
  * Clustering utilities for adaptive label density on the timeline
  */
 
-import { DEFAULT_MIN_YEARS, DEFAULT_MAX_YEARS } from './logScaleUtils'
+import {
+  DEFAULT_MIN_YEARS,
+  DEFAULT_MAX_YEARS,
+  DEFAULT_SCALE_MODE,
+  toScaleValue,
+  fromScaleValue
+} from './logScaleUtils'
 
 /**
- * Detect clusters of overlapping events based on their positions
+ * Detect clusters of overlapping events based on their positions.
+ * Positions already reflect the timeline's scale mode, so this works unchanged in every mode.
  * @param {Array} events - Array of positioned events with startPos property
  * @param {number} threshold - Minimum percentage distance between events (default 3%)
  * @returns {Array} Array of cluster objects with events, position, and count
@@ -106,18 +113,20 @@ export function shouldShowLabel(event, clusteredIds) {
  * If every event shares the same date, falls back to a sensible window
  * centred on that date instead of zooming infinitely.
  *
+ * Gaps are measured in the scale mode's own units, so the result spreads the
+ * events evenly on a log or hybrid timeline as well.
+ *
  * @param {Object} cluster - Cluster object with .events[]
  * @param {number} minGapPercent - Target minimum screen % between closest pair (default 8)
+ * @param {string} scaleMode - One of SCALE_MODES
  * @returns {Object} { viewStart, viewEnd } in years ago
  */
-export function getClusterZoomBounds(cluster, minGapPercent = 8) {
+export function getClusterZoomBounds(cluster, minGapPercent = 8, scaleMode = DEFAULT_SCALE_MODE) {
   const yearsAgoValues = cluster.events.map(e => e.yearsAgo)
 
   // Deduplicate and sort ascending
   const unique = [...new Set(yearsAgoValues)].sort((a, b) => a - b)
 
-  const center = (Math.min(...unique) + Math.max(...unique)) / 2
-
   if (unique.length <= 1) {
     // All events on the same date — pick a fixed window around that point
     const val = unique[0]
@@ -128,10 +137,13 @@ export function getClusterZoomBounds(cluster, minGapPercent = 8) {
     }
   }
 
+  const scaled = unique.map(value => toScaleValue(value, scaleMode))
+  const center = (scaled[0] + scaled[scaled.length - 1]) / 2
+
   // Find minimum gap between consecutive distinct values
   let minGap = Infinity
-  for (let i = 1; i < unique.length; i++) {
-    const gap = unique[i] - unique[i - 1]
+  for (let i = 1; i < scaled.length; i++) {
+    const gap = scaled[i] - scaled[i - 1]
     if (gap > 0 && gap < minGap) minGap = gap
   }
 
@@ -139,13 +151,13 @@ export function getClusterZoomBounds(cluster, minGapPercent = 8) {
   const neededRange = minGap / (minGapPercent / 100)
 
   // Also ensure the full cluster span fits with padding
-  const clusterSpan = unique[unique.length - 1] - unique[0]
+  const clusterSpan = scaled[scaled.length - 1] - scaled[0]
   const paddedClusterRange = clusterSpan / 0.6 // cluster occupies ~60% of view
 
   const range = Math.max(neededRange, paddedClusterRange)
 
   return {
-    viewStart: Math.max(DEFAULT_MIN_YEARS, center - range / 2),
-    viewEnd: Math.min(DEFAULT_MAX_YEARS, center + range / 2)
+    viewStart: Math.max(DEFAULT_MIN_YEARS, fromScaleValue(center - range / 2, scaleMode)),
+    viewEnd: Math.min(DEFAULT_MAX_YEARS, fromScaleValue(center + range / 2, scaleMode))
   }
 }
@@ -0,0 +1,107 @@
+/**
+ * The daily challenge (/api/game/daily): the same hidden events for everyone
+ * on a UTC day, placed one after another like classic rounds. Each player
+ * gets one attempt a day, and finished days count toward a streak.
+ */
+
+import { apiRequest } from './api'
+import { MAX_ROUND_POINTS } from './gameModes'
+
+const PLAYER_STORAGE_KEY = 'history-arrow-daily-player'
+// Guesses so far, so reloading the page resumes the day instead of restarting it
+const PROGRESS_STORAGE_KEY = 'history-arrow-daily-progress'
+
+// Share grid squares, best first, by the share of an event's points earned
+const SHARE_SQUARES = [
+  { minShare: 0.9, square: '🟩' },
+  { minShare: 0.6, square: '🟨' },
+  { minShare: 0.3, square: '🟧' },
+  { minShare: 0, square: '🟥' }
+]
+
+export async function fetchDailyChallenge() {
+  const { data } = await apiRequest('/api/game/daily')
+  return data
+}
+
+/**
+ * @param {string} player
+ * @param {string} date - the puzzle's YYYY-MM-DD, which may be yesterday's after UTC midnight
+ */
+export async function fetchDailyStatus(player, date) {
+  const { data } = await apiRequest('/api/game/daily/status', { query: { player, date } })
+  return data
+}
+
+/**
+ * @param {string} player
+ * @param {string} date - the puzzle's YYYY-MM-DD, so a run past UTC midnight still counts for its day
+ * @param {Object[]} guesses - { event_id, years_ago } for each of the day's events
+ * @returns {Promise<Object>} the stored attempt, scored by the server, with the day's `number` and the player's `streak`
+ */
+export async function submitDailyAttempt(player, date, guesses) {
+  const { data } = await apiRequest('/api/game/daily/attempts', {
+    method: 'POST',
+    body: { player, date, guesses }
+  })
+  return data
+}
+
+export function loadDailyPlayer() {
+  try {
+    return localStorage.getItem(PLAYER_STORAGE_KEY) || ''
+  } catch {
+    return ''
+  }
+}
+
+export function saveDailyPlayer(name) {
+  try {
+    localStorage.setItem(PLAYER_STORAGE_KEY, name)
+  } catch {
+    // Private browsing; the name just isn't remembered
+  }
+}
+
+/** Guesses already placed in the given day's puzzle by the given player. */
+export function loadDailyProgress(date, player) {
+  try {
+    const progress = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY) || 'null')
+    const isSameRun = progress?.date === date && progress.player?.toLowerCase() === player.trim().toLowerCase()
+    return isSameRun && Array.isArray(progress.guesses) ? progress.guesses : []
+  } catch {
+    return []
+  }
+}
+
+export function saveDailyProgress(date, player, guesses) {
+  try {
+    localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify({ date, player: player.trim(), guesses }))
+  } catch {
+    // As above
+  }
+}
+
+const toShareSquare = (points) => (
+  SHARE_SQUARES.find(({ minShare }) => points / MAX_ROUND_POINTS >= minShare).square
+)
+
+/** One coloured square per guess, e.g. "🟩🟨🟥". */
+export const getDailyShareGrid = (guesses) => guesses.map((guess) => toShareSquare(guess.points)).join('')
+
+/**
+ * Spoiler-free summary for sharing: the score and one square per event,
+ * without titles or dates.
+ * @param {Object} attempt - { number, guesses, points, streak? }
+ * @param {string} url - where others can play
+ */
+export function getDailyShareText(attempt, url) {
+  const maxPoints = attempt.guesses.length * MAX_ROUND_POINTS
+  const lines = [
+    `History Arrow Daily #${attempt.number}: ${attempt.points.toLocaleString('en-US')}/${maxPoints.toLocaleString('en-US')}`,
+    getDailyShareGrid(attempt.guesses)
+  ]
+  if (attempt.streak > 1) lines.push(`Streak: ${attempt.streak} days`)
+  lines.push(url)
+  return lines.join('\n')
+}
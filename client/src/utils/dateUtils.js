@@ -2,6 +2,16 @@
  * Date utilities for timeline calculations and formatting
  */
 
+import {
+  formatHistoricalDate,
+  formatHistoricalYear,
+  formatHistoricalPeriod,
+  normalizeHistoricalDate,
+  compareHistoricalDates
+} from './historicalDate'
+
+export { parseHistoricalDate, normalizeHistoricalDate, DATE_PRECISIONS } from './historicalDate'
+
 // Astronomical unit multipliers
 export const ASTRONOMICAL_UNITS = {
   years: 1,
@@ -39,6 +49,17 @@ export function parseAstronomicalInput(value, unit) {
   return Math.round(numValue * multiplier)
 }
 
+/**
+ * Parse an uncertainty input (value + unit) to years
+ * @returns {number|null} Null when empty; NaN when not a non-negative number
+ */
+export function parseUncertaintyInput(value, unit) {
+  if (value === '' || value === null || value === undefined) return null
+  const numValue = parseFloat(value)
+  if (isNaN(numValue) || numValue < 0) return NaN
+  return numValue * (ASTRONOMICAL_UNITS[unit] || 1)
+}
+
 /**
  * Convert years ago to value and unit for form display
  * @param {number} yearsAgo 
@@ -64,15 +85,19 @@ export function yearsAgoToFormValues(yearsAgo) {
  * @returns {string}
  */
 export function formatEventDate(event, isEnd = false) {
+  const uncertainty = Number(event.uncertainty_years) > 0 ? Number(event.uncertainty_years) : null
+
   if (event.date_type === 'astronomical') {
     const yearsAgo = isEnd ? event.astronomical_end_year : event.astronomical_start_year
     if (!yearsAgo) return null
-    return formatYearsAgo(yearsAgo)
+    return uncertainty ? formatYearsAgoWithUncertainty(yearsAgo, uncertainty) : formatYearsAgo(yearsAgo)
   }
   
   const dateStr = isEnd ? event.end_date : event.start_date
   if (!dateStr) return null
-  return formatDisplayDate(dateStr)
+  // "15th century", "1960s"; uncertain dates read as circa
+  const label = formatHistoricalPeriod(dateStr, event.date_precision) || dateStr
+  return uncertainty ? `c. ${label}` : label
 }
 
 /** Start–end label for span events; single date for point events. */
@@ -115,6 +140,25 @@ export function formatYearsAgo(yearsAgo) {
   return `${Math.round(yearsAgo)} years ago`
 }
 
+/**
+ * Format years ago with a ± error in a shared unit: "66 ± 0.3 Ma", "4.54 ± 0.05 Ga"
+ * @param {number} yearsAgo
+ * @param {number} uncertainty - ± years
+ * @returns {string}
+ */
+export function formatYearsAgoWithUncertainty(yearsAgo, uncertainty) {
+  const [divisor, unit] = yearsAgo >= 1e9
+    ? [1e9, 'Ga']
+    : yearsAgo >= 1e6
+      ? [1e6, 'Ma']
+      : yearsAgo >= 1e3
+        ? [1e3, 'ka']
+        : [1, 'years ago']
+  const value = Number((yearsAgo / divisor).toFixed(2))
+  const error = Number((uncertainty / divisor).toPrecision(2))
+  return `${value.toLocaleString('en-US')} ± ${error.toLocaleString('en-US')} ${unit}`
+}
+
 /**
  * Format years ago as a short label (for timeline ticks)
  * @param {number} yearsAgo 
@@ -143,24 +187,24 @@ export function formatYearsAgoShort(yearsAgo) {
 export function formatTimelineDate(date) {
   const year = date.getFullYear()
 
-  // For ancient dates (before year 0)
-  if (year < 0) {
-    const absYear = Math.abs(year)
-    if (absYear >= 1e9) {
-      return `${(absYear / 1e9).toFixed(1)} Ga`
+  // For ancient dates (astronomical year 0 is 1 BCE)
+  if (year <= 0) {
+    const bceYear = 1 - year
+    if (bceYear >= 1e9) {
+      return `${(bceYear / 1e9).toFixed(1)} Ga`
     }
-    if (absYear >= 1e6) {
-      return `${(absYear / 1e6).toFixed(1)} Ma`
+    if (bceYear >= 1e6) {
+      return `${(bceYear / 1e6).toFixed(1)} Ma`
     }
-    if (absYear >= 1000) {
-      return `${Math.round(absYear / 1000)}k BCE`
+    if (bceYear >= 1000) {
+      return `${Math.round(bceYear / 1000)}k BCE`
     }
-    return `${absYear} BCE`
+    return formatHistoricalYear(year)
   }
 
   // For dates before 1000 CE
   if (year < 1000) {
-    return `${year} CE`
+    return formatHistoricalYear(year)
   }
 
   // For modern dates
@@ -176,81 +220,10 @@ export function formatTimelineDate(date) {
 
 /**
  * Format a date for display in tooltips and forms
+ * Handles BCE years and partial dates ("753 BCE", "March 44 BCE")
  */
 export function formatDisplayDate(dateString) {
-  const date = new Date(dateString)
-  const year = date.getFullYear()
-
-  // Handle ancient dates
-  if (year < 0) {
-    const absYear = Math.abs(year)
-    if (absYear >= 1e9) {
-      return `${(absYear / 1e9).toFixed(2)} billion years ago`
-    }
-    if (absYear >= 1e6) {
-      return `${(absYear / 1e6).toFixed(1)} million years ago`
-    }
-    return `${absYear.toLocaleString()} BCE`
-  }
-
-  // Modern dates with full formatting
-  const options = { 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
-  }
-
-  try {
-    return date.toLocaleDateString('en-US', options)
-  } catch {
-    return dateString
-  }
-}
-
-/**
- * Parse a date string that might include ancient dates
- * Supports formats like: "4.6bn", "-4600000000", "1879-10-21"
- */
-export function parseHistoricalDate(input) {
-  if (!input) return null
-
-  const str = String(input).toLowerCase().trim()
-
-  // Handle billion years ago (e.g., "4.6bn", "4.6 billion")
-  const bnMatch = str.match(/^(-?)(\d+(?:\.\d+)?)\s*(?:bn|billion|ga)/)
-  if (bnMatch) {
-    const years = parseFloat(bnMatch[2]) * 1e9
-    return new Date(-years * 365.25 * 24 * 60 * 60 * 1000)
-  }
-
-  // Handle million years ago (e.g., "65ma", "65 million")
-  const maMatch = str.match(/^(-?)(\d+(?:\.\d+)?)\s*(?:ma|million)/)
-  if (maMatch) {
-    const years = parseFloat(maMatch[2]) * 1e6
-    return new Date(-years * 365.25 * 24 * 60 * 60 * 1000)
-  }
-
-  // Handle BCE dates
-  const bceMatch = str.match(/^(\d+)\s*(?:bce|bc)$/i)
-  if (bceMatch) {
-    const year = -parseInt(bceMatch[1], 10)
-    return new Date(year, 0, 1)
-  }
-
-  // Handle CE dates
-  const ceMatch = str.match(/^(\d+)\s*(?:ce|ad)$/i)
-  if (ceMatch) {
-    const year = parseInt(ceMatch[1], 10)
-    return new Date(year, 0, 1)
-  }
-
-  // Standard ISO date format
-  const isoDate = new Date(input)
-  if (!isNaN(isoDate.getTime())) {
-    return isoDate
-  }
-
-  return null
+  return formatHistoricalDate(dateString) || dateString
 }
 
 /**
@@ -261,17 +234,15 @@ export function validateDateRange(startDate, endDate) {
     return { valid: false, error: 'Start date is required' }
   }
 
-  const start = new Date(startDate)
-  if (isNaN(start.getTime())) {
+  if (!normalizeHistoricalDate(startDate)) {
     return { valid: false, error: 'Invalid start date format' }
   }
 
   if (endDate) {
-    const end = new Date(endDate)
-    if (isNaN(end.getTime())) {
+    if (!normalizeHistoricalDate(endDate)) {
       return { valid: false, error: 'Invalid end date format' }
     }
-    if (start >= end) {
+    if (compareHistoricalDates(startDate, endDate) >= 0) {
       return { valid: false, error: 'End date must be after start date' }
     }
   }
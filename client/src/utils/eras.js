@@ -0,0 +1,133 @@
+/**
+ * Era bands: geological units and human-history ages drawn as stacked
+ * coloured rows above the timeline, with the level of detail picked from
+ * the zoom. Eras are `{ id, name, rank, start_years_ago, end_years_ago, color }`
+ * with the start as the older boundary (see data/eras.js).
+ */
+
+import { yearToScalePosition } from './logScaleUtils'
+
+/** Ranks from coarsest to finest; `age` is the human-history row */
+export const ERA_RANKS = [
+  { value: 'eon', label: 'Eon' },
+  { value: 'era', label: 'Era' },
+  { value: 'period', label: 'Period' },
+  { value: 'epoch', label: 'Epoch' },
+  { value: 'age', label: 'Human history' }
+]
+
+export const ERA_RANK_VALUES = ERA_RANKS.map((rank) => rank.value)
+const GEOLOGICAL_RANKS = ERA_RANK_VALUES.filter((rank) => rank !== 'age')
+
+// A band is wide enough to read at this width (% of the timeline)
+const MIN_READABLE_BAND_PERCENT = 6
+// A rank gets a row when readable bands make up this share of it. A share
+// rather than a typical width, since on the log scales one rank mixes wide
+// recent bands with slivers of deep time.
+const MIN_READABLE_SHARE = 0.5
+// Geological rows shown at once; the finest useful ranks win
+const MAX_GEOLOGICAL_ROWS = 2
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i
+
+/**
+ * Check an era before saving.
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateEra({ name, rank, start_years_ago: start, end_years_ago: end, color }) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { valid: false, error: 'Era name is required' }
+  }
+  if (name.trim().length > 60) {
+    return { valid: false, error: 'Era name must be 60 characters or fewer' }
+  }
+  if (!ERA_RANK_VALUES.includes(rank)) {
+    return { valid: false, error: `Rank must be one of: ${ERA_RANK_VALUES.join(', ')}` }
+  }
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end < 0) {
+    return { valid: false, error: 'Start and end must be years ago (0 or more)' }
+  }
+  if (start <= end) {
+    return { valid: false, error: 'The start must be older (more years ago) than the end' }
+  }
+  if (color && !HEX_COLOR_PATTERN.test(color)) {
+    return { valid: false, error: 'Color must be a hex value like #7FC64E' }
+  }
+  return { valid: true }
+}
+
+const sumWidths = (bands) => bands.reduce((sum, band) => sum + band.width, 0)
+
+// Visible part of each era of one rank, as clamped timeline positions
+function getRankBands(eras, rank, viewStart, viewEnd, scaleMode) {
+  return eras
+    .filter((era) => (
+      era.rank === rank &&
+      era.start_years_ago > viewStart &&
+      era.end_years_ago < viewEnd
+    ))
+    .map((era) => {
+      const left = Math.max(0, yearToScalePosition(Math.min(era.start_years_ago, viewEnd), viewStart, viewEnd, scaleMode))
+      const right = Math.min(100, yearToScalePosition(Math.max(era.end_years_ago, viewStart), viewStart, viewEnd, scaleMode))
+      return { era, left, width: Math.max(0, right - left) }
+    })
+    .filter((band) => band.width > 0)
+    .sort((a, b) => a.left - b.left)
+}
+
+/**
+ * Rows of bands for the visible window (years ago; start is the recent
+ * edge). Detail follows the zoom: of the geological ranks whose bands are
+ * mostly wide enough to read, the two finest are shown (on the linear scale,
+ * eons and eras for all of Earth's history and periods and epochs inside
+ * the Mesozoic), and the human-history row appears once its ages are wide
+ * enough too.
+ * @returns {{ rank: string, label: string, bands: { era: Object, left: number, width: number }[] }[]}
+ */
+export function getEraBandRows(eras, viewStart, viewEnd, scaleMode) {
+  const rowFor = (rank) => ({
+    rank,
+    label: ERA_RANKS.find((r) => r.value === rank).label,
+    bands: getRankBands(eras, rank, viewStart, viewEnd, scaleMode)
+  })
+  const isReadable = (row) => row.bands.length > 0 &&
+    sumWidths(row.bands.filter((band) => band.width >= MIN_READABLE_BAND_PERCENT)) >=
+      MIN_READABLE_SHARE * sumWidths(row.bands)
+
+  const geologicalRows = GEOLOGICAL_RANKS.map(rowFor).filter(isReadable).slice(-MAX_GEOLOGICAL_ROWS)
+  const ageRow = rowFor('age')
+  return isReadable(ageRow) ? [...geologicalRows, ageRow] : geologicalRows
+}
+
+/**
+ * One row covering all of time for the minimap: the eons, with the
+ * Phanerozoic split into its eras, and human history as one band drawn on
+ * top. History starts after the oldest age, since the Paleolithic would
+ * cover most of the Cenozoic on the minimap's log scale.
+ */
+export function getOverviewEras(eras) {
+  const byRank = (rank) => eras.filter((era) => era.rank === rank)
+  const subEras = byRank('era')
+  const eons = byRank('eon').flatMap((eon) => {
+    const inside = subEras.filter((era) => (
+      era.start_years_ago <= eon.start_years_ago && era.end_years_ago >= eon.end_years_ago
+    ))
+    return eon.end_years_ago === 0 && inside.length > 1 ? inside : [eon]
+  })
+  const geological = eons.length > 0 ? eons : subEras
+
+  const ages = byRank('age').sort((a, b) => b.start_years_ago - a.start_years_ago)
+  if (ages.length === 0) return geological
+  const [oldest, ...rest] = ages
+  return [
+    ...geological,
+    {
+      id: 'human-history',
+      name: 'Human history',
+      rank: 'age',
+      start_years_ago: rest.length > 0 ? oldest.end_years_ago : oldest.start_years_ago,
+      end_years_ago: Math.min(...ages.map((age) => age.end_years_ago)),
+      color: '#4169E1'
+    }
+  ]
+}
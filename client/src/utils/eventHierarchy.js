@@ -1,4 +1,5 @@
 import { eventToYearsAgo, eventEndToYearsAgo } from './logScaleUtils'
+import { compareHistoricalDates } from './historicalDate'
 
 /**
  * Top-level events are rows without a parent_id (shown on the main arrow by default).
@@ -9,16 +10,18 @@ export function isTopLevelEvent(event) {
 
 /**
  * Events to pass into HistoryArrow: top-level rows matching the caller's filters,
- * plus all sub-events whose parent is in that top-level set (sub-events are not
- * filtered by search so hover/detail still work when the parent matches).
+ * plus every event nested under them at any depth (sub-events are not filtered
+ * by search so hover/detail still work when the top-level ancestor matches).
  */
 export function getEventsForTimeline(allEvents, topLevelFiltered) {
   if (!Array.isArray(allEvents) || !Array.isArray(topLevelFiltered)) {
     return []
   }
-  const parentIds = new Set(topLevelFiltered.filter(isTopLevelEvent).map((e) => e.id))
-  const subs = allEvents.filter((e) => e.parent_id && parentIds.has(e.parent_id))
-  return [...topLevelFiltered, ...subs]
+  const nested = new Set()
+  topLevelFiltered.filter(isTopLevelEvent).forEach((event) => {
+    getDescendantIds(allEvents, event.id).forEach((id) => nested.add(id))
+  })
+  return [...topLevelFiltered, ...allEvents.filter((e) => nested.has(e.id))]
 }
 
 export function getSubEventsForParent(allEvents, parentId) {
@@ -28,6 +31,57 @@ export function getSubEventsForParent(allEvents, parentId) {
     .sort((a, b) => eventToYearsAgo(b) - eventToYearsAgo(a))
 }
 
+/**
+ * Ids of the events nested under `parentId` at any depth (not including it).
+ * @returns {Set}
+ */
+export function getDescendantIds(allEvents, parentId) {
+  const ids = new Set()
+  if (!parentId || !Array.isArray(allEvents)) return ids
+  let frontier = [parentId]
+  while (frontier.length > 0) {
+    const parents = new Set(frontier)
+    frontier = allEvents
+      .filter((e) => e.parent_id && parents.has(e.parent_id) && !ids.has(e.id) && e.id !== parentId)
+      .map((e) => e.id)
+    frontier.forEach((id) => ids.add(id))
+  }
+  return ids
+}
+
+/**
+ * The events an event is nested in, outermost first (era → war → campaign for
+ * a battle). Stops at a parent that isn't in `allEvents`.
+ */
+export function getEventAncestors(allEvents, event) {
+  if (!event?.parent_id || !Array.isArray(allEvents)) return []
+  const byId = new Map(allEvents.map((e) => [e.id, e]))
+  const ancestors = []
+  let parent = byId.get(event.parent_id)
+  // Guard against a parent_id cycle in bad data
+  while (parent && parent.id !== event.id && !ancestors.includes(parent)) {
+    ancestors.unshift(parent)
+    parent = parent.parent_id ? byId.get(parent.parent_id) : null
+  }
+  return ancestors
+}
+
+/**
+ * Sub-events of `parentId` as a tree, oldest first at every level.
+ * @returns {{ event: Object, depth: number, children: Object[] }[]}
+ */
+export function buildEventTree(allEvents, parentId) {
+  const build = (id, depth, path) => getSubEventsForParent(allEvents, id)
+    // Guard against a parent_id cycle in bad data
+    .filter((event) => !path.has(event.id))
+    .map((event) => ({
+      event,
+      depth,
+      children: build(event.id, depth + 1, new Set(path).add(event.id))
+    }))
+  return build(parentId, 0, new Set([parentId]))
+}
+
 export function isParentSpan(event) {
   if (!event) return false
   if (event.date_type === 'astronomical') {
@@ -58,21 +112,21 @@ export function validateSubEventDates(parent, childPayload) {
     const childHasEnd = Boolean(childPayload.end_date)
 
     if (childHasEnd) {
-      if (new Date(childPayload.start_date) > new Date(childPayload.end_date)) {
-        return { valid: false, error: 'Sub-event end date must be on or after the start date.' }
+      if (compareHistoricalDates(childPayload.start_date, childPayload.end_date) >= 0) {
+        return { valid: false, error: 'End date must be after start date.' }
       }
-      if (parentStart && new Date(childPayload.start_date) < new Date(parentStart)) {
+      if (parentStart && compareHistoricalDates(childPayload.start_date, parentStart) < 0) {
         return { valid: false, error: 'Sub-event span must fall within the parent span.' }
       }
-      if (parentEnd && new Date(childPayload.end_date) > new Date(parentEnd)) {
+      if (parentEnd && compareHistoricalDates(childPayload.end_date, parentEnd) > 0) {
         return { valid: false, error: 'Sub-event span must fall within the parent span.' }
       }
     } else {
       const childDate = childPayload.start_date
-      if (parentStart && new Date(childDate) < new Date(parentStart)) {
+      if (parentStart && compareHistoricalDates(childDate, parentStart) < 0) {
         return { valid: false, error: 'Sub-event date must be within the parent span.' }
       }
-      if (parentEnd && new Date(childDate) > new Date(parentEnd)) {
+      if (parentEnd && compareHistoricalDates(childDate, parentEnd) > 0) {
         return { valid: false, error: 'Sub-event date must be within the parent span.' }
       }
     }
@@ -107,3 +161,44 @@ export function validateSubEventDates(parent, childPayload) {
   }
   return { valid: true }
 }
+
+/**
+ * Checks an event's dates against the whole hierarchy it sits in: it must fit
+ * inside its parent and every event above that, and everything nested under it
+ * must still fit inside it. Moving an event under one of its own sub-events is
+ * rejected.
+ * @param {Object} payload - The event's new dates (and date_type)
+ * @param {Object} options
+ * @param {Object|null} [options.parent] - The parent it will sit under
+ * @param {string|number|null} [options.eventId] - Set when editing an existing event
+ * @param {Object[]} [options.allEvents] - Resolves ancestors and sub-events
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateEventHierarchy(payload, { parent = null, eventId = null, allEvents = [] } = {}) {
+  const descendantIds = eventId ? getDescendantIds(allEvents, eventId) : new Set()
+
+  if (parent) {
+    if (eventId && (parent.id === eventId || descendantIds.has(parent.id))) {
+      return { valid: false, error: 'An event cannot be nested inside itself or one of its sub-events.' }
+    }
+    const parentCheck = validateSubEventDates(parent, payload)
+    if (!parentCheck.valid) return parentCheck
+    for (const ancestor of getEventAncestors(allEvents, parent)) {
+      if (!validateSubEventDates(ancestor, payload).valid) {
+        return { valid: false, error: `Sub-event must also fall within “${ancestor.title}”.` }
+      }
+    }
+  }
+
+  if (descendantIds.size > 0) {
+    if (!isParentSpan(payload)) {
+      return { valid: false, error: 'An event with sub-events must be a time span.' }
+    }
+    const outside = allEvents.find((e) => descendantIds.has(e.id) && !validateSubEventDates(payload, e).valid)
+    if (outside) {
+      return { valid: false, error: `Sub-event “${outside.title}” would fall outside this span.` }
+    }
+  }
+
+  return { valid: true }
+}
@@ -0,0 +1,75 @@
+/**
+ * Event label helpers.
+ *
+ * Events carry a `labels` array of label names (read from the
+ * events_with_labels view). Local drafts and revision snapshots saved before
+ * labels became many-to-many still have a single `label`, which is read as a
+ * one-item list.
+ */
+
+export const NO_LABEL_FILTER = '__none__'
+// `any`: an event matches if it carries one of the labels; `all`: every one of them
+export const LABEL_MATCH_MODES = ['any', 'all']
+
+/**
+ * @param {Object|null} event
+ * @returns {string[]}
+ */
+export function getEventLabels(event) {
+  if (Array.isArray(event?.labels)) return event.labels
+  return event?.label ? [event.label] : []
+}
+
+/**
+ * Whether an event's labels satisfy a label filter.
+ * @param {string[]} eventLabels
+ * @param {string[]} filterLabels - Label names, `__none__` for unlabeled events
+ * @param {'any'|'all'} match
+ */
+export function matchesLabelFilter(eventLabels, filterLabels, match = 'any') {
+  const test = (label) => (
+    label === NO_LABEL_FILTER ? eventLabels.length === 0 : eventLabels.includes(label)
+  )
+  return match === 'all' ? filterLabels.every(test) : filterLabels.some(test)
+}
+
+/**
+ * Apply the include/exclude label filter bar of Home and Game.
+ * @param {Object[]} events
+ * @param {{ activeLabels: string[], filterMode: 'include'|'exclude', labelMatch: 'any'|'all' }} filter
+ */
+export function filterEventsByLabels(events, { activeLabels, filterMode, labelMatch }) {
+  if (activeLabels.length === 0) return events
+  const keepMatches = filterMode === 'include'
+  return events.filter((event) => (
+    matchesLabelFilter(getEventLabels(event), activeLabels, labelMatch) === keepMatches
+  ))
+}
+
+/**
+ * Colours of an event's labels, in label order; labels without a colour are skipped.
+ * @param {Object} event
+ * @param {Map<string, string>} labelColorMap
+ * @returns {string[]}
+ */
+export function getEventLabelColors(event, labelColorMap) {
+  return getEventLabels(event)
+    .map((label) => labelColorMap.get(label))
+    .filter(Boolean)
+}
+
+/**
+ * Hard-stop gradient giving each colour an equal share, for markers with
+ * several labels. `conic` slices a point like a pie; `linear` stripes a span.
+ * @param {string[]} colors
+ * @param {'conic'|'linear'} shape
+ * @returns {string|null} null for fewer than two colours
+ */
+export function getLabelColorsGradient(colors, shape) {
+  if (colors.length < 2) return null
+  const share = 100 / colors.length
+  const stops = colors
+    .map((color, index) => `${color} ${index * share}% ${(index + 1) * share}%`)
+    .join(', ')
+  return shape === 'conic' ? `conic-gradient(${stops})` : `linear-gradient(90deg, ${stops})`
+}
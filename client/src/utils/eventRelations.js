@@ -0,0 +1,104 @@
+/**
+ * Typed relationships between events ("the Assassination of Franz Ferdinand
+ * caused World War I"). A relation is stored once, source -> target; directed
+ * types read differently from the target's side ("caused" / "caused by"),
+ * symmetric ones read the same from both.
+ */
+
+export const RELATION_TYPES = [
+  { value: 'caused', label: 'Caused', inverseLabel: 'Caused by', directed: true },
+  { value: 'influenced', label: 'Influenced', inverseLabel: 'Influenced by', directed: true },
+  { value: 'preceded', label: 'Preceded', inverseLabel: 'Preceded by', directed: true },
+  { value: 'contemporary-with', label: 'Contemporary with', inverseLabel: 'Contemporary with', directed: false },
+  { value: 'part-of', label: 'Part of', inverseLabel: 'Includes', directed: true },
+  // Untyped pairs marked in comparison mode
+  { value: 'related', label: 'Related to', inverseLabel: 'Related to', directed: false }
+]
+
+export const DEFAULT_RELATION_TYPE = 'related'
+
+const TYPE_ORDER = new Map(RELATION_TYPES.map((type, index) => [type.value, index]))
+
+export function getRelationType(value) {
+  return RELATION_TYPES.find((type) => type.value === value)
+    || RELATION_TYPES.find((type) => type.value === DEFAULT_RELATION_TYPE)
+}
+
+/**
+ * How a relation reads from one of its ends
+ * @param {string} value - relation_type
+ * @param {boolean} isOutgoing - Whether the reading event is the source
+ */
+export function getRelationLabel(value, isOutgoing) {
+  const type = getRelationType(value)
+  return isOutgoing ? type.label : type.inverseLabel
+}
+
+/**
+ * Choices for a relation picker, one per reading: "caused" and "caused by" are
+ * separate options; symmetric types appear once.
+ * @returns {{ value: string, label: string, type: string, isOutgoing: boolean }[]}
+ */
+export function getRelationChoices() {
+  return RELATION_TYPES.flatMap((type) => (
+    type.directed
+      ? [
+          { value: type.value, label: type.label, type: type.value, isOutgoing: true },
+          { value: `${type.value}:inverse`, label: type.inverseLabel, type: type.value, isOutgoing: false }
+        ]
+      : [{ value: type.value, label: type.label, type: type.value, isOutgoing: true }]
+  ))
+}
+
+/**
+ * Whether a relation of this type already links the two events. Symmetric
+ * types match in either direction.
+ * @param {Object[]} relations
+ * @param {string} type
+ * @param {string|number} sourceId
+ * @param {string|number} targetId
+ * @returns {Object|null}
+ */
+export function findRelation(relations, type, sourceId, targetId) {
+  const directed = getRelationType(type).directed
+  return relations.find((r) => {
+    if (r.relation_type !== type) return false
+    const source = String(r.source_event_id)
+    const target = String(r.target_event_id)
+    if (source === String(sourceId) && target === String(targetId)) return true
+    return !directed && source === String(targetId) && target === String(sourceId)
+  }) || null
+}
+
+/**
+ * An event's relations as seen from that event, with the event at the other
+ * end resolved. Relations whose other end isn't in `events` (unpublished,
+ * trashed) are left out.
+ * @param {Object|null} event
+ * @param {Object[]} relations - event_relations rows
+ * @param {Object[]} events - Events to resolve the other ends from
+ * @returns {{ relation: Object, otherEvent: Object, isOutgoing: boolean, label: string }[]}
+ */
+export function getEventRelationLinks(event, relations, events) {
+  if (!event) return []
+  const id = String(event.id)
+  const eventsById = new Map(events.map((e) => [String(e.id), e]))
+  return relations
+    .map((relation) => {
+      const isOutgoing = String(relation.source_event_id) === id
+      if (!isOutgoing && String(relation.target_event_id) !== id) return null
+      const otherEvent = eventsById.get(String(isOutgoing ? relation.target_event_id : relation.source_event_id))
+      if (!otherEvent) return null
+      return {
+        relation,
+        otherEvent,
+        isOutgoing,
+        label: getRelationLabel(relation.relation_type, isOutgoing)
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => (
+      (TYPE_ORDER.get(a.relation.relation_type) ?? Infinity) - (TYPE_ORDER.get(b.relation.relation_type) ?? Infinity)
+      || a.otherEvent.title.localeCompare(b.otherEvent.title)
+    ))
+}
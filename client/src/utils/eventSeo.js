@@ -0,0 +1,39 @@
+import { formatEventDateRange } from './dateUtils'
+import { canViewEventContent } from './contentVisibility'
+import { isLocalEvent } from './localEvents'
+
+export const HOME_SEO = {
+  title: 'Interactive Timeline of Historical Events',
+  description: 'Explore world history on an interactive timeline. Discover point events and time spans across ancient, historical, and modern eras.',
+  path: '/'
+}
+
+const SEO_DESCRIPTION_MAX_LENGTH = 160
+
+/** Permalink path for an event page. */
+export function getEventPath(event) {
+  return `/event/${encodeURIComponent(event.id)}`
+}
+
+/**
+ * useSeo options for an event. Matches the tags scripts/generate-seo.js
+ * prerenders, so link previews and the client agree.
+ * @param {Object|null} event
+ * @param {boolean} isAdmin
+ * @param {Object} [fallback] - Used when there is no shareable event (local drafts)
+ */
+export function getEventSeo(event, isAdmin, fallback = HOME_SEO) {
+  if (!event || isLocalEvent(event)) return fallback
+  const dateLabel = formatEventDateRange(event)
+  const text = canViewEventContent(event, isAdmin) && event.description
+    ? event.description
+    : `${dateLabel} on the History Arrow timeline.`
+  return {
+    title: dateLabel ? `${event.title} (${dateLabel})` : event.title,
+    description: text.length > SEO_DESCRIPTION_MAX_LENGTH
+      ? `${text.slice(0, SEO_DESCRIPTION_MAX_LENGTH - 1).trimEnd()}…`
+      : text,
+    path: getEventPath(event),
+    image: canViewEventContent(event, isAdmin) ? event.image_url : null
+  }
+}
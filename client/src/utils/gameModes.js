@@ -0,0 +1,259 @@
+/**
+ * Modes of the guessing game. Every mode plays through the same round
+ * phases and player turns in Game.jsx; they differ in which events a round
+ * hides, what a guess is and how it is scored. All scores share the 0–5000
+ * scale of the classic mode so totals stay comparable across modes.
+ */
+
+import {
+  eventToYearsAgo,
+  eventEndToYearsAgo,
+  getEventUncertaintyWindow
+} from './logScaleUtils'
+
+export const MAX_ROUND_POINTS = 5000
+
+export const GAME_MODE = {
+  CLASSIC: 'classic',
+  TIMED: 'timed',
+  ORDERING: 'ordering',
+  WHICH_FIRST: 'which-first',
+  SPAN: 'span',
+  DAILY: 'daily'
+}
+
+export const TIMED_TURN_MS = 20000
+// A guess placed the instant the turn starts earns this share of its points again
+const TIMED_MAX_SPEED_BONUS = 0.5
+
+export const ORDERING_EVENT_COUNT = 5
+
+/**
+ * `eventCount` is how many events a round hides; `usesTimeline` modes are
+ * guessed by clicking the timeline, the others from cards above it. Daily
+ * rounds are classic rounds whose events come from the API server's daily
+ * challenge (utils/dailyChallenge.js) rather than the label filter.
+ */
+export const GAME_MODES = [
+  {
+    id: GAME_MODE.CLASSIC,
+    label: 'Classic',
+    description: 'Start a round to hide one visible event, place it by hovering the timeline, then click to reveal your guess.',
+    eventCount: 1,
+    usesTimeline: true
+  },
+  {
+    id: GAME_MODE.TIMED,
+    label: 'Timed',
+    description: `Place the hidden event before the ${TIMED_TURN_MS / 1000}-second countdown runs out. The faster you lock it in, the bigger the speed bonus.`,
+    eventCount: 1,
+    usesTimeline: true
+  },
+  {
+    id: GAME_MODE.ORDERING,
+    label: 'Ordering',
+    description: `Sort ${ORDERING_EVENT_COUNT} hidden events from oldest to newest. Every pair in the right order counts.`,
+    eventCount: ORDERING_EVENT_COUNT,
+    usesTimeline: false
+  },
+  {
+    id: GAME_MODE.WHICH_FIRST,
+    label: 'Which came first',
+    description: 'Pick the older of two events. Close calls are worth more than obvious ones.',
+    eventCount: 2,
+    usesTimeline: false
+  },
+  {
+    id: GAME_MODE.SPAN,
+    label: 'Span',
+    description: 'Click where a hidden period began and where it ended. You score for how much your range overlaps the real one.',
+    eventCount: 1,
+    usesTimeline: true
+  },
+  {
+    id: GAME_MODE.DAILY,
+    label: 'Daily',
+    description: 'The same hidden events for everyone today, placed one after another. One attempt a day: keep your streak going.',
+    eventCount: 1,
+    usesTimeline: true
+  }
+]
+
+export const getGameMode = (id) => GAME_MODES.find((mode) => mode.id === id) || GAME_MODES[0]
+
+const isSpanEvent = (event) => {
+  const end = eventEndToYearsAgo(event)
+  return end !== null && end !== undefined && end !== eventToYearsAgo(event)
+}
+
+const shuffle = (items) => {
+  const shuffled = [...items]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    const swapped = shuffled[i]
+    shuffled[i] = shuffled[j]
+    shuffled[j] = swapped
+  }
+  return shuffled
+}
+
+/**
+ * Random events for a new round of the given mode, in the order they are
+ * first shown. Multi-event rounds only use events with distinct start
+ * dates so there is always one right answer. Empty when the pool is too
+ * small for the mode.
+ * @param {string} modeId
+ * @param {Object[]} events
+ * @returns {Object[]}
+ */
+export function pickRoundEvents(modeId, events) {
+  const mode = getGameMode(modeId)
+  const pool = mode.id === GAME_MODE.SPAN ? events.filter(isSpanEvent) : events
+  const picked = []
+  const usedStarts = new Set()
+  for (const event of shuffle(pool)) {
+    const start = eventToYearsAgo(event)
+    if (mode.eventCount > 1 && usedStarts.has(start)) continue
+    usedStarts.add(start)
+    picked.push(event)
+    if (picked.length === mode.eventCount) return picked
+  }
+  return []
+}
+
+// Where a guess counts as exact: the event's center, widened by its date
+// precision and ± uncertainty (averaged across both ends for spans)
+export const getGuessTarget = (event) => {
+  const eventStart = eventToYearsAgo(event)
+  const eventEnd = eventEndToYearsAgo(event)
+  const center = eventEnd !== null && eventEnd !== undefined
+    ? (eventStart + eventEnd) / 2
+    : eventStart
+  const range = getEventUncertaintyWindow(event)
+  if (!range) return { center, older: center, newer: center }
+  if (!range.end) return { center, older: range.start.older, newer: range.start.newer }
+  return {
+    center,
+    older: (range.start.older + range.end.older) / 2,
+    newer: (range.start.newer + range.end.newer) / 2
+  }
+}
+
+// Years between a guess and the target window (0 inside it)
+export const getYearsOffTarget = (yearsAgo, target) => {
+  if (yearsAgo > target.older) return yearsAgo - target.older
+  if (yearsAgo < target.newer) return target.newer - yearsAgo
+  return 0
+}
+
+export const getPointsFromRelativeTimeError = (guessYearsAgo, target) => {
+  const yearsOff = getYearsOffTarget(guessYearsAgo, target)
+  if (!Number.isFinite(yearsOff) || !Number.isFinite(target.center)) return 0
+
+  // Anywhere inside the uncertainty window is a perfect guess
+  if (yearsOff === 0) {
+    return MAX_ROUND_POINTS
+  }
+
+  const safeCenterYears = Math.max(1, target.center)
+  const relativeError = yearsOff / safeCenterYears
+
+  // Softer curve: near guesses retain more points, and perfect-ish guesses hit max quickly.
+  const fullScoreThreshold = 0.015
+  if (relativeError <= fullScoreThreshold) {
+    return MAX_ROUND_POINTS
+  }
+
+  const softenedRatio = Math.max(0, 1 - Math.min(1, relativeError * 2))
+  return Math.round(Math.pow(softenedRatio, 0.7) * MAX_ROUND_POINTS)
+}
+
+/**
+ * Classic points plus a speed bonus that shrinks linearly as the countdown
+ * runs down, so only accurate guesses gain much from being quick.
+ * @param {number} basePoints - points for the placement itself
+ * @param {number} timeLeftMs - time left on the turn when the guess was placed
+ * @returns {{ points: number, speedBonus: number }}
+ */
+export function getTimedPoints(basePoints, timeLeftMs) {
+  const remaining = Math.min(1, Math.max(0, timeLeftMs / TIMED_TURN_MS))
+  const speedBonus = Math.round(basePoints * TIMED_MAX_SPEED_BONUS * remaining)
+  return { points: basePoints + speedBonus, speedBonus }
+}
+
+/**
+ * Kendall tau between a guessed order (oldest first) and the true one:
+ * every pair of events is either concordant or discordant, ties in the
+ * true dates are skipped. A perfect order scores full points, a random or
+ * reversed one nothing.
+ * @param {Object[]} guessedEvents - events in the order the player put them
+ * @returns {{ tau: number, concordant: number, pairs: number, points: number }}
+ */
+export function getOrderingResult(guessedEvents) {
+  const years = guessedEvents.map(eventToYearsAgo)
+  let concordant = 0
+  let discordant = 0
+  for (let i = 0; i < years.length; i++) {
+    for (let j = i + 1; j < years.length; j++) {
+      if (years[i] > years[j]) concordant++
+      else if (years[i] < years[j]) discordant++
+    }
+  }
+  const pairs = concordant + discordant
+  const tau = pairs > 0 ? (concordant - discordant) / pairs : 1
+  return {
+    tau,
+    concordant,
+    pairs,
+    points: Math.round(Math.max(0, tau) * MAX_ROUND_POINTS)
+  }
+}
+
+/**
+ * Events oldest first, by start date.
+ * @param {Object[]} events
+ * @returns {Object[]}
+ */
+export const sortEventsChronologically = (events) => (
+  [...events].sort((a, b) => eventToYearsAgo(b) - eventToYearsAgo(a))
+)
+
+/**
+ * Scores picking `picked` as the older of two events by start date. A
+ * right answer earns between 40% and full points depending on how close
+ * the two are: events a hundredfold apart in years ago are the easiest,
+ * near neighbours the hardest.
+ * @param {Object} picked
+ * @param {Object} other
+ * @returns {{ correct: boolean, points: number }}
+ */
+export function getWhichFirstResult(picked, other) {
+  const pickedYears = eventToYearsAgo(picked)
+  const otherYears = eventToYearsAgo(other)
+  const correct = pickedYears > otherYears
+  if (!correct) return { correct, points: 0 }
+
+  const ratio = Math.max(1, pickedYears) / Math.max(1, otherYears)
+  const closeness = 1 - Math.min(1, Math.log10(Math.max(1, ratio)) / 2)
+  return { correct, points: Math.round((0.4 + 0.6 * closeness) * MAX_ROUND_POINTS) }
+}
+
+/**
+ * Overlap of a guessed range with an event's span as intersection over
+ * union, softened like the classic curve so a half-right range still earns
+ * a fair share of the points.
+ * @param {{ older: number, newer: number }} range - guessed edges in years ago
+ * @param {Object} event
+ * @returns {{ overlap: number, points: number }}
+ */
+export function getSpanOverlapResult(range, event) {
+  const start = eventToYearsAgo(event)
+  const end = eventEndToYearsAgo(event) ?? start
+  const older = Math.max(start, end)
+  const newer = Math.min(start, end)
+
+  const intersection = Math.max(0, Math.min(older, range.older) - Math.max(newer, range.newer))
+  const union = Math.max(older, range.older) - Math.min(newer, range.newer)
+  const overlap = union > 0 ? intersection / union : 0
+  return { overlap, points: Math.round(Math.pow(overlap, 0.7) * MAX_ROUND_POINTS) }
+}
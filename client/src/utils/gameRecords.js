@@ -0,0 +1,100 @@
+/**
+ * Guessing-game records kept by the API server (/api/game): sessions of
+ * rounds, leaderboards and player profiles. Players have no accounts; the
+ * server matches them by name.
+ */
+
+import { apiRequest } from './api'
+import { formatYearsAgoFull } from './logScaleUtils'
+
+export const LEADERBOARD_PERIODS = [
+  { id: 'daily', label: 'Today' },
+  { id: 'weekly', label: 'This week' },
+  { id: 'all-time', label: 'All time' }
+]
+
+/**
+ * A guess from Game.jsx in the API's shape: what the player answered, by
+ * mode. The server scores the answer itself, so the points stay behind.
+ * @param {Object} guess
+ * @param {string|null} playerId - server id of the player, null when playing solo
+ */
+export function toApiGuess(guess, playerId) {
+  let answer = null
+  if (guess.range) answer = { range: guess.range }
+  else if (guess.order) answer = { order: guess.order }
+  else if (guess.pickedEventId !== undefined) answer = { picked_event_id: guess.pickedEventId }
+  else if (Number.isFinite(guess.yearsAgo)) answer = { years_ago: guess.yearsAgo }
+  // Timed guesses: the server adds the speed bonus from the time left
+  if (answer && Number.isFinite(guess.timeLeftMs)) answer.time_left_ms = Math.max(0, Math.round(guess.timeLeftMs))
+
+  return { player_id: playerId, answer }
+}
+
+/** The reverse of toApiGuess, for guesses made in other browsers. */
+export function fromApiGuess({ answer, points, speed_bonus: speedBonus }) {
+  return {
+    points,
+    ...(speedBonus !== undefined && { speedBonus }),
+    ...(answer?.range && { range: answer.range }),
+    ...(answer?.order && { order: answer.order }),
+    ...(answer?.picked_event_id !== undefined && { pickedEventId: answer.picked_event_id }),
+    ...(Number.isFinite(answer?.years_ago) && { yearsAgo: answer.years_ago })
+  }
+}
+
+/**
+ * Start a session for the given mode, label filter and player names.
+ * @returns {Promise<Object>} the session with `players` ({ id, name }) in roster order
+ */
+export async function createGameSession({ mode, filters, players }) {
+  const { data } = await apiRequest('/api/game/sessions', {
+    method: 'POST',
+    body: { mode, filters, players }
+  })
+  return data
+}
+
+export async function saveGameRound(sessionId, round) {
+  const { data } = await apiRequest(`/api/game/sessions/${encodeURIComponent(sessionId)}/rounds`, {
+    method: 'POST',
+    body: round
+  })
+  return data
+}
+
+export async function fetchGameSession(sessionId) {
+  const { data } = await apiRequest(`/api/game/sessions/${encodeURIComponent(sessionId)}`)
+  return data
+}
+
+export async function fetchLeaderboard({ period, mode }) {
+  const { data } = await apiRequest('/api/game/leaderboard', { query: { period, mode } })
+  return data
+}
+
+export async function fetchPlayerProfile(playerId) {
+  const { data } = await apiRequest(`/api/game/players/${encodeURIComponent(playerId)}`)
+  return data
+}
+
+export const formatAccuracy = (accuracy) => `${Math.round(accuracy * 100)}%`
+
+/**
+ * One line describing a stored answer, e.g. "66.0 million years ago" or
+ * "Picked World War II".
+ * @param {Object|null} answer
+ * @param {(id: string) => string} getEventTitle
+ */
+export function describeGameAnswer(answer, getEventTitle) {
+  if (!answer) return 'Out of time'
+  if (answer.range) return `${formatYearsAgoFull(answer.range.older)} to ${formatYearsAgoFull(answer.range.newer)}`
+  if (answer.order) return answer.order.map((id) => getEventTitle(String(id))).join(' → ')
+  if (answer.picked_event_id !== undefined) return `Picked ${getEventTitle(String(answer.picked_event_id))}`
+  return formatYearsAgoFull(answer.years_ago)
+}
+
+/** Title of a round's event, which may since have been deleted. */
+export function getGameEventTitle(events, eventId) {
+  return events.find((event) => String(event.id) === String(eventId))?.title || 'Deleted event'
+}
@@ -0,0 +1,193 @@
+/**
+ * Event locations and the map panel's geometry.
+ *
+ * An event may have a point (`latitude` / `longitude`), a coarse `region` id
+ * from WORLD_REGIONS, or both. Maps use a plain equirectangular projection:
+ * one SVG unit per degree, x = longitude + 180, y = 90 - latitude.
+ */
+
+import { WORLD_REGIONS, getWorldRegion } from '../data/worldRegions'
+import { eventToYearsAgo, eventEndToYearsAgo } from './logScaleUtils'
+
+// Latitudes 84°N to 80°S; the poles carry nothing worth the space
+export const MAP_VIEWBOX = { x: 0, y: 6, width: 360, height: 164 }
+
+export function projectPoint(longitude, latitude) {
+  return { x: longitude + 180, y: 90 - latitude }
+}
+
+export function unprojectPoint(x, y) {
+  return {
+    longitude: Math.min(180, Math.max(-180, x - 180)),
+    latitude: Math.min(90, Math.max(-90, 90 - y))
+  }
+}
+
+/** SVG path data for a region's outlines */
+export function getRegionPath(region) {
+  return region.outlines
+    .map((ring) => ring
+      .map(([longitude, latitude], index) => {
+        const { x, y } = projectPoint(longitude, latitude)
+        return `${index === 0 ? 'M' : 'L'}${x} ${y}`
+      })
+      .join(' ') + ' Z')
+    .join(' ')
+}
+
+/**
+ * Map coordinates under a pointer, through the SVG's own transform so
+ * letterboxing and CSS scaling are accounted for.
+ * @param {SVGSVGElement} svg
+ * @returns {{ x: number, y: number }|null}
+ */
+export function clientToMapPoint(svg, clientX, clientY) {
+  const matrix = svg?.getScreenCTM()
+  if (!matrix) return null
+  const point = new DOMPoint(clientX, clientY).matrixTransform(matrix.inverse())
+  return { x: point.x, y: point.y }
+}
+
+function isPointInRing(longitude, latitude, ring) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if ((yi > latitude) !== (yj > latitude) &&
+      longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+/** Id of the region whose outline contains the point, or null (open sea) */
+export function findRegionAt(longitude, latitude) {
+  const region = WORLD_REGIONS.find((r) => (
+    r.outlines.some((ring) => isPointInRing(longitude, latitude, ring))
+  ))
+  return region ? region.id : null
+}
+
+const isCoordinate = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value))
+
+export function hasEventCoordinates(event) {
+  return Boolean(event) && isCoordinate(event.latitude) && isCoordinate(event.longitude)
+}
+
+/**
+ * Where an event is drawn on the map: its own point, else the middle of its
+ * region (`approximate`). Null for events with no location.
+ * @returns {{ longitude: number, latitude: number, approximate: boolean }|null}
+ */
+export function getEventMapPoint(event) {
+  if (hasEventCoordinates(event)) {
+    return { longitude: Number(event.longitude), latitude: Number(event.latitude), approximate: false }
+  }
+  const region = getWorldRegion(event?.region)
+  if (!region) return null
+  return { longitude: region.center[0], latitude: region.center[1], approximate: true }
+}
+
+/** The event's region, looked up from its point when it has none stored */
+export function getEventRegionId(event) {
+  if (getWorldRegion(event?.region)) return event.region
+  return hasEventCoordinates(event) ? findRegionAt(Number(event.longitude), Number(event.latitude)) : null
+}
+
+/**
+ * Check latitude / longitude form values (strings or numbers; both empty is fine).
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateCoordinates(latitude, longitude) {
+  const hasLatitude = latitude !== null && latitude !== undefined && String(latitude).trim() !== ''
+  const hasLongitude = longitude !== null && longitude !== undefined && String(longitude).trim() !== ''
+  if (!hasLatitude && !hasLongitude) return { valid: true }
+  if (hasLatitude !== hasLongitude) {
+    return { valid: false, error: 'Enter both latitude and longitude, or neither' }
+  }
+  const lat = Number(latitude)
+  const lon = Number(longitude)
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    return { valid: false, error: 'Latitude must be between -90 and 90' }
+  }
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+    return { valid: false, error: 'Longitude must be between -180 and 180' }
+  }
+  return { valid: true }
+}
+
+/**
+ * Whether an event falls in a map filter: `{ region }` matches the event's
+ * region (stored or looked up), `{ area }` matches its map point inside the
+ * brushed box (west, south, east, north in degrees).
+ */
+export function matchesMapFilter(event, filter) {
+  if (!filter) return true
+  if (filter.region) return getEventRegionId(event) === filter.region
+  const point = getEventMapPoint(event)
+  if (!point || !filter.area) return false
+  const { west, south, east, north } = filter.area
+  return point.longitude >= west && point.longitude <= east &&
+    point.latitude >= south && point.latitude <= north
+}
+
+/**
+ * Top-level events kept by a map filter. A parent stays when it or anything
+ * nested under it matches, so a war without a place of its own still shows
+ * when one of its battles is in the selection.
+ * @param {Object[]} topLevelEvents
+ * @param {Object[]} allEvents - Including sub-events
+ * @param {Object|null} filter
+ */
+export function filterEventsByMapArea(topLevelEvents, allEvents, filter) {
+  if (!filter) return topLevelEvents
+  const eventsById = new Map(allEvents.map((e) => [String(e.id), e]))
+  const keptRootIds = new Set()
+  allEvents.forEach((event) => {
+    if (!matchesMapFilter(event, filter)) return
+    let root = event
+    const seen = new Set()
+    while (root.parent_id && eventsById.has(String(root.parent_id)) && !seen.has(root.id)) {
+      seen.add(root.id)
+      root = eventsById.get(String(root.parent_id))
+    }
+    keptRootIds.add(String(root.id))
+  })
+  return topLevelEvents.filter((e) => keptRootIds.has(String(e.id)) || matchesMapFilter(e, filter))
+}
+
+/**
+ * Located events overlapping the visible window (years ago; start is the
+ * recent edge), in drawing order: spans first so points stay clickable on top.
+ */
+export function getMappableEventsInView(events, viewStart, viewEnd) {
+  return events
+    .filter((event) => {
+      if (!getEventMapPoint(event)) return false
+      const start = eventToYearsAgo(event)
+      const end = eventEndToYearsAgo(event) ?? start
+      return start >= viewStart && end <= viewEnd
+    })
+    .sort((a, b) => Number(Boolean(eventEndToYearsAgo(b))) - Number(Boolean(eventEndToYearsAgo(a))))
+}
+
+const formatDegrees = (value, positive, negative) => (
+  `${Math.abs(value).toFixed(2)}° ${value < 0 ? negative : positive}`
+)
+
+/** "Europe · 41.89° N, 12.49° E"; empty for events with no location */
+export function formatEventLocation(event) {
+  const regionName = getWorldRegion(getEventRegionId(event))?.name
+  const coordinates = hasEventCoordinates(event)
+    ? `${formatDegrees(Number(event.latitude), 'N', 'S')}, ${formatDegrees(Number(event.longitude), 'E', 'W')}`
+    : ''
+  return [regionName, coordinates].filter(Boolean).join(' · ')
+}
+
+/** Short description of a map filter for buttons and status text */
+export function describeMapFilter(filter) {
+  if (!filter) return ''
+  if (filter.region) return getWorldRegion(filter.region)?.name || filter.region
+  return 'Selected area'
+}
@@ -1,3 +1,5 @@
+import { getEventLabels } from './eventLabels'
+
 const STORAGE_KEY = 'history-arrow-local-events'
 
 export function isLocalEventId(id) {
@@ -101,7 +103,12 @@ export function toRemoteEventPayload(event, parentIdOverride) {
     end_date: event.end_date ?? null,
     astronomical_start_year: event.astronomical_start_year ?? null,
     astronomical_end_year: event.astronomical_end_year ?? null,
-    label: event.label ?? null,
+    date_precision: event.date_precision ?? null,
+    uncertainty_years: event.uncertainty_years ?? null,
+    latitude: event.latitude ?? null,
+    longitude: event.longitude ?? null,
+    region: event.region ?? null,
+    labels: getEventLabels(event),
     parent_id: parentIdOverride !== undefined ? parentIdOverride : (event.parent_id ?? null)
   }
 }
@@ -6,6 +6,8 @@
  * ago to the present day.
  */
 
+import { historicalDateToTime, historicalPeriodToTimeRange } from './historicalDate'
+
 // Default bounds for the timeline
 export const DEFAULT_MIN_YEARS = 0.001 // ~now (minimum)
 export const DEFAULT_MAX_YEARS = 14e9 // 5 billion years ago (maximum)
@@ -157,22 +159,6 @@ export function getLinearTicks(minYearsAgo = DEFAULT_MIN_YEARS, maxYearsAgo = DE
   return ticks.sort((a, b) => a.position - b.position)
 }
 
-/**
- * Generate era markers for the minimap
- * @returns {Array<{name: string, startYearsAgo: number, endYearsAgo: number, color: string}>}
- */
-export function getEraMarkers() {
-  return [
-    { name: 'Hadean', startYearsAgo: 4600000000, endYearsAgo: 4000000000, color: '#8B0000' },
-    { name: 'Archean', startYearsAgo: 4000000000, endYearsAgo: 2500000000, color: '#4B0082' },
-    { name: 'Proterozoic', startYearsAgo: 2500000000, endYearsAgo: 538000000, color: '#006400' },
-    { name: 'Paleozoic', startYearsAgo: 538000000, endYearsAgo: 252000000, color: '#2F4F4F' },
-    { name: 'Mesozoic', startYearsAgo: 252000000, endYearsAgo: 66000000, color: '#8B4513' },
-    { name: 'Cenozoic', startYearsAgo: 66000000, endYearsAgo: 10000, color: '#DAA520' },
-    { name: 'Human History', startYearsAgo: 10000, endYearsAgo: 1, color: '#4169E1' }
-  ]
-}
-
 /**
  * Format years ago as a short label (for tick marks)
  * @param {number} yearsAgo 
@@ -220,13 +206,19 @@ export function formatYearsAgoFull(yearsAgo) {
 
 /**
  * Convert a calendar date to years ago
+ * Strings are historical dates, so BCE years ("-0752-04-21") work too.
  * @param {Date|string} date 
- * @returns {number}
+ * @returns {number} NaN if the date can't be parsed
  */
 export function dateToYearsAgo(date) {
-  const eventDate = date instanceof Date ? date : new Date(date)
+  const time = date instanceof Date ? date.getTime() : historicalDateToTime(date)
+  if (time === null) return NaN
+  return timeToYearsAgo(time)
+}
+
+function timeToYearsAgo(time) {
   const now = new Date()
-  const diffMs = now.getTime() - eventDate.getTime()
+  const diffMs = now.getTime() - time
   const yearsAgo = diffMs / (365.25 * 24 * 60 * 60 * 1000)
   return Math.max(DEFAULT_MIN_YEARS, yearsAgo)
 }
@@ -270,6 +262,58 @@ export function eventEndToYearsAgo(event) {
   return null
 }
 
+/**
+ * Range in which an event's start (and end, for spans) may actually lie,
+ * combining the date precision ("15th century" covers 1401–1500) with the
+ * optional ± `uncertainty_years`. Null when the event is exact to the day.
+ * @param {Object} event
+ * @returns {{ start: {older: number, newer: number}, end: {older: number, newer: number}|null }|null}
+ */
+export function getEventUncertaintyWindow(event) {
+  const uncertainty = Number(event.uncertainty_years) > 0 ? Number(event.uncertainty_years) : 0
+  let hasPeriod = false
+
+  const getEdge = (yearsAgo, dateString) => {
+    if (!Number.isFinite(yearsAgo)) return null
+    let older = yearsAgo
+    let newer = yearsAgo
+    if (event.date_type !== 'astronomical') {
+      const period = historicalPeriodToTimeRange(dateString, event.date_precision)
+      if (period && period.precision !== 'day') {
+        hasPeriod = true
+        older = timeToYearsAgo(period.start)
+        newer = timeToYearsAgo(period.end)
+      }
+    }
+    return {
+      older: older + uncertainty,
+      newer: Math.max(DEFAULT_MIN_YEARS, newer - uncertainty)
+    }
+  }
+
+  const start = getEdge(eventToYearsAgo(event), event.start_date)
+  if (!start) return null
+  const endYearsAgo = eventEndToYearsAgo(event)
+  const end = endYearsAgo !== null ? getEdge(endYearsAgo, event.end_date) : null
+
+  if (!uncertainty && !hasPeriod) return null
+  return { start, end }
+}
+
+/**
+ * Start position in years ago, for sorting and selection; null when the
+ * event has no usable start. Uses the API's `start_years_ago` (the same
+ * number the server filters and sorts by) and derives it from the dates for
+ * events that haven't been through the API.
+ * @param {Object} event
+ * @returns {number|null}
+ */
+export function getEventStartYearsAgo(event) {
+  if (Number.isFinite(event.start_years_ago)) return event.start_years_ago
+  const derived = eventToYearsAgo(event)
+  return Number.isFinite(derived) ? derived : null
+}
+
 /**
  * Calculate the visible range bounds based on view parameters
  * @param {number} viewCenterYears - Center of the view in years ago
@@ -303,3 +347,213 @@ export function interpolateView(from, to, t) {
     end: Math.pow(10, logFromEnd + (logToEnd - logFromEnd) * t)
   }
 }
+
+/**
+ * Scale modes for the main timeline.
+ *
+ * Every mode maps years ago onto a monotonic "scale value"; screen positions
+ * are linear in that value across the visible window. `linear` uses years
+ * as-is, `log` uses log10(1 + years) so each power of ten gets equal width,
+ * and `hybrid` is linear up to HYBRID_BREAK_YEARS (human history) and
+ * logarithmic beyond it (deep time).
+ */
+export const SCALE_MODES = ['linear', 'log', 'hybrid']
+export const DEFAULT_SCALE_MODE = 'linear'
+export const HYBRID_BREAK_YEARS = 10000
+// Width of one power of ten of deep time, relative to the whole human-history segment
+const HYBRID_DEEP_TIME_WEIGHT = 1 / 3
+
+/**
+ * @param {number} yearsAgo
+ * @param {string} mode - One of SCALE_MODES
+ * @returns {number}
+ */
+export function toScaleValue(yearsAgo, mode = DEFAULT_SCALE_MODE) {
+  if (mode === 'log') return Math.log10(1 + Math.max(0, yearsAgo))
+  if (mode === 'hybrid') {
+    if (yearsAgo <= HYBRID_BREAK_YEARS) return yearsAgo / HYBRID_BREAK_YEARS
+    return 1 + HYBRID_DEEP_TIME_WEIGHT * Math.log10(yearsAgo / HYBRID_BREAK_YEARS)
+  }
+  return yearsAgo
+}
+
+/**
+ * Inverse of toScaleValue
+ * @param {number} value
+ * @param {string} mode - One of SCALE_MODES
+ * @returns {number} Years ago
+ */
+export function fromScaleValue(value, mode = DEFAULT_SCALE_MODE) {
+  if (mode === 'log') return Math.pow(10, value) - 1
+  if (mode === 'hybrid') {
+    if (value <= 1) return value * HYBRID_BREAK_YEARS
+    return HYBRID_BREAK_YEARS * Math.pow(10, (value - 1) / HYBRID_DEEP_TIME_WEIGHT)
+  }
+  return value
+}
+
+/**
+ * Convert years ago to a position (0 = oldest edge, 100 = present edge) in any
+ * scale mode. Like yearToLinearPosition it does not clamp.
+ * @param {number} yearsAgo
+ * @param {number} minYearsAgo - Recent edge of the view
+ * @param {number} maxYearsAgo - Older edge of the view
+ * @param {string} mode - One of SCALE_MODES
+ * @returns {number}
+ */
+export function yearToScalePosition(yearsAgo, minYearsAgo, maxYearsAgo, mode = DEFAULT_SCALE_MODE) {
+  if (mode === 'linear') return yearToLinearPosition(yearsAgo, minYearsAgo, maxYearsAgo)
+  const min = toScaleValue(minYearsAgo, mode)
+  const max = toScaleValue(maxYearsAgo, mode)
+  return 100 - ((toScaleValue(yearsAgo, mode) - min) / (max - min)) * 100
+}
+
+/**
+ * Convert a position (0-100) back to years ago in any scale mode
+ * @param {number} position
+ * @param {number} minYearsAgo - Recent edge of the view
+ * @param {number} maxYearsAgo - Older edge of the view
+ * @param {string} mode - One of SCALE_MODES
+ * @returns {number}
+ */
+export function scalePositionToYear(position, minYearsAgo, maxYearsAgo, mode = DEFAULT_SCALE_MODE) {
+  if (mode === 'linear') return linearPositionToYear(position, minYearsAgo, maxYearsAgo)
+  const min = toScaleValue(minYearsAgo, mode)
+  const max = toScaleValue(maxYearsAgo, mode)
+  return fromScaleValue(min + ((100 - position) / 100) * (max - min), mode)
+}
+
+// Closest two ticks may get, in percent of the width, before the later candidate is dropped
+const MIN_TICK_GAP_PERCENT = 6
+
+// Powers of ten from getLogTicks first, then 5x and 2x steps to fill the gaps
+function getLogTickCandidates(minYearsAgo, maxYearsAgo) {
+  const powers = getLogTicks(minYearsAgo, maxYearsAgo)
+  const fillers = [5, 2].flatMap((multiple) => (
+    getLogTicks(minYearsAgo / multiple, maxYearsAgo / multiple)
+      .map((tick) => tick.yearsAgo * multiple)
+      .filter((yearsAgo) => yearsAgo >= minYearsAgo && yearsAgo <= maxYearsAgo)
+      .map((yearsAgo) => ({ yearsAgo, label: formatYearsAgoShort(yearsAgo) }))
+  ))
+  return [...powers, ...fillers]
+}
+
+/**
+ * Tick marks for the main timeline in any scale mode. Linear views use
+ * getLinearTicks; log views use the powers of ten from getLogTicks (with 2x
+ * and 5x steps where there is room); hybrid views combine linear ticks for
+ * human history with log ticks for deep time.
+ * @param {number} minYearsAgo
+ * @param {number} maxYearsAgo
+ * @param {string} mode - One of SCALE_MODES
+ * @returns {Array<{position: number, yearsAgo: number, label: string}>}
+ */
+export function getScaleTicks(minYearsAgo, maxYearsAgo, mode = DEFAULT_SCALE_MODE) {
+  if (mode === 'linear') return getLinearTicks(minYearsAgo, maxYearsAgo)
+
+  let candidates
+  if (mode === 'log') {
+    candidates = getLogTickCandidates(minYearsAgo, maxYearsAgo)
+  } else {
+    const humanEnd = Math.min(maxYearsAgo, HYBRID_BREAK_YEARS)
+    const humanTicks = minYearsAgo < humanEnd ? getLinearTicks(minYearsAgo, humanEnd, 4) : []
+    const deepTicks = maxYearsAgo > HYBRID_BREAK_YEARS
+      ? getLogTickCandidates(Math.max(minYearsAgo, HYBRID_BREAK_YEARS), maxYearsAgo)
+      : []
+    candidates = [...humanTicks, ...deepTicks]
+  }
+
+  // Candidates come in priority order; keep each one that has room
+  const ticks = []
+  candidates.forEach((tick) => {
+    const position = yearToScalePosition(tick.yearsAgo, minYearsAgo, maxYearsAgo, mode)
+    if (position < 0 || position > 100) return
+    if (ticks.some((kept) => Math.abs(kept.position - position) < MIN_TICK_GAP_PERCENT)) return
+    ticks.push({ ...tick, position })
+  })
+  return ticks.sort((a, b) => a.position - b.position)
+}
+
+// Narrowest window the timeline zooms into (about three days)
+export const MIN_VIEW_SPAN_YEARS = 0.01
+
+/**
+ * Keep a view window inside DEFAULT_MIN_YEARS..DEFAULT_MAX_YEARS, shifting it
+ * back in bounds before shrinking it, and no narrower than MIN_VIEW_SPAN_YEARS
+ * @param {{start: number, end: number}} view
+ * @returns {{start: number, end: number}}
+ */
+export function clampView({ start, end }) {
+  const totalRange = DEFAULT_MAX_YEARS - DEFAULT_MIN_YEARS
+  const span = Math.min(totalRange, Math.max(MIN_VIEW_SPAN_YEARS, end - start))
+  const center = (start + end) / 2
+  let nextStart = center - span / 2
+  let nextEnd = center + span / 2
+
+  if (nextStart < DEFAULT_MIN_YEARS) {
+    nextEnd += DEFAULT_MIN_YEARS - nextStart
+    nextStart = DEFAULT_MIN_YEARS
+  }
+  if (nextEnd > DEFAULT_MAX_YEARS) {
+    nextStart = Math.max(DEFAULT_MIN_YEARS, nextStart - (nextEnd - DEFAULT_MAX_YEARS))
+    nextEnd = DEFAULT_MAX_YEARS
+  }
+  return { start: nextStart, end: nextEnd }
+}
+
+// Turn scale-value bounds back into a view, sliding them inside the timeline's limits first
+function fitScaleWindow(valueStart, valueEnd, mode) {
+  const limitStart = toScaleValue(DEFAULT_MIN_YEARS, mode)
+  const limitEnd = toScaleValue(DEFAULT_MAX_YEARS, mode)
+  const width = Math.min(limitEnd - limitStart, valueEnd - valueStart)
+  const start = Math.max(limitStart, Math.min(limitEnd - width, valueStart))
+  return clampView({
+    start: fromScaleValue(start, mode),
+    end: fromScaleValue(start + width, mode)
+  })
+}
+
+/**
+ * Zoom a view around an anchor so the anchor stays at the same screen position
+ * @param {{start: number, end: number}} view
+ * @param {number} anchorYearsAgo - Years ago under the cursor or pinch midpoint
+ * @param {number} factor - Width multiplier (< 1 zooms in, > 1 zooms out)
+ * @param {string} mode - Scale mode; the width is scaled in that mode's units
+ * @returns {{start: number, end: number}}
+ */
+export function zoomViewAt(view, anchorYearsAgo, factor, mode = DEFAULT_SCALE_MODE) {
+  const anchor = toScaleValue(Math.max(view.start, Math.min(view.end, anchorYearsAgo)), mode)
+  const start = toScaleValue(view.start, mode)
+  const width = toScaleValue(view.end, mode) - start
+  const nextWidth = width * factor
+  const anchorRatio = width > 0 ? (anchor - start) / width : 0.5
+  const nextStart = anchor - anchorRatio * nextWidth
+  return fitScaleWindow(nextStart, nextStart + nextWidth, mode)
+}
+
+/**
+ * Zoom a view and center it on a year
+ * @param {{start: number, end: number}} view
+ * @param {number} centerYearsAgo
+ * @param {number} factor - Width multiplier (< 1 zooms in, > 1 zooms out)
+ * @param {string} mode - Scale mode
+ * @returns {{start: number, end: number}}
+ */
+export function centerViewAt(view, centerYearsAgo, factor, mode = DEFAULT_SCALE_MODE) {
+  const center = toScaleValue(centerYearsAgo, mode)
+  const halfWidth = ((toScaleValue(view.end, mode) - toScaleValue(view.start, mode)) * factor) / 2
+  return fitScaleWindow(center - halfWidth, center + halfWidth, mode)
+}
+
+/**
+ * Shift a view by a share of its visible width (positive moves further into the past)
+ * @param {{start: number, end: number}} view
+ * @param {number} fraction - 1 pans by a full screen
+ * @param {string} mode - Scale mode
+ * @returns {{start: number, end: number}}
+ */
+export function panView(view, fraction, mode = DEFAULT_SCALE_MODE) {
+  const start = toScaleValue(view.start, mode)
+  const width = toScaleValue(view.end, mode) - start
+  return fitScaleWindow(start + fraction * width, start + (1 + fraction) * width, mode)
+}
@@ -0,0 +1,249 @@
+/**
+ * Data overlays: time series (life expectancy, population, ...) charted
+ * under the timeline and read out for the hovered year.
+ *
+ * Datasets are registered in public/data/overlays.json, one entry per file;
+ * the README's "Data overlays" section lists the fields. Parsed series are kept as
+ * `Map<seriesName, { year, value }[]>` sorted by calendar year (negative
+ * for BCE), with `valueScale` already applied.
+ */
+
+export const OVERLAY_MANIFEST_FILE = 'overlays.json'
+export const OVERLAY_INTERPOLATIONS = ['step', 'linear']
+export const OVERLAY_TIME_UNITS = ['year', 'yearsAgo']
+export const OVERLAY_CHART_TYPES = ['area', 'line']
+
+const DEFAULT_OVERLAY_COLOR = '#94a3b8'
+
+/**
+ * Check a manifest entry and fill in defaults.
+ * @returns {Object|null} The overlay definition, or null when it can't be loaded
+ */
+export function normalizeOverlay(entry) {
+  if (!entry || typeof entry !== 'object') return null
+  const id = typeof entry.id === 'string' ? entry.id.trim() : ''
+  const file = typeof entry.file === 'string' ? entry.file.trim() : ''
+  if (!id || !file) return null
+
+  const format = entry.format || (file.toLowerCase().endsWith('.json') ? 'json' : 'csv')
+  if (format !== 'csv' && format !== 'json') return null
+
+  const valueScale = Number(entry.valueScale)
+  const maxYear = Number(entry.maxYear)
+  return {
+    id,
+    name: entry.name || id,
+    file,
+    format,
+    columns: { series: null, time: 'Year', value: null, ...entry.columns },
+    seriesPaths: entry.seriesPaths || {},
+    tablePath: entry.tablePath || null,
+    timeUnit: OVERLAY_TIME_UNITS.includes(entry.timeUnit) ? entry.timeUnit : 'year',
+    interpolation: OVERLAY_INTERPOLATIONS.includes(entry.interpolation) ? entry.interpolation : 'step',
+    maxYear: entry.maxYear !== undefined && Number.isFinite(maxYear) ? maxYear : null,
+    unit: entry.unit || '',
+    valueScale: Number.isFinite(valueScale) && valueScale !== 0 ? valueScale : 1,
+    valueFormat: { style: 'fixed', decimals: 0, suffix: '', ...entry.valueFormat },
+    primarySeries: entry.primarySeries || entry.name || id,
+    detailTitle: entry.detailTitle || '',
+    detailSeries: Array.isArray(entry.detailSeries) ? entry.detailSeries : [],
+    footnote: entry.footnote || '',
+    attribution: Array.isArray(entry.attribution) ? entry.attribution : [],
+    color: entry.color || DEFAULT_OVERLAY_COLOR,
+    chart: OVERLAY_CHART_TYPES.includes(entry.chart) ? entry.chart : 'area',
+    defaultVisible: entry.defaultVisible !== false
+  }
+}
+
+/** Overlay definitions from the parsed manifest, skipping unusable entries */
+export function parseOverlayManifest(manifest) {
+  const entries = Array.isArray(manifest) ? manifest : manifest?.overlays
+  if (!Array.isArray(entries)) return []
+  const seen = new Set()
+  return entries
+    .map(normalizeOverlay)
+    .filter((overlay) => {
+      if (!overlay || seen.has(overlay.id)) return false
+      seen.add(overlay.id)
+      return true
+    })
+}
+
+// Quoted fields and escaped quotes; overlay files have no multi-line fields
+function splitCsvLine(line) {
+  const fields = []
+  let field = ''
+  let inQuotes = false
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      fields.push(field)
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  fields.push(field)
+  return fields.map((value) => value.trim())
+}
+
+const getPath = (object, path) => (
+  String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), object)
+)
+
+/**
+ * Parse a dataset file into its series.
+ *
+ * CSV: one row per observation; `columns.series` names the series column
+ * (omit it for a single series named after `primarySeries`), `columns.time`
+ * and `columns.value` the time and value columns (value defaults to the last).
+ * JSON: `seriesPaths` maps a series name to an object of `{ time: value }`,
+ * `tablePath` points at `{ time: { series: value } }`; paths are dotted keys.
+ *
+ * @param {Object} overlay - From normalizeOverlay
+ * @param {string|Object} content - CSV text or parsed JSON
+ * @param {number} currentYear - To place `yearsAgo` times on the calendar
+ * @returns {Map<string, { year: number, value: number }[]>}
+ */
+export function parseOverlayData(overlay, content, currentYear) {
+  const series = new Map()
+  const add = (name, time, rawValue) => {
+    const timeNumber = Number(time)
+    const value = Number(rawValue)
+    if (!name || rawValue === '' || rawValue === null || !Number.isFinite(timeNumber) || !Number.isFinite(value)) return
+    const year = overlay.timeUnit === 'yearsAgo' ? currentYear - timeNumber : timeNumber
+    if (!series.has(name)) series.set(name, [])
+    series.get(name).push({ year, value: value * overlay.valueScale })
+  }
+
+  if (overlay.format === 'csv') {
+    const lines = String(content).replace(/^\uFEFF/, '').split(/\r?\n/).filter((line) => line.trim())
+    const header = splitCsvLine(lines[0] || '')
+    const seriesIndex = overlay.columns.series ? header.indexOf(overlay.columns.series) : -1
+    const timeIndex = header.indexOf(overlay.columns.time)
+    const valueIndex = overlay.columns.value ? header.indexOf(overlay.columns.value) : header.length - 1
+    if (timeIndex === -1 || valueIndex === -1 || (overlay.columns.series && seriesIndex === -1)) {
+      throw new Error(`${overlay.file}: missing column ${overlay.columns.time}, ${overlay.columns.value || 'value'} or ${overlay.columns.series}`)
+    }
+    lines.slice(1).forEach((line) => {
+      const fields = splitCsvLine(line)
+      add(seriesIndex === -1 ? overlay.primarySeries : fields[seriesIndex], fields[timeIndex], fields[valueIndex])
+    })
+  } else {
+    Object.entries(overlay.seriesPaths).forEach(([name, path]) => {
+      Object.entries(getPath(content, path) || {}).forEach(([time, value]) => add(name, time, value))
+    })
+    if (overlay.tablePath) {
+      Object.entries(getPath(content, overlay.tablePath) || {}).forEach(([time, row]) => {
+        Object.entries(row || {}).forEach(([name, value]) => add(name, time, value))
+      })
+    }
+  }
+
+  series.forEach((points) => points.sort((a, b) => a.year - b.year))
+  return series
+}
+
+/**
+ * A series' value at a calendar year. `step` holds each observation until the
+ * next one (the returned year is the observation's), `linear` interpolates
+ * between neighbours. Both hold the latest value up to `maxYear` (or for
+ * good when there is none) and have nothing before the first observation.
+ * @returns {{ year: number, value: number }|null}
+ */
+export function getOverlayValueAt(overlay, points, year) {
+  if (!Number.isFinite(year) || !points || points.length === 0) return null
+  if (overlay.maxYear !== null && year > overlay.maxYear) return null
+
+  let left = 0
+  let right = points.length - 1
+  let before = -1
+  while (left <= right) {
+    const mid = Math.floor((left + right) / 2)
+    if (points[mid].year <= year) {
+      before = mid
+      left = mid + 1
+    } else {
+      right = mid - 1
+    }
+  }
+  if (before === -1) return null
+
+  const point = points[before]
+  const next = points[before + 1]
+  if (overlay.interpolation === 'linear' && next && point.year !== year) {
+    const t = (year - point.year) / (next.year - point.year)
+    return { year, value: point.value + (next.value - point.value) * t }
+  }
+  return point
+}
+
+/**
+ * Hover readout for one overlay: the primary series' value and a row per
+ * detail series.
+ * @param {Object} overlay
+ * @param {Map|undefined} series - From parseOverlayData; undefined while loading
+ * @param {number|null} year - Hovered calendar year
+ * @returns {{ state: 'idle'|'loading'|'after_max'|'missing'|'ready', year?: number, value?: number, rows: Object[] }}
+ */
+export function readOverlayAt(overlay, series, year) {
+  if (!Number.isFinite(year)) return { state: 'idle', rows: [] }
+  if (!series) return { state: 'loading', rows: [] }
+  if (overlay.maxYear !== null && year > overlay.maxYear) return { state: 'after_max', rows: [] }
+  const entry = getOverlayValueAt(overlay, series.get(overlay.primarySeries), year)
+  if (!entry) return { state: 'missing', rows: [] }
+  const rows = overlay.detailSeries.map((name) => {
+    const detail = getOverlayValueAt(overlay, series.get(name), year)
+    return { name, value: detail ? formatOverlayValue(overlay, detail.value) : 'N/A' }
+  })
+  return { state: 'ready', year: entry.year, value: entry.value, rows }
+}
+
+/**
+ * Sample a series across the visible window for charting.
+ * @param {Object} overlay
+ * @param {{ year: number, value: number }[]} points
+ * @param {(position: number) => number} yearAtPosition - Calendar year at a position (0-100)
+ * @param {number} [count] - Number of samples
+ * @returns {{ position: number, value: number|null }[]}
+ */
+export function sampleOverlaySeries(overlay, points, yearAtPosition, count = 160) {
+  if (!points || points.length === 0) return []
+  return Array.from({ length: count + 1 }, (_, index) => {
+    const position = (index / count) * 100
+    const entry = getOverlayValueAt(overlay, points, yearAtPosition(position))
+    return { position, value: entry ? entry.value : null }
+  })
+}
+
+const trimZeros = (text) => text.replace(/\.?0+$/, '')
+
+/**
+ * Format a value per the overlay's `valueFormat`: `fixed` (decimals and a
+ * suffix) or `compact` (8.05B, 312.5M). `full` spells compact values out.
+ */
+export function formatOverlayValue(overlay, value, { full = false } = {}) {
+  if (!Number.isFinite(value)) return 'N/A'
+  const { style, decimals, suffix } = overlay.valueFormat
+  if (style === 'compact') {
+    const abs = Math.abs(value)
+    if (!full && abs >= 1e9) return `${trimZeros((value / 1e9).toFixed(2))}B${suffix}`
+    if (!full && abs >= 1e6) return `${trimZeros((value / 1e6).toFixed(2))}M${suffix}`
+    return `${Math.round(value).toLocaleString()}${suffix}`
+  }
+  return `${value.toLocaleString(undefined, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  })}${suffix}`
+}
@@ -0,0 +1,116 @@
+/**
+ * Swimlane grouping for the timeline.
+ *
+ * In swimlane view every group gets its own band on a shared time axis.
+ * Groups are either labels (one band per label) or admin-defined tracks,
+ * each of which collects one or more labels ("Europe" = france, italy, ...).
+ * An event sits in every band it matches; events matching none go to a
+ * trailing "Other" band.
+ */
+
+import { getEventLabels } from './eventLabels'
+
+// 'off' keeps the single shared arrow
+export const SWIMLANE_GROUPINGS = ['off', 'label', 'track']
+export const OTHER_SWIMLANE_ID = '__other__'
+
+const matchesSwimlane = (lane, eventLabels) => (
+  lane.labels.some((label) => eventLabels.includes(label))
+)
+
+/**
+ * Bands for a grouping, in their default order. "Other" is added when some
+ * event matches none of the bands.
+ * @param {'label'|'track'} grouping
+ * @param {Object} options
+ * @param {Object[]} options.events - All timeline events, so bands don't come and go while panning
+ * @param {Object[]} options.tracks - Admin tracks ({ id, name, labels, position })
+ * @param {Map<string, string>} options.labelColorMap
+ * @returns {{ id: string, name: string, color: string|null, labels: string[] }[]}
+ */
+export function buildSwimlaneDefinitions(grouping, { events, tracks, labelColorMap }) {
+  const lanes = grouping === 'track'
+    ? [...tracks]
+        .sort((a, b) => (a.position ?? 0) - (b.position ?? 0) || a.name.localeCompare(b.name))
+        .map((track) => ({
+          id: String(track.id),
+          name: track.name,
+          color: labelColorMap.get(track.labels?.[0]) || null,
+          labels: track.labels || []
+        }))
+    : [...new Set(events.flatMap(getEventLabels))]
+        .sort((a, b) => a.localeCompare(b))
+        .map((label) => ({
+          id: label,
+          name: label,
+          color: labelColorMap.get(label) || null,
+          labels: [label]
+        }))
+
+  const hasUnmatched = events.some((event) => {
+    const eventLabels = getEventLabels(event)
+    return !lanes.some((lane) => matchesSwimlane(lane, eventLabels))
+  })
+  if (hasUnmatched) {
+    lanes.push({ id: OTHER_SWIMLANE_ID, name: 'Other', color: null, labels: [] })
+  }
+  return lanes
+}
+
+/**
+ * Apply a saved band order; bands the order doesn't know keep their default
+ * place after the known ones. "Other" always comes last.
+ * @param {Object[]} lanes - From buildSwimlaneDefinitions
+ * @param {string[]} savedOrder - Band ids
+ */
+export function orderSwimlanes(lanes, savedOrder = []) {
+  const rank = new Map(savedOrder.map((id, index) => [id, index]))
+  const rankOf = (lane, index) => (
+    lane.id === OTHER_SWIMLANE_ID ? Infinity : rank.get(lane.id) ?? savedOrder.length + index
+  )
+  return lanes
+    .map((lane, index) => ({ lane, rank: rankOf(lane, index) }))
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ lane }) => lane)
+}
+
+/**
+ * Put each event in every band it matches, or in "Other".
+ * @param {Object[]} events
+ * @param {Object[]} lanes - Ordered bands
+ * @returns {Object[]} The bands, each with an `events` array
+ */
+export function assignEventsToSwimlanes(events, lanes) {
+  const grouped = lanes.map((lane) => ({ ...lane, events: [] }))
+  const other = grouped.find((lane) => lane.id === OTHER_SWIMLANE_ID)
+
+  events.forEach((event) => {
+    const eventLabels = getEventLabels(event)
+    let matched = false
+    grouped.forEach((lane) => {
+      if (matchesSwimlane(lane, eventLabels)) {
+        lane.events.push(event)
+        matched = true
+      }
+    })
+    if (!matched) other?.events.push(event)
+  })
+  return grouped
+}
+
+/**
+ * Move a band up (-1) or down (+1) within the displayed order.
+ * @param {string[]} order - Ids of the bands as displayed
+ * @param {string} laneId
+ * @param {number} offset
+ * @returns {string[]}
+ */
+export function moveSwimlane(order, laneId, offset) {
+  const from = order.indexOf(laneId)
+  const to = from + offset
+  if (from === -1 || to < 0 || to >= order.length) return order
+  const next = [...order]
+  next.splice(from, 1)
+  next.splice(to, 0, laneId)
+  return next
+}
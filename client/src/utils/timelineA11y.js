@@ -0,0 +1,62 @@
+/**
+ * Screen-reader text and chronological ordering for the timeline.
+ *
+ * Keyboard traversal, the live region in HistoryArrow and TimelineEventList
+ * all describe events with the same wording so a reader hears one event the
+ * same way wherever it comes up.
+ */
+
+import { formatEventDateRange } from './dateUtils'
+import { eventToYearsAgo, eventEndToYearsAgo, formatYearsAgoFull } from './logScaleUtils'
+
+const orderValue = (value) => (Number.isFinite(value) ? value : -Infinity)
+
+/**
+ * Oldest first; events starting together put the longer one first.
+ * Works on raw events and on HistoryArrow's positioned copies (yearsAgo/endYearsAgo).
+ */
+export function compareEventsChronologically(a, b) {
+  const startA = orderValue(a.yearsAgo ?? eventToYearsAgo(a))
+  const startB = orderValue(b.yearsAgo ?? eventToYearsAgo(b))
+  if (startA !== startB) return startB - startA
+  const endA = orderValue(a.endYearsAgo ?? eventEndToYearsAgo(a) ?? startA)
+  const endB = orderValue(b.endYearsAgo ?? eventEndToYearsAgo(b) ?? startB)
+  if (endA !== endB) return endA - endB
+  return String(a.title || '').localeCompare(String(b.title || ''))
+}
+
+/**
+ * @param {Object[]} events
+ * @returns {Object[]} A sorted copy
+ */
+export function sortEventsChronologically(events) {
+  return [...events].sort(compareEventsChronologically)
+}
+
+/**
+ * "Moon Landing, 20 Jul 1969" / "Roman Empire, 27 BCE – 476 CE, time span"
+ * @param {Object} event
+ * @returns {string}
+ */
+export function getEventAccessibleLabel(event) {
+  const dates = formatEventDateRange(event)
+  const isSpan = event.date_type === 'astronomical'
+    ? !!event.astronomical_end_year
+    : !!event.end_date
+  return [event.title || 'Untitled event', dates, isSpan ? 'time span' : null]
+    .filter(Boolean)
+    .join(', ')
+}
+
+/**
+ * Live-region summary of the visible window.
+ * @param {number} viewStart - Recent edge in years ago
+ * @param {number} viewEnd - Older edge in years ago
+ * @param {number} eventCount - Events currently on screen
+ * @returns {string}
+ */
+export function describeViewRange(viewStart, viewEnd, eventCount) {
+  const recent = viewStart < 1 ? 'now' : formatYearsAgoFull(viewStart)
+  const countText = eventCount === 1 ? '1 event' : `${eventCount} events`
+  return `Timeline from ${formatYearsAgoFull(viewEnd)} to ${recent}, ${countText} shown`
+}
@@ -0,0 +1,179 @@
+/**
+ * Home timeline state <-> URL query string, so a view can be shared as a link.
+ *
+ *   ?from=541000000&to=485000000&event=12&label=nature&mode=exclude&match=all&q=cambrian
+ *
+ * `from` / `to` are the visible window in years ago (older edge first),
+ * `event` is the selected event id, `label` repeats per active label filter
+ * ("__none__" for unlabelled events), `mode` and `match` are only written when
+ * they aren't the defaults "include" and "any", and `q` is the event list search.
+ *
+ * The map panel's filter is either `region` (a region id, ?region=europe) or
+ * `area`, a brushed box as west,south,east,north in degrees (?area=-10,35,30,60).
+ *
+ * A guided tour being played is `tour` (its id) and `step`, counted from 1
+ * and left out for the first step (?tour=7&step=3).
+ *
+ * Comparison mode (/compare) stacks two timelines and adds a second set:
+ *
+ *   ?from=1950&to=1900&from2=66000000&to2=0.001&event=12&event2=4&link=250
+ *
+ * `from2` / `to2` and `event2` belong to the lower timeline, and `link` is the
+ * locked zoom ratio (lower span / upper span), only written while zoom is linked.
+ */
+
+import { DEFAULT_MIN_YEARS, DEFAULT_MAX_YEARS } from './logScaleUtils'
+import { LABEL_MATCH_MODES } from './eventLabels'
+import { WORLD_REGION_IDS } from '../data/worldRegions'
+
+const FILTER_MODES = ['include', 'exclude']
+const DEFAULT_FILTER_MODE = 'include'
+const DEFAULT_LABEL_MATCH = 'any'
+
+// Years-ago values are rounded to 8 significant digits, enough to round-trip a zoomed view
+function formatYearsAgoParam(value) {
+  return String(Number(value.toPrecision(8)))
+}
+
+function parseView(searchParams, fromKey = 'from', toKey = 'to') {
+  if (!searchParams.has(fromKey) || !searchParams.has(toKey)) return null
+  const from = Number(searchParams.get(fromKey))
+  const to = Number(searchParams.get(toKey))
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from <= to) return null
+  return {
+    start: Math.max(DEFAULT_MIN_YEARS, to),
+    end: Math.min(DEFAULT_MAX_YEARS, from)
+  }
+}
+
+function setViewParams(params, view, fromKey = 'from', toKey = 'to') {
+  if (!view) return
+  params.set(fromKey, formatYearsAgoParam(view.end))
+  params.set(toKey, formatYearsAgoParam(view.start))
+}
+
+function parseMapFilter(searchParams) {
+  const region = searchParams.get('region')
+  if (WORLD_REGION_IDS.includes(region)) return { region }
+  const parts = (searchParams.get('area') || '').split(',').map(Number)
+  if (parts.length !== 4 || parts.some((n) => !Number.isFinite(n))) return null
+  const [west, south, east, north] = parts
+  if (west >= east || south >= north || west < -180 || east > 180 || south < -90 || north > 90) return null
+  return { area: { west, south, east, north } }
+}
+
+function parseTourStep(searchParams) {
+  const step = Number(searchParams.get('step'))
+  return Number.isInteger(step) && step > 1 ? step - 1 : 0
+}
+
+function setMapFilterParams(params, mapFilter) {
+  if (mapFilter?.region) {
+    params.set('region', mapFilter.region)
+  } else if (mapFilter?.area) {
+    const { west, south, east, north } = mapFilter.area
+    params.set('area', [west, south, east, north].map((n) => Number(n.toFixed(2))).join(','))
+  }
+}
+
+/**
+ * Read timeline state from the query string. Missing or invalid values fall
+ * back to the defaults, so a hand-edited link never breaks the page.
+ * @param {URLSearchParams} searchParams
+ * @returns {{
+ *   view: { start: number, end: number }|null,
+ *   selectedEventId: string|null,
+ *   activeLabels: string[],
+ *   filterMode: 'include'|'exclude',
+ *   labelMatch: 'any'|'all',
+ *   searchQuery: string,
+ *   mapFilter: { region: string }|{ area: { west: number, south: number, east: number, north: number } }|null,
+ *   tourId: string|null,
+ *   tourStep: number
+ * }}
+ */
+export function parseTimelineSearchParams(searchParams) {
+  const mode = searchParams.get('mode')
+  const match = searchParams.get('match')
+  return {
+    view: parseView(searchParams),
+    selectedEventId: searchParams.get('event') || null,
+    activeLabels: [...new Set(searchParams.getAll('label').filter(Boolean))],
+    filterMode: FILTER_MODES.includes(mode) ? mode : DEFAULT_FILTER_MODE,
+    labelMatch: LABEL_MATCH_MODES.includes(match) ? match : DEFAULT_LABEL_MATCH,
+    searchQuery: searchParams.get('q') || '',
+    mapFilter: parseMapFilter(searchParams),
+    tourId: searchParams.get('tour') || null,
+    // Zero-based; the URL counts steps from 1
+    tourStep: parseTourStep(searchParams)
+  }
+}
+
+/**
+ * Build the query string for a timeline state. Defaults are left out to keep
+ * shared links short.
+ * @param {Object} state - Same shape as parseTimelineSearchParams returns
+ * @returns {URLSearchParams}
+ */
+export function buildTimelineSearchParams({
+  view,
+  selectedEventId,
+  activeLabels,
+  filterMode,
+  labelMatch,
+  searchQuery,
+  mapFilter,
+  tourId = null,
+  tourStep = 0
+}) {
+  const params = new URLSearchParams()
+  setViewParams(params, view)
+  if (selectedEventId !== null && selectedEventId !== undefined) {
+    params.set('event', String(selectedEventId))
+  }
+  activeLabels.forEach((label) => params.append('label', label))
+  if (filterMode !== DEFAULT_FILTER_MODE) params.set('mode', filterMode)
+  if (labelMatch !== DEFAULT_LABEL_MATCH) params.set('match', labelMatch)
+  if (searchQuery) params.set('q', searchQuery)
+  setMapFilterParams(params, mapFilter)
+  if (tourId !== null && tourId !== undefined) {
+    params.set('tour', String(tourId))
+    if (tourStep > 0) params.set('step', String(tourStep + 1))
+  }
+  return params
+}
+
+/**
+ * Read comparison state from the query string; index 0 is the upper timeline.
+ * @param {URLSearchParams} searchParams
+ * @returns {{
+ *   views: [{ start: number, end: number }|null, { start: number, end: number }|null],
+ *   selectedEventIds: [string|null, string|null],
+ *   zoomRatio: number|null
+ * }}
+ */
+export function parseComparisonSearchParams(searchParams) {
+  const link = Number(searchParams.get('link'))
+  return {
+    views: [parseView(searchParams), parseView(searchParams, 'from2', 'to2')],
+    selectedEventIds: [searchParams.get('event') || null, searchParams.get('event2') || null],
+    zoomRatio: searchParams.has('link') && Number.isFinite(link) && link > 0 ? link : null
+  }
+}
+
+/**
+ * Build the query string for a comparison state.
+ * @param {Object} state - Same shape as parseComparisonSearchParams returns
+ * @returns {URLSearchParams}
+ */
+export function buildComparisonSearchParams({ views, selectedEventIds, zoomRatio }) {
+  const params = new URLSearchParams()
+  setViewParams(params, views[0])
+  setViewParams(params, views[1], 'from2', 'to2')
+  ;['event', 'event2'].forEach((key, index) => {
+    const id = selectedEventIds[index]
+    if (id !== null && id !== undefined) params.set(key, String(id))
+  })
+  if (zoomRatio) params.set('link', String(Number(zoomRatio.toPrecision(8))))
+  return params
+}
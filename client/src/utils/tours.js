@@ -0,0 +1,107 @@
+/**
+ * Guided tours: an authored sequence of timeline views played back as a
+ * story. A tour is `{ id, title, description, steps }` and each step is
+ *
+ *   { title, narrative, view: { start, end }, event_ids: [], labels: [] }
+ *
+ * `view` is the window in years ago (start is the recent edge, as in
+ * HistoryArrow), `event_ids` are the events spotlighted at that step and
+ * `labels` the label filter it applies (empty shows every label).
+ */
+
+import { DEFAULT_MIN_YEARS, DEFAULT_MAX_YEARS } from './logScaleUtils'
+
+/** Time the timeline takes to fly from one step's view to the next */
+export const TOUR_STEP_ANIMATION_MS = 1600
+
+// Autoplay dwells on a step for a base time plus reading time for its narrative
+const AUTOPLAY_BASE_MS = 5000
+const AUTOPLAY_MS_PER_WORD = 250
+const AUTOPLAY_MAX_MS = 20000
+
+export const MAX_TOUR_TITLE_LENGTH = 100
+export const MAX_TOUR_STEP_TITLE_LENGTH = 100
+
+/**
+ * A new step showing the given view, label filter and spotlighted events.
+ * @param {{ start: number, end: number }} view
+ * @param {{ labels?: string[], eventIds?: Array<string|number> }} [options]
+ */
+export function createTourStep(view, { labels = [], eventIds = [] } = {}) {
+  return {
+    title: '',
+    narrative: '',
+    view: { start: view.start, end: view.end },
+    event_ids: eventIds.map(String),
+    labels: [...labels]
+  }
+}
+
+/**
+ * Fill in missing step fields and drop steps without a usable view, so a
+ * tour saved by hand through Supabase still plays.
+ * @param {Object} tour
+ * @returns {Object}
+ */
+export function normalizeTour(tour) {
+  const steps = Array.isArray(tour.steps) ? tour.steps : []
+  return {
+    ...tour,
+    description: tour.description || '',
+    steps: steps
+      .filter((step) => (
+        step && step.view &&
+        Number.isFinite(step.view.start) && Number.isFinite(step.view.end) &&
+        step.view.end > step.view.start
+      ))
+      .map((step) => ({
+        title: step.title || '',
+        narrative: step.narrative || '',
+        view: {
+          start: Math.max(DEFAULT_MIN_YEARS, step.view.start),
+          end: Math.min(DEFAULT_MAX_YEARS, step.view.end)
+        },
+        event_ids: Array.isArray(step.event_ids) ? step.event_ids.map(String) : [],
+        labels: Array.isArray(step.labels) ? step.labels.filter((label) => typeof label === 'string') : []
+      }))
+  }
+}
+
+/**
+ * Check a tour before saving.
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateTour({ title, steps }) {
+  if (typeof title !== 'string' || !title.trim()) {
+    return { valid: false, error: 'Tour title is required' }
+  }
+  if (title.trim().length > MAX_TOUR_TITLE_LENGTH) {
+    return { valid: false, error: `Tour title must be ${MAX_TOUR_TITLE_LENGTH} characters or fewer` }
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return { valid: false, error: 'A tour needs at least one step' }
+  }
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i]
+    const view = step.view || {}
+    if (!Number.isFinite(view.start) || !Number.isFinite(view.end) || view.end <= view.start || view.start < 0) {
+      return { valid: false, error: `Step ${i + 1} has no valid view; capture one from the timeline` }
+    }
+    if ((step.title || '').length > MAX_TOUR_STEP_TITLE_LENGTH) {
+      return { valid: false, error: `Step ${i + 1}: title must be ${MAX_TOUR_STEP_TITLE_LENGTH} characters or fewer` }
+    }
+  }
+  return { valid: true }
+}
+
+/** Step index from the URL, clamped to the tour */
+export function clampTourStep(tour, index) {
+  const last = Math.max(0, (tour?.steps.length || 1) - 1)
+  return Math.min(last, Math.max(0, index))
+}
+
+/** How long autoplay stays on a step before moving on */
+export function getTourStepDuration(step) {
+  const words = (step.narrative || '').trim().split(/\s+/).filter(Boolean).length
+  return Math.min(AUTOPLAY_MAX_MS, AUTOPLAY_BASE_MS + words * AUTOPLAY_MS_PER_WORD)
+}
@@ -8,7 +8,9 @@ export default defineConfig({
     proxy: {
       '/api': {
         target: 'http://localhost:5001',
-        changeOrigin: true
+        changeOrigin: true,
+        // Online game rooms (/api/game/rooms) are WebSockets
+        ws: true
       }
     }
   }
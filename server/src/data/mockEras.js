@@ -0,0 +1,108 @@
+// Mock era bands for when Supabase is not configured.
+// Same dataset as the client's built-in eras (client/src/data/eras.js).
+const Ma = 1e6
+const fromYear = (year) => new Date().getFullYear() - year
+
+const era = (id, name, rank, start, end, color) => ({
+  id,
+  name,
+  rank,
+  start_years_ago: start,
+  end_years_ago: end,
+  color,
+  created_at: new Date().toISOString()
+})
+
+export const mockEras = [
+  era('hadean', 'Hadean', 'eon', 4567 * Ma, 4031 * Ma, '#AE027E'),
+  era('archean', 'Archean', 'eon', 4031 * Ma, 2500 * Ma, '#F0047F'),
+  era('proterozoic', 'Proterozoic', 'eon', 2500 * Ma, 538.8 * Ma, '#F73563'),
+  era('phanerozoic', 'Phanerozoic', 'eon', 538.8 * Ma, 0, '#9AD9DD'),
+
+  // Eras
+  era('eoarchean', 'Eoarchean', 'era', 4031 * Ma, 3600 * Ma, '#DA037F'),
+  era('paleoarchean', 'Paleoarchean', 'era', 3600 * Ma, 3200 * Ma, '#F444A9'),
+  era('mesoarchean', 'Mesoarchean', 'era', 3200 * Ma, 2800 * Ma, '#F768A9'),
+  era('neoarchean', 'Neoarchean', 'era', 2800 * Ma, 2500 * Ma, '#F99BC1'),
+  era('paleoproterozoic', 'Paleoproterozoic', 'era', 2500 * Ma, 1600 * Ma, '#F74370'),
+  era('mesoproterozoic', 'Mesoproterozoic', 'era', 1600 * Ma, 1000 * Ma, '#FDB462'),
+  era('neoproterozoic', 'Neoproterozoic', 'era', 1000 * Ma, 538.8 * Ma, '#FEB342'),
+  era('paleozoic', 'Paleozoic', 'era', 538.8 * Ma, 251.902 * Ma, '#99C08D'),
+  era('mesozoic', 'Mesozoic', 'era', 251.902 * Ma, 66 * Ma, '#67C5CA'),
+  era('cenozoic', 'Cenozoic', 'era', 66 * Ma, 0, '#F2F91D'),
+
+  // Periods
+  era('siderian', 'Siderian', 'period', 2500 * Ma, 2300 * Ma, '#F74F7C'),
+  era('rhyacian', 'Rhyacian', 'period', 2300 * Ma, 2050 * Ma, '#F75B89'),
+  era('orosirian', 'Orosirian', 'period', 2050 * Ma, 1800 * Ma, '#F76898'),
+  era('statherian', 'Statherian', 'period', 1800 * Ma, 1600 * Ma, '#F875A7'),
+  era('calymmian', 'Calymmian', 'period', 1600 * Ma, 1400 * Ma, '#FDC07A'),
+  era('ectasian', 'Ectasian', 'period', 1400 * Ma, 1200 * Ma, '#F3CC8A'),
+  era('stenian', 'Stenian', 'period', 1200 * Ma, 1000 * Ma, '#FED99A'),
+  era('tonian', 'Tonian', 'period', 1000 * Ma, 720 * Ma, '#FEBF4E'),
+  era('cryogenian', 'Cryogenian', 'period', 720 * Ma, 635 * Ma, '#FECC5C'),
+  era('ediacaran', 'Ediacaran', 'period', 635 * Ma, 538.8 * Ma, '#FED96A'),
+  era('cambrian', 'Cambrian', 'period', 538.8 * Ma, 485.4 * Ma, '#7FA056'),
+  era('ordovician', 'Ordovician', 'period', 485.4 * Ma, 443.8 * Ma, '#009270'),
+  era('silurian', 'Silurian', 'period', 443.8 * Ma, 419.2 * Ma, '#B3E1B6'),
+  era('devonian', 'Devonian', 'period', 419.2 * Ma, 358.9 * Ma, '#CB8C37'),
+  era('carboniferous', 'Carboniferous', 'period', 358.9 * Ma, 298.9 * Ma, '#67A599'),
+  era('permian', 'Permian', 'period', 298.9 * Ma, 251.902 * Ma, '#F04028'),
+  era('triassic', 'Triassic', 'period', 251.902 * Ma, 201.4 * Ma, '#812B92'),
+  era('jurassic', 'Jurassic', 'period', 201.4 * Ma, 143.1 * Ma, '#34B2C9'),
+  era('cretaceous', 'Cretaceous', 'period', 143.1 * Ma, 66 * Ma, '#7FC64E'),
+  era('paleogene', 'Paleogene', 'period', 66 * Ma, 23.03 * Ma, '#FD9A52'),
+  era('neogene', 'Neogene', 'period', 23.03 * Ma, 2.58 * Ma, '#FFE619'),
+  era('quaternary', 'Quaternary', 'period', 2.58 * Ma, 0, '#F9F97F'),
+
+  // Epochs (the Carboniferous subperiods stand in for its epochs)
+  era('terreneuvian', 'Terreneuvian', 'epoch', 538.8 * Ma, 521 * Ma, '#8CB06C'),
+  era('cambrian-series-2', 'Cambrian Series 2', 'epoch', 521 * Ma, 509 * Ma, '#99C078'),
+  era('miaolingian', 'Miaolingian', 'epoch', 509 * Ma, 497 * Ma, '#A6CF86'),
+  era('furongian', 'Furongian', 'epoch', 497 * Ma, 485.4 * Ma, '#B3E095'),
+  era('early-ordovician', 'Early Ordovician', 'epoch', 485.4 * Ma, 470 * Ma, '#1A9D6F'),
+  era('middle-ordovician', 'Middle Ordovician', 'epoch', 470 * Ma, 458.4 * Ma, '#4DB47E'),
+  era('late-ordovician', 'Late Ordovician', 'epoch', 458.4 * Ma, 443.8 * Ma, '#7FCA93'),
+  era('llandovery', 'Llandovery', 'epoch', 443.8 * Ma, 433.4 * Ma, '#99D7B3'),
+  era('wenlock', 'Wenlock', 'epoch', 433.4 * Ma, 427.4 * Ma, '#B3E1C2'),
+  era('ludlow', 'Ludlow', 'epoch', 427.4 * Ma, 423 * Ma, '#BFE6CF'),
+  era('pridoli', 'Přídolí', 'epoch', 423 * Ma, 419.2 * Ma, '#E6F5E1'),
+  era('early-devonian', 'Early Devonian', 'epoch', 419.2 * Ma, 393.3 * Ma, '#E5AC4D'),
+  era('middle-devonian', 'Middle Devonian', 'epoch', 393.3 * Ma, 382.7 * Ma, '#F1C868'),
+  era('late-devonian', 'Late Devonian', 'epoch', 382.7 * Ma, 358.9 * Ma, '#F1E19D'),
+  era('mississippian', 'Mississippian', 'epoch', 358.9 * Ma, 323.2 * Ma, '#678F66'),
+  era('pennsylvanian', 'Pennsylvanian', 'epoch', 323.2 * Ma, 298.9 * Ma, '#99C2B5'),
+  era('cisuralian', 'Cisuralian', 'epoch', 298.9 * Ma, 273.01 * Ma, '#EF5845'),
+  era('guadalupian', 'Guadalupian', 'epoch', 273.01 * Ma, 259.51 * Ma, '#FB745C'),
+  era('lopingian', 'Lopingian', 'epoch', 259.51 * Ma, 251.902 * Ma, '#FBA794'),
+  era('early-triassic', 'Early Triassic', 'epoch', 251.902 * Ma, 247.2 * Ma, '#983999'),
+  era('middle-triassic', 'Middle Triassic', 'epoch', 247.2 * Ma, 237 * Ma, '#B168B1'),
+  era('late-triassic', 'Late Triassic', 'epoch', 237 * Ma, 201.4 * Ma, '#BD8CC3'),
+  era('early-jurassic', 'Early Jurassic', 'epoch', 201.4 * Ma, 174.7 * Ma, '#42AED0'),
+  era('middle-jurassic', 'Middle Jurassic', 'epoch', 174.7 * Ma, 161.5 * Ma, '#80CFD8'),
+  era('late-jurassic', 'Late Jurassic', 'epoch', 161.5 * Ma, 143.1 * Ma, '#B3E3EE'),
+  era('early-cretaceous', 'Early Cretaceous', 'epoch', 143.1 * Ma, 100.5 * Ma, '#8CCD57'),
+  era('late-cretaceous', 'Late Cretaceous', 'epoch', 100.5 * Ma, 66 * Ma, '#A6D84A'),
+  era('paleocene', 'Paleocene', 'epoch', 66 * Ma, 56 * Ma, '#FDA75F'),
+  era('eocene', 'Eocene', 'epoch', 56 * Ma, 33.9 * Ma, '#FDB46C'),
+  era('oligocene', 'Oligocene', 'epoch', 33.9 * Ma, 23.03 * Ma, '#FEC07A'),
+  era('miocene', 'Miocene', 'epoch', 23.03 * Ma, 5.333 * Ma, '#FFFF00'),
+  era('pliocene', 'Pliocene', 'epoch', 5.333 * Ma, 2.58 * Ma, '#FFFF99'),
+  era('pleistocene', 'Pleistocene', 'epoch', 2.58 * Ma, fromYear(-9700), '#FFF2AE'),
+  era('holocene', 'Holocene', 'epoch', fromYear(-9700), 0, '#FEEBD2'),
+
+  // Human-history ages
+  era('paleolithic', 'Paleolithic', 'age', 3.3 * Ma, fromYear(-10000), '#A8A29E'),
+  era('neolithic', 'Neolithic', 'age', fromYear(-10000), fromYear(-3300), '#84CC16'),
+  era('bronze-age', 'Bronze Age', 'age', fromYear(-3300), fromYear(-1200), '#D97706'),
+  era('iron-age', 'Iron Age', 'age', fromYear(-1200), fromYear(-500), '#78716C'),
+  era('classical-antiquity', 'Classical antiquity', 'age', fromYear(-500), fromYear(500), '#A855F7'),
+  era('middle-ages', 'Middle Ages', 'age', fromYear(500), fromYear(1500), '#6366F1'),
+  era('early-modern', 'Early modern period', 'age', fromYear(1500), fromYear(1800), '#0EA5E9'),
+  era('modern', 'Modern era', 'age', fromYear(1800), 0, '#14B8A6')
+]
+let mockEraIdCounter = 1
+
+export function nextMockEraId() {
+  return String(mockEraIdCounter++)
+}
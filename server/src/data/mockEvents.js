@@ -0,0 +1,165 @@
+import { computeEpochYearsFields } from '../utils/yearsAgo.js'
+
+// Mock data for when Supabase is not configured
+export const mockEvents = [
+  // Astronomical events (billions/millions of years ago)
+  {
+    id: 1,
+    title: 'Formation of Earth',
+    description: 'The Earth formed approximately 4.54 billion years ago by accretion from the solar nebula.',
+    date_type: 'astronomical',
+    start_date: null,
+    end_date: null,
+    astronomical_start_year: 4540000000,
+    astronomical_end_year: null,
+    uncertainty_years: 50000000,
+    labels: ['nature'],
+    image_url: null,
+    source_url: null,
+    attribution_text: null,
+    is_published: false,
+    license_type: null,
+    created_at: new Date().toISOString()
+  },
+  {
+    id: 2,
+    title: 'Hadean Eon',
+    description: 'The earliest eon in Earth\'s history, characterized by the formation of the planet.',
+    date_type: 'astronomical',
+    start_date: null,
+    end_date: null,
+    astronomical_start_year: 4600000000,
+    astronomical_end_year: 4000000000,
+    labels: ['nature'],
+    image_url: null,
+    source_url: null,
+    attribution_text: null,
+    is_published: false,
+    license_type: null,
+    created_at: new Date().toISOString()
+  },
+  {
+    id: 3,
+    title: 'Cambrian Explosion',
+    description: 'A period of rapid evolutionary diversification when most major animal phyla appeared.',
+    date_type: 'astronomical',
+    start_date: null,
+    end_date: null,
+    astronomical_start_year: 538000000,
+    astronomical_end_year: 485000000,
+    labels: ['nature'],
+    image_url: null,
+    source_url: null,
+    attribution_text: null,
+    is_published: false,
+    license_type: null,
+    created_at: new Date().toISOString()
+  },
+  {
+    id: 4,
+    title: 'Extinction of Dinosaurs',
+    description: 'The Cretaceous-Paleogene extinction event caused by an asteroid impact.',
+    date_type: 'astronomical',
+    start_date: null,
+    end_date: null,
+    astronomical_start_year: 66000000,
+    astronomical_end_year: null,
+    latitude: 21.4,
+    longitude: -89.5,
+    region: 'north-america',
+    labels: ['nature'],
+    image_url: null,
+    source_url: null,
+    attribution_text: null,
+    is_published: false,
+    license_type: null,
+    created_at: new Date().toISOString()
+  },
+  {
+    id: 5,
+    title: 'Invention of the Lightbulb',
+    description: 'Thomas Edison demonstrated his incandescent light bulb.',
+    date_type: 'date',
+    start_date: '1879-10-21',
+    end_date: null,
+    astronomical_start_year: null,
+    astronomical_end_year: null,
+    latitude: 40.56,
+    longitude: -74.35,
+    region: 'north-america',
+    labels: ['discovery'],
+    image_url: null,
+    source_url: null,
+    attribution_text: null,
+    is_published: false,
+    license_type: null,
+    created_at: new Date().toISOString()
+  },
+  {
+    id: 6,
+    title: 'World War II',
+    description: 'A global conflict lasting from 1939 to 1945.',
+    date_type: 'date',
+    start_date: '1939-09-01',
+    end_date: '1945-09-02',
+    astronomical_start_year: null,
+    astronomical_end_year: null,
+    latitude: null,
+    longitude: null,
+    region: 'europe',
+    labels: ['war'],
+    image_url: null,
+    source_url: null,
+    attribution_text: null,
+    is_published: false,
+    license_type: null,
+    created_at: new Date().toISOString()
+  },
+  {
+    id: 7,
+    title: 'Moon Landing',
+    description: 'Apollo 11 astronauts became the first humans to walk on the Moon.',
+    date_type: 'date',
+    start_date: '1969-07-20',
+    end_date: null,
+    astronomical_start_year: null,
+    astronomical_end_year: null,
+    labels: ['discovery', 'technology'],
+    image_url: null,
+    source_url: null,
+    attribution_text: null,
+    is_published: false,
+    license_type: null,
+    created_at: new Date().toISOString()
+  },
+  {
+    id: 8,
+    title: 'Founding of Rome',
+    description: 'According to legend, Romulus founded the city of Rome on the Palatine Hill.',
+    date_type: 'date',
+    start_date: '-0752-04-21',
+    end_date: null,
+    astronomical_start_year: null,
+    astronomical_end_year: null,
+    latitude: 41.89,
+    longitude: 12.49,
+    region: 'europe',
+    labels: ['politics'],
+    image_url: null,
+    source_url: null,
+    attribution_text: null,
+    is_published: false,
+    license_type: null,
+    created_at: new Date().toISOString()
+  }
+].map(event => ({ ...event, ...computeEpochYearsFields(event) }))
+let mockIdCounter = 9
+
+export function nextMockEventId() {
+  return mockIdCounter++
+}
+
+// Keep the counter ahead of ids restored from an import
+export function reserveMockEventId(id) {
+  mockIdCounter = Math.max(mockIdCounter, Number(id) + 1)
+}
@@ -0,0 +1,29 @@
+// In-memory guessing-game records for when Supabase is not configured.
+// Mirrors the game_players, game_sessions, game_rounds, game_dailies and
+// game_daily_attempts tables.
+export const mockGamePlayers = []
+export const mockGameSessions = []
+export const mockGameRounds = []
+export const mockGameDailies = []
+export const mockGameDailyAttempts = []
+
+let mockGamePlayerIdCounter = 1
+let mockGameSessionIdCounter = 1
+let mockGameRoundIdCounter = 1
+let mockGameDailyAttemptIdCounter = 1
+
+export function nextMockGamePlayerId() {
+  return String(mockGamePlayerIdCounter++)
+}
+
+export function nextMockGameSessionId() {
+  return String(mockGameSessionIdCounter++)
+}
+
+export function nextMockGameRoundId() {
+  return String(mockGameRoundIdCounter++)
+}
+
+export function nextMockGameDailyAttemptId() {
+  return String(mockGameDailyAttemptIdCounter++)
+}
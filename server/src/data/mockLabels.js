@@ -0,0 +1,15 @@
+// Mock labels for when Supabase is not configured
+export const mockLabels = [
+  { id: '1', name: 'nature', color: '#22c55e', created_at: new Date().toISOString() },
+  { id: '2', name: 'human', color: '#f59e0b', created_at: new Date().toISOString() },
+  { id: '3', name: 'discovery', color: '#3b82f6', created_at: new Date().toISOString() },
+  { id: '4', name: 'war', color: '#ef4444', created_at: new Date().toISOString() },
+  { id: '5', name: 'technology', color: '#8b5cf6', created_at: new Date().toISOString() },
+  { id: '6', name: 'culture', color: '#ec4899', created_at: new Date().toISOString() },
+  { id: '7', name: 'politics', color: '#f97316', created_at: new Date().toISOString() },
+]
+let mockLabelIdCounter = 8
+
+export function nextMockLabelId() {
+  return String(mockLabelIdCounter++)
+}
@@ -0,0 +1,21 @@
+// Mock event relations for when Supabase is not configured
+export const mockRelations = [
+  { id: '1', source_event_id: 1, target_event_id: 2, relation_type: 'part-of', created_at: new Date().toISOString() },
+  { id: '2', source_event_id: 6, target_event_id: 7, relation_type: 'influenced', created_at: new Date().toISOString() },
+  { id: '3', source_event_id: 3, target_event_id: 4, relation_type: 'preceded', created_at: new Date().toISOString() },
+]
+let mockRelationIdCounter = 4
+
+export function nextMockRelationId() {
+  return String(mockRelationIdCounter++)
+}
+
+// Mirrors ON DELETE CASCADE when an event is purged
+export function removeMockRelationsFor(eventId) {
+  for (let index = mockRelations.length - 1; index >= 0; index -= 1) {
+    const relation = mockRelations[index]
+    if (relation.source_event_id === eventId || relation.target_event_id === eventId) {
+      mockRelations.splice(index, 1)
+    }
+  }
+}
@@ -0,0 +1,27 @@
+// In-memory audit trail for when Supabase is not configured.
+// With Supabase, the record_revision() trigger writes the revisions table.
+export const mockRevisions = []
+let mockRevisionIdCounter = 1
+
+/**
+ * Record a before/after snapshot, mirroring the revisions table.
+ * @param {'event'|'label'} entityType
+ * @param {'create'|'update'|'delete'|'restore'|'purge'} action
+ * @param {Object|null} before
+ * @param {Object|null} after
+ */
+export function recordMockRevision(entityType, action, before, after) {
+  const revision = {
+    id: mockRevisionIdCounter++,
+    entity_type: entityType,
+    entity_id: String((after || before).id),
+    action,
+    before: before ? { ...before } : null,
+    after: after ? { ...after } : null,
+    changed_by: null,
+    changed_by_email: null,
+    changed_at: new Date().toISOString()
+  }
+  mockRevisions.push(revision)
+  return revision
+}
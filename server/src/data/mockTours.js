@@ -0,0 +1,38 @@
+// Mock guided tours for when Supabase is not configured
+export const mockTours = [
+  {
+    id: '1',
+    title: 'From the Big Bang to the Cambrian',
+    description: 'How the deep past leads up to complex life',
+    steps: [
+      {
+        title: 'All of time',
+        narrative: 'The universe is about 13.8 billion years old. Almost all of that time passed before Earth existed.',
+        view: { start: 1, end: 13800000000 },
+        event_ids: [],
+        labels: []
+      },
+      {
+        title: 'A new planet',
+        narrative: 'Earth formed about 4.5 billion years ago, and spent its first half-billion years as a molten, bombarded world.',
+        view: { start: 3800000000, end: 4700000000 },
+        event_ids: ['1', '2'],
+        labels: []
+      },
+      {
+        title: 'The Cambrian explosion',
+        narrative: 'Around 540 million years ago most of the major animal groups appear in the fossil record within a few tens of millions of years.',
+        view: { start: 480000000, end: 560000000 },
+        event_ids: ['3'],
+        labels: []
+      }
+    ],
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  }
+]
+let mockTourIdCounter = 2
+
+export function nextMockTourId() {
+  return String(mockTourIdCounter++)
+}
@@ -0,0 +1,11 @@
+// Mock swimlane tracks for when Supabase is not configured
+export const mockTracks = [
+  { id: '1', name: 'Natural history', position: 0, labels: ['discovery', 'nature'], created_at: new Date().toISOString() },
+  { id: '2', name: 'Conflict and politics', position: 1, labels: ['politics', 'war'], created_at: new Date().toISOString() },
+  { id: '3', name: 'Culture and technology', position: 2, labels: ['culture', 'human', 'technology'], created_at: new Date().toISOString() },
+]
+let mockTrackIdCounter = 4
+
+export function nextMockTrackId() {
+  return String(mockTrackIdCounter++)
+}
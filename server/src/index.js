@@ -5,19 +5,29 @@ import rateLimit from 'express-rate-limit'
 import dotenv from 'dotenv'
 import eventsRouter from './routes/events.js'
 import labelsRouter from './routes/labels.js'
+import tracksRouter from './routes/tracks.js'
+import erasRouter from './routes/eras.js'
+import toursRouter from './routes/tours.js'
+import gameRouter, { loadRoundEvents } from './routes/game.js'
+import relationsRouter from './routes/relations.js'
+import importRouter from './routes/import.js'
+import exportRouter from './routes/export.js'
 import { errorHandler } from './middleware/errorHandler.js'
+import { attachGameRooms, GAME_ROOMS_PATH } from './sockets/gameRooms.js'
 
 // Load environment variables
 dotenv.config()
 
 const app = express()
 const PORT = process.env.PORT || 5001
+const CORS_ORIGIN = process.env.CORS_ORIGIN || 'http://localhost:3000'
 
 // Security middleware
 app.use(helmet())
 app.use(cors({
-  origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
-  credentials: true
+  origin: CORS_ORIGIN,
+  credentials: true,
+  exposedHeaders: ['X-Total-Count', 'X-Next-Cursor', 'Content-Disposition']
 }))
 
 // Rate limiting
@@ -28,8 +38,8 @@ const limiter = rateLimit({
 })
 app.use('/api/', limiter)
 
-// Body parsing
-app.use(express.json())
+// Body parsing (raised limit for bulk imports)
+app.use(express.json({ limit: '5mb' }))
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -39,6 +49,13 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/events', eventsRouter)
 app.use('/api/labels', labelsRouter)
+app.use('/api/tracks', tracksRouter)
+app.use('/api/eras', erasRouter)
+app.use('/api/tours', toursRouter)
+app.use('/api/game', gameRouter)
+app.use('/api/relations', relationsRouter)
+app.use('/api/import', importRouter)
+app.use('/api/export', exportRouter)
 
 // Error handling
 app.use(errorHandler)
@@ -49,7 +66,11 @@ app.use((req, res) => {
 })
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`)
   console.log(`📊 Health check: http://localhost:${PORT}/health`)
+  console.log(`🎮 Game rooms: ws://localhost:${PORT}${GAME_ROOMS_PATH}`)
 })
+
+// Online game rooms share the HTTP server's port
+attachGameRooms(server, { origin: CORS_ORIGIN, loadEvents: loadRoundEvents })
@@ -0,0 +1,177 @@
+import express from 'express'
+import { supabase, isSupabaseConfigured } from '../config/supabase.js'
+import { requireAuth } from '../middleware/requireAuth.js'
+import { mockEras, nextMockEraId } from '../data/mockEras.js'
+
+const router = express.Router()
+
+const ERA_RANKS = ['eon', 'era', 'period', 'epoch', 'age']
+const ERA_FIELDS = ['name', 'rank', 'start_years_ago', 'end_years_ago', 'color']
+
+const sortEras = (eras) => [...eras].sort((a, b) => b.start_years_ago - a.start_years_ago)
+
+const pickEraFields = (body) => Object.fromEntries(
+  ERA_FIELDS.filter(key => body[key] !== undefined)
+    .map(key => [key, key === 'name' ? body.name.trim() : body[key]])
+)
+
+// For updates the boundaries are checked against the stored era's other bound
+function validateEraBody(body, { existing = null } = {}) {
+  const { name, rank, color } = body
+  if (name !== undefined || !existing) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return 'Era name is required'
+    }
+    if (name.trim().length > 60) {
+      return 'Era name must be 60 characters or fewer'
+    }
+  }
+  if ((rank !== undefined || !existing) && !ERA_RANKS.includes(rank)) {
+    return `rank must be one of: ${ERA_RANKS.join(', ')}`
+  }
+  const start = body.start_years_ago ?? existing?.start_years_ago
+  const end = body.end_years_ago ?? existing?.end_years_ago
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end < 0) {
+    return 'start_years_ago and end_years_ago must be numbers of years ago (0 or more)'
+  }
+  if (start <= end) {
+    return 'start_years_ago must be older (larger) than end_years_ago'
+  }
+  if (color !== undefined && color !== null && !/^#[0-9a-f]{6}$/i.test(color)) {
+    return 'color must be a hex value like #7FC64E'
+  }
+  return null
+}
+
+// GET all eras, oldest first
+router.get('/', async (req, res, next) => {
+  try {
+    if (!isSupabaseConfigured()) {
+      return res.json(sortEras(mockEras))
+    }
+
+    const { data, error } = await supabase
+      .from('eras')
+      .select('*')
+      .order('start_years_ago', { ascending: false })
+
+    if (error) throw error
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// POST create new era
+router.post('/', requireAuth, async (req, res, next) => {
+  try {
+    const validationError = validateEraBody(req.body)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    if (!isSupabaseConfigured()) {
+      const newEra = {
+        id: nextMockEraId(),
+        color: null,
+        ...pickEraFields(req.body),
+        created_at: new Date().toISOString()
+      }
+      mockEras.push(newEra)
+      return res.status(201).json(newEra)
+    }
+
+    const { data, error } = await supabase
+      .from('eras')
+      .insert([pickEraFields(req.body)])
+      .select()
+      .single()
+
+    if (error) throw error
+    res.status(201).json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// PUT update era
+router.put('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    if (!isSupabaseConfigured()) {
+      const era = mockEras.find(e => e.id === id)
+      if (!era) {
+        return res.status(404).json({ error: 'Era not found' })
+      }
+      const validationError = validateEraBody(req.body, { existing: era })
+      if (validationError) {
+        return res.status(400).json({ error: validationError })
+      }
+      Object.assign(era, pickEraFields(req.body))
+      return res.json(era)
+    }
+
+    const { data: existing, error: findError } = await supabase
+      .from('eras')
+      .select('*')
+      .eq('id', id)
+      .single()
+
+    if (findError) {
+      if (findError.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Era not found' })
+      }
+      throw findError
+    }
+
+    const validationError = validateEraBody(req.body, { existing })
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const { data, error } = await supabase
+      .from('eras')
+      .update(pickEraFields(req.body))
+      .eq('id', id)
+      .select()
+      .single()
+
+    if (error) throw error
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// DELETE era
+router.delete('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    if (!isSupabaseConfigured()) {
+      const index = mockEras.findIndex(e => e.id === id)
+      if (index === -1) {
+        return res.status(404).json({ error: 'Era not found' })
+      }
+      mockEras.splice(index, 1)
+      return res.status(204).send()
+    }
+
+    const { data, error } = await supabase
+      .from('eras')
+      .delete()
+      .eq('id', id)
+      .select('id')
+
+    if (error) throw error
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'Era not found' })
+    }
+    res.status(204).send()
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
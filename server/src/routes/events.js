@@ -1,194 +1,92 @@
 import express from 'express'
 import { supabase, isSupabaseConfigured } from '../config/supabase.js'
 import { requireAuth } from '../middleware/requireAuth.js'
+import {
+  parseEventQuery,
+  queryMockEvents,
+  applySupabaseFilters,
+  applySupabasePaging,
+  encodeCursor
+} from '../utils/eventQuery.js'
+import { validateEventData, normalizeEventPayload, normalizeEventLabels, getDescendantIds } from '../utils/eventPayload.js'
+import { EVENTS_VIEW, setEventLabels, fetchEventsWithLabels } from '../utils/eventLabels.js'
+import { withYearsAgo } from '../utils/yearsAgo.js'
+import { mockEvents, nextMockEventId } from '../data/mockEvents.js'
+import { mockRevisions, recordMockRevision } from '../data/mockRevisions.js'
+import { removeMockRelationsFor } from '../data/mockRelations.js'
 
 const router = express.Router()
 
-// Mock data for when Supabase is not configured
-let mockEvents = [
-  // Astronomical events (billions/millions of years ago)
-  {
-    id: 1,
-    title: 'Formation of Earth',
-    description: 'The Earth formed approximately 4.54 billion years ago by accretion from the solar nebula.',
-    date_type: 'astronomical',
-    start_date: null,
-    end_date: null,
-    astronomical_start_year: 4540000000,
-    astronomical_end_year: null,
-    label: 'nature',
-    image_url: null,
-    source_url: null,
-    attribution_text: null,
-    is_published: false,
-    license_type: null,
-    created_at: new Date().toISOString()
-  },
-  {
-    id: 2,
-    title: 'Hadean Eon',
-    description: 'The earliest eon in Earth\'s history, characterized by the formation of the planet.',
-    date_type: 'astronomical',
-    start_date: null,
-    end_date: null,
-    astronomical_start_year: 4600000000,
-    astronomical_end_year: 4000000000,
-    label: 'nature',
-    image_url: null,
-    source_url: null,
-    attribution_text: null,
-    is_published: false,
-    license_type: null,
-    created_at: new Date().toISOString()
-  },
-  {
-    id: 3,
-    title: 'Cambrian Explosion',
-    description: 'A period of rapid evolutionary diversification when most major animal phyla appeared.',
-    date_type: 'astronomical',
-    start_date: null,
-    end_date: null,
-    astronomical_start_year: 538000000,
-    astronomical_end_year: 485000000,
-    label: 'nature',
-    image_url: null,
-    source_url: null,
-    attribution_text: null,
-    is_published: false,
-    license_type: null,
-    created_at: new Date().toISOString()
-  },
-  {
-    id: 4,
-    title: 'Extinction of Dinosaurs',
-    description: 'The Cretaceous-Paleogene extinction event caused by an asteroid impact.',
-    date_type: 'astronomical',
-    start_date: null,
-    end_date: null,
-    astronomical_start_year: 66000000,
-    astronomical_end_year: null,
-    label: 'nature',
-    image_url: null,
-    source_url: null,
-    attribution_text: null,
-    is_published: false,
-    license_type: null,
-    created_at: new Date().toISOString()
-  },
-  {
-    id: 5,
-    title: 'Invention of the Lightbulb',
-    description: 'Thomas Edison demonstrated his incandescent light bulb.',
-    date_type: 'date',
-    start_date: '1879-10-21',
-    end_date: null,
-    astronomical_start_year: null,
-    astronomical_end_year: null,
-    label: 'discovery',
-    image_url: null,
-    source_url: null,
-    attribution_text: null,
-    is_published: false,
-    license_type: null,
-    created_at: new Date().toISOString()
-  },
-  {
-    id: 6,
-    title: 'World War II',
-    description: 'A global conflict lasting from 1939 to 1945.',
-    date_type: 'date',
-    start_date: '1939-09-01',
-    end_date: '1945-09-02',
-    astronomical_start_year: null,
-    astronomical_end_year: null,
-    label: 'war',
-    image_url: null,
-    source_url: null,
-    attribution_text: null,
-    is_published: false,
-    license_type: null,
-    created_at: new Date().toISOString()
-  },
-  {
-    id: 7,
-    title: 'Moon Landing',
-    description: 'Apollo 11 astronauts became the first humans to walk on the Moon.',
-    date_type: 'date',
-    start_date: '1969-07-20',
-    end_date: null,
-    astronomical_start_year: null,
-    astronomical_end_year: null,
-    label: 'discovery',
-    image_url: null,
-    source_url: null,
-    attribution_text: null,
-    is_published: false,
-    license_type: null,
-    created_at: new Date().toISOString()
-  }
-]
-let mockIdCounter = 8
-
-// Validation helper for event data
-function validateEventData(body, isUpdate = false) {
-  const { 
-    title, 
-    date_type = 'date', 
-    start_date, 
-    end_date, 
-    astronomical_start_year, 
-    astronomical_end_year
-  } = body
-
-  if (!title || !title.trim()) {
-    return { valid: false, error: 'Title is required' }
+const toApiEvents = (events) => events.map(event => withYearsAgo(event))
+
+// Pagination metadata travels in headers so the body stays a plain array
+function setPaginationHeaders(res, total, nextCursor) {
+  res.set('X-Total-Count', String(total))
+  if (nextCursor) {
+    res.set('X-Next-Cursor', nextCursor)
   }
+}
 
-  // Validate based on date_type
-  if (date_type === 'date') {
-    if (!start_date) {
-      return { valid: false, error: 'Start date is required for date-type events' }
-    }
-    if (end_date) {
-      const start = new Date(start_date)
-      const end = new Date(end_date)
-      if (start >= end) {
-        return { valid: false, error: 'End date must be after start date' }
-      }
+// GET all events (supports filtering, years-ago range and cursor pagination)
+router.get('/', async (req, res, next) => {
+  try {
+    const parsed = parseEventQuery(req.query)
+    if (!parsed.valid) {
+      return res.status(400).json({ error: parsed.error })
     }
-  } else if (date_type === 'astronomical') {
-    if (!astronomical_start_year || astronomical_start_year <= 0) {
-      return { valid: false, error: 'Astronomical start year must be a positive number (years ago)' }
+    const { options } = parsed
+
+    if (!isSupabaseConfigured()) {
+      const { data, total, nextCursor } = queryMockEvents(mockEvents, options)
+      setPaginationHeaders(res, total, nextCursor)
+      return res.json(toApiEvents(data))
     }
-    if (astronomical_end_year !== null && astronomical_end_year !== undefined) {
-      if (astronomical_end_year <= 0) {
-        return { valid: false, error: 'Astronomical end year must be a positive number (years ago)' }
-      }
-      if (astronomical_start_year <= astronomical_end_year) {
-        return { valid: false, error: 'Astronomical start year must be greater than end year (further in the past)' }
-      }
+
+    const countQuery = applySupabaseFilters(
+      supabase.from(EVENTS_VIEW).select('id', { count: 'exact', head: true }),
+      options
+    )
+    const rowsQuery = applySupabasePaging(
+      applySupabaseFilters(supabase.from(EVENTS_VIEW).select('*'), options),
+      options
+    )
+
+    const [countResult, rowsResult] = await Promise.all([countQuery, rowsQuery])
+    if (countResult.error) throw countResult.error
+    if (rowsResult.error) throw rowsResult.error
+
+    let data = rowsResult.data
+    let nextCursor = null
+    if (options.limit !== undefined && data.length > options.limit) {
+      data = data.slice(0, options.limit)
+      nextCursor = encodeCursor(data[data.length - 1], options.sort)
     }
-  } else {
-    return { valid: false, error: 'Invalid date_type. Must be "date" or "astronomical"' }
-  }
 
-  return { valid: true }
-}
+    setPaginationHeaders(res, countResult.count ?? data.length, nextCursor)
+    res.json(toApiEvents(data))
+  } catch (error) {
+    next(error)
+  }
+})
 
-// GET all events
-router.get('/', async (req, res, next) => {
+// GET trashed events, most recently deleted first
+router.get('/trash', requireAuth, async (req, res, next) => {
   try {
     if (!isSupabaseConfigured()) {
-      return res.json(mockEvents)
+      const data = mockEvents
+        .filter(e => e.deleted_at)
+        .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at))
+      return res.json(toApiEvents(data))
     }
 
     const { data, error } = await supabase
-      .from('events')
+      .from(EVENTS_VIEW)
       .select('*')
-      .order('created_at', { ascending: true })
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false })
 
     if (error) throw error
-    res.json(data)
+    res.json(toApiEvents(data))
   } catch (error) {
     next(error)
   }
@@ -200,17 +98,18 @@ router.get('/:id', async (req, res, next) => {
     const { id } = req.params
 
     if (!isSupabaseConfigured()) {
-      const event = mockEvents.find(e => e.id === parseInt(id))
+      const event = mockEvents.find(e => e.id === parseInt(id) && !e.deleted_at)
       if (!event) {
         return res.status(404).json({ error: 'Event not found' })
       }
-      return res.json(event)
+      return res.json(withYearsAgo(event))
     }
 
     const { data, error } = await supabase
-      .from('events')
+      .from(EVENTS_VIEW)
       .select('*')
       .eq('id', id)
+      .is('deleted_at', null)
       .single()
 
     if (error) {
@@ -219,7 +118,7 @@ router.get('/:id', async (req, res, next) => {
       }
       throw error
     }
-    res.json(data)
+    res.json(withYearsAgo(data))
   } catch (error) {
     next(error)
   }
@@ -228,53 +127,24 @@ router.get('/:id', async (req, res, next) => {
 // POST create new event
 router.post('/', requireAuth, async (req, res, next) => {
   try {
-    const { 
-      title, 
-      description, 
-      image_url,
-      source_url,
-      youtube_url,
-      attribution_text,
-      is_published = false,
-      license_type,
-      date_type = 'date',
-      start_date, 
-      end_date,
-      astronomical_start_year,
-      astronomical_end_year,
-      label = null
-    } = req.body
-
     const validation = validateEventData(req.body)
     if (!validation.valid) {
       return res.status(400).json({ error: validation.error })
     }
 
-    const newEvent = {
-      title: title.trim(),
-      description: description?.trim() || null,
-      image_url: image_url?.trim() || null,
-      source_url: source_url?.trim() || null,
-      youtube_url: youtube_url?.trim() || null,
-      attribution_text: attribution_text?.trim() || null,
-      is_published: Boolean(is_published),
-      license_type: license_type?.trim() || null,
-      date_type,
-      start_date: date_type === 'date' ? start_date : null,
-      end_date: date_type === 'date' ? (end_date || null) : null,
-      astronomical_start_year: date_type === 'astronomical' ? Number(astronomical_start_year) : null,
-      astronomical_end_year: date_type === 'astronomical' && astronomical_end_year ? Number(astronomical_end_year) : null,
-      label: label?.trim() || null
-    }
+    const newEvent = normalizeEventPayload(req.body)
+    const labels = normalizeEventLabels(req.body) ?? []
 
     if (!isSupabaseConfigured()) {
       const mockEvent = {
         ...newEvent,
-        id: mockIdCounter++,
+        labels,
+        id: nextMockEventId(),
         created_at: new Date().toISOString()
       }
       mockEvents.push(mockEvent)
-      return res.status(201).json(mockEvent)
+      recordMockRevision('event', 'create', null, mockEvent)
+      return res.status(201).json(withYearsAgo(mockEvent))
     }
 
     const { data, error } = await supabase
@@ -284,7 +154,7 @@ router.post('/', requireAuth, async (req, res, next) => {
       .single()
 
     if (error) throw error
-    res.status(201).json(data)
+    res.status(201).json(withYearsAgo({ ...data, labels: await setEventLabels(data.id, labels) }))
   } catch (error) {
     next(error)
   }
@@ -294,58 +164,31 @@ router.post('/', requireAuth, async (req, res, next) => {
 router.put('/:id', requireAuth, async (req, res, next) => {
   try {
     const { id } = req.params
-    const { 
-      title, 
-      description, 
-      image_url,
-      source_url,
-      youtube_url,
-      attribution_text,
-      is_published = false,
-      license_type,
-      date_type = 'date',
-      start_date, 
-      end_date,
-      astronomical_start_year,
-      astronomical_end_year,
-      label = null
-    } = req.body
-
     const validation = validateEventData(req.body, true)
     if (!validation.valid) {
       return res.status(400).json({ error: validation.error })
     }
 
-    const updatedEvent = {
-      title: title.trim(),
-      description: description?.trim() || null,
-      image_url: image_url?.trim() || null,
-      source_url: source_url?.trim() || null,
-      youtube_url: youtube_url?.trim() || null,
-      attribution_text: attribution_text?.trim() || null,
-      is_published: Boolean(is_published),
-      license_type: license_type?.trim() || null,
-      date_type,
-      start_date: date_type === 'date' ? start_date : null,
-      end_date: date_type === 'date' ? (end_date || null) : null,
-      astronomical_start_year: date_type === 'astronomical' ? Number(astronomical_start_year) : null,
-      astronomical_end_year: date_type === 'astronomical' && astronomical_end_year ? Number(astronomical_end_year) : null,
-      label: label?.trim() || null
-    }
+    const updatedEvent = normalizeEventPayload(req.body)
+    // Labels are left alone when the body doesn't mention them
+    const labels = normalizeEventLabels(req.body)
 
     if (!isSupabaseConfigured()) {
-      const index = mockEvents.findIndex(e => e.id === parseInt(id))
+      const index = mockEvents.findIndex(e => e.id === parseInt(id) && !e.deleted_at)
       if (index === -1) {
         return res.status(404).json({ error: 'Event not found' })
       }
-      mockEvents[index] = { ...mockEvents[index], ...updatedEvent }
-      return res.json(mockEvents[index])
+      const before = mockEvents[index]
+      mockEvents[index] = { ...before, ...updatedEvent, labels: labels ?? before.labels }
+      recordMockRevision('event', 'update', before, mockEvents[index])
+      return res.json(withYearsAgo(mockEvents[index]))
     }
 
     const { data, error } = await supabase
       .from('events')
       .update(updatedEvent)
       .eq('id', id)
+      .is('deleted_at', null)
       .select()
       .single()
 
@@ -355,36 +198,161 @@ router.put('/:id', requireAuth, async (req, res, next) => {
       }
       throw error
     }
-    res.json(data)
+    if (labels) {
+      return res.json(withYearsAgo({ ...data, labels: await setEventLabels(data.id, labels) }))
+    }
+    const [withLabels] = await fetchEventsWithLabels([data.id])
+    res.json(withYearsAgo(withLabels))
   } catch (error) {
     next(error)
   }
 })
 
-// DELETE event
+// Ids of the events nested under `id` at any depth. With `deletedAt`, only those
+// trashed in that same delete; otherwise only live ones.
+async function fetchDescendantIds(id, deletedAt = null) {
+  const ids = []
+  let frontier = [id]
+  while (frontier.length > 0) {
+    const query = supabase.from('events').select('id').in('parent_id', frontier)
+    const { data, error } = await (deletedAt ? query.eq('deleted_at', deletedAt) : query.is('deleted_at', null))
+    if (error) throw error
+    frontier = data.map(e => e.id).filter(childId => !ids.includes(childId))
+    ids.push(...frontier)
+  }
+  return ids
+}
+
+// DELETE event: moves it and everything nested under it to the trash.
+// ?permanent=true removes a trashed event (and its sub-events) for good.
 router.delete('/:id', requireAuth, async (req, res, next) => {
   try {
     const { id } = req.params
+    const permanent = req.query.permanent === 'true'
 
     if (!isSupabaseConfigured()) {
-      const index = mockEvents.findIndex(e => e.id === parseInt(id))
-      if (index === -1) {
-        return res.status(404).json({ error: 'Event not found' })
+      const event = mockEvents.find(e => e.id === parseInt(id))
+      if (!event || Boolean(event.deleted_at) !== permanent) {
+        return res.status(404).json({ error: permanent ? 'Event not found in trash' : 'Event not found' })
+      }
+      const deletedAt = new Date().toISOString()
+      const nestedIds = getDescendantIds(mockEvents, event.id)
+      for (let index = mockEvents.length - 1; index >= 0; index -= 1) {
+        const row = mockEvents[index]
+        if (row.id !== event.id && !nestedIds.has(row.id)) continue
+        if (permanent) {
+          mockEvents.splice(index, 1)
+          removeMockRelationsFor(row.id)
+          recordMockRevision('event', 'purge', row, null)
+        } else if (!row.deleted_at) {
+          mockEvents[index] = { ...row, deleted_at: deletedAt }
+          recordMockRevision('event', 'delete', row, mockEvents[index])
+        }
+      }
+      return res.status(204).send()
+    }
+
+    if (permanent) {
+      // parent_id is ON DELETE CASCADE, so sub-events go with it
+      const { data, error } = await supabase
+        .from('events')
+        .delete()
+        .eq('id', id)
+        .not('deleted_at', 'is', null)
+        .select('id')
+      if (error) throw error
+      if (data.length === 0) {
+        return res.status(404).json({ error: 'Event not found in trash' })
       }
-      mockEvents.splice(index, 1)
       return res.status(204).send()
     }
 
-    const { error } = await supabase
+    const { data, error } = await supabase
       .from('events')
-      .delete()
-      .eq('id', id)
+      .update({ deleted_at: new Date().toISOString() })
+      .in('id', [id, ...await fetchDescendantIds(id)])
+      .is('deleted_at', null)
+      .select('id')
 
     if (error) throw error
+    if (!data.some(e => String(e.id) === id)) {
+      return res.status(404).json({ error: 'Event not found' })
+    }
     res.status(204).send()
   } catch (error) {
     next(error)
   }
 })
 
+// POST restore a trashed event with the nested events that were trashed alongside it
+router.post('/:id/restore', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    if (!isSupabaseConfigured()) {
+      const event = mockEvents.find(e => e.id === parseInt(id) && e.deleted_at)
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found in trash' })
+      }
+      const restored = []
+      const nestedIds = getDescendantIds(mockEvents.filter(row => row.deleted_at === event.deleted_at), event.id)
+      mockEvents.forEach((row, index) => {
+        if (row.id !== event.id && !nestedIds.has(row.id)) return
+        mockEvents[index] = { ...row, deleted_at: null }
+        recordMockRevision('event', 'restore', row, mockEvents[index])
+        restored.push(mockEvents[index])
+      })
+      return res.json(toApiEvents(restored))
+    }
+
+    const { data: event, error: findError } = await supabase
+      .from('events')
+      .select('id, deleted_at')
+      .eq('id', id)
+      .not('deleted_at', 'is', null)
+      .maybeSingle()
+    if (findError) throw findError
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found in trash' })
+    }
+
+    const { data, error } = await supabase
+      .from('events')
+      .update({ deleted_at: null })
+      .in('id', [event.id, ...await fetchDescendantIds(event.id, event.deleted_at)])
+      .select('id')
+
+    if (error) throw error
+    res.json(toApiEvents(await fetchEventsWithLabels(data.map(e => e.id))))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// GET revision history for an event, newest first
+router.get('/:id/revisions', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    if (!isSupabaseConfigured()) {
+      const data = mockRevisions
+        .filter(r => r.entity_type === 'event' && r.entity_id === id)
+        .reverse()
+      return res.json(data)
+    }
+
+    const { data, error } = await supabase
+      .from('revisions')
+      .select('*')
+      .eq('entity_type', 'event')
+      .eq('entity_id', id)
+      .order('changed_at', { ascending: false })
+
+    if (error) throw error
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
 export default router
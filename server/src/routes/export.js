@@ -0,0 +1,190 @@
+import express from 'express'
+import { supabase, isSupabaseConfigured } from '../config/supabase.js'
+import { requireAuth } from '../middleware/requireAuth.js'
+import { mockEvents } from '../data/mockEvents.js'
+import { mockLabels } from '../data/mockLabels.js'
+import { parseEventQuery, queryMockEvents, applySupabaseFilters } from '../utils/eventQuery.js'
+import { toCsv } from '../utils/csv.js'
+import { EVENTS_VIEW } from '../utils/eventLabels.js'
+
+const router = express.Router()
+
+const BACKUP_FORMAT = 'history-arrow-backup'
+// 2: events carry a `labels` array instead of a single `label`
+const BACKUP_VERSION = 2
+
+// Stored columns only; start_epoch_years / end_epoch_years are recomputed on import
+const EXPORT_EVENT_COLUMNS = [
+  'id',
+  'parent_id',
+  'external_key',
+  'title',
+  'description',
+  'date_type',
+  'start_date',
+  'end_date',
+  'astronomical_start_year',
+  'astronomical_end_year',
+  'date_precision',
+  'uncertainty_years',
+  'latitude',
+  'longitude',
+  'region',
+  'labels',
+  'is_published',
+  'image_url',
+  'source_url',
+  'youtube_url',
+  'attribution_text',
+  'license_type',
+  'created_at',
+  'updated_at'
+]
+
+const EXPORT_LABEL_COLUMNS = ['id', 'name', 'color', 'created_at']
+
+// Supabase caps a single select, so page through large tables
+const FETCH_PAGE_SIZE = 1000
+
+async function fetchAllRows(buildQuery) {
+  const rows = []
+  for (let from = 0; ; from += FETCH_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + FETCH_PAGE_SIZE - 1)
+    if (error) throw error
+    rows.push(...data)
+    if (data.length < FETCH_PAGE_SIZE) return rows
+  }
+}
+
+// Parent ids that don't resolve within `events`
+function findMissingParentIds(events) {
+  const ids = new Set(events.map(e => String(e.id)))
+  return [...new Set(
+    events.filter(e => e.parent_id != null && !ids.has(String(e.parent_id))).map(e => e.parent_id)
+  )]
+}
+
+// Sub-events that matched the filters keep their ancestors, at any depth, so
+// parent_id still resolves on import; ancestors come first
+async function loadEvents(options) {
+  if (!isSupabaseConfigured()) {
+    const { data } = queryMockEvents(mockEvents, { ...options, limit: undefined, cursor: null })
+    let events = data
+    for (let missingIds = findMissingParentIds(events); missingIds.length > 0; missingIds = findMissingParentIds(events)) {
+      const wanted = new Set(missingIds.map(String))
+      const parents = mockEvents.filter(e => wanted.has(String(e.id)))
+      if (parents.length === 0) break
+      events = [...parents, ...events]
+    }
+    return events
+  }
+
+  let events = await fetchAllRows(() => applySupabaseFilters(
+    supabase.from(EVENTS_VIEW).select(EXPORT_EVENT_COLUMNS.join(', ')),
+    options
+  ).order('created_at', { ascending: true }).order('id', { ascending: true }))
+
+  for (let missingIds = findMissingParentIds(events); missingIds.length > 0; missingIds = findMissingParentIds(events)) {
+    const { data: parents, error } = await supabase
+      .from(EVENTS_VIEW)
+      .select(EXPORT_EVENT_COLUMNS.join(', '))
+      .in('id', missingIds)
+    if (error) throw error
+    // A parent that no longer exists would otherwise loop forever
+    if (parents.length === 0) break
+    events = [...parents, ...events]
+  }
+  return events
+}
+
+async function loadLabels() {
+  if (!isSupabaseConfigured()) {
+    return mockLabels
+  }
+
+  const { data, error } = await supabase
+    .from('labels')
+    .select('*')
+    .order('name', { ascending: true })
+
+  if (error) throw error
+  return data
+}
+
+function pickColumns(row, columns) {
+  const picked = {}
+  columns.forEach(column => {
+    picked[column] = row[column] ?? null
+  })
+  return picked
+}
+
+// Breadth-first from the roots (events whose parent isn't in the file), so
+// every event comes after its parent and the file reads naturally top-down
+function orderParentsFirst(events) {
+  const ids = new Set(events.map(e => String(e.id)))
+  const ordered = events.filter(e => e.parent_id == null || !ids.has(String(e.parent_id)))
+  const childrenOf = new Map()
+  events.forEach(event => {
+    if (event.parent_id == null || !ids.has(String(event.parent_id))) return
+    const parentId = String(event.parent_id)
+    childrenOf.set(parentId, [...(childrenOf.get(parentId) || []), event])
+  })
+  // `ordered` grows as it is walked, one nesting level after another
+  for (let index = 0; index < ordered.length; index += 1) {
+    ordered.push(...(childrenOf.get(String(ordered[index].id)) || []))
+  }
+  // Rows caught in a parent cycle have no root to hang from; keep them at the end
+  const placed = new Set(ordered)
+  return [...ordered, ...events.filter(e => !placed.has(e))]
+}
+
+// GET export events and labels (JSON backup, or CSV per resource)
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const format = req.query.format || 'json'
+    const resource = req.query.resource || 'events'
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({ error: 'Invalid format. Must be "json" or "csv"' })
+    }
+    if (resource !== 'events' && resource !== 'labels') {
+      return res.status(400).json({ error: 'Invalid resource. Must be "events" or "labels"' })
+    }
+
+    const parsed = parseEventQuery(req.query)
+    if (!parsed.valid) {
+      return res.status(400).json({ error: parsed.error })
+    }
+
+    const stamp = new Date().toISOString().split('T')[0]
+
+    if (format === 'csv') {
+      if (resource === 'labels') {
+        const labels = await loadLabels()
+        res.attachment(`history-arrow-labels-${stamp}.csv`)
+        return res.type('text/csv').send(toCsv(EXPORT_LABEL_COLUMNS, labels))
+      }
+      const events = orderParentsFirst(await loadEvents(parsed.options))
+      res.attachment(`history-arrow-events-${stamp}.csv`)
+      const rows = events.map(event => ({ ...event, labels: (event.labels || []).join('; ') }))
+      return res.type('text/csv').send(toCsv(EXPORT_EVENT_COLUMNS, rows))
+    }
+
+    const [events, labels] = await Promise.all([loadEvents(parsed.options), loadLabels()])
+    const { from, to, labels: labelFilter, labelMatch, parentId, published, q, missing } = parsed.options
+
+    res.attachment(`history-arrow-backup-${stamp}.json`)
+    res.json({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exported_at: new Date().toISOString(),
+      filters: { from, to, label: labelFilter, label_match: labelMatch, parent_id: parentId, published, q, missing },
+      labels: labels.map(label => pickColumns(label, EXPORT_LABEL_COLUMNS)),
+      events: orderParentsFirst(events).map(event => pickColumns(event, EXPORT_EVENT_COLUMNS))
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
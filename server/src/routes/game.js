@@ -0,0 +1,527 @@
+import express from 'express'
+import { supabase, isSupabaseConfigured } from '../config/supabase.js'
+import { EVENTS_VIEW, fetchEventsWithLabels } from '../utils/eventLabels.js'
+import { mockEvents } from '../data/mockEvents.js'
+import { mockEras } from '../data/mockEras.js'
+import { withYearsAgo } from '../utils/yearsAgo.js'
+import {
+  mockGamePlayers,
+  mockGameSessions,
+  mockGameRounds,
+  mockGameDailies,
+  mockGameDailyAttempts,
+  nextMockGamePlayerId,
+  nextMockGameSessionId,
+  nextMockGameRoundId,
+  nextMockGameDailyAttemptId
+} from '../data/mockGame.js'
+import {
+  GAME_MODES,
+  LEADERBOARD_PERIODS,
+  toPlayerNameKey,
+  validateSessionBody,
+  normalizeFilters,
+  MAX_SESSION_ROUNDS,
+  validateRoundEventIds,
+  validateRoundBody,
+  toStoredRound,
+  getPeriodStart,
+  buildLeaderboard,
+  buildPlayerProfile
+} from '../utils/gameStats.js'
+import {
+  toDailyDate,
+  toPlayableDailyDate,
+  getDailyNumber,
+  pickDailyEventIds,
+  validateDailyAttemptBody,
+  toStoredAttempt,
+  getDailyStreak
+} from '../utils/dailyChallenge.js'
+
+// Game records are public: players have no accounts, so these routes take
+// no auth and rely on the API rate limit
+const router = express.Router()
+
+// PostgREST caps a response at 1000 rows, so aggregations read in pages
+const PAGE_SIZE = 1000
+
+async function selectAll(buildQuery) {
+  const rows = []
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1)
+    if (error) throw error
+    rows.push(...data)
+    if (data.length < PAGE_SIZE) return rows
+  }
+}
+
+const toPublicPlayer = ({ id, name }) => ({ id, name })
+
+// Names are matched case-insensitively, so a returning player keeps their history
+async function findOrCreatePlayers(names) {
+  const entries = names.map(name => ({ name: name.trim(), name_key: toPlayerNameKey(name) }))
+  if (entries.length === 0) return []
+
+  if (!isSupabaseConfigured()) {
+    return entries.map(entry => {
+      let player = mockGamePlayers.find(p => p.name_key === entry.name_key)
+      if (!player) {
+        player = { id: nextMockGamePlayerId(), ...entry, created_at: new Date().toISOString() }
+        mockGamePlayers.push(player)
+      }
+      return player
+    })
+  }
+
+  const { data, error } = await supabase
+    .from('game_players')
+    .upsert(entries, { onConflict: 'name_key' })
+    .select()
+  if (error) throw error
+  return entries.map(entry => data.find(p => p.name_key === entry.name_key))
+}
+
+async function findPlayers(ids) {
+  if (ids.length === 0) return []
+  if (!isSupabaseConfigured()) {
+    return mockGamePlayers.filter(p => ids.includes(p.id))
+  }
+  const { data, error } = await supabase
+    .from('game_players')
+    .select('*')
+    .in('id', ids)
+  if (error) throw error
+  return data
+}
+
+async function findPlayerByName(name) {
+  const nameKey = toPlayerNameKey(name)
+  if (!isSupabaseConfigured()) {
+    return mockGamePlayers.find(p => p.name_key === nameKey) || null
+  }
+  const { data, error } = await supabase
+    .from('game_players')
+    .select('*')
+    .eq('name_key', nameKey)
+    .maybeSingle()
+  if (error) throw error
+  return data
+}
+
+async function findSession(id) {
+  if (!isSupabaseConfigured()) {
+    return mockGameSessions.find(s => s.id === id) || null
+  }
+  const { data, error } = await supabase
+    .from('game_sessions')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle()
+  if (error) throw error
+  return data
+}
+
+async function loadEvents(ids) {
+  if (!isSupabaseConfigured()) {
+    return mockEvents.filter(e => ids.includes(String(e.id)))
+  }
+  return fetchEventsWithLabels(ids)
+}
+
+// Event ids are UUIDs in Postgres; anything else can't match, and would fail
+// the query rather than come back as an unknown event
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+/**
+ * The rows for a round's event ids; ids with no event are left out.
+ * @param {Array<string|number>} eventIds
+ * @returns {Promise<Object[]>}
+ */
+export async function loadRoundEvents(eventIds) {
+  const ids = eventIds.map(String)
+  return loadEvents(isSupabaseConfigured() ? ids.filter(id => UUID_PATTERN.test(id)) : ids)
+}
+
+async function getLastRoundNumber(sessionId) {
+  if (!isSupabaseConfigured()) {
+    return mockGameRounds.filter(r => r.session_id === sessionId).length
+  }
+  const { data, error } = await supabase
+    .from('game_rounds')
+    .select('round_number')
+    .eq('session_id', sessionId)
+    .order('round_number', { ascending: false })
+    .limit(1)
+  if (error) throw error
+  return data[0]?.round_number || 0
+}
+
+// Like the client, fall back to the built-in eras while the table is empty
+async function loadEras() {
+  if (!isSupabaseConfigured()) {
+    return mockEras
+  }
+  const { data, error } = await supabase.from('eras').select('*')
+  if (error) throw error
+  return data.length > 0 ? data : mockEras
+}
+
+// The day's puzzle, drawn on its first request. Returns null when there
+// aren't enough events to draw from
+async function findOrCreateDaily(date) {
+  if (!isSupabaseConfigured()) {
+    let daily = mockGameDailies.find(d => d.date === date)
+    if (!daily) {
+      // The mock events are all drafts, so without Supabase every one of them is eligible
+      const eventIds = pickDailyEventIds(mockEvents.filter(e => !e.deleted_at), date)
+      if (eventIds.length === 0) return null
+      daily = { date, event_ids: eventIds, created_at: new Date().toISOString() }
+      mockGameDailies.push(daily)
+    }
+    return daily
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from('game_dailies')
+    .select('*')
+    .eq('date', date)
+    .maybeSingle()
+  if (existingError) throw existingError
+  if (existing) return existing
+
+  const candidates = await selectAll(() => supabase
+    .from(EVENTS_VIEW)
+    .select('id, parent_id, labels, date_type, start_date, astronomical_start_year')
+    .eq('is_published', true)
+    .is('deleted_at', null)
+    .order('id', { ascending: true }))
+  const eventIds = pickDailyEventIds(candidates, date)
+  if (eventIds.length === 0) return null
+
+  // Two first requests of the day can race; the date key keeps the first draw
+  const { error: insertError } = await supabase
+    .from('game_dailies')
+    .upsert([{ date, event_ids: eventIds }], { onConflict: 'date', ignoreDuplicates: true })
+  if (insertError) throw insertError
+
+  const { data, error } = await supabase
+    .from('game_dailies')
+    .select('*')
+    .eq('date', date)
+    .single()
+  if (error) throw error
+  return data
+}
+
+async function findDailyAttempt(date, playerId) {
+  if (!isSupabaseConfigured()) {
+    return mockGameDailyAttempts.find(a => a.date === date && a.player_id === playerId) || null
+  }
+  const { data, error } = await supabase
+    .from('game_daily_attempts')
+    .select('*')
+    .eq('date', date)
+    .eq('player_id', playerId)
+    .maybeSingle()
+  if (error) throw error
+  return data
+}
+
+async function getPlayerStreak(playerId, today) {
+  if (!isSupabaseConfigured()) {
+    const dates = mockGameDailyAttempts.filter(a => a.player_id === playerId).map(a => a.date)
+    return getDailyStreak(dates, today)
+  }
+  const attempts = await selectAll(() => supabase
+    .from('game_daily_attempts')
+    .select('date')
+    .eq('player_id', playerId)
+    .order('date', { ascending: false }))
+  return getDailyStreak(attempts.map(a => a.date), today)
+}
+
+const DAILY_UNAVAILABLE = 'Not enough published events for a daily challenge yet'
+const DAILY_DATE_INVALID = 'date must be today or yesterday (UTC, YYYY-MM-DD)'
+
+// POST start a session: a run of rounds with one mode, label filter and roster
+router.post('/sessions', async (req, res, next) => {
+  try {
+    const validationError = validateSessionBody(req.body)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+    const players = await findOrCreatePlayers(req.body.players || [])
+    const session = {
+      mode: req.body.mode,
+      filters: normalizeFilters(req.body.filters),
+      player_ids: players.map(p => p.id)
+    }
+
+    if (!isSupabaseConfigured()) {
+      const newSession = { id: nextMockGameSessionId(), ...session, created_at: new Date().toISOString() }
+      mockGameSessions.push(newSession)
+      return res.status(201).json({ ...newSession, players: players.map(toPublicPlayer) })
+    }
+
+    const { data, error } = await supabase
+      .from('game_sessions')
+      .insert([session])
+      .select()
+      .single()
+
+    if (error) throw error
+    res.status(201).json({ ...data, players: players.map(toPublicPlayer) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// GET a session with its players and rounds in play order
+router.get('/sessions/:id', async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.id)
+    if (!session) {
+      return res.status(404).json({ error: 'Game session not found' })
+    }
+
+    let rounds
+    if (!isSupabaseConfigured()) {
+      rounds = mockGameRounds
+        .filter(r => r.session_id === session.id)
+        .sort((a, b) => a.round_number - b.round_number)
+    } else {
+      const { data, error } = await supabase
+        .from('game_rounds')
+        .select('*')
+        .eq('session_id', session.id)
+        .order('round_number', { ascending: true })
+      if (error) throw error
+      rounds = data
+    }
+
+    const players = await findPlayers(session.player_ids)
+    res.json({
+      ...session,
+      players: session.player_ids
+        .map(id => players.find(p => p.id === id))
+        .filter(Boolean)
+        .map(toPublicPlayer),
+      rounds
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// POST record a finished round; the guesses are scored here from their answers
+router.post('/sessions/:id/rounds', async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.id)
+    if (!session) {
+      return res.status(404).json({ error: 'Game session not found' })
+    }
+    const eventIdsError = validateRoundEventIds(session.mode, req.body.event_ids)
+    if (eventIdsError) {
+      return res.status(400).json({ error: eventIdsError })
+    }
+    const events = await loadRoundEvents(req.body.event_ids)
+    const validationError = validateRoundBody(req.body, session, events)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const roundNumber = await getLastRoundNumber(session.id) + 1
+    if (roundNumber > MAX_SESSION_ROUNDS) {
+      return res.status(409).json({
+        error: `A session holds at most ${MAX_SESSION_ROUNDS} rounds; start a new one`
+      })
+    }
+    const round = toStoredRound(req.body, session, roundNumber, events)
+
+    if (!isSupabaseConfigured()) {
+      const newRound = {
+        id: nextMockGameRoundId(),
+        ...round,
+        created_at: new Date().toISOString()
+      }
+      mockGameRounds.push(newRound)
+      return res.status(201).json(newRound)
+    }
+
+    const { data, error } = await supabase
+      .from('game_rounds')
+      .insert([round])
+      .select()
+      .single()
+
+    if (error) throw error
+    res.status(201).json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// GET the top players of today, this week (both UTC) or all time, optionally for one mode
+router.get('/leaderboard', async (req, res, next) => {
+  try {
+    const period = req.query.period || 'all-time'
+    const { mode } = req.query
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      return res.status(400).json({ error: `period must be one of: ${LEADERBOARD_PERIODS.join(', ')}` })
+    }
+    if (mode !== undefined && !GAME_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${GAME_MODES.join(', ')}` })
+    }
+    const since = getPeriodStart(period)
+
+    let rounds
+    if (!isSupabaseConfigured()) {
+      rounds = mockGameRounds.filter(r => (!since || r.created_at >= since) && (!mode || r.mode === mode))
+    } else {
+      rounds = await selectAll(() => {
+        let query = supabase.from('game_rounds').select('id, guesses')
+        if (since) query = query.gte('created_at', since)
+        if (mode) query = query.eq('mode', mode)
+        return query.order('id', { ascending: true })
+      })
+    }
+
+    const playerIds = [...new Set(rounds.flatMap(r => r.guesses.map(g => g.player_id)).filter(Boolean))]
+    const players = await findPlayers(playerIds)
+    res.json({ period, since, mode: mode || null, entries: buildLeaderboard(rounds, players) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// GET a player's profile: totals, accuracy by mode, label and era, recent rounds
+router.get('/players/:id', async (req, res, next) => {
+  try {
+    const [player] = await findPlayers([req.params.id])
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' })
+    }
+
+    let rounds
+    if (!isSupabaseConfigured()) {
+      rounds = mockGameRounds.filter(r => r.player_ids.includes(player.id))
+    } else {
+      rounds = await selectAll(() => supabase
+        .from('game_rounds')
+        .select('*')
+        .contains('player_ids', [player.id])
+        .order('id', { ascending: true }))
+    }
+
+    const eventIds = [...new Set(rounds.flatMap(r => r.event_ids))]
+    const [events, eras] = await Promise.all([loadEvents(eventIds), loadEras()])
+    res.json(buildPlayerProfile(player, rounds, events, eras))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// GET today's (UTC) daily challenge: the same events, in the same order, for everyone
+router.get('/daily', async (req, res, next) => {
+  try {
+    const daily = await findOrCreateDaily(toDailyDate())
+    if (!daily) {
+      return res.status(404).json({ error: DAILY_UNAVAILABLE })
+    }
+    const events = await loadEvents(daily.event_ids)
+    res.json({
+      date: daily.date,
+      number: getDailyNumber(daily.date),
+      event_ids: daily.event_ids,
+      events: daily.event_ids
+        .map(id => events.find(e => String(e.id) === id))
+        .filter(Boolean)
+        .map(event => withYearsAgo(event))
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// GET a player's attempt at a daily challenge (today's, or ?date= yesterday's) and their streak
+router.get('/daily/status', async (req, res, next) => {
+  try {
+    const { player: name } = req.query
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'player is required' })
+    }
+    const date = toPlayableDailyDate(req.query.date)
+    if (!date) {
+      return res.status(400).json({ error: DAILY_DATE_INVALID })
+    }
+    const player = await findPlayerByName(name)
+    if (!player) {
+      return res.json({ date, number: getDailyNumber(date), attempt: null, streak: 0 })
+    }
+    const [attempt, streak] = await Promise.all([
+      findDailyAttempt(date, player.id),
+      getPlayerStreak(player.id, date)
+    ])
+    res.json({ date, number: getDailyNumber(date), attempt, streak })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// POST a finished daily challenge for the date it was played (today or
+// yesterday); one attempt per player per day
+router.post('/daily/attempts', async (req, res, next) => {
+  try {
+    const date = toPlayableDailyDate(req.body.date)
+    if (!date) {
+      return res.status(400).json({ error: DAILY_DATE_INVALID })
+    }
+    const daily = await findOrCreateDaily(date)
+    if (!daily) {
+      return res.status(404).json({ error: DAILY_UNAVAILABLE })
+    }
+    const validationError = validateDailyAttemptBody(req.body, daily)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const [player] = await findOrCreatePlayers([req.body.player])
+    if (await findDailyAttempt(date, player.id)) {
+      return res.status(409).json({ error: `${player.name} has already played the ${date} daily challenge` })
+    }
+
+    const stored = toStoredAttempt(req.body, daily, player.id, await loadEvents(daily.event_ids))
+    let attempt
+    if (!isSupabaseConfigured()) {
+      attempt = {
+        id: nextMockGameDailyAttemptId(),
+        ...stored,
+        created_at: new Date().toISOString()
+      }
+      mockGameDailyAttempts.push(attempt)
+    } else {
+      const { data, error } = await supabase
+        .from('game_daily_attempts')
+        .insert([stored])
+        .select()
+        .single()
+      // A second attempt sent at the same time loses on the unique key
+      if (error?.code === '23505') {
+        return res.status(409).json({ error: `${player.name} has already played the ${date} daily challenge` })
+      }
+      if (error) throw error
+      attempt = data
+    }
+
+    res.status(201).json({
+      ...attempt,
+      number: getDailyNumber(date),
+      streak: await getPlayerStreak(player.id, date)
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -0,0 +1,252 @@
+import express from 'express'
+import { supabase, isSupabaseConfigured } from '../config/supabase.js'
+import { requireAuth } from '../middleware/requireAuth.js'
+import { mockEvents, nextMockEventId, reserveMockEventId } from '../data/mockEvents.js'
+import { mockLabels, nextMockLabelId } from '../data/mockLabels.js'
+import { normalizeEventPayload } from '../utils/eventPayload.js'
+import { insertEventLabels } from '../utils/eventLabels.js'
+import {
+  IMPORT_FIELDS,
+  parseImportContent,
+  suggestMapping,
+  validateMapping,
+  planImport,
+  toRowReport
+} from '../utils/importEvents.js'
+
+const router = express.Router()
+
+const MAX_IMPORT_ROWS = 2000
+
+// Existing events and labels used to resolve parents and validate labels.
+// Trashed events are left out of both, but keep their ids and external keys.
+async function loadExisting() {
+  if (!isSupabaseConfigured()) {
+    return {
+      events: mockEvents.filter(e => !e.deleted_at),
+      trashedEvents: mockEvents.filter(e => e.deleted_at),
+      labels: mockLabels
+    }
+  }
+
+  const [eventsResult, trashedResult, labelsResult] = await Promise.all([
+    supabase
+      .from('events')
+      .select('id, title, external_key, parent_id, date_type, start_date, end_date, astronomical_start_year, astronomical_end_year')
+      .is('deleted_at', null),
+    supabase
+      .from('events')
+      .select('id, title, external_key')
+      .not('deleted_at', 'is', null),
+    supabase.from('labels').select('name')
+  ])
+
+  if (eventsResult.error) throw eventsResult.error
+  if (trashedResult.error) throw trashedResult.error
+  if (labelsResult.error) throw labelsResult.error
+  return { events: eventsResult.data, trashedEvents: trashedResult.data, labels: labelsResult.data }
+}
+
+function toEventRow(entry, parentId = null) {
+  const row = {
+    ...normalizeEventPayload(entry.payload),
+    ...entry.timestamps,
+    external_key: entry.externalKey,
+    parent_id: parentId
+  }
+  if (entry.keepId) {
+    row.id = isSupabaseConfigured() ? entry.originalId : Number(entry.originalId)
+  }
+  return row
+}
+
+// Labels from a backup that don't exist yet (names are stored lowercase)
+function getMissingLabels(backupLabels, existingLabels) {
+  const existingNames = new Set(existingLabels.map(l => l.name))
+  const seen = new Set()
+  return backupLabels
+    .map(l => ({ name: l.name.trim().toLowerCase(), color: l.color?.trim() || '#6b7280' }))
+    .filter(l => {
+      if (existingNames.has(l.name) || seen.has(l.name)) return false
+      seen.add(l.name)
+      return true
+    })
+}
+
+async function createLabels(labels) {
+  if (labels.length === 0) return []
+
+  if (!isSupabaseConfigured()) {
+    const created = labels.map(l => ({ ...l, id: nextMockLabelId(), created_at: new Date().toISOString() }))
+    mockLabels.push(...created)
+    return created
+  }
+
+  const { data, error } = await supabase
+    .from('labels')
+    .insert(labels)
+    .select()
+  if (error) throw error
+  return data
+}
+
+// Best-effort rollback of the labels createLabels() added for an import that then failed
+async function removeLabels(labels) {
+  if (labels.length === 0) return
+  const ids = labels.map(l => l.id)
+
+  if (!isSupabaseConfigured()) {
+    for (let index = mockLabels.length - 1; index >= 0; index -= 1) {
+      if (ids.includes(mockLabels[index].id)) mockLabels.splice(index, 1)
+    }
+    return
+  }
+  await supabase.from('labels').delete().in('id', ids)
+}
+
+// Insert one nesting level at a time so sub-events can point at their parents' new ids
+async function commitImport(entries) {
+  // Depth counts only the ancestors that are rows of this file; existing parents are already in place
+  const depthOf = (entry) => (entry.parentRow ? depthOf(entry.parentRow) + 1 : 0)
+  const levels = []
+  entries.forEach(entry => {
+    const depth = depthOf(entry)
+    levels[depth] = [...(levels[depth] || []), entry]
+  })
+  const ordered = levels.flat()
+  const createdIds = new Map()
+  const parentIdOf = (entry) => (
+    entry.parentRow ? createdIds.get(entry.parentRow) : entry.parentEvent?.id ?? null
+  )
+
+  if (!isSupabaseConfigured()) {
+    const now = new Date().toISOString()
+    const created = []
+    const withMockId = (row) => {
+      if (row.id === undefined) return { ...row, id: nextMockEventId() }
+      reserveMockEventId(row.id)
+      return row
+    }
+    ordered.forEach(entry => {
+      const event = withMockId({ created_at: now, ...toEventRow(entry, parentIdOf(entry)), labels: entry.payload.labels })
+      createdIds.set(entry, event.id)
+      created.push(event)
+    })
+    mockEvents.push(...created)
+    return created
+  }
+
+  let created = []
+  for (const level of levels) {
+    const { data, error } = await supabase
+      .from('events')
+      .insert(level.map(entry => toEventRow(entry, parentIdOf(entry))))
+      .select()
+
+    if (error) {
+      // Best-effort rollback so a failed import doesn't leave half the file behind
+      if (created.length > 0) {
+        await supabase.from('events').delete().in('id', created.map(e => e.id))
+      }
+      throw error
+    }
+    // Inserted rows come back in insert order
+    level.forEach((entry, index) => createdIds.set(entry, data[index].id))
+    created = [...created, ...data]
+  }
+
+  // Rows came back level by level, in the order of `ordered`
+  const withLabels = ordered.map((entry, index) => ({
+    ...created[index],
+    labels: entry.payload.labels
+  }))
+  try {
+    await insertEventLabels(withLabels)
+  } catch (error) {
+    await supabase.from('events').delete().in('id', created.map(e => e.id))
+    throw error
+  }
+  return withLabels
+}
+
+// GET importable fields (for building a column mapping)
+router.get('/fields', (req, res) => {
+  res.json(IMPORT_FIELDS.map(({ key, label }) => ({ key, label })))
+})
+
+// POST import events from CSV or JSON (dry run unless dry_run is false)
+router.post('/', requireAuth, async (req, res, next) => {
+  try {
+    const { format, content, mapping, years_ago_unit, dry_run } = req.body
+    const isDryRun = dry_run !== false
+
+    const parsed = parseImportContent(format, content)
+    if (!parsed.valid) {
+      return res.status(400).json({ error: parsed.error })
+    }
+    if (parsed.rows.length === 0) {
+      return res.status(400).json({ error: 'The file contains no rows' })
+    }
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} rows` })
+    }
+
+    const effectiveMapping = mapping || suggestMapping(parsed.columns)
+    const mappingValidation = validateMapping(effectiveMapping, parsed.columns)
+    if (!mappingValidation.valid) {
+      // Columns are returned so the client can still offer the mapping step
+      return res.status(400).json({
+        error: mappingValidation.error,
+        columns: parsed.columns,
+        mapping: effectiveMapping
+      })
+    }
+
+    const existing = await loadExisting()
+    const missingLabels = getMissingLabels(parsed.labels || [], existing.labels)
+    const plan = planImport(parsed.rows, effectiveMapping, existing, {
+      yearsAgoUnit: years_ago_unit,
+      firstRow: format === 'csv' ? 2 : 1,
+      idFormat: isSupabaseConfigured() ? 'uuid' : 'numeric',
+      extraLabels: missingLabels.map(l => l.name)
+    })
+    const report = {
+      dry_run: isDryRun,
+      columns: parsed.columns,
+      mapping: effectiveMapping,
+      summary: plan.summary,
+      labels_to_create: missingLabels,
+      rows: plan.rows.map(toRowReport)
+    }
+
+    if (isDryRun) {
+      return res.json(report)
+    }
+
+    if (plan.summary.invalid > 0) {
+      return res.status(400).json({
+        error: `${plan.summary.invalid} row(s) have errors; nothing was imported`,
+        ...report
+      })
+    }
+
+    const createdLabels = await createLabels(missingLabels)
+    let created
+    try {
+      created = await commitImport(plan.rows)
+    } catch (error) {
+      await removeLabels(createdLabels)
+      throw error
+    }
+    res.status(201).json({
+      ...report,
+      imported: created.length,
+      events: created,
+      labels: createdLabels
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -1,20 +1,13 @@
 import express from 'express'
 import { supabase, isSupabaseConfigured } from '../config/supabase.js'
 import { requireAuth } from '../middleware/requireAuth.js'
+import { mockLabels, nextMockLabelId } from '../data/mockLabels.js'
+import { mockEvents } from '../data/mockEvents.js'
+import { mockTracks } from '../data/mockTracks.js'
+import { recordMockRevision } from '../data/mockRevisions.js'
 
 const router = express.Router()
 
-let mockLabels = [
-  { id: '1', name: 'nature', color: '#22c55e', created_at: new Date().toISOString() },
-  { id: '2', name: 'human', color: '#f59e0b', created_at: new Date().toISOString() },
-  { id: '3', name: 'discovery', color: '#3b82f6', created_at: new Date().toISOString() },
-  { id: '4', name: 'war', color: '#ef4444', created_at: new Date().toISOString() },
-  { id: '5', name: 'technology', color: '#8b5cf6', created_at: new Date().toISOString() },
-  { id: '6', name: 'culture', color: '#ec4899', created_at: new Date().toISOString() },
-  { id: '7', name: 'politics', color: '#f97316', created_at: new Date().toISOString() },
-]
-let mockLabelIdCounter = 8
-
 // GET all labels
 router.get('/', async (req, res, next) => {
   try {
@@ -48,12 +41,13 @@ router.post('/', requireAuth, async (req, res, next) => {
         return res.status(409).json({ error: 'Label already exists' })
       }
       const newLabel = {
-        id: String(mockLabelIdCounter++),
+        id: nextMockLabelId(),
         name: name.trim().toLowerCase(),
         color: color.trim(),
         created_at: new Date().toISOString()
       }
       mockLabels.push(newLabel)
+      recordMockRevision('label', 'create', null, newLabel)
       return res.status(201).json(newLabel)
     }
 
@@ -90,13 +84,23 @@ router.put('/:id', requireAuth, async (req, res, next) => {
       if (!label) {
         return res.status(404).json({ error: 'Label not found' })
       }
+      const before = { ...label }
       const oldName = label.name
       const newName = name !== undefined ? name.trim().toLowerCase() : label.name
       if (newName !== oldName && mockLabels.some(l => l.name === newName)) {
         return res.status(409).json({ error: 'Label already exists' })
       }
-      if (name !== undefined) label.name = newName
+      if (name !== undefined && newName !== oldName) {
+        mockEvents.forEach(e => {
+          e.labels = e.labels.map(l => l === oldName ? newName : l).sort()
+        })
+        mockTracks.forEach(t => {
+          t.labels = t.labels.map(l => l === oldName ? newName : l).sort()
+        })
+        label.name = newName
+      }
       if (color !== undefined) label.color = color.trim()
+      recordMockRevision('label', 'update', before, label)
       return res.json(label)
     }
 
@@ -122,15 +126,7 @@ router.put('/:id', requireAuth, async (req, res, next) => {
       return res.json(existing)
     }
 
-    // If renaming, update all events referencing the old name
-    if (updates.name && updates.name !== existing.name) {
-      const { error: evtError } = await supabase
-        .from('events')
-        .update({ label: updates.name })
-        .eq('label', existing.name)
-      if (evtError) throw evtError
-    }
-
+    // Events reference labels by id through event_labels, so a rename needs no event updates
     const { data, error } = await supabase
       .from('labels')
       .update(updates)
@@ -151,7 +147,7 @@ router.put('/:id', requireAuth, async (req, res, next) => {
   }
 })
 
-// DELETE label and nullify events that use it
+// DELETE label; it is removed from every event that carries it
 router.delete('/:id', requireAuth, async (req, res, next) => {
   try {
     const { id } = req.params
@@ -161,42 +157,29 @@ router.delete('/:id', requireAuth, async (req, res, next) => {
       if (index === -1) {
         return res.status(404).json({ error: 'Label not found' })
       }
-      const labelName = mockLabels[index].name
-      mockLabels.splice(index, 1)
-      // Importing mockEvents from events.js isn't feasible in mock mode;
-      // the real DB path handles cascade below
+      const [removed] = mockLabels.splice(index, 1)
+      const labelName = removed.name
+      recordMockRevision('label', 'delete', removed, null)
+      mockEvents.forEach(e => {
+        e.labels = e.labels.filter(l => l !== labelName)
+      })
+      mockTracks.forEach(t => {
+        t.labels = t.labels.filter(l => l !== labelName)
+      })
       return res.status(204).send()
     }
 
-    // Look up the label name before deleting
-    const { data: label, error: findError } = await supabase
-      .from('labels')
-      .select('name')
-      .eq('id', id)
-      .single()
-
-    if (findError) {
-      if (findError.code === 'PGRST116') {
-        return res.status(404).json({ error: 'Label not found' })
-      }
-      throw findError
-    }
-
-    // Nullify the label on all events that reference it
-    const { error: updateError } = await supabase
-      .from('events')
-      .update({ label: null })
-      .eq('label', label.name)
-
-    if (updateError) throw updateError
-
-    // Delete the label
-    const { error: deleteError } = await supabase
+    // event_labels rows cascade with the label
+    const { data, error: deleteError } = await supabase
       .from('labels')
       .delete()
       .eq('id', id)
+      .select('id')
 
     if (deleteError) throw deleteError
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'Label not found' })
+    }
     res.status(204).send()
   } catch (error) {
     next(error)
@@ -0,0 +1,225 @@
+import express from 'express'
+import { supabase, isSupabaseConfigured } from '../config/supabase.js'
+import { requireAuth } from '../middleware/requireAuth.js'
+import { mockRelations, nextMockRelationId } from '../data/mockRelations.js'
+import { mockEvents } from '../data/mockEvents.js'
+
+const router = express.Router()
+
+// Must match the relation_type check constraint in supabase-schema.sql
+const RELATION_TYPES = ['caused', 'influenced', 'preceded', 'contemporary-with', 'part-of', 'related']
+const SYMMETRIC_RELATION_TYPES = ['contemporary-with', 'related']
+const DEFAULT_RELATION_TYPE = 'related'
+
+const isEventId = (value) => (
+  (typeof value === 'string' && value.trim() !== '') || Number.isInteger(value)
+)
+
+// Symmetric types count as the same relation in either direction
+const isSameRelation = (relation, type, sourceId, targetId) => {
+  if (relation.relation_type !== type) return false
+  const source = String(relation.source_event_id)
+  const target = String(relation.target_event_id)
+  if (source === String(sourceId) && target === String(targetId)) return true
+  return SYMMETRIC_RELATION_TYPES.includes(type) && source === String(targetId) && target === String(sourceId)
+}
+
+function validateRelationBody(body, { partial = false } = {}) {
+  const { source_event_id: sourceId, target_event_id: targetId, relation_type: type } = body
+  if (!partial || sourceId !== undefined || targetId !== undefined) {
+    if (!isEventId(sourceId) || !isEventId(targetId)) {
+      return 'source_event_id and target_event_id are required'
+    }
+    if (String(sourceId) === String(targetId)) {
+      return 'An event cannot be related to itself'
+    }
+  }
+  if (type !== undefined && !RELATION_TYPES.includes(type)) {
+    return `relation_type must be one of: ${RELATION_TYPES.join(', ')}`
+  }
+  return null
+}
+
+// GET all relations, or those touching one event with ?event_id=
+router.get('/', async (req, res, next) => {
+  try {
+    const eventId = req.query.event_id
+
+    if (!isSupabaseConfigured()) {
+      const relations = eventId
+        ? mockRelations.filter(r => String(r.source_event_id) === eventId || String(r.target_event_id) === eventId)
+        : mockRelations
+      return res.json(relations)
+    }
+
+    let query = supabase
+      .from('event_relations')
+      .select('*')
+      .order('created_at', { ascending: true })
+    if (eventId) {
+      query = query.or(`source_event_id.eq.${eventId},target_event_id.eq.${eventId}`)
+    }
+
+    const { data, error } = await query
+    if (error) throw error
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// POST relate two events
+router.post('/', requireAuth, async (req, res, next) => {
+  try {
+    const validationError = validateRelationBody(req.body)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+    const { source_event_id: sourceId, target_event_id: targetId } = req.body
+    const type = req.body.relation_type || DEFAULT_RELATION_TYPE
+
+    if (!isSupabaseConfigured()) {
+      const live = mockEvents.filter(e => !e.deleted_at)
+      if (![sourceId, targetId].every(id => live.some(e => String(e.id) === String(id)))) {
+        return res.status(404).json({ error: 'Event not found' })
+      }
+      if (mockRelations.some(r => isSameRelation(r, type, sourceId, targetId))) {
+        return res.status(409).json({ error: 'These events are already related' })
+      }
+      const newRelation = {
+        id: nextMockRelationId(),
+        source_event_id: Number(sourceId),
+        target_event_id: Number(targetId),
+        relation_type: type,
+        created_at: new Date().toISOString()
+      }
+      mockRelations.push(newRelation)
+      return res.status(201).json(newRelation)
+    }
+
+    // The unique constraint only sees one direction
+    if (SYMMETRIC_RELATION_TYPES.includes(type)) {
+      const { data: existing, error: findError } = await supabase
+        .from('event_relations')
+        .select('id')
+        .eq('source_event_id', targetId)
+        .eq('target_event_id', sourceId)
+        .eq('relation_type', type)
+      if (findError) throw findError
+      if (existing.length > 0) {
+        return res.status(409).json({ error: 'These events are already related' })
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('event_relations')
+      .insert([{ source_event_id: sourceId, target_event_id: targetId, relation_type: type }])
+      .select()
+      .single()
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'These events are already related' })
+      }
+      if (error.code === '23503') {
+        return res.status(404).json({ error: 'Event not found' })
+      }
+      throw error
+    }
+    res.status(201).json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// PUT change a relation's type and/or its ends
+router.put('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const validationError = validateRelationBody(req.body, { partial: true })
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+    const updates = {}
+    if (req.body.source_event_id !== undefined) {
+      updates.source_event_id = req.body.source_event_id
+      updates.target_event_id = req.body.target_event_id
+    }
+    if (req.body.relation_type !== undefined) updates.relation_type = req.body.relation_type
+
+    if (!isSupabaseConfigured()) {
+      const relation = mockRelations.find(r => r.id === id)
+      if (!relation) {
+        return res.status(404).json({ error: 'Relation not found' })
+      }
+      const next = { ...relation, ...updates }
+      if (updates.source_event_id !== undefined) {
+        const live = mockEvents.filter(e => !e.deleted_at)
+        if (![next.source_event_id, next.target_event_id].every(eventId => live.some(e => String(e.id) === String(eventId)))) {
+          return res.status(404).json({ error: 'Event not found' })
+        }
+        next.source_event_id = Number(next.source_event_id)
+        next.target_event_id = Number(next.target_event_id)
+      }
+      if (mockRelations.some(r => r.id !== id && isSameRelation(r, next.relation_type, next.source_event_id, next.target_event_id))) {
+        return res.status(409).json({ error: 'These events are already related' })
+      }
+      Object.assign(relation, next)
+      return res.json(relation)
+    }
+
+    const { data, error } = await supabase
+      .from('event_relations')
+      .update(updates)
+      .eq('id', id)
+      .select()
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'These events are already related' })
+      }
+      if (error.code === '23503') {
+        return res.status(404).json({ error: 'Event not found' })
+      }
+      throw error
+    }
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'Relation not found' })
+    }
+    res.json(data[0])
+  } catch (error) {
+    next(error)
+  }
+})
+
+// DELETE relation; both events are kept
+router.delete('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    if (!isSupabaseConfigured()) {
+      const index = mockRelations.findIndex(r => r.id === id)
+      if (index === -1) {
+        return res.status(404).json({ error: 'Relation not found' })
+      }
+      mockRelations.splice(index, 1)
+      return res.status(204).send()
+    }
+
+    const { data, error } = await supabase
+      .from('event_relations')
+      .delete()
+      .eq('id', id)
+      .select('id')
+
+    if (error) throw error
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'Relation not found' })
+    }
+    res.status(204).send()
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -0,0 +1,219 @@
+import express from 'express'
+import { supabase, isSupabaseConfigured } from '../config/supabase.js'
+import { requireAuth } from '../middleware/requireAuth.js'
+import { mockTours, nextMockTourId } from '../data/mockTours.js'
+
+const router = express.Router()
+
+const sortTours = (tours) => [...tours].sort((a, b) => a.title.localeCompare(b.title))
+
+const isStringArray = (value) => Array.isArray(value) && value.every(v => typeof v === 'string')
+const isEventIdArray = (value) => Array.isArray(value) && value.every(v => typeof v === 'string' || Number.isInteger(v))
+
+// Steps are { title, narrative, view: { start, end }, event_ids, labels }, view in years ago
+function validateSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return 'steps must be a non-empty array'
+  }
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i]
+    const view = step?.view
+    if (!view || !Number.isFinite(view.start) || !Number.isFinite(view.end) || view.start < 0 || view.end <= view.start) {
+      return `Step ${i + 1}: view must be { start, end } in years ago with end older than start`
+    }
+    if (step.title !== undefined && (typeof step.title !== 'string' || step.title.length > 100)) {
+      return `Step ${i + 1}: title must be a string of 100 characters or fewer`
+    }
+    if (step.narrative !== undefined && typeof step.narrative !== 'string') {
+      return `Step ${i + 1}: narrative must be a string`
+    }
+    if (step.event_ids !== undefined && !isEventIdArray(step.event_ids)) {
+      return `Step ${i + 1}: event_ids must be an array of event ids`
+    }
+    if (step.labels !== undefined && !isStringArray(step.labels)) {
+      return `Step ${i + 1}: labels must be an array of label names`
+    }
+  }
+  return null
+}
+
+function validateTourBody({ title, description, steps }, { partial = false } = {}) {
+  if (title !== undefined || !partial) {
+    if (typeof title !== 'string' || !title.trim()) {
+      return 'Tour title is required'
+    }
+    if (title.trim().length > 100) {
+      return 'Tour title must be 100 characters or fewer'
+    }
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return 'description must be a string'
+  }
+  if (steps !== undefined || !partial) {
+    return validateSteps(steps)
+  }
+  return null
+}
+
+// Stored steps keep only the known fields, with event ids as strings
+const toStoredSteps = (steps) => steps.map(step => ({
+  title: step.title || '',
+  narrative: step.narrative || '',
+  view: { start: step.view.start, end: step.view.end },
+  event_ids: (step.event_ids || []).map(String),
+  labels: step.labels || []
+}))
+
+function toTourUpdates({ title, description, steps }) {
+  const updates = {}
+  if (title !== undefined) updates.title = title.trim()
+  if (description !== undefined) updates.description = description?.trim() || null
+  if (steps !== undefined) updates.steps = toStoredSteps(steps)
+  return updates
+}
+
+// GET all tours by title
+router.get('/', async (req, res, next) => {
+  try {
+    if (!isSupabaseConfigured()) {
+      return res.json(sortTours(mockTours))
+    }
+
+    const { data, error } = await supabase
+      .from('tours')
+      .select('*')
+      .order('title', { ascending: true })
+
+    if (error) throw error
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// GET single tour
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    if (!isSupabaseConfigured()) {
+      const tour = mockTours.find(t => t.id === id)
+      if (!tour) {
+        return res.status(404).json({ error: 'Tour not found' })
+      }
+      return res.json(tour)
+    }
+
+    const { data, error } = await supabase
+      .from('tours')
+      .select('*')
+      .eq('id', id)
+      .single()
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Tour not found' })
+      }
+      throw error
+    }
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// POST create new tour
+router.post('/', requireAuth, async (req, res, next) => {
+  try {
+    const validationError = validateTourBody(req.body)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+    const tour = { description: null, ...toTourUpdates(req.body) }
+
+    if (!isSupabaseConfigured()) {
+      const now = new Date().toISOString()
+      const newTour = { id: nextMockTourId(), ...tour, created_at: now, updated_at: now }
+      mockTours.push(newTour)
+      return res.status(201).json(newTour)
+    }
+
+    const { data, error } = await supabase
+      .from('tours')
+      .insert([tour])
+      .select()
+      .single()
+
+    if (error) throw error
+    res.status(201).json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// PUT update tour title, description and/or steps
+router.put('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const validationError = validateTourBody(req.body, { partial: true })
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+    const updates = toTourUpdates(req.body)
+
+    if (!isSupabaseConfigured()) {
+      const tour = mockTours.find(t => t.id === id)
+      if (!tour) {
+        return res.status(404).json({ error: 'Tour not found' })
+      }
+      Object.assign(tour, updates, { updated_at: new Date().toISOString() })
+      return res.json(tour)
+    }
+
+    const { data, error } = await supabase
+      .from('tours')
+      .update(updates)
+      .eq('id', id)
+      .select()
+
+    if (error) throw error
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'Tour not found' })
+    }
+    res.json(data[0])
+  } catch (error) {
+    next(error)
+  }
+})
+
+// DELETE tour
+router.delete('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    if (!isSupabaseConfigured()) {
+      const index = mockTours.findIndex(t => t.id === id)
+      if (index === -1) {
+        return res.status(404).json({ error: 'Tour not found' })
+      }
+      mockTours.splice(index, 1)
+      return res.status(204).send()
+    }
+
+    const { data, error } = await supabase
+      .from('tours')
+      .delete()
+      .eq('id', id)
+      .select('id')
+
+    if (error) throw error
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'Tour not found' })
+    }
+    res.status(204).send()
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -0,0 +1,218 @@
+import express from 'express'
+import { supabase, isSupabaseConfigured } from '../config/supabase.js'
+import { requireAuth } from '../middleware/requireAuth.js'
+import { mockTracks, nextMockTrackId } from '../data/mockTracks.js'
+import { mockLabels } from '../data/mockLabels.js'
+
+const router = express.Router()
+
+// Tracks are read through this view, which adds their label names as `labels`
+const TRACKS_VIEW = 'tracks_with_labels'
+
+const sortTracks = (tracks) => [...tracks].sort(
+  (a, b) => a.position - b.position || a.name.localeCompare(b.name)
+)
+
+// Unknown label names are dropped, like set_track_labels() does
+const toMockTrackLabels = (labels) => [...new Set(labels)]
+  .filter(name => mockLabels.some(l => l.name === name))
+  .sort()
+
+async function setTrackLabels(trackId, labels) {
+  const { data, error } = await supabase.rpc('set_track_labels', {
+    target_track_id: trackId,
+    label_names: labels
+  })
+  if (error) throw error
+  return data
+}
+
+function validateTrackBody({ name, labels, position }, { partial = false } = {}) {
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return 'Track name is required'
+    }
+    if (name.trim().length > 50) {
+      return 'Track name must be 50 characters or fewer'
+    }
+  }
+  if (labels !== undefined && (!Array.isArray(labels) || labels.some(l => typeof l !== 'string'))) {
+    return 'labels must be an array of label names'
+  }
+  if (position !== undefined && !Number.isInteger(position)) {
+    return 'position must be an integer'
+  }
+  return null
+}
+
+// GET all tracks in band order
+router.get('/', async (req, res, next) => {
+  try {
+    if (!isSupabaseConfigured()) {
+      return res.json(sortTracks(mockTracks))
+    }
+
+    const { data, error } = await supabase
+      .from(TRACKS_VIEW)
+      .select('*')
+      .order('position', { ascending: true })
+      .order('name', { ascending: true })
+
+    if (error) throw error
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// POST create new track
+router.post('/', requireAuth, async (req, res, next) => {
+  try {
+    const validationError = validateTrackBody(req.body)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+    const name = req.body.name.trim()
+    const labels = req.body.labels || []
+
+    if (!isSupabaseConfigured()) {
+      if (mockTracks.some(t => t.name === name)) {
+        return res.status(409).json({ error: 'Track already exists' })
+      }
+      const newTrack = {
+        id: nextMockTrackId(),
+        name,
+        position: req.body.position ?? mockTracks.reduce((max, t) => Math.max(max, t.position + 1), 0),
+        labels: toMockTrackLabels(labels),
+        created_at: new Date().toISOString()
+      }
+      mockTracks.push(newTrack)
+      return res.status(201).json(newTrack)
+    }
+
+    const { count, error: countError } = await supabase
+      .from('tracks')
+      .select('id', { count: 'exact', head: true })
+    if (countError) throw countError
+
+    const { data, error } = await supabase
+      .from('tracks')
+      .insert([{ name, position: req.body.position ?? count }])
+      .select()
+      .single()
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Track already exists' })
+      }
+      throw error
+    }
+    res.status(201).json({ ...data, labels: await setTrackLabels(data.id, labels) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// PUT update track name, position and/or labels
+router.put('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const validationError = validateTrackBody(req.body, { partial: true })
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+    const { name, position, labels } = req.body
+
+    if (!isSupabaseConfigured()) {
+      const track = mockTracks.find(t => t.id === id)
+      if (!track) {
+        return res.status(404).json({ error: 'Track not found' })
+      }
+      if (name !== undefined && mockTracks.some(t => t.id !== id && t.name === name.trim())) {
+        return res.status(409).json({ error: 'Track already exists' })
+      }
+      if (name !== undefined) track.name = name.trim()
+      if (position !== undefined) track.position = position
+      if (labels !== undefined) track.labels = toMockTrackLabels(labels)
+      return res.json(track)
+    }
+
+    const { error: findError } = await supabase
+      .from('tracks')
+      .select('id')
+      .eq('id', id)
+      .single()
+
+    if (findError) {
+      if (findError.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Track not found' })
+      }
+      throw findError
+    }
+
+    const updates = {}
+    if (name !== undefined) updates.name = name.trim()
+    if (position !== undefined) updates.position = position
+
+    if (Object.keys(updates).length > 0) {
+      const { error } = await supabase
+        .from('tracks')
+        .update(updates)
+        .eq('id', id)
+
+      if (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'Track already exists' })
+        }
+        throw error
+      }
+    }
+    if (labels !== undefined) {
+      await setTrackLabels(id, labels)
+    }
+
+    const { data, error } = await supabase
+      .from(TRACKS_VIEW)
+      .select('*')
+      .eq('id', id)
+      .single()
+
+    if (error) throw error
+    res.json(data)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// DELETE track; its labels and their events are kept
+router.delete('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    if (!isSupabaseConfigured()) {
+      const index = mockTracks.findIndex(t => t.id === id)
+      if (index === -1) {
+        return res.status(404).json({ error: 'Track not found' })
+      }
+      mockTracks.splice(index, 1)
+      return res.status(204).send()
+    }
+
+    // track_labels rows cascade with the track
+    const { data, error } = await supabase
+      .from('tracks')
+      .delete()
+      .eq('id', id)
+      .select('id')
+
+    if (error) throw error
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'Track not found' })
+    }
+    res.status(204).send()
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -0,0 +1,279 @@
+import { WebSocketServer } from 'ws'
+import {
+  ROOM_PHASE,
+  createRoomCode,
+  toRoomCode,
+  createRoom,
+  addPlayer,
+  findPlayerByToken,
+  disconnectPlayer,
+  removePlayer,
+  updateSettings,
+  startRound,
+  submitGuess,
+  isRoundComplete,
+  revealRound,
+  toRoomState
+} from '../utils/gameRooms.js'
+import { validateRoundEventIds } from '../utils/gameStats.js'
+
+export const GAME_ROOMS_PATH = '/api/game/rooms'
+
+const HEARTBEAT_MS = 30000
+// How long a dropped player keeps their seat (and score) to reconnect
+const RECONNECT_GRACE_MS = 60000
+const MAX_MESSAGE_BYTES = 16 * 1024
+
+/**
+ * Online game rooms over a WebSocket at /api/game/rooms (see
+ * utils/gameRooms.js for the rules).
+ *
+ * Messages are JSON `{ type, ...fields }`. Clients send:
+ * - create { name }, join { code, name }, resume { code, token }, leave
+ * - settings { mode, filters }, start_round { event_ids }, reveal (host only)
+ * - guess { guess: { answer, result_text? } }, scored by the server
+ *
+ * The server answers a seat with joined { code, player_id, token } (the
+ * token is kept to resume after a dropped connection), sends the whole room
+ * as state { room } after every change and reports problems as
+ * error { message }.
+ *
+ * @param {import('http').Server} server
+ * @param {Object} options
+ * @param {string} options.origin - the browser origin allowed to connect, as for CORS
+ * @param {(eventIds: string[]) => Promise<Object[]>} options.loadEvents - a round's event rows, to score guesses against
+ */
+export function attachGameRooms(server, { origin, loadEvents }) {
+  const wss = new WebSocketServer({
+    server,
+    path: GAME_ROOMS_PATH,
+    maxPayload: MAX_MESSAGE_BYTES,
+    // Browsers send their origin with WebSocket handshakes; other clients may not
+    verifyClient: ({ origin: requestOrigin }) => !requestOrigin || requestOrigin === origin
+  })
+
+  const rooms = new Map()
+  const sockets = new Map() // player id -> socket
+  const roundTimers = new Map() // room -> timed round's auto-reveal
+  const dropTimers = new Map() // player id -> removal after the reconnect grace
+
+  const send = (socket, message) => {
+    if (socket && socket.readyState === socket.OPEN) socket.send(JSON.stringify(message))
+  }
+
+  const broadcast = (room) => {
+    const state = toRoomState(room)
+    for (const player of room.players) {
+      send(sockets.get(player.id), { type: 'state', room: state })
+    }
+  }
+
+  const clearRoundTimer = (room) => {
+    clearTimeout(roundTimers.get(room))
+    roundTimers.delete(room)
+  }
+
+  const reveal = (room) => {
+    clearRoundTimer(room)
+    revealRound(room)
+    broadcast(room)
+  }
+
+  const revealIfComplete = (room) => {
+    if (isRoundComplete(room)) reveal(room)
+  }
+
+  const clearDropTimer = (playerId) => {
+    clearTimeout(dropTimers.get(playerId))
+    dropTimers.delete(playerId)
+  }
+
+  // Stops everything still pending for a room; by now a newer room may have
+  // taken its code, so only the room itself is forgotten
+  const closeRoom = (room) => {
+    clearRoundTimer(room)
+    room.players.forEach(player => clearDropTimer(player.id))
+    if (rooms.get(room.code) === room) rooms.delete(room.code)
+  }
+
+  const dropPlayer = (room, playerId) => {
+    clearDropTimer(playerId)
+    sockets.delete(playerId)
+    removePlayer(room, playerId)
+    if (room.players.length === 0) {
+      closeRoom(room)
+      return
+    }
+    broadcast(room)
+    revealIfComplete(room)
+  }
+
+  // Binds a socket to its seat, replacing any older connection (e.g. a reloaded tab)
+  const seat = (socket, room, player) => {
+    const previous = sockets.get(player.id)
+    if (previous && previous !== socket) {
+      previous.seat = null
+      previous.close(4000, 'Connected elsewhere')
+    }
+    clearDropTimer(player.id)
+    sockets.set(player.id, socket)
+    socket.seat = { code: room.code, playerId: player.id }
+    player.connected = true
+    send(socket, { type: 'joined', code: room.code, player_id: player.id, token: player.token })
+    broadcast(room)
+  }
+
+  const handlers = {
+    create(socket, { name }) {
+      const room = createRoom(createRoomCode(code => rooms.has(code)))
+      const { player, error } = addPlayer(room, name)
+      if (error) return error
+      rooms.set(room.code, room)
+      seat(socket, room, player)
+      return null
+    },
+
+    join(socket, { code, name }) {
+      const room = rooms.get(toRoomCode(code))
+      if (!room) return 'No room with that code'
+      const { player, error } = addPlayer(room, name)
+      if (error) return error
+      seat(socket, room, player)
+      return null
+    },
+
+    resume(socket, { code, token }) {
+      const room = rooms.get(toRoomCode(code))
+      const player = room && findPlayerByToken(room, token)
+      if (!player) {
+        send(socket, { type: 'room_closed' })
+        return null
+      }
+      seat(socket, room, player)
+      return null
+    },
+
+    leave(socket, message, room, player) {
+      socket.seat = null
+      dropPlayer(room, player.id)
+      return null
+    },
+
+    settings(socket, { mode, filters }, room, player) {
+      if (room.hostId !== player.id) return 'Only the host can change the settings'
+      const error = updateSettings(room, { mode, filters })
+      if (error) return error
+      broadcast(room)
+      return null
+    },
+
+    async start_round(socket, { event_ids: eventIds }, room, player) {
+      if (room.hostId !== player.id) return 'Only the host can start a round'
+      const eventIdsError = validateRoundEventIds(room.settings.mode, eventIds)
+      if (eventIdsError) return eventIdsError
+      const events = await loadEvents(eventIds)
+      // The room may have closed or changed hands while the events loaded
+      if (rooms.get(room.code) !== room || room.hostId !== player.id) return null
+      const error = startRound(room, eventIds, events)
+      if (error) return error
+      const { round } = room
+      if (round.endsAt !== null) {
+        roundTimers.set(room, setTimeout(() => {
+          if (room.round === round && room.phase === ROOM_PHASE.GUESSING) reveal(room)
+        }, round.endsAt - Date.now()))
+      }
+      broadcast(room)
+      return null
+    },
+
+    guess(socket, { guess }, room, player) {
+      const error = submitGuess(room, player.id, guess)
+      if (error) return error
+      broadcast(room)
+      revealIfComplete(room)
+      return null
+    },
+
+    reveal(socket, message, room, player) {
+      if (room.hostId !== player.id) return 'Only the host can end the round'
+      if (room.phase !== ROOM_PHASE.GUESSING) return 'There is no round to end'
+      reveal(room)
+      return null
+    }
+  }
+  const SEATLESS_MESSAGES = ['create', 'join', 'resume']
+
+  const handleMessage = (socket, raw) => {
+    let message
+    try {
+      message = JSON.parse(raw)
+    } catch {
+      return 'Messages must be JSON'
+    }
+    const handler = Object.hasOwn(handlers, message?.type) ? handlers[message.type] : null
+    if (!handler) return 'Unknown message type'
+
+    if (SEATLESS_MESSAGES.includes(message.type)) {
+      if (socket.seat) return 'Leave your room first'
+      return handler(socket, message)
+    }
+    const room = socket.seat && rooms.get(socket.seat.code)
+    const player = room?.players.find(p => p.id === socket.seat.playerId)
+    if (!player) return 'Join a room first'
+    return handler(socket, message, room, player)
+  }
+
+  wss.on('connection', (socket) => {
+    socket.isAlive = true
+    socket.seat = null
+
+    socket.on('pong', () => {
+      socket.isAlive = true
+    })
+
+    // Handlers return an error message, some of them once events have loaded
+    socket.on('message', (raw) => {
+      Promise.resolve()
+        .then(() => handleMessage(socket, raw))
+        .then(error => {
+          if (error) send(socket, { type: 'error', message: error })
+        })
+        .catch(err => {
+          console.error('Game room message failed:', err)
+          send(socket, { type: 'error', message: 'Something went wrong; try again' })
+        })
+    })
+
+    socket.on('close', () => {
+      if (!socket.seat) return
+      const room = rooms.get(socket.seat.code)
+      const player = room?.players.find(p => p.id === socket.seat.playerId)
+      if (!player) return
+
+      disconnectPlayer(room, player.id)
+      sockets.delete(player.id)
+      // Their seat (and any unfinished round) waits for them; dropPlayer reveals if that was the holdup
+      dropTimers.set(player.id, setTimeout(() => dropPlayer(room, player.id), RECONNECT_GRACE_MS))
+      broadcast(room)
+    })
+
+    socket.on('error', (err) => {
+      console.error('Game room socket error:', err)
+    })
+  })
+
+  // Drops connections that went away without closing (sleeping laptops, lost wifi)
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate()
+        continue
+      }
+      socket.isAlive = false
+      socket.ping()
+    }
+  }, HEARTBEAT_MS)
+  wss.on('close', () => clearInterval(heartbeat))
+
+  return wss
+}
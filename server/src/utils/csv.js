@@ -0,0 +1,82 @@
+/**
+ * CSV helpers for import and export.
+ */
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF).
+ * @param {string} text
+ * @returns {{ columns: string[], rows: Object[] }}
+ */
+export function parseCsv(text) {
+  const records = []
+  let record = []
+  let field = ''
+  let inQuotes = false
+  const input = String(text).replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"'
+          i++
+        } else {
+          inQuotes = false
+        }
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''))
+  if (nonEmpty.length === 0) return { columns: [], rows: [] }
+
+  const columns = nonEmpty[0].map(c => c.trim())
+  const rows = nonEmpty.slice(1).map(values => {
+    const row = {}
+    columns.forEach((column, index) => {
+      row[column] = values[index] ?? ''
+    })
+    return row
+  })
+  return { columns, rows }
+}
+
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) return ''
+  const str = String(value)
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+/**
+ * Serialize rows to CSV with a header row. Line endings are CRLF (RFC 4180).
+ * @param {string[]} columns
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.map(escapeCsvValue).join(',')]
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','))
+  })
+  return lines.join('\r\n') + '\r\n'
+}
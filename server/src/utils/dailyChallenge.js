@@ -0,0 +1,158 @@
+/**
+ * Daily challenge: the same hidden events for every player on a UTC day.
+ *
+ * The events are drawn with a PRNG seeded by the date and stored the first
+ * time the day is requested, so edits to the events later that day don't
+ * change the puzzle. An attempt is stored as { date, player_id, guesses,
+ * points, created_at } with one guess per event, in order:
+ * { event_id, years_ago, points }. Players only send where they placed each
+ * event; the points are scored here on the classic scale (gameScoring.js),
+ * up to 5000 an event.
+ */
+
+import { eventStartYearsAgo } from './yearsAgo.js'
+import { MAX_PLAYER_NAME_LENGTH } from './gameStats.js'
+import { scoreAnswer } from './gameScoring.js'
+
+export const DAILY_EVENT_COUNT = 5
+const DAILY_EXCLUDED_LABEL = 'Eons'
+// Puzzle #1; the number only makes shared scores easy to compare
+const FIRST_DAILY_DATE = '2026-01-01'
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+/** The UTC day as YYYY-MM-DD. */
+export const toDailyDate = (now = new Date()) => now.toISOString().slice(0, 10)
+
+export const getDailyNumber = (date) => Math.round((Date.parse(date) - Date.parse(FIRST_DAILY_DATE)) / MS_PER_DAY) + 1
+
+const addDays = (date, days) => toDailyDate(new Date(Date.parse(date) + days * MS_PER_DAY))
+
+/**
+ * The puzzle date a request is about: today by default, or yesterday, so a
+ * run started before UTC midnight can still be saved after it.
+ * @param {string} [value] - YYYY-MM-DD
+ * @param {Date} [now]
+ * @returns {string|null} null for any other date
+ */
+export function toPlayableDailyDate(value, now = new Date()) {
+  const today = toDailyDate(now)
+  if (value === undefined) return today
+  return value === today || value === addDays(today, -1) ? value : null
+}
+
+// 32-bit FNV-1a, the PRNG seed for a date
+function hashString(value) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+// mulberry32: small, fast and the same on every platform, unlike Math.random
+function createRandom(seed) {
+  let state = seed
+  return () => {
+    state = (state + 0x6d2b79f5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Same pool as the game itself: top-level, dated and not an eon
+const isDailyCandidate = (event) => !event.parent_id &&
+  !(event.labels || []).includes(DAILY_EXCLUDED_LABEL) &&
+  eventStartYearsAgo(event) !== null
+
+/**
+ * The date's events, drawn from `events` (published ones only). Candidates
+ * are sorted by id first, so the draw doesn't depend on query order.
+ * @param {Object[]} events - with labels
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string[]} event ids, or [] when there aren't enough events
+ */
+export function pickDailyEventIds(events, date, count = DAILY_EVENT_COUNT) {
+  const candidates = events
+    .filter(isDailyCandidate)
+    .map(event => String(event.id))
+    .sort()
+  if (candidates.length < count) return []
+
+  const random = createRandom(hashString(date))
+  for (let i = candidates.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    const swap = candidates[i]
+    candidates[i] = candidates[j]
+    candidates[j] = swap
+  }
+  return candidates.slice(0, count)
+}
+
+/**
+ * @param {Object} body - { player, guesses }
+ * @param {Object} daily - { date, event_ids }
+ * @returns {string|null} error message
+ */
+export function validateDailyAttemptBody({ player, guesses } = {}, daily) {
+  if (typeof player !== 'string' || !player.trim()) {
+    return 'player is required'
+  }
+  if (player.trim().length > MAX_PLAYER_NAME_LENGTH) {
+    return `player must be at most ${MAX_PLAYER_NAME_LENGTH} characters`
+  }
+  if (!Array.isArray(guesses) || guesses.length !== daily.event_ids.length) {
+    return `guesses must have one guess for each of the ${daily.event_ids.length} events`
+  }
+  for (let i = 0; i < guesses.length; i++) {
+    const guess = guesses[i] || {}
+    if (String(guess.event_id) !== daily.event_ids[i]) {
+      return `Guess ${i + 1}: event_id must be the day's event ${i + 1}`
+    }
+    if (!Number.isFinite(guess.years_ago) || guess.years_ago < 0) {
+      return `Guess ${i + 1}: years_ago must be a number of years ago`
+    }
+  }
+  return null
+}
+
+/**
+ * The attempt row for a validated body, each guess scored against the
+ * day's event. An event deleted since the draw scores nothing.
+ * @param {Object} body
+ * @param {Object} daily
+ * @param {string} playerId
+ * @param {Object[]} events - the day's events
+ */
+export function toStoredAttempt(body, daily, playerId, events) {
+  const guesses = body.guesses.map(guess => {
+    const event = events.find(e => String(e.id) === String(guess.event_id) && !e.deleted_at)
+    const { points } = event ? scoreAnswer('classic', { years_ago: guess.years_ago }, [event]) : { points: 0 }
+    return { event_id: String(guess.event_id), years_ago: guess.years_ago, points }
+  })
+  return {
+    date: daily.date,
+    player_id: playerId,
+    guesses,
+    points: guesses.reduce((sum, guess) => sum + guess.points, 0)
+  }
+}
+
+/**
+ * Consecutive days played up to `today`. A streak isn't broken until a
+ * whole day is missed, so it still counts yesterday's run before today's
+ * attempt.
+ * @param {string[]} dates - days the player has an attempt for
+ * @param {string} today
+ */
+export function getDailyStreak(dates, today) {
+  const played = new Set(dates)
+  let day = played.has(today) ? today : addDays(today, -1)
+  let streak = 0
+  while (played.has(day)) {
+    streak += 1
+    day = addDays(day, -1)
+  }
+  return streak
+}
@@ -0,0 +1,63 @@
+/**
+ * Supabase access for event labels.
+ *
+ * Labels live in the event_labels join table, keyed by label id. Events are
+ * read through the events_with_labels view, which adds the label names as a
+ * sorted `labels` array, and written to the events table; the label set is
+ * then replaced with set_event_labels().
+ */
+
+import { supabase } from '../config/supabase.js'
+
+export const EVENTS_VIEW = 'events_with_labels'
+
+/**
+ * Replace an event's labels. Names without a matching label are ignored.
+ * @returns {Promise<string[]>} The labels now on the event
+ */
+export async function setEventLabels(eventId, labels) {
+  const { data, error } = await supabase.rpc('set_event_labels', {
+    target_event_id: eventId,
+    label_names: labels
+  })
+  if (error) throw error
+  return data
+}
+
+/**
+ * Attach labels to freshly inserted events in one insert (used by imports).
+ * @param {{ id: string, labels: string[] }[]} events
+ */
+export async function insertEventLabels(events) {
+  const names = [...new Set(events.flatMap(event => event.labels))]
+  if (names.length === 0) return
+
+  const { data: labels, error: labelsError } = await supabase
+    .from('labels')
+    .select('id, name')
+    .in('name', names)
+  if (labelsError) throw labelsError
+
+  const labelIds = new Map(labels.map(label => [label.name, label.id]))
+  const rows = events.flatMap(event => event.labels
+    .filter(name => labelIds.has(name))
+    .map(name => ({ event_id: event.id, label_id: labelIds.get(name) })))
+  if (rows.length === 0) return
+
+  const { error } = await supabase.from('event_labels').insert(rows)
+  if (error) throw error
+}
+
+/**
+ * Re-read events through the view so responses carry their labels.
+ * @param {string[]} ids
+ */
+export async function fetchEventsWithLabels(ids) {
+  if (ids.length === 0) return []
+  const { data, error } = await supabase
+    .from(EVENTS_VIEW)
+    .select('*')
+    .in('id', ids)
+  if (error) throw error
+  return data
+}
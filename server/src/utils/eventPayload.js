@@ -0,0 +1,273 @@
+/**
+ * Validation and normalization of event payloads, shared by the events,
+ * import and export routes.
+ */
+
+import { computeEpochYearsFields } from './yearsAgo.js'
+import { normalizeHistoricalDate, compareHistoricalDates, DATE_PRECISIONS } from './historicalDate.js'
+
+// Coarse map regions; same ids as client/src/data/worldRegions.js
+export const EVENT_REGIONS = [
+  'north-america',
+  'south-america',
+  'europe',
+  'africa',
+  'middle-east',
+  'south-asia',
+  'east-asia',
+  'southeast-asia',
+  'northern-central-asia',
+  'oceania',
+  'antarctica'
+]
+
+const hasValue = (value) => value !== null && value !== undefined && value !== ''
+
+// Validation helper for event data
+export function validateEventData(body, isUpdate = false) {
+  const { 
+    title, 
+    date_type = 'date', 
+    start_date, 
+    end_date, 
+    astronomical_start_year, 
+    astronomical_end_year,
+    date_precision,
+    uncertainty_years,
+    latitude,
+    longitude,
+    region,
+    labels
+  } = body
+
+  if (!title || !title.trim()) {
+    return { valid: false, error: 'Title is required' }
+  }
+
+  if (labels !== undefined && labels !== null &&
+    (!Array.isArray(labels) || labels.some(l => typeof l !== 'string'))) {
+    return { valid: false, error: 'labels must be an array of label names' }
+  }
+
+  if (date_precision && !DATE_PRECISIONS.includes(date_precision)) {
+    return { valid: false, error: `Invalid date_precision. Must be one of: ${DATE_PRECISIONS.join(', ')}` }
+  }
+  if (hasValue(uncertainty_years)) {
+    const uncertainty = Number(uncertainty_years)
+    if (!Number.isFinite(uncertainty) || uncertainty < 0) {
+      return { valid: false, error: 'Uncertainty must be a non-negative number of years' }
+    }
+  }
+
+  // A location is a point, a region, or both
+  if (hasValue(latitude) !== hasValue(longitude)) {
+    return { valid: false, error: 'Latitude and longitude must be given together' }
+  }
+  if (hasValue(latitude)) {
+    const lat = Number(latitude)
+    const lon = Number(longitude)
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+      return { valid: false, error: 'Latitude must be between -90 and 90' }
+    }
+    if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+      return { valid: false, error: 'Longitude must be between -180 and 180' }
+    }
+  }
+  if (region && !EVENT_REGIONS.includes(region)) {
+    return { valid: false, error: `Invalid region. Must be one of: ${EVENT_REGIONS.join(', ')}` }
+  }
+
+  // Validate based on date_type
+  if (date_type === 'date') {
+    if (!start_date) {
+      return { valid: false, error: 'Start date is required for date-type events' }
+    }
+    if (!normalizeHistoricalDate(start_date)) {
+      return { valid: false, error: `Invalid start date "${start_date}"` }
+    }
+    if (end_date) {
+      if (!normalizeHistoricalDate(end_date)) {
+        return { valid: false, error: `Invalid end date "${end_date}"` }
+      }
+      if (compareHistoricalDates(start_date, end_date) >= 0) {
+        return { valid: false, error: 'End date must be after start date' }
+      }
+    }
+  } else if (date_type === 'astronomical') {
+    if (!astronomical_start_year || astronomical_start_year <= 0) {
+      return { valid: false, error: 'Astronomical start year must be a positive number (years ago)' }
+    }
+    if (astronomical_end_year !== null && astronomical_end_year !== undefined) {
+      if (astronomical_end_year <= 0) {
+        return { valid: false, error: 'Astronomical end year must be a positive number (years ago)' }
+      }
+      if (astronomical_start_year <= astronomical_end_year) {
+        return { valid: false, error: 'Astronomical start year must be greater than end year (further in the past)' }
+      }
+    }
+  } else {
+    return { valid: false, error: 'Invalid date_type. Must be "date" or "astronomical"' }
+  }
+
+  return { valid: true }
+}
+
+// Build the row written to the database from a request body
+export function normalizeEventPayload(body) {
+  const {
+    title,
+    description,
+    image_url,
+    source_url,
+    youtube_url,
+    attribution_text,
+    is_published = false,
+    license_type,
+    date_type = 'date',
+    start_date,
+    end_date,
+    astronomical_start_year,
+    astronomical_end_year,
+    date_precision,
+    uncertainty_years,
+    latitude,
+    longitude,
+    region
+  } = body
+
+  const row = {
+    title: title.trim(),
+    description: description?.trim() || null,
+    image_url: image_url?.trim() || null,
+    source_url: source_url?.trim() || null,
+    youtube_url: youtube_url?.trim() || null,
+    attribution_text: attribution_text?.trim() || null,
+    is_published: Boolean(is_published),
+    license_type: license_type?.trim() || null,
+    date_type,
+    start_date: date_type === 'date' ? normalizeHistoricalDate(start_date) : null,
+    end_date: date_type === 'date' && end_date ? normalizeHistoricalDate(end_date) : null,
+    astronomical_start_year: date_type === 'astronomical' ? Number(astronomical_start_year) : null,
+    astronomical_end_year: date_type === 'astronomical' && astronomical_end_year ? Number(astronomical_end_year) : null,
+    // Precision only applies to calendar dates; astronomical fuzziness is the ± uncertainty
+    date_precision: date_type === 'date' ? (date_precision || null) : null,
+    uncertainty_years: Number(uncertainty_years) > 0 ? Number(uncertainty_years) : null,
+    latitude: hasValue(latitude) ? Number(latitude) : null,
+    longitude: hasValue(longitude) ? Number(longitude) : null,
+    region: region || null
+  }
+
+  return { ...row, ...computeEpochYearsFields(row) }
+}
+
+/**
+ * Label names from a request body, trimmed, lowercased and de-duplicated.
+ * Labels are stored in the event_labels join table, not on the event row.
+ * The single `label` field of older clients and backups is still accepted.
+ * @returns {string[]|undefined} undefined when the body doesn't set labels
+ */
+export function normalizeEventLabels(body) {
+  let names
+  if (Array.isArray(body.labels)) names = body.labels
+  else if (body.labels === null) names = []
+  else if (body.label !== undefined) names = body.label ? [body.label] : []
+  else return undefined
+  return [...new Set(names.map(name => String(name).trim().toLowerCase()).filter(Boolean))].sort()
+}
+
+function isParentSpan(event) {
+  if (!event) return false
+  if (event.date_type === 'astronomical') {
+    return !!event.astronomical_end_year
+  }
+  return !!event.end_date
+}
+
+/**
+ * Ids of the rows nested under `parentId` at any depth (not including it).
+ * Server copy of getDescendantIds in client/src/utils/eventHierarchy.js.
+ * @returns {Set}
+ */
+export function getDescendantIds(rows, parentId) {
+  const ids = new Set()
+  let frontier = [parentId]
+  while (frontier.length > 0) {
+    const parents = new Set(frontier)
+    frontier = rows
+      .filter(row => row.parent_id != null && parents.has(row.parent_id) && !ids.has(row.id) && row.id !== parentId)
+      .map(row => row.id)
+    frontier.forEach(id => ids.add(id))
+  }
+  return ids
+}
+
+/**
+ * Validates a sub-event against its parent's span.
+ * Server copy of validateSubEventDates in client/src/utils/eventHierarchy.js.
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateSubEventDates(parent, childPayload) {
+  if (!parent || !isParentSpan(parent)) {
+    return { valid: false, error: 'Sub-events require a parent time span.' }
+  }
+  if (childPayload.date_type !== parent.date_type) {
+    return { valid: false, error: 'Sub-event must use the same date type as the parent.' }
+  }
+
+  if (childPayload.date_type === 'date') {
+    if (!childPayload.start_date) {
+      return { valid: false, error: 'Start date is required.' }
+    }
+    const parentStart = parent.start_date
+    const parentEnd = parent.end_date
+
+    if (childPayload.end_date) {
+      if (compareHistoricalDates(childPayload.start_date, childPayload.end_date) >= 0) {
+        return { valid: false, error: 'End date must be after start date.' }
+      }
+      if (parentStart && compareHistoricalDates(childPayload.start_date, parentStart) < 0) {
+        return { valid: false, error: 'Sub-event span must fall within the parent span.' }
+      }
+      if (parentEnd && compareHistoricalDates(childPayload.end_date, parentEnd) > 0) {
+        return { valid: false, error: 'Sub-event span must fall within the parent span.' }
+      }
+    } else {
+      const childDate = childPayload.start_date
+      if (parentStart && compareHistoricalDates(childDate, parentStart) < 0) {
+        return { valid: false, error: 'Sub-event date must be within the parent span.' }
+      }
+      if (parentEnd && compareHistoricalDates(childDate, parentEnd) > 0) {
+        return { valid: false, error: 'Sub-event date must be within the parent span.' }
+      }
+    }
+    return { valid: true }
+  }
+
+  const childStart = Number(childPayload.astronomical_start_year)
+  if (childPayload.astronomical_start_year == null || !Number.isFinite(childStart)) {
+    return { valid: false, error: 'Astronomical year is required.' }
+  }
+
+  const pStart = Number(parent.astronomical_start_year)
+  const pEnd = parent.astronomical_end_year != null ? Number(parent.astronomical_end_year) : pStart
+  const parentOlder = Math.max(pStart, pEnd)
+  const parentNewer = Math.min(pStart, pEnd)
+
+  if (childPayload.astronomical_end_year != null) {
+    const childEnd = Number(childPayload.astronomical_end_year)
+    if (!Number.isFinite(childEnd)) {
+      return { valid: false, error: 'Astronomical end year is invalid.' }
+    }
+    const childOlder = Math.max(childStart, childEnd)
+    const childNewer = Math.min(childStart, childEnd)
+    if (childOlder > parentOlder || childNewer < parentNewer) {
+      return { valid: false, error: 'Sub-event span must fall within the parent span (years ago).' }
+    }
+    return { valid: true }
+  }
+
+  if (childStart > parentOlder || childStart < parentNewer) {
+    return { valid: false, error: 'Sub-event must fall within the parent span (years ago).' }
+  }
+  return { valid: true }
+}
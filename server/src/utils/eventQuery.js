@@ -0,0 +1,343 @@
+/**
+ * Query parsing and filtering for GET /api/events.
+ *
+ * Every filter is implemented twice — once as a Supabase query and once over
+ * the in-memory mock array — and both paths must return the same rows in the
+ * same order.
+ */
+
+import { computeEpochYearsFields, yearsAgoToEpochYears } from './yearsAgo.js'
+
+export const SORT_FIELDS = ['created_at', 'updated_at', 'title', 'start_years_ago', 'end_years_ago']
+// The years-ago sorts order by the stored epoch positions, which sort the same way
+const SORT_COLUMNS = { start_years_ago: 'start_epoch_years', end_years_ago: 'end_epoch_years' }
+export const DEFAULT_PAGE_SIZE = 100
+export const MAX_PAGE_SIZE = 500
+export const NO_LABEL_FILTER = '__none__'
+// `any`: an event matches if it carries one of the labels; `all`: every one of them
+export const LABEL_MATCH_MODES = ['any', 'all']
+// Optional text fields that the `missing` filter can check (Admin "Needs cleanup")
+export const MISSING_FIELDS = ['attribution_text', 'source_url', 'license_type']
+
+function parseNumberParam(value) {
+  if (value === undefined || value === '') return undefined
+  const num = Number(value)
+  return Number.isFinite(num) ? num : null
+}
+
+function parseBooleanParam(value) {
+  if (value === undefined || value === '') return undefined
+  if (value === 'true' || value === '1') return true
+  if (value === 'false' || value === '0') return false
+  return null
+}
+
+export function encodeCursor(event, sort) {
+  const payload = { v: event[sort] ?? null, id: event.id }
+  return Buffer.from(JSON.stringify(payload)).toString('base64url')
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+    if (!payload || typeof payload !== 'object' || payload.id === undefined) return null
+    return payload
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Parse and validate GET /api/events query params.
+ *
+ * Supported params:
+ * - from, to: years-ago window; events overlapping it are returned
+ * - label: comma-separated label names (`__none__` matches unlabeled events)
+ * - label_match: any (default) | all
+ * - parent_id: parent event id, or `null` for top-level events only
+ * - published: true | false
+ * - q: case-insensitive search in title and description
+ * - missing: attribution_text | source_url | license_type (empty or null)
+ * - sort: created_at | updated_at | title | start_years_ago | end_years_ago,
+ *   order: asc | desc
+ * - limit, cursor: keyset pagination
+ *
+ * @param {Object} query - req.query
+ * @returns {{ valid: boolean, error?: string, options?: Object }}
+ */
+export function parseEventQuery(query = {}) {
+  const from = parseNumberParam(query.from)
+  const to = parseNumberParam(query.to)
+  if (from === null || to === null) {
+    return { valid: false, error: 'from and to must be numbers (years ago)' }
+  }
+  if ((from !== undefined && from < 0) || (to !== undefined && to < 0)) {
+    return { valid: false, error: 'from and to must not be negative' }
+  }
+
+  const published = parseBooleanParam(query.published)
+  if (published === null) {
+    return { valid: false, error: 'published must be true or false' }
+  }
+
+  const sort = query.sort || 'created_at'
+  if (!SORT_FIELDS.includes(sort)) {
+    return { valid: false, error: `Invalid sort. Must be one of: ${SORT_FIELDS.join(', ')}` }
+  }
+
+  const order = (query.order || 'asc').toLowerCase()
+  if (order !== 'asc' && order !== 'desc') {
+    return { valid: false, error: 'Invalid order. Must be "asc" or "desc"' }
+  }
+
+  let limit = parseNumberParam(query.limit)
+  if (limit === null || (limit !== undefined && (!Number.isInteger(limit) || limit < 1))) {
+    return { valid: false, error: 'limit must be a positive integer' }
+  }
+
+  let cursor = null
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor)
+    if (!cursor) {
+      return { valid: false, error: 'Invalid cursor' }
+    }
+    if (limit === undefined) limit = DEFAULT_PAGE_SIZE
+  }
+  if (limit !== undefined) limit = Math.min(limit, MAX_PAGE_SIZE)
+
+  const missing = query.missing || undefined
+  if (missing !== undefined && !MISSING_FIELDS.includes(missing)) {
+    return { valid: false, error: `Invalid missing. Must be one of: ${MISSING_FIELDS.join(', ')}` }
+  }
+
+  const labels = query.label
+    ? String(query.label).split(',').map(l => l.trim()).filter(Boolean)
+    : []
+
+  const labelMatch = query.label_match || 'any'
+  if (!LABEL_MATCH_MODES.includes(labelMatch)) {
+    return { valid: false, error: `Invalid label_match. Must be one of: ${LABEL_MATCH_MODES.join(', ')}` }
+  }
+
+  let parentId
+  if (query.parent_id !== undefined && query.parent_id !== '') {
+    parentId = query.parent_id === 'null' ? null : String(query.parent_id)
+  }
+
+  // Accept the window in either order; "from" ends up as the recent edge
+  let windowFrom = from
+  let windowTo = to
+  if (from !== undefined && to !== undefined && from > to) {
+    windowFrom = to
+    windowTo = from
+  }
+
+  // Years ago move with the clock, so the window is compared as epoch positions
+  const now = Date.now()
+  return {
+    valid: true,
+    options: {
+      from: windowFrom,
+      to: windowTo,
+      fromPosition: windowFrom !== undefined ? yearsAgoToEpochYears(windowFrom, now) : undefined,
+      toPosition: windowTo !== undefined ? yearsAgoToEpochYears(windowTo, now) : undefined,
+      labels,
+      labelMatch,
+      parentId,
+      published,
+      q: query.q ? String(query.q).trim() : '',
+      missing,
+      sort: SORT_COLUMNS[sort] || sort,
+      ascending: order === 'asc',
+      limit,
+      cursor
+    }
+  }
+}
+
+/**
+ * Whether an event overlaps the window [from, to], both epoch positions.
+ * Point events are treated as zero-length spans.
+ */
+function overlapsWindow(event, from, to) {
+  const positions = event.start_epoch_years != null ? event : computeEpochYearsFields(event)
+  const start = positions.start_epoch_years
+  if (start == null) return false
+  const end = positions.end_epoch_years ?? start
+  if (from !== undefined && start < from) return false
+  if (to !== undefined && end > to) return false
+  return true
+}
+
+/**
+ * Whether an event's labels satisfy a label filter.
+ * Server copy of matchesLabelFilter in client/src/utils/eventLabels.js.
+ * @param {string[]} eventLabels
+ * @param {string[]} filterLabels - Label names, `__none__` for unlabeled events
+ * @param {'any'|'all'} match
+ */
+export function matchesLabelFilter(eventLabels, filterLabels, match = 'any') {
+  const test = (label) => (
+    label === NO_LABEL_FILTER ? eventLabels.length === 0 : eventLabels.includes(label)
+  )
+  return match === 'all' ? filterLabels.every(test) : filterLabels.some(test)
+}
+
+function compareIds(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b
+  const sa = String(a)
+  const sb = String(b)
+  return sa < sb ? -1 : sa > sb ? 1 : 0
+}
+
+function compareValues(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+// Nulls sort last in both directions, matching `nullsFirst: false` below
+function compareBySort(a, b, sort, ascending) {
+  const aNull = a[sort] == null
+  const bNull = b[sort] == null
+  if (aNull !== bNull) return aNull ? 1 : -1
+  const diff = compareValues(a[sort], b[sort]) || compareIds(a.id, b.id)
+  return ascending ? diff : -diff
+}
+
+/**
+ * Apply parsed options to the mock events array.
+ * @returns {{ data: Object[], total: number, nextCursor: string|null }}
+ */
+export function queryMockEvents(events, options) {
+  const { fromPosition, toPosition, labels, labelMatch, parentId, published, q, missing, sort, ascending, limit, cursor } = options
+  const needle = q.toLowerCase()
+
+  const filtered = events.filter(event => {
+    if (event.deleted_at) return false
+    if ((fromPosition !== undefined || toPosition !== undefined) && !overlapsWindow(event, fromPosition, toPosition)) return false
+    if (labels.length > 0 && !matchesLabelFilter(event.labels || [], labels, labelMatch)) return false
+    if (parentId !== undefined) {
+      const eventParent = event.parent_id ?? null
+      if (parentId === null ? eventParent !== null : String(eventParent) !== parentId) return false
+    }
+    if (published !== undefined && Boolean(event.is_published) !== published) return false
+    if (missing && (event[missing] ?? '') !== '') return false
+    if (needle) {
+      const haystack = `${event.title || ''} ${event.description || ''}`.toLowerCase()
+      if (!haystack.includes(needle)) return false
+    }
+    return true
+  })
+
+  const sorted = [...filtered].sort((a, b) => compareBySort(a, b, sort, ascending))
+  const total = sorted.length
+
+  let startIndex = 0
+  if (cursor) {
+    const anchor = { [sort]: cursor.v, id: cursor.id }
+    startIndex = sorted.findIndex(event => compareBySort(event, anchor, sort, ascending) > 0)
+    if (startIndex === -1) startIndex = sorted.length
+  }
+
+  const data = limit !== undefined
+    ? sorted.slice(startIndex, startIndex + limit)
+    : sorted.slice(startIndex)
+  const hasMore = limit !== undefined && startIndex + limit < sorted.length
+  const nextCursor = hasMore ? encodeCursor(data[data.length - 1], sort) : null
+
+  return { data, total, nextCursor }
+}
+
+// PostgREST filter values containing reserved characters must be quoted
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+}
+
+// Array literal for the cs/ov operators on events_with_labels.labels
+function toArrayFilterValue(values) {
+  return `{${values.map(quoteFilterValue).join(',')}}`
+}
+
+/**
+ * Apply the filter part of the parsed options to a Supabase query builder.
+ * Sorting and pagination are left to the caller so the same filters can also
+ * drive a count query.
+ */
+export function applySupabaseFilters(builder, options) {
+  const { fromPosition, toPosition, labels, labelMatch, parentId, published, q, missing } = options
+  // Trashed events only show up through the trash endpoint
+  let query = builder.is('deleted_at', null)
+
+  if (fromPosition !== undefined) {
+    query = query.gte('start_epoch_years', fromPosition)
+  }
+  if (toPosition !== undefined) {
+    // Point events have no end, so their start must fall inside the window
+    query = query.or(`end_epoch_years.lte.${toPosition},and(end_epoch_years.is.null,start_epoch_years.lte.${toPosition})`)
+  }
+
+  if (labels.length > 0) {
+    const named = labels.filter(l => l !== NO_LABEL_FILTER)
+    const wantsNone = labels.includes(NO_LABEL_FILTER)
+    if (labelMatch === 'all') {
+      // "No labels" and a named label can't both hold; an impossible id keeps the result empty
+      if (wantsNone && named.length > 0) query = query.is('id', null)
+      else if (wantsNone) query = query.eq('labels', '{}')
+      else query = query.filter('labels', 'cs', toArrayFilterValue(named))
+    } else {
+      const clauses = []
+      if (named.length > 0) clauses.push(`labels.ov.${toArrayFilterValue(named)}`)
+      if (wantsNone) clauses.push('labels.eq.{}')
+      query = query.or(clauses.join(','))
+    }
+  }
+
+  if (parentId !== undefined) {
+    query = parentId === null ? query.is('parent_id', null) : query.eq('parent_id', parentId)
+  }
+
+  if (published !== undefined) {
+    query = query.eq('is_published', published)
+  }
+
+  if (missing) {
+    query = query.or(`${missing}.is.null,${missing}.eq.""`)
+  }
+
+  if (q) {
+    const pattern = quoteFilterValue(`%${q}%`)
+    query = query.or(`title.ilike.${pattern},description.ilike.${pattern}`)
+  }
+
+  return query
+}
+
+/**
+ * Apply sorting and the keyset cursor to a Supabase query builder.
+ */
+export function applySupabasePaging(builder, options) {
+  const { sort, ascending, limit, cursor } = options
+  let query = builder
+
+  if (cursor) {
+    const op = ascending ? 'gt' : 'lt'
+    const id = quoteFilterValue(cursor.id)
+    if (cursor.v == null) {
+      // Nulls sort last, so only the id tiebreaker is left among them
+      query = query.is(sort, null).filter('id', op, cursor.id)
+    } else {
+      const value = quoteFilterValue(cursor.v)
+      query = query.or(`${sort}.${op}.${value},and(${sort}.eq.${value},id.${op}.${id}),${sort}.is.null`)
+    }
+  }
+
+  query = query
+    .order(sort, { ascending, nullsFirst: false })
+    .order('id', { ascending })
+
+  if (limit !== undefined) {
+    // Fetch one extra row to know whether another page exists
+    query = query.limit(limit + 1)
+  }
+
+  return query
+}
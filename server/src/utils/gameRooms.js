@@ -0,0 +1,262 @@
+/**
+ * Online game rooms: everyone plays from their own browser and guesses the
+ * same hidden events at once. The host picks the mode and label filter and
+ * starts each round with events drawn by their client (every client loads
+ * the same events). Guesses stay hidden until every connected player has
+ * guessed, the host ends the round or a timed round runs out, and then
+ * everyone gets the reveal together.
+ *
+ * Rooms live in memory only, so a server restart closes them. Players send
+ * the API's answer shape (see gameStats.js) plus their `result_text` for the
+ * reveal; the points are scored here against the round's events, with the
+ * timed speed bonus going by the server's clock.
+ */
+
+import crypto from 'crypto'
+import {
+  MAX_PLAYER_NAME_LENGTH,
+  toPlayerNameKey,
+  validateSessionBody,
+  normalizeFilters,
+  validateRoundEventIds,
+  validateRoundEvents,
+  toRoundEvents,
+  validateGuess
+} from './gameStats.js'
+import { TIMED_TURN_MS, scoreAnswer } from './gameScoring.js'
+
+export const ROOM_PHASE = {
+  LOBBY: 'lobby',
+  GUESSING: 'guessing',
+  REVEAL: 'reveal'
+}
+
+export const MAX_ROOM_PLAYERS = 8
+const ROOM_CODE_LENGTH = 5
+// No 0/O or 1/I, so codes read out loud survive
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+// The hot-seat palette of client/src/pages/Game.jsx
+const PLAYER_COLORS = ['#f97316', '#06b6d4', '#eab308', '#a855f7', '#22c55e', '#ef4444', '#3b82f6', '#ec4899']
+// Timed turns last 20 seconds on the client; the server allows a little
+// longer so guesses sent at the buzzer still arrive
+const TIMED_ROUND_MS = TIMED_TURN_MS + 2000
+const MAX_RESULT_TEXT_LENGTH = 80
+
+/**
+ * A free join code.
+ * @param {(code: string) => boolean} isTaken
+ */
+export function createRoomCode(isTaken) {
+  let code
+  do {
+    code = Array.from(
+      { length: ROOM_CODE_LENGTH },
+      () => ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)]
+    ).join('')
+  } while (isTaken(code))
+  return code
+}
+
+export const toRoomCode = (value) => (typeof value === 'string' ? value.trim().toUpperCase() : '')
+
+export function createRoom(code) {
+  return {
+    code,
+    hostId: null,
+    phase: ROOM_PHASE.LOBBY,
+    settings: { mode: 'classic', filters: normalizeFilters() },
+    round: null,
+    players: []
+  }
+}
+
+/**
+ * Seats a new player; the first one in hosts the room.
+ * @returns {{ player: Object }|{ error: string }}
+ */
+export function addPlayer(room, name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'name is required' }
+  }
+  if (name.trim().length > MAX_PLAYER_NAME_LENGTH) {
+    return { error: `name must be at most ${MAX_PLAYER_NAME_LENGTH} characters` }
+  }
+  if (room.players.length >= MAX_ROOM_PLAYERS) {
+    return { error: `This room is full (${MAX_ROOM_PLAYERS} players)` }
+  }
+  if (room.players.some(p => toPlayerNameKey(p.name) === toPlayerNameKey(name))) {
+    return { error: `Someone in this room is already called ${name.trim()}` }
+  }
+
+  const usedColors = new Set(room.players.map(p => p.color))
+  const player = {
+    id: crypto.randomUUID(),
+    // Proves a reconnecting browser is this player
+    token: crypto.randomBytes(18).toString('base64url'),
+    name: name.trim(),
+    color: PLAYER_COLORS.find(color => !usedColors.has(color)) || PLAYER_COLORS[0],
+    score: 0,
+    connected: true
+  }
+  room.players.push(player)
+  if (!room.hostId) room.hostId = player.id
+  return { player }
+}
+
+export const findPlayerByToken = (room, token) => (
+  typeof token === 'string' ? room.players.find(p => p.token === token) || null : null
+)
+
+// A host who leaves or drops out hands the room to the next connected player
+function handOverHost(room, playerId) {
+  if (room.hostId !== playerId) return
+  const nextHost = room.players.find(p => p.id !== playerId && p.connected)
+  if (nextHost) room.hostId = nextHost.id
+}
+
+/** Keeps a dropped player's seat, score and guess for when they reconnect. */
+export function disconnectPlayer(room, playerId) {
+  const player = room.players.find(p => p.id === playerId)
+  if (player) player.connected = false
+  handOverHost(room, playerId)
+}
+
+export function removePlayer(room, playerId) {
+  handOverHost(room, playerId)
+  room.players = room.players.filter(p => p.id !== playerId)
+  room.round?.guesses.delete(playerId)
+  if (room.hostId === playerId) room.hostId = room.players[0]?.id || null
+}
+
+/**
+ * Host-only: the mode and label filter of the next rounds.
+ * @returns {string|null} error message
+ */
+export function updateSettings(room, { mode, filters } = {}) {
+  if (room.phase === ROOM_PHASE.GUESSING) {
+    return 'Settings can only change between rounds'
+  }
+  const validationError = validateSessionBody({ mode, filters })
+  if (validationError) return validationError
+  room.settings = { mode, filters: normalizeFilters(filters) }
+  return null
+}
+
+/**
+ * Host-only: starts a round of the room's mode with the given events. The
+ * events stay on the server to score the guesses.
+ * @param {Object} room
+ * @param {Array<string|number>} eventIds
+ * @param {Object[]} events - the rows found for eventIds
+ * @param {number} [now]
+ * @returns {string|null} error message
+ */
+export function startRound(room, eventIds, events, now = Date.now()) {
+  if (room.phase === ROOM_PHASE.GUESSING) {
+    return 'A round is already in progress'
+  }
+  const { mode } = room.settings
+  const eventIdsError = validateRoundEventIds(mode, eventIds) || validateRoundEvents(eventIds, events)
+  if (eventIdsError) return eventIdsError
+
+  room.phase = ROOM_PHASE.GUESSING
+  room.round = {
+    number: (room.round?.number || 0) + 1,
+    mode,
+    eventIds,
+    events: toRoundEvents(eventIds, events),
+    startedAt: now,
+    endsAt: mode === 'timed' ? now + TIMED_ROUND_MS : null,
+    guesses: new Map()
+  }
+  return null
+}
+
+/**
+ * A player's one guess for the current round, scored on arrival.
+ * @param {Object} guess - { answer, result_text? }
+ * @param {number} [now]
+ * @returns {string|null} error message
+ */
+export function submitGuess(room, playerId, guess, now = Date.now()) {
+  const { round } = room
+  if (room.phase !== ROOM_PHASE.GUESSING) {
+    return 'There is no round to guess in'
+  }
+  if (round.guesses.has(playerId)) {
+    return 'You have already guessed this round'
+  }
+  if (!guess || typeof guess !== 'object') {
+    return 'guess is required'
+  }
+  const guessError = validateGuess(round.mode, guess, round.eventIds.map(String))
+  if (guessError) return guessError
+  if (guess.result_text !== undefined && (
+    typeof guess.result_text !== 'string' || guess.result_text.length > MAX_RESULT_TEXT_LENGTH
+  )) {
+    return `result_text must be at most ${MAX_RESULT_TEXT_LENGTH} characters`
+  }
+
+  const answer = guess.answer ?? null
+  const { points, speed_bonus: speedBonus } = scoreAnswer(
+    round.mode,
+    answer,
+    round.events,
+    TIMED_TURN_MS - (now - round.startedAt)
+  )
+  round.guesses.set(playerId, {
+    player_id: playerId,
+    answer,
+    points,
+    ...(speedBonus !== undefined && { speed_bonus: speedBonus }),
+    result_text: guess.result_text || ''
+  })
+  return null
+}
+
+// A dropped player keeps the round open until they come back and guess or
+// their seat is given away; the host can end it sooner, as can a timed round's clock
+export const isRoundComplete = (room) => (
+  room.phase === ROOM_PHASE.GUESSING &&
+  room.round.guesses.size > 0 &&
+  room.players.every(p => room.round.guesses.has(p.id))
+)
+
+/** Ends the round: guesses become visible and their points are added up. */
+export function revealRound(room) {
+  room.phase = ROOM_PHASE.REVEAL
+  for (const guess of room.round.guesses.values()) {
+    const player = room.players.find(p => p.id === guess.player_id)
+    if (player) player.score += guess.points
+  }
+}
+
+/**
+ * What every player sees: no tokens, and no guesses before the reveal.
+ * @param {Object} room
+ * @param {number} [now]
+ */
+export function toRoomState(room, now = Date.now()) {
+  const { round } = room
+  return {
+    code: room.code,
+    host_id: room.hostId,
+    phase: room.phase,
+    settings: room.settings,
+    players: room.players.map(p => ({
+      id: p.id,
+      name: p.name,
+      color: p.color,
+      score: p.score,
+      connected: p.connected,
+      has_guessed: Boolean(round?.guesses.has(p.id))
+    })),
+    round: round && {
+      number: round.number,
+      mode: round.mode,
+      event_ids: round.eventIds,
+      time_left_ms: round.endsAt !== null ? Math.max(0, round.endsAt - now) : null,
+      guesses: room.phase === ROOM_PHASE.REVEAL ? [...round.guesses.values()] : []
+    }
+  }
+}
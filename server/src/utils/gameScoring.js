@@ -0,0 +1,170 @@
+/**
+ * Guessing-game scoring, so the points the API stores come from the answer
+ * and the events' dates rather than from the player's browser.
+ *
+ * Kept in sync with client/src/utils/gameModes.js, which scores the same
+ * answers for the on-screen result: every mode shares the 0–5000 scale of
+ * the classic mode, and timed guesses add a speed bonus of up to half that.
+ */
+
+import { MS_PER_YEAR, MIN_YEARS_AGO, eventStartYearsAgo, eventEndYearsAgo } from './yearsAgo.js'
+import { historicalPeriodToTimeRange } from './historicalDate.js'
+
+export const MAX_ROUND_POINTS = 5000
+export const TIMED_TURN_MS = 20000
+// A guess placed the instant the turn starts earns this share of its points again
+const TIMED_MAX_SPEED_BONUS = 0.5
+export const MAX_SPEED_BONUS = MAX_ROUND_POINTS * TIMED_MAX_SPEED_BONUS
+
+const timeToYearsAgo = (time) => Math.max(MIN_YEARS_AGO, (Date.now() - time) / MS_PER_YEAR)
+
+// As on the client, an astronomical end of 0 counts as no end
+const getEndYearsAgo = (event) => eventEndYearsAgo(event) || null
+
+// Range in which an event's start (and end, for spans) may actually lie:
+// date precision plus ± uncertainty_years. Null when exact to the day
+function getEventUncertaintyWindow(event) {
+  const uncertainty = Number(event.uncertainty_years) > 0 ? Number(event.uncertainty_years) : 0
+  let hasPeriod = false
+
+  const getEdge = (yearsAgo, dateString) => {
+    if (!Number.isFinite(yearsAgo)) return null
+    let older = yearsAgo
+    let newer = yearsAgo
+    if (event.date_type !== 'astronomical') {
+      const period = historicalPeriodToTimeRange(dateString, event.date_precision)
+      if (period && period.precision !== 'day') {
+        hasPeriod = true
+        older = timeToYearsAgo(period.start)
+        newer = timeToYearsAgo(period.end)
+      }
+    }
+    return {
+      older: older + uncertainty,
+      newer: Math.max(MIN_YEARS_AGO, newer - uncertainty)
+    }
+  }
+
+  const start = getEdge(eventStartYearsAgo(event), event.start_date)
+  if (!start) return null
+  const endYearsAgo = getEndYearsAgo(event)
+  const end = endYearsAgo !== null ? getEdge(endYearsAgo, event.end_date) : null
+
+  if (!uncertainty && !hasPeriod) return null
+  return { start, end }
+}
+
+// Where a guess counts as exact: the event's center, widened by its date
+// precision and ± uncertainty (averaged across both ends for spans)
+function getGuessTarget(event) {
+  const eventStart = eventStartYearsAgo(event)
+  const eventEnd = getEndYearsAgo(event)
+  const center = eventEnd !== null ? (eventStart + eventEnd) / 2 : eventStart
+  const range = getEventUncertaintyWindow(event)
+  if (!range) return { center, older: center, newer: center }
+  if (!range.end) return { center, older: range.start.older, newer: range.start.newer }
+  return {
+    center,
+    older: (range.start.older + range.end.older) / 2,
+    newer: (range.start.newer + range.end.newer) / 2
+  }
+}
+
+function getYearsOffTarget(yearsAgo, target) {
+  if (yearsAgo > target.older) return yearsAgo - target.older
+  if (yearsAgo < target.newer) return target.newer - yearsAgo
+  return 0
+}
+
+/**
+ * Classic points for placing `event` at `guessYearsAgo`.
+ * @param {number} guessYearsAgo
+ * @param {Object} event
+ * @returns {number}
+ */
+export function getPlacementPoints(guessYearsAgo, event) {
+  const target = getGuessTarget(event)
+  const yearsOff = getYearsOffTarget(guessYearsAgo, target)
+  if (!Number.isFinite(yearsOff) || !Number.isFinite(target.center)) return 0
+  if (yearsOff === 0) return MAX_ROUND_POINTS
+
+  const relativeError = yearsOff / Math.max(1, target.center)
+  if (relativeError <= 0.015) return MAX_ROUND_POINTS
+
+  const softenedRatio = Math.max(0, 1 - Math.min(1, relativeError * 2))
+  return Math.round(Math.pow(softenedRatio, 0.7) * MAX_ROUND_POINTS)
+}
+
+function getTimedPoints(basePoints, timeLeftMs) {
+  const remaining = Math.min(1, Math.max(0, timeLeftMs / TIMED_TURN_MS))
+  const speedBonus = Math.round(basePoints * TIMED_MAX_SPEED_BONUS * remaining)
+  return { points: basePoints + speedBonus, speed_bonus: speedBonus }
+}
+
+// Kendall tau of the guessed order (oldest first) against the true one
+function getOrderingPoints(guessedEvents) {
+  const years = guessedEvents.map(eventStartYearsAgo)
+  let concordant = 0
+  let discordant = 0
+  for (let i = 0; i < years.length; i++) {
+    for (let j = i + 1; j < years.length; j++) {
+      if (years[i] > years[j]) concordant++
+      else if (years[i] < years[j]) discordant++
+    }
+  }
+  const pairs = concordant + discordant
+  const tau = pairs > 0 ? (concordant - discordant) / pairs : 1
+  return Math.round(Math.max(0, tau) * MAX_ROUND_POINTS)
+}
+
+// Right answers earn 40% to full points, the closer the two events the more
+function getWhichFirstPoints(picked, other) {
+  const pickedYears = eventStartYearsAgo(picked)
+  const otherYears = eventStartYearsAgo(other)
+  if (!(pickedYears > otherYears)) return 0
+
+  const ratio = Math.max(1, pickedYears) / Math.max(1, otherYears)
+  const closeness = 1 - Math.min(1, Math.log10(Math.max(1, ratio)) / 2)
+  return Math.round((0.4 + 0.6 * closeness) * MAX_ROUND_POINTS)
+}
+
+// Intersection over union of the guessed range and the event's span, softened
+function getSpanOverlapPoints(range, event) {
+  const start = eventStartYearsAgo(event)
+  const end = getEndYearsAgo(event) ?? start
+  const older = Math.max(start, end)
+  const newer = Math.min(start, end)
+
+  const intersection = Math.max(0, Math.min(older, range.older) - Math.max(newer, range.newer))
+  const union = Math.max(older, range.older) - Math.min(newer, range.newer)
+  const overlap = union > 0 ? intersection / union : 0
+  return Math.round(Math.pow(overlap, 0.7) * MAX_ROUND_POINTS)
+}
+
+/**
+ * Points for a validated answer (see validateGuess in gameStats.js).
+ * @param {string} mode
+ * @param {Object|null} answer - null when a timed turn ran out
+ * @param {Object[]} events - the round's events, in round order
+ * @param {number} [timeLeftMs] - timed mode: time left on the turn when the guess came in
+ * @returns {{ points: number, speed_bonus?: number }}
+ */
+export function scoreAnswer(mode, answer, events, timeLeftMs = 0) {
+  if (!answer) return { points: 0 }
+
+  if (mode === 'classic' || mode === 'timed') {
+    const points = getPlacementPoints(answer.years_ago, events[0])
+    return mode === 'timed' ? getTimedPoints(points, timeLeftMs) : { points }
+  }
+  if (mode === 'span') {
+    return { points: getSpanOverlapPoints(answer.range, events[0]) }
+  }
+
+  const byId = new Map(events.map(event => [String(event.id), event]))
+  if (mode === 'ordering') {
+    return { points: getOrderingPoints(answer.order.map(id => byId.get(String(id)))) }
+  }
+  const picked = byId.get(String(answer.picked_event_id))
+  const other = events.find(event => event !== picked)
+  return { points: getWhichFirstPoints(picked, other) }
+}
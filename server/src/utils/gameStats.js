@@ -0,0 +1,372 @@
+/**
+ * Guessing-game records: validation of submitted sessions and rounds, and
+ * the leaderboard and player-profile aggregations.
+ *
+ * A round is stored as { session_id, round_number, mode, event_ids,
+ * player_ids, guesses, created_at } with one guess per player:
+ * { player_id, answer, points, accuracy }. Players only send their answers;
+ * the points are scored here from the events' dates (gameScoring.js): up to
+ * 5000 a round, plus a speed bonus of up to half that in timed mode.
+ * Accuracy is the share of the 5000 earned without the bonus, so modes
+ * compare fairly.
+ */
+
+import { eventStartYearsAgo } from './yearsAgo.js'
+import { MAX_ROUND_POINTS, TIMED_TURN_MS, scoreAnswer } from './gameScoring.js'
+
+export const GAME_MODES = ['classic', 'timed', 'ordering', 'which-first', 'span']
+export const LEADERBOARD_PERIODS = ['daily', 'weekly', 'all-time']
+export const MAX_PLAYER_NAME_LENGTH = 40
+
+const MODE_EVENT_COUNTS = { classic: 1, timed: 1, ordering: 5, 'which-first': 2, span: 1 }
+const MAX_PLAYERS = 12
+// A session is one sitting; longer runs start a new one
+export const MAX_SESSION_ROUNDS = 100
+const HISTORY_LIMIT = 50
+// Per-era stats use the most specific band that covers an event: human-history
+// ages first, then geological periods, eras and eons
+const STAT_ERA_RANKS = ['age', 'period', 'era', 'eon']
+
+const isEventId = (value) => typeof value === 'string' || Number.isInteger(value)
+const isNonNegativeNumber = (value) => Number.isFinite(value) && value >= 0
+
+export const toPlayerNameKey = (name) => name.trim().toLowerCase()
+
+export function validateSessionBody({ mode, filters, players }) {
+  if (!GAME_MODES.includes(mode)) {
+    return `mode must be one of: ${GAME_MODES.join(', ')}`
+  }
+  if (filters !== undefined && filters !== null) {
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+      return 'filters must be an object'
+    }
+    if (filters.labels !== undefined && (!Array.isArray(filters.labels) || !filters.labels.every(l => typeof l === 'string'))) {
+      return 'filters.labels must be an array of label names'
+    }
+    if (filters.filter_mode !== undefined && !['include', 'exclude'].includes(filters.filter_mode)) {
+      return 'filters.filter_mode must be include or exclude'
+    }
+    if (filters.label_match !== undefined && !['any', 'all'].includes(filters.label_match)) {
+      return 'filters.label_match must be any or all'
+    }
+  }
+  if (players !== undefined) {
+    if (!Array.isArray(players) || players.length > MAX_PLAYERS) {
+      return `players must be an array of up to ${MAX_PLAYERS} names`
+    }
+    const keys = new Set()
+    for (const name of players) {
+      if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_PLAYER_NAME_LENGTH) {
+        return `Player names must be 1 to ${MAX_PLAYER_NAME_LENGTH} characters`
+      }
+      if (keys.has(toPlayerNameKey(name))) {
+        return `Player "${name.trim()}" is listed twice`
+      }
+      keys.add(toPlayerNameKey(name))
+    }
+  }
+  return null
+}
+
+export const normalizeFilters = (filters) => ({
+  labels: filters?.labels || [],
+  filter_mode: filters?.filter_mode || 'include',
+  label_match: filters?.label_match || 'any'
+})
+
+function validateAnswer(mode, answer, eventIds) {
+  if (mode === 'timed' && answer === null) return null
+  if (!answer || typeof answer !== 'object') return 'answer is required'
+
+  if (mode === 'classic' || mode === 'timed') {
+    if (!isNonNegativeNumber(answer.years_ago)) return 'answer.years_ago must be a number of years ago'
+    if (mode === 'timed' && answer.time_left_ms !== undefined && (
+      !isNonNegativeNumber(answer.time_left_ms) || answer.time_left_ms > TIMED_TURN_MS
+    )) {
+      return `answer.time_left_ms must be from 0 to ${TIMED_TURN_MS}`
+    }
+    return null
+  }
+  if (mode === 'span') {
+    const { older, newer } = answer.range || {}
+    return isNonNegativeNumber(older) && isNonNegativeNumber(newer) && older >= newer
+      ? null
+      : 'answer.range must be { older, newer } in years ago'
+  }
+  if (mode === 'ordering') {
+    const order = Array.isArray(answer.order) ? answer.order.map(String) : []
+    return order.length === eventIds.length && eventIds.every(id => order.includes(id))
+      ? null
+      : 'answer.order must list each of the round\'s events once'
+  }
+  return eventIds.includes(String(answer.picked_event_id))
+    ? null
+    : 'answer.picked_event_id must be one of the round\'s events'
+}
+
+/**
+ * Checks a round's events: the mode's number of distinct ids.
+ * @returns {string|null} error message
+ */
+export function validateRoundEventIds(mode, eventIds) {
+  const expectedEvents = MODE_EVENT_COUNTS[mode]
+  if (!Array.isArray(eventIds) || eventIds.length !== expectedEvents || !eventIds.every(isEventId)) {
+    return `event_ids must list the round's ${expectedEvents} event id${expectedEvents === 1 ? '' : 's'}`
+  }
+  if (new Set(eventIds.map(String)).size !== eventIds.length) {
+    return 'event_ids must not repeat'
+  }
+  return null
+}
+
+/**
+ * Checks one player's guess: an answer of the mode's shape about the
+ * round's events. Timed answers may carry the turn's `time_left_ms` for the
+ * speed bonus.
+ * @param {string} mode
+ * @param {Object} guess - { answer }
+ * @param {string[]} eventIds
+ * @returns {string|null} error message
+ */
+export function validateGuess(mode, guess, eventIds) {
+  return validateAnswer(mode, guess.answer ?? null, eventIds)
+}
+
+/**
+ * Checks that a round's events all exist (and aren't in the trash).
+ * @param {Array<string|number>} eventIds - validated by validateRoundEventIds
+ * @param {Object[]} events - the rows found for them
+ * @returns {string|null} error message
+ */
+export function validateRoundEvents(eventIds, events) {
+  const found = new Set(events.filter(e => !e.deleted_at).map(e => String(e.id)))
+  const unknown = eventIds.map(String).find(id => !found.has(id))
+  return unknown === undefined ? null : `Unknown event id "${unknown}"`
+}
+
+/**
+ * Checks a round against its session: the mode's number of existing events
+ * and one guess per player (a single anonymous guess for solo sessions).
+ * @param {Object} body
+ * @param {Object} session
+ * @param {Object[]} events - the rows found for body.event_ids
+ * @returns {string|null} error message
+ */
+export function validateRoundBody({ event_ids: eventIds, guesses }, session, events) {
+  const eventIdsError = validateRoundEventIds(session.mode, eventIds) || validateRoundEvents(eventIds, events)
+  if (eventIdsError) return eventIdsError
+  const ids = eventIds.map(String)
+
+  const playerIds = session.player_ids
+  const expectedGuesses = playerIds.length || 1
+  if (!Array.isArray(guesses) || guesses.length !== expectedGuesses) {
+    return `guesses must have one entry per player (${expectedGuesses})`
+  }
+
+  const seen = new Set()
+  for (let i = 0; i < guesses.length; i++) {
+    const guess = guesses[i] || {}
+    const playerId = guess.player_id ?? null
+    if (playerIds.length > 0 ? !playerIds.includes(playerId) || seen.has(playerId) : playerId !== null) {
+      return `Guess ${i + 1}: player_id must be a player of this session, once each`
+    }
+    seen.add(playerId)
+    const guessError = validateGuess(session.mode, guess, ids)
+    if (guessError) {
+      return `Guess ${i + 1}: ${guessError}`
+    }
+  }
+  return null
+}
+
+const getAccuracy = (points, speedBonus = 0) => (
+  Math.round(Math.min(1, Math.max(0, (points - speedBonus) / MAX_ROUND_POINTS)) * 1000) / 1000
+)
+
+/**
+ * The events of a round in its event_ids order.
+ * @param {Array<string|number>} eventIds
+ * @param {Object[]} events
+ */
+export const toRoundEvents = (eventIds, events) => (
+  eventIds.map(id => events.find(event => String(event.id) === String(id)))
+)
+
+/**
+ * The round row to store, event ids as strings and each guess scored.
+ * @param {Object} body - validated round body
+ * @param {Object} session
+ * @param {number} roundNumber
+ * @param {Object[]} events - the round's events
+ */
+export function toStoredRound({ event_ids: eventIds, guesses }, session, roundNumber, events) {
+  const roundEvents = toRoundEvents(eventIds, events)
+  return {
+    session_id: session.id,
+    round_number: roundNumber,
+    mode: session.mode,
+    event_ids: eventIds.map(String),
+    player_ids: session.player_ids,
+    guesses: guesses.map(guess => {
+      const answer = guess.answer ?? null
+      const { points, speed_bonus: speedBonus } = scoreAnswer(session.mode, answer, roundEvents, answer?.time_left_ms)
+      return {
+        player_id: guess.player_id ?? null,
+        answer,
+        points,
+        accuracy: getAccuracy(points, speedBonus)
+      }
+    })
+  }
+}
+
+/**
+ * Start of the current leaderboard period in UTC: midnight today for
+ * `daily`, Monday midnight for `weekly`, null for `all-time`.
+ * @param {string} period
+ * @param {Date} [now]
+ * @returns {string|null} ISO timestamp
+ */
+export function getPeriodStart(period, now = new Date()) {
+  if (period === 'all-time') return null
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+  if (period === 'weekly') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7))
+  }
+  return start.toISOString()
+}
+
+const average = (total, count) => (count > 0 ? Math.round((total / count) * 1000) / 1000 : 0)
+
+/**
+ * Named players ranked by points over the given rounds, ties broken by
+ * accuracy. Anonymous solo guesses don't count.
+ * @param {Object[]} rounds
+ * @param {Object[]} players - { id, name } rows for the players in `rounds`
+ * @param {number} [limit]
+ */
+export function buildLeaderboard(rounds, players, limit = 20) {
+  const names = new Map(players.map(player => [player.id, player.name]))
+  const totals = new Map()
+  for (const round of rounds) {
+    for (const guess of round.guesses) {
+      if (!guess.player_id || !names.has(guess.player_id)) continue
+      const entry = totals.get(guess.player_id) || { points: 0, rounds: 0, accuracy: 0 }
+      entry.points += guess.points
+      entry.rounds += 1
+      entry.accuracy += guess.accuracy
+      totals.set(guess.player_id, entry)
+    }
+  }
+
+  return [...totals.entries()]
+    .map(([playerId, entry]) => ({
+      player_id: playerId,
+      name: names.get(playerId),
+      points: entry.points,
+      rounds: entry.rounds,
+      accuracy: average(entry.accuracy, entry.rounds)
+    }))
+    .sort((a, b) => b.points - a.points || b.accuracy - a.accuracy)
+    .slice(0, limit)
+    .map((entry, index) => ({ rank: index + 1, ...entry }))
+}
+
+const findStatEra = (yearsAgo, eras) => {
+  if (yearsAgo === null) return null
+  for (const rank of STAT_ERA_RANKS) {
+    const era = eras.find(e => e.rank === rank && e.start_years_ago >= yearsAgo && e.end_years_ago <= yearsAgo)
+    if (era) return era
+  }
+  return null
+}
+
+// Accumulates accuracy per key; each key counts once per round
+function addToStats(stats, keys, accuracy, describe) {
+  for (const key of new Set(keys)) {
+    const entry = stats.get(key) || { ...describe(key), rounds: 0, accuracy: 0 }
+    entry.rounds += 1
+    entry.accuracy += accuracy
+    stats.set(key, entry)
+  }
+}
+
+const toStatList = (stats) => [...stats.values()]
+  .map(entry => ({ ...entry, accuracy: average(entry.accuracy, entry.rounds) }))
+  .sort((a, b) => b.rounds - a.rounds || b.accuracy - a.accuracy)
+
+/**
+ * A player's totals, accuracy by mode, label and era, and recent rounds.
+ * Rounds count toward every label and era of the events they hid.
+ * @param {Object} player
+ * @param {Object[]} rounds - rounds the player took part in
+ * @param {Object[]} events - the events those rounds used, with labels
+ * @param {Object[]} eras - era bands
+ */
+export function buildPlayerProfile(player, rounds, events, eras) {
+  const eventsById = new Map(events.map(event => [String(event.id), event]))
+  const byMode = new Map()
+  const byLabel = new Map()
+  const byEra = new Map()
+  const erasById = new Map(eras.map(era => [String(era.id), era]))
+  const history = []
+  let points = 0
+  let accuracy = 0
+  let bestRound = 0
+
+  const played = rounds
+    .map(round => ({ round, guess: round.guesses.find(g => g.player_id === player.id) }))
+    .filter(({ guess }) => guess)
+    .sort((a, b) => new Date(b.round.created_at) - new Date(a.round.created_at))
+
+  for (const { round, guess } of played) {
+    const roundEvents = round.event_ids.map(id => eventsById.get(id)).filter(Boolean)
+    points += guess.points
+    accuracy += guess.accuracy
+    bestRound = Math.max(bestRound, guess.points)
+
+    addToStats(byMode, [round.mode], guess.accuracy, mode => ({ mode }))
+    addToStats(
+      byLabel,
+      roundEvents.flatMap(event => (event.labels?.length ? event.labels : ['__none__'])),
+      guess.accuracy,
+      label => ({ label })
+    )
+    addToStats(
+      byEra,
+      roundEvents
+        .map(event => findStatEra(eventStartYearsAgo(event), eras))
+        .filter(Boolean)
+        .map(era => String(era.id)),
+      guess.accuracy,
+      id => ({ era_id: id, name: erasById.get(id).name, rank: erasById.get(id).rank })
+    )
+
+    if (history.length < HISTORY_LIMIT) {
+      history.push({
+        session_id: round.session_id,
+        round_number: round.round_number,
+        mode: round.mode,
+        event_ids: round.event_ids,
+        answer: guess.answer,
+        points: guess.points,
+        accuracy: guess.accuracy,
+        created_at: round.created_at
+      })
+    }
+  }
+
+  return {
+    player: { id: player.id, name: player.name, created_at: player.created_at },
+    totals: {
+      rounds: played.length,
+      points,
+      accuracy: average(accuracy, played.length),
+      best_round: bestRound
+    },
+    by_mode: toStatList(byMode),
+    by_label: toStatList(byLabel),
+    by_era: toStatList(byEra),
+    history
+  }
+}
@@ -0,0 +1,274 @@
+/**
+ * Historical calendar dates: signed years with optional month and day.
+ *
+ * Stored as ISO 8601 with astronomical year numbering ("-0752-04-21",
+ * "1969-07", "0476"), where year 0 is 1 BCE and year -752 is 753 BCE.
+ * Dates are proleptic Gregorian, so an event's position is consistent across
+ * the whole timeline rather than following the Julian calendar before 1582.
+ *
+ * Kept in sync with client/src/utils/historicalDate.js.
+ */
+
+export const MIN_HISTORICAL_YEAR = -999999
+export const MAX_HISTORICAL_YEAR = 9999
+
+// Per-event date precision, finest first
+export const DATE_PRECISIONS = ['day', 'month', 'year', 'decade', 'century', 'millennium']
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+]
+
+const ERA = '(bce|bc|ce|ad)'
+const ISO_PATTERN = new RegExp(`^([+-])?(\\d{1,6})(?:-(\\d{1,2})(?:-(\\d{1,2})(?:t[\\d:]+z?)?)?)?(?:\\s*${ERA})?$`)
+const AD_PREFIX_PATTERN = /^(?:ad|ce)\s*(\d{1,4})$/
+const MONTH_FIRST_PATTERN = new RegExp(`^([a-z]+)\\s+(?:(\\d{1,2})(?:st|nd|rd|th)?,?\\s+)?(\\d{1,6})(?:\\s*${ERA})?$`)
+const DAY_FIRST_PATTERN = new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?\\s+([a-z]+),?\\s+(\\d{1,6})(?:\\s*${ERA})?$`)
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0
+}
+
+function daysInMonth(year, month) {
+  if (month === 2) return isLeapYear(year) ? 29 : 28
+  return [4, 6, 9, 11].includes(month) ? 30 : 31
+}
+
+function monthFromName(name) {
+  if (name.length < 3) return null
+  const index = MONTH_NAMES.findIndex(month => month.toLowerCase().startsWith(name))
+  return index === -1 ? null : index + 1
+}
+
+// Era years count from 1; BCE maps onto astronomical numbering (1 BCE = year 0)
+function toAstronomicalYear(yearText, era, sign) {
+  const year = Number(yearText)
+  if (!era) return sign === '-' ? -year : year
+  if (sign || year < 1) return null
+  return era === 'bc' || era === 'bce' ? 1 - year : year
+}
+
+function buildParts(year, month, day) {
+  if (year === null || year < MIN_HISTORICAL_YEAR || year > MAX_HISTORICAL_YEAR) return null
+  if (month !== null && (month < 1 || month > 12)) return null
+  if (day !== null && (month === null || day < 1 || day > daysInMonth(year, month))) return null
+  return { year, month, day }
+}
+
+/**
+ * Parse a historical date. Accepts stored values ("-0752-04-21", "1969-07",
+ * "0476"), era-suffixed years and dates ("753 BCE", "0753-04-21 BC", "AD 476")
+ * and month names ("April 21, 753 BC", "21 April 753 BCE", "March 44 BC").
+ * Unsigned values without an era are CE; signed values are astronomical.
+ * @param {string} input
+ * @returns {{ year: number, month: number|null, day: number|null }|null}
+ */
+export function parseHistoricalDate(input) {
+  if (input === null || input === undefined) return null
+  const str = String(input).toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ').trim()
+  if (!str) return null
+
+  const isoMatch = str.match(ISO_PATTERN)
+  if (isoMatch) {
+    const [, sign, year, month, day, era] = isoMatch
+    return buildParts(
+      toAstronomicalYear(year, era, sign),
+      month ? Number(month) : null,
+      day ? Number(day) : null
+    )
+  }
+
+  const adMatch = str.match(AD_PREFIX_PATTERN)
+  if (adMatch) {
+    return buildParts(toAstronomicalYear(adMatch[1], 'ad'), null, null)
+  }
+
+  const monthFirstMatch = str.match(MONTH_FIRST_PATTERN)
+  if (monthFirstMatch) {
+    const [, monthName, day, year, era] = monthFirstMatch
+    const month = monthFromName(monthName)
+    if (!month) return null
+    return buildParts(toAstronomicalYear(year, era), month, day ? Number(day) : null)
+  }
+
+  const dayFirstMatch = str.match(DAY_FIRST_PATTERN)
+  if (dayFirstMatch) {
+    const [, day, monthName, year, era] = dayFirstMatch
+    const month = monthFromName(monthName)
+    if (!month) return null
+    return buildParts(toAstronomicalYear(year, era), month, Number(day))
+  }
+
+  return null
+}
+
+/**
+ * Canonical stored form of a historical date, or null if it can't be parsed.
+ * @param {string} input
+ * @returns {string|null} e.g. "-0752-04-21", "1969-07", "0476"
+ */
+export function normalizeHistoricalDate(input) {
+  const parts = parseHistoricalDate(input)
+  if (!parts) return null
+  const pad = (value, length) => String(value).padStart(length, '0')
+  let value = `${parts.year < 0 ? '-' : ''}${pad(Math.abs(parts.year), 4)}`
+  if (parts.month !== null) value += `-${pad(parts.month, 2)}`
+  if (parts.day !== null) value += `-${pad(parts.day, 2)}`
+  return value
+}
+
+/**
+ * Display label for an astronomical year: "753 BCE", "476 CE", "1969".
+ * @param {number} year
+ * @returns {string}
+ */
+export function formatHistoricalYear(year) {
+  if (year <= 0) {
+    const eraYear = 1 - year
+    return `${eraYear >= 10000 ? eraYear.toLocaleString('en-US') : eraYear} BCE`
+  }
+  return year < 1000 ? `${year} CE` : `${year}`
+}
+
+/**
+ * Human-readable historical date: "April 21, 753 BCE", "March 44 BCE", "1969".
+ * @param {string} input
+ * @returns {string|null}
+ */
+export function formatHistoricalDate(input) {
+  const parts = parseHistoricalDate(input)
+  if (!parts) return null
+  const yearLabel = formatHistoricalYear(parts.year)
+  if (parts.month === null) return yearLabel
+  const monthLabel = MONTH_NAMES[parts.month - 1]
+  return parts.day === null ? `${monthLabel} ${yearLabel}` : `${monthLabel} ${parts.day}, ${yearLabel}`
+}
+
+// Days from civil date (proleptic Gregorian), counted from 1970-01-01
+function partsToTime(parts) {
+  const month = parts.month ?? 1
+  const day = parts.day ?? 1
+  const year = month <= 2 ? parts.year - 1 : parts.year
+  const era = Math.floor(year / 400)
+  const yearOfEra = year - era * 400
+  const dayOfYear = Math.floor((153 * (month + (month > 2 ? -3 : 9)) + 2) / 5) + day - 1
+  const dayOfEra = yearOfEra * 365 + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100) + dayOfYear
+  return (era * 146097 + dayOfEra - 719468) * MS_PER_DAY
+}
+
+/**
+ * Milliseconds since the Unix epoch (UTC midnight, like Date#getTime) for a
+ * historical date. Missing month/day count from the start of the period.
+ * Works beyond the JavaScript Date range.
+ * @param {string} input
+ * @returns {number|null}
+ */
+export function historicalDateToTime(input) {
+  const parts = parseHistoricalDate(input)
+  return parts ? partsToTime(parts) : null
+}
+
+/**
+ * Compare two historical dates chronologically.
+ * @returns {number|null} Negative if a is earlier, positive if later, null if either is invalid
+ */
+export function compareHistoricalDates(a, b) {
+  const timeA = historicalDateToTime(a)
+  const timeB = historicalDateToTime(b)
+  if (timeA === null || timeB === null) return null
+  return timeA - timeB
+}
+
+function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th'
+  return `${n}${suffix}`
+}
+
+// Precision can only widen what the date itself says ("1969" can't be day-precise)
+function resolvePrecision(parts, precision) {
+  const inferred = parts.day !== null ? 'day' : parts.month !== null ? 'month' : 'year'
+  const requested = DATE_PRECISIONS.includes(precision) ? precision : inferred
+  return DATE_PRECISIONS[Math.max(DATE_PRECISIONS.indexOf(requested), DATE_PRECISIONS.indexOf(inferred))]
+}
+
+// Decade, century or millennium containing a year: inclusive astronomical years and a label
+function getYearPeriod(year, precision) {
+  const isBce = year <= 0
+  const eraYear = isBce ? 1 - year : year
+  const era = isBce ? ' BCE' : ''
+  // Astronomical year for an era year (both ends inclusive)
+  const toYear = (value) => (isBce ? 1 - value : value)
+
+  if (precision === 'decade') {
+    const decade = Math.floor(eraYear / 10) * 10
+    const first = toYear(isBce ? decade + 9 : Math.max(decade, 1))
+    const last = toYear(isBce ? Math.max(decade, 1) : decade + 9)
+    return { first, last, label: `${decade}s${era}` }
+  }
+
+  const size = precision === 'century' ? 100 : 1000
+  const index = Math.floor((eraYear - 1) / size) + 1
+  const first = toYear(isBce ? index * size : (index - 1) * size + 1)
+  const last = toYear(isBce ? (index - 1) * size + 1 : index * size)
+  return { first, last, label: `${ordinal(index)} ${precision}${era}` }
+}
+
+/**
+ * Display label for a date at a given precision: "July 1969", "1960s",
+ * "15th century", "2nd millennium BCE". Without a precision, the date is
+ * shown as precisely as it was entered.
+ * @param {string} input
+ * @param {string|null} [precision] - One of DATE_PRECISIONS
+ * @returns {string|null}
+ */
+export function formatHistoricalPeriod(input, precision = null) {
+  const parts = parseHistoricalDate(input)
+  if (!parts) return null
+  const resolved = resolvePrecision(parts, precision)
+
+  if (resolved === 'day') return formatHistoricalDate(input)
+  if (resolved === 'month') return `${MONTH_NAMES[parts.month - 1]} ${formatHistoricalYear(parts.year)}`
+  if (resolved === 'year') return formatHistoricalYear(parts.year)
+  return getYearPeriod(parts.year, resolved).label
+}
+
+/**
+ * Time range covered by a date at a given precision, e.g. "1450" at century
+ * precision covers 1401-01-01 up to (not including) 1501-01-01.
+ * @param {string} input
+ * @param {string|null} [precision] - One of DATE_PRECISIONS
+ * @returns {{ start: number, end: number, precision: string }|null} Epoch ms, end exclusive
+ */
+export function historicalPeriodToTimeRange(input, precision = null) {
+  const parts = parseHistoricalDate(input)
+  if (!parts) return null
+  const resolved = resolvePrecision(parts, precision)
+  const start = partsToTime(parts)
+
+  if (resolved === 'day') {
+    return { start, end: start + MS_PER_DAY, precision: resolved }
+  }
+  if (resolved === 'month') {
+    const next = parts.month === 12
+      ? { year: parts.year + 1, month: 1, day: 1 }
+      : { year: parts.year, month: parts.month + 1, day: 1 }
+    return { start: partsToTime({ ...parts, day: 1 }), end: partsToTime(next), precision: resolved }
+  }
+  if (resolved === 'year') {
+    return {
+      start: partsToTime({ year: parts.year, month: 1, day: 1 }),
+      end: partsToTime({ year: parts.year + 1, month: 1, day: 1 }),
+      precision: resolved
+    }
+  }
+
+  const { first, last } = getYearPeriod(parts.year, resolved)
+  return {
+    start: partsToTime({ year: first, month: 1, day: 1 }),
+    end: partsToTime({ year: last + 1, month: 1, day: 1 }),
+    precision: resolved
+  }
+}
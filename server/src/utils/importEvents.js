@@ -0,0 +1,456 @@
+/**
+ * Bulk import of events from CSV or JSON.
+ *
+ * The flow is: parse the file into raw rows, map columns to event fields,
+ * validate every row (including sub-events against their parent span) and
+ * return a per-row report. Nothing is written until every row is valid.
+ */
+
+import { validateEventData, validateSubEventDates, normalizeEventPayload, EVENT_REGIONS } from './eventPayload.js'
+import { parseCsv } from './csv.js'
+import { normalizeHistoricalDate, DATE_PRECISIONS } from './historicalDate.js'
+
+export const IMPORT_FORMATS = ['csv', 'json']
+
+// Same multipliers as the unit select in the client EventForm
+export const ASTRONOMICAL_UNITS = {
+  years: 1,
+  thousands: 1000,
+  millions: 1000000,
+  billions: 1000000000
+}
+
+const UNIT_SUFFIXES = {
+  y: 'years', yr: 'years', yrs: 'years', year: 'years', years: 'years',
+  k: 'thousands', ka: 'thousands', kyr: 'thousands', thousand: 'thousands', thousands: 'thousands',
+  m: 'millions', ma: 'millions', mya: 'millions', myr: 'millions', million: 'millions', millions: 'millions',
+  b: 'billions', bn: 'billions', ga: 'billions', bya: 'billions', gyr: 'billions', billion: 'billions', billions: 'billions'
+}
+
+/**
+ * Target fields a column can be mapped to. `aliases` drive the suggested
+ * mapping for common spreadsheet headings.
+ */
+export const IMPORT_FIELDS = [
+  { key: 'title', label: 'Title', aliases: ['name', 'event'] },
+  { key: 'description', label: 'Description', aliases: ['summary', 'details'] },
+  { key: 'labels', label: 'Labels', aliases: ['label', 'category', 'tag', 'tags'] },
+  { key: 'date_type', label: 'Date type', aliases: ['type'] },
+  { key: 'start_date', label: 'Start date', aliases: ['date', 'start'] },
+  { key: 'end_date', label: 'End date', aliases: ['end'] },
+  { key: 'start_years_ago', label: 'Start (years ago)', aliases: ['years ago', 'astronomical_start_year'] },
+  { key: 'end_years_ago', label: 'End (years ago)', aliases: ['astronomical_end_year'] },
+  { key: 'date_precision', label: 'Date precision', aliases: ['precision'] },
+  { key: 'uncertainty_years', label: 'Uncertainty (± years)', aliases: ['uncertainty', 'error', '±'] },
+  { key: 'latitude', label: 'Latitude', aliases: ['lat'] },
+  { key: 'longitude', label: 'Longitude', aliases: ['lon', 'lng', 'long'] },
+  { key: 'region', label: 'Region', aliases: ['place', 'continent'] },
+  { key: 'image_url', label: 'Image URL', aliases: ['image'] },
+  { key: 'source_url', label: 'Source URL', aliases: ['source', 'url'] },
+  { key: 'youtube_url', label: 'YouTube URL', aliases: ['youtube', 'video'] },
+  { key: 'attribution_text', label: 'Attribution', aliases: ['attribution', 'credit'] },
+  { key: 'license_type', label: 'License', aliases: ['license'] },
+  { key: 'is_published', label: 'Published', aliases: ['published'] },
+  { key: 'external_key', label: 'External key', aliases: ['key'] },
+  { key: 'id', label: 'Original id', aliases: [] },
+  { key: 'parent', label: 'Parent (title)', aliases: ['parent title'] },
+  { key: 'parent_key', label: 'Parent (external key or id)', aliases: ['parent_id', 'parent id'] },
+  { key: 'created_at', label: 'Created at', aliases: [] },
+  { key: 'updated_at', label: 'Updated at', aliases: [] }
+]
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const IMPORT_FIELD_KEYS = new Set(IMPORT_FIELDS.map(f => f.key))
+
+/**
+ * Parse the uploaded file content into raw rows.
+ * JSON may be an array of objects or an object with an `events` array; an
+ * export backup also carries `labels`, which are restored alongside.
+ * @returns {{ valid: boolean, error?: string, columns?: string[], rows?: Object[], labels?: Object[] }}
+ */
+export function parseImportContent(format, content) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    return { valid: false, error: 'Invalid format. Must be "csv" or "json"' }
+  }
+  if (content === undefined || content === null || content === '') {
+    return { valid: false, error: 'Import content is required' }
+  }
+
+  if (format === 'csv') {
+    const { columns, rows } = parseCsv(content)
+    if (columns.length === 0) {
+      return { valid: false, error: 'CSV file has no header row' }
+    }
+    return { valid: true, columns, rows }
+  }
+
+  let parsed = content
+  if (typeof content === 'string') {
+    try {
+      parsed = JSON.parse(content)
+    } catch {
+      return { valid: false, error: 'Invalid JSON' }
+    }
+  }
+  const rows = Array.isArray(parsed) ? parsed : parsed?.events
+  if (!Array.isArray(rows) || rows.some(r => !r || typeof r !== 'object' || Array.isArray(r))) {
+    return { valid: false, error: 'JSON must be an array of event objects (or { "events": [...] })' }
+  }
+
+  const labels = Array.isArray(parsed?.labels)
+    ? parsed.labels.filter(l => l && typeof l.name === 'string' && l.name.trim())
+    : []
+
+  const columns = []
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) columns.push(key)
+    })
+  })
+  return { valid: true, columns, rows, labels }
+}
+
+/**
+ * Guess a column for every import field from the column headings.
+ * @param {string[]} columns
+ * @returns {Object} Map of field key -> column name
+ */
+export function suggestMapping(columns) {
+  const normalize = (value) => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_')
+  const byName = new Map(columns.map(column => [normalize(column), column]))
+  const mapping = {}
+
+  IMPORT_FIELDS.forEach(({ key, aliases }) => {
+    const match = [key, ...aliases].map(normalize).find(name => byName.has(name))
+    if (match) mapping[key] = byName.get(match)
+  })
+  return mapping
+}
+
+/**
+ * Check that a mapping only targets known fields and existing columns.
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateMapping(mapping, columns) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { valid: false, error: 'Mapping must be an object of field -> column' }
+  }
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!IMPORT_FIELD_KEYS.has(field)) {
+      return { valid: false, error: `Unknown import field "${field}"` }
+    }
+    if (column && !columns.includes(column)) {
+      return { valid: false, error: `Column "${column}" not found in file` }
+    }
+  }
+  if (!mapping.title) {
+    return { valid: false, error: 'A column must be mapped to Title' }
+  }
+  return { valid: true }
+}
+
+/**
+ * Parse a years-ago value such as "66", "66 Ma", "4.54 billion" or
+ * "12,000 years ago". Bare numbers use `defaultUnit`.
+ * @param {string|number} value
+ * @param {string} defaultUnit - One of the ASTRONOMICAL_UNITS keys
+ * @returns {number|null} Whole years ago, or null when unparseable
+ */
+export function parseYearsAgo(value, defaultUnit = 'years') {
+  if (typeof value === 'number') {
+    return value > 0 ? Math.round(value * (ASTRONOMICAL_UNITS[defaultUnit] || 1)) : null
+  }
+
+  const str = String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/,/g, '')
+    .replace(/\s*(?:years?\s+)?(?:ago|bp)$/, '')
+  const match = str.match(/^(\d+(?:\.\d+)?|\.\d+)\s*([a-z]*)$/)
+  if (!match) return null
+
+  const num = parseFloat(match[1])
+  const unit = match[2] ? UNIT_SUFFIXES[match[2]] : defaultUnit
+  if (!unit || !(num > 0)) return null
+  return Math.round(num * ASTRONOMICAL_UNITS[unit])
+}
+
+function parseBooleanCell(value) {
+  if (typeof value === 'boolean') return value
+  return ['true', 'yes', 'y', '1', 'published'].includes(String(value ?? '').trim().toLowerCase())
+}
+
+// A JSON array, or names separated by ";" or "," in a single cell
+function parseLabelsCell(value) {
+  const names = Array.isArray(value) ? value : String(value ?? '').split(/[;,]/)
+  return [...new Set(names.map(name => String(name).trim().toLowerCase()).filter(Boolean))]
+}
+
+function cellText(value) {
+  if (value === undefined || value === null) return ''
+  return String(value).trim()
+}
+
+/**
+ * Map one raw row to an event payload plus import metadata.
+ * @returns {{ payload: Object, timestamps: Object, originalId: string|null, externalKey: string|null, parentTitle: string|null, parentKey: string|null, errors: string[] }}
+ */
+function mapRow(raw, mapping, options) {
+  const errors = []
+  const get = (field) => (mapping[field] ? raw[mapping[field]] : undefined)
+  const text = (field) => cellText(get(field))
+
+  const startDate = text('start_date')
+  const endDate = text('end_date')
+  const startYearsAgo = text('start_years_ago')
+  const endYearsAgo = text('end_years_ago')
+
+  let dateType = text('date_type').toLowerCase()
+  if (!dateType) {
+    dateType = !startDate && startYearsAgo ? 'astronomical' : 'date'
+  }
+
+  const payload = {
+    title: text('title'),
+    description: text('description'),
+    labels: parseLabelsCell(get('labels')),
+    image_url: text('image_url'),
+    source_url: text('source_url'),
+    youtube_url: text('youtube_url'),
+    attribution_text: text('attribution_text'),
+    license_type: text('license_type'),
+    is_published: parseBooleanCell(get('is_published')),
+    date_type: dateType
+  }
+
+  if (dateType === 'date') {
+    payload.start_date = normalizeHistoricalDate(startDate)
+    if (startDate && !payload.start_date) errors.push(`Unrecognized start date "${startDate}"`)
+    payload.end_date = normalizeHistoricalDate(endDate)
+    if (endDate && !payload.end_date) errors.push(`Unrecognized end date "${endDate}"`)
+  } else if (dateType === 'astronomical') {
+    payload.astronomical_start_year = parseYearsAgo(get('start_years_ago'), options.yearsAgoUnit)
+    if (startYearsAgo && payload.astronomical_start_year === null) {
+      errors.push(`Unrecognized years-ago value "${startYearsAgo}"`)
+    }
+    payload.astronomical_end_year = endYearsAgo
+      ? parseYearsAgo(get('end_years_ago'), options.yearsAgoUnit)
+      : null
+    if (endYearsAgo && payload.astronomical_end_year === null) {
+      errors.push(`Unrecognized years-ago value "${endYearsAgo}"`)
+    }
+  }
+
+  const precision = text('date_precision').toLowerCase()
+  if (precision && dateType === 'date') {
+    payload.date_precision = DATE_PRECISIONS.includes(precision) ? precision : null
+    if (!payload.date_precision) errors.push(`Unrecognized date precision "${precision}"`)
+  }
+
+  // "± 0.3 Ma" or "+/- 25"; bare numbers are years for calendar dates
+  const uncertainty = text('uncertainty_years').replace(/^(?:±|\+\/-)\s*/, '')
+  if (uncertainty) {
+    payload.uncertainty_years = parseYearsAgo(uncertainty, dateType === 'astronomical' ? options.yearsAgoUnit : 'years')
+    if (payload.uncertainty_years === null && Number(uncertainty) !== 0) {
+      errors.push(`Unrecognized uncertainty "${uncertainty}"`)
+    }
+  }
+
+  ;['latitude', 'longitude'].forEach(field => {
+    const value = text(field)
+    if (!value) return
+    payload[field] = Number(value)
+    if (!Number.isFinite(payload[field])) errors.push(`Unrecognized ${field} "${value}"`)
+  })
+
+  // Region ids or their names: "North America" -> north-america
+  const region = text('region').toLowerCase().replace(/[^a-z]+/g, '-').replace(/^-|-$/g, '')
+  if (region) {
+    payload.region = EVENT_REGIONS.includes(region) ? region : null
+    if (!payload.region) errors.push(`Unrecognized region "${text('region')}"`)
+  }
+
+  const timestamps = {}
+  ;['created_at', 'updated_at'].forEach(field => {
+    const value = text(field)
+    if (!value) return
+    const date = new Date(value)
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`Unrecognized ${field} timestamp "${value}"`)
+    } else {
+      timestamps[field] = date.toISOString()
+    }
+  })
+
+  return {
+    payload,
+    timestamps,
+    originalId: text('id') || null,
+    externalKey: text('external_key') || null,
+    parentTitle: text('parent') || null,
+    parentKey: text('parent_key') || null,
+    errors
+  }
+}
+
+/**
+ * Map and validate every row against the existing events and labels.
+ *
+ * Parents may be referenced by title, external key or original id, and can be
+ * either an existing event or another row in the same file, at any depth.
+ * Original ids are kept on the new rows when they fit the store's id format
+ * (`idFormat`: 'uuid' for Supabase, 'numeric' for mock data); other ids only
+ * serve as parent references.
+ *
+ * @param {Object[]} rows - Raw rows from parseImportContent
+ * @param {Object} mapping - Field key -> column name
+ * @param {{ events: Object[], trashedEvents?: Object[], labels: Object[] }} existing - live events
+ *   resolve parents and duplicates; trashed ones still hold their ids and external keys
+ * @param {{ yearsAgoUnit?: string, firstRow?: number, idFormat?: string, extraLabels?: string[] }} options
+ * @returns {{ rows: Object[], summary: { total: number, valid: number, invalid: number } }}
+ */
+export function planImport(rows, mapping, existing, options = {}) {
+  const yearsAgoUnit = ASTRONOMICAL_UNITS[options.yearsAgoUnit] ? options.yearsAgoUnit : 'years'
+  const firstRow = options.firstRow ?? 2
+  const labelNames = new Set([...existing.labels.map(l => l.name), ...(options.extraLabels || [])])
+  const existingIds = new Set(existing.events.map(e => String(e.id)))
+  const trashed = existing.trashedEvents || []
+  const trashedIds = new Set(trashed.map(e => String(e.id)))
+
+  const mapped = rows.map((raw, index) => ({
+    // Row numbers match the spreadsheet (CSV header is row 1)
+    row: index + firstRow,
+    ...mapRow(raw, mapping, { yearsAgoUnit })
+  }))
+
+  const existingByKey = new Map()
+  const existingByTitle = new Map()
+  existing.events.forEach(event => {
+    if (event.external_key) existingByKey.set(String(event.external_key), event)
+    existingByKey.set(String(event.id), event)
+    const title = event.title?.trim().toLowerCase()
+    if (title) existingByTitle.set(title, [...(existingByTitle.get(title) || []), event])
+  })
+
+  const fileByKey = new Map()
+  const fileById = new Map()
+  const fileByTitle = new Map()
+  mapped.forEach(entry => {
+    if (entry.originalId) {
+      if (fileById.has(entry.originalId)) {
+        entry.errors.push(`Duplicate id "${entry.originalId}" (also on row ${fileById.get(entry.originalId).row})`)
+      } else {
+        fileById.set(entry.originalId, entry)
+      }
+      entry.keepId = options.idFormat === 'uuid'
+        ? UUID_PATTERN.test(entry.originalId)
+        : options.idFormat === 'numeric' && /^\d+$/.test(entry.originalId)
+      if (entry.keepId && existingIds.has(entry.originalId)) {
+        entry.errors.push(`An event with id "${entry.originalId}" already exists`)
+      } else if (entry.keepId && trashedIds.has(entry.originalId)) {
+        entry.errors.push(`An event with id "${entry.originalId}" is in the trash`)
+      }
+    }
+    if (entry.externalKey) {
+      if (fileByKey.has(entry.externalKey)) {
+        entry.errors.push(`Duplicate external key "${entry.externalKey}" (also on row ${fileByKey.get(entry.externalKey).row})`)
+      } else {
+        fileByKey.set(entry.externalKey, entry)
+      }
+      const clash = existing.events.find(e => e.external_key && String(e.external_key) === entry.externalKey)
+      const trashedClash = trashed.find(e => e.external_key && String(e.external_key) === entry.externalKey)
+      if (clash) entry.errors.push(`External key "${entry.externalKey}" already exists ("${clash.title}")`)
+      else if (trashedClash) entry.errors.push(`External key "${entry.externalKey}" belongs to "${trashedClash.title}" in the trash`)
+    }
+    const title = entry.payload.title.toLowerCase()
+    if (title) fileByTitle.set(title, [...(fileByTitle.get(title) || []), entry])
+  })
+
+  mapped.forEach(entry => {
+    const validation = validateEventData(entry.payload)
+    if (!validation.valid) entry.errors.push(validation.error)
+
+    entry.payload.labels.forEach(name => {
+      if (!labelNames.has(name)) entry.errors.push(`Unknown label "${name}"`)
+    })
+
+    if (!entry.parentKey && !entry.parentTitle) return
+
+    let parentRow = null
+    let parentEvent = null
+    if (entry.parentKey) {
+      parentRow = fileByKey.get(entry.parentKey) || fileById.get(entry.parentKey) || null
+      parentEvent = parentRow ? null : existingByKey.get(entry.parentKey) || null
+      if (!parentRow && !parentEvent) {
+        entry.errors.push(`Parent key "${entry.parentKey}" not found`)
+        return
+      }
+    } else {
+      const title = entry.parentTitle.toLowerCase()
+      const rowMatches = fileByTitle.get(title) || []
+      const eventMatches = existingByTitle.get(title) || []
+      if (rowMatches.length + eventMatches.length > 1) {
+        entry.errors.push(`Parent title "${entry.parentTitle}" is ambiguous; use an external key`)
+        return
+      }
+      parentRow = rowMatches[0] || null
+      parentEvent = eventMatches[0] || null
+      if (!parentRow && !parentEvent) {
+        entry.errors.push(`Parent "${entry.parentTitle}" not found`)
+        return
+      }
+    }
+
+    if (parentRow === entry) {
+      entry.errors.push('An event cannot be its own parent')
+      return
+    }
+    const parent = parentRow ? parentRow.payload : parentEvent
+    const subValidation = validateSubEventDates(parent, entry.payload)
+    if (!subValidation.valid) entry.errors.push(subValidation.error)
+
+    entry.parentRow = parentRow
+    entry.parentEvent = parentEvent
+  })
+
+  // Rows may nest under other rows at any depth, as long as no chain loops back on itself
+  mapped.forEach(entry => {
+    const seen = new Set([entry])
+    for (let parent = entry.parentRow; parent; parent = parent.parentRow) {
+      if (seen.has(parent)) {
+        entry.errors.push('Parent chain loops back to this row')
+        entry.parentRow = null
+        break
+      }
+      seen.add(parent)
+    }
+  })
+
+  const invalid = mapped.filter(entry => entry.errors.length > 0).length
+  return {
+    rows: mapped,
+    summary: { total: mapped.length, valid: mapped.length - invalid, invalid }
+  }
+}
+
+/**
+ * Shape a planned row for the JSON response (drops internal references).
+ */
+export function toRowReport(entry) {
+  const parent = entry.parentRow
+    ? { row: entry.parentRow.row, title: entry.parentRow.payload.title }
+    : entry.parentEvent
+      ? { id: entry.parentEvent.id, title: entry.parentEvent.title }
+      : null
+
+  return {
+    row: entry.row,
+    title: entry.payload.title,
+    id: entry.keepId ? entry.originalId : null,
+    external_key: entry.externalKey,
+    event: entry.errors.length === 0 ? normalizeEventPayload(entry.payload) : entry.payload,
+    parent,
+    errors: entry.errors
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * "Years ago" helpers shared by the API routes.
+ *
+ * Mirrors the client conversion in client/src/utils/logScaleUtils.js so that
+ * server-side filtering places events exactly where the timeline draws them.
+ */
+
+import { historicalDateToTime } from './historicalDate.js'
+
+export const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000
+export const MIN_YEARS_AGO = 0.001
+// Stored positions count years back from this fixed instant rather than from
+// the time of the write, so they never go stale (2000-01-01T00:00:00Z)
+export const POSITION_EPOCH_MS = Date.UTC(2000, 0, 1)
+
+/**
+ * Convert a calendar date to years ago (fractional).
+ * Strings are historical dates, so BCE years ("-0752-04-21") work too.
+ * @param {Date|string} date
+ * @returns {number|null}
+ */
+export function dateToYearsAgo(date) {
+  const time = date instanceof Date ? date.getTime() : historicalDateToTime(date)
+  if (time === null || Number.isNaN(time)) return null
+  const yearsAgo = (Date.now() - time) / MS_PER_YEAR
+  return Math.max(MIN_YEARS_AGO, yearsAgo)
+}
+
+/**
+ * Start of an event in years ago (handles both date types).
+ * @param {Object} event
+ * @returns {number|null}
+ */
+export function eventStartYearsAgo(event) {
+  if (event.date_type === 'astronomical') {
+    return event.astronomical_start_year != null ? Number(event.astronomical_start_year) : null
+  }
+  return event.start_date ? dateToYearsAgo(event.start_date) : null
+}
+
+/**
+ * End of an event in years ago, or null for point events.
+ * @param {Object} event
+ * @returns {number|null}
+ */
+export function eventEndYearsAgo(event) {
+  if (event.date_type === 'astronomical') {
+    return event.astronomical_end_year != null ? Number(event.astronomical_end_year) : null
+  }
+  return event.end_date ? dateToYearsAgo(event.end_date) : null
+}
+
+/**
+ * Years between the position epoch and `now`.
+ * @param {number} [now] - ms timestamp
+ * @returns {number}
+ */
+export function yearsSinceEpoch(now = Date.now()) {
+  return (now - POSITION_EPOCH_MS) / MS_PER_YEAR
+}
+
+/**
+ * Convert years ago (as of `now`) to a stored epoch position, so a requested
+ * years-ago window can be compared with the start/end_epoch_years columns.
+ * @param {number} yearsAgo
+ * @param {number} [now] - ms timestamp
+ * @returns {number}
+ */
+export function yearsAgoToEpochYears(yearsAgo, now = Date.now()) {
+  return yearsAgo - yearsSinceEpoch(now)
+}
+
+function dateToEpochYears(date) {
+  const time = historicalDateToTime(date)
+  if (time === null || Number.isNaN(time)) return null
+  return (POSITION_EPOCH_MS - time) / MS_PER_YEAR
+}
+
+/**
+ * Normalized `start_epoch_years` / `end_epoch_years` columns for an event row:
+ * years before POSITION_EPOCH_MS (negative for later dates). Stored alongside
+ * the split date columns so one number can be filtered, sorted and indexed
+ * across both date types. Astronomical years count back from `now` (the
+ * write), so they are shifted onto the same base as dated rows.
+ * Mirrors set_event_epoch_years() in supabase-schema.sql.
+ * @param {Object} event
+ * @param {number} [now] - ms timestamp of the write
+ * @returns {{ start_epoch_years: number|null, end_epoch_years: number|null }}
+ */
+export function computeEpochYearsFields(event, now = Date.now()) {
+  if (event.date_type === 'astronomical') {
+    const toEpochYears = (yearsAgo) => (yearsAgo != null ? yearsAgoToEpochYears(Number(yearsAgo), now) : null)
+    return {
+      start_epoch_years: toEpochYears(event.astronomical_start_year),
+      end_epoch_years: toEpochYears(event.astronomical_end_year)
+    }
+  }
+  return {
+    start_epoch_years: event.start_date ? dateToEpochYears(event.start_date) : null,
+    end_epoch_years: event.end_date ? dateToEpochYears(event.end_date) : null
+  }
+}
+
+/**
+ * An event as the API returns it, with `start_years_ago` / `end_years_ago`
+ * as of `now`. They are read from the stored epoch positions, so they agree
+ * with the window filter and the sort.
+ * @param {Object} event
+ * @param {number} [now] - ms timestamp
+ * @returns {Object}
+ */
+export function withYearsAgo(event, now = Date.now()) {
+  const positions = event.start_epoch_years != null ? event : computeEpochYearsFields(event, now)
+  const toYearsAgo = (epochYears) => (
+    epochYears != null ? Math.max(MIN_YEARS_AGO, epochYears + yearsSinceEpoch(now)) : null
+  )
+  return {
+    ...event,
+    start_years_ago: toYearsAgo(positions.start_epoch_years),
+    end_years_ago: toYearsAgo(positions.end_epoch_years)
+  }
+}
@@ -0,0 +1,17 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { toPlayableDailyDate } from '../src/utils/dailyChallenge.js'
+
+test('a daily run past UTC midnight still counts for the day it was played', () => {
+  const justAfterMidnight = new Date('2026-03-02T00:00:05Z')
+  assert.equal(toPlayableDailyDate('2026-03-01', justAfterMidnight), '2026-03-01')
+  assert.equal(toPlayableDailyDate('2026-03-02', justAfterMidnight), '2026-03-02')
+  assert.equal(toPlayableDailyDate(undefined, justAfterMidnight), '2026-03-02')
+})
+
+test('only today and yesterday can be played', () => {
+  const now = new Date('2026-03-02T12:00:00Z')
+  assert.equal(toPlayableDailyDate('2026-02-28', now), null)
+  assert.equal(toPlayableDailyDate('2026-03-03', now), null)
+  assert.equal(toPlayableDailyDate('not a date', now), null)
+})
@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer } from './helpers.js'
+
+const { mockEvents, nextMockEventId } = await import('../src/data/mockEvents.js')
+const { default: exportRouter } = await import('../src/routes/export.js')
+const { default: importRouter } = await import('../src/routes/import.js')
+
+let server
+let baseUrl
+
+before(async () => {
+  ({ server, baseUrl } = await startServer({ '/api/export': exportRouter, '/api/import': importRouter }))
+})
+
+after(() => server.close())
+
+const addEvent = (fields) => {
+  const event = { id: nextMockEventId(), date_type: 'date', labels: [], is_published: true, ...fields }
+  mockEvents.push(event)
+  return event
+}
+
+test('a three-level tree survives an export and re-import', async () => {
+  const root = addEvent({ title: 'Roundtrip root', start_date: '1900-01-01', end_date: '1950-01-01' })
+  // Added before its own parent, so insertion order alone would put it first
+  const grandchild = addEvent({ title: 'Roundtrip grandchild', start_date: '1915-06-01' })
+  const child = addEvent({ title: 'Roundtrip child', start_date: '1910-01-01', end_date: '1920-01-01', parent_id: root.id })
+  grandchild.parent_id = child.id
+
+  const exportResponse = await fetch(`${baseUrl}/api/export?q=Roundtrip`)
+  assert.equal(exportResponse.status, 200)
+  const backup = await exportResponse.json()
+  assert.deepEqual(backup.events.map(e => e.title), ['Roundtrip root', 'Roundtrip child', 'Roundtrip grandchild'])
+
+  // Import into a store that no longer has them
+  for (const event of [root, child, grandchild]) {
+    mockEvents.splice(mockEvents.indexOf(event), 1)
+  }
+  const importResponse = await fetch(`${baseUrl}/api/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ format: 'json', content: JSON.stringify(backup), dry_run: false })
+  })
+  const report = await importResponse.json()
+  assert.equal(importResponse.status, 201, report.error)
+  assert.equal(report.imported, 3)
+
+  const byTitle = Object.fromEntries(report.events.map(e => [e.title, e]))
+  assert.equal(byTitle['Roundtrip root'].parent_id, null)
+  assert.equal(byTitle['Roundtrip child'].parent_id, byTitle['Roundtrip root'].id)
+  assert.equal(byTitle['Roundtrip grandchild'].parent_id, byTitle['Roundtrip child'].id)
+})
@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { WebSocket } from 'ws'
+import { mockEvents } from '../src/data/mockEvents.js'
+import { attachGameRooms, GAME_ROOMS_PATH } from '../src/sockets/gameRooms.js'
+
+const ORIGIN = 'http://localhost:3000'
+
+let server
+let rooms
+let url
+
+before(async () => {
+  server = http.createServer()
+  rooms = attachGameRooms(server, {
+    origin: ORIGIN,
+    loadEvents: async (ids) => mockEvents.filter(e => ids.includes(String(e.id)))
+  })
+  await new Promise(resolve => server.listen(0, resolve))
+  url = `ws://localhost:${server.address().port}${GAME_ROOMS_PATH}`
+})
+
+after(async () => {
+  // Stops the heartbeat; leaving players cleared their reconnect timers
+  await new Promise(resolve => rooms.close(resolve))
+  await new Promise(resolve => server.close(resolve))
+})
+
+// A room client that keeps every message; next() returns the first matching
+// one after the last it returned, waiting for it if it hasn't arrived yet
+async function connect() {
+  const socket = new WebSocket(url, { origin: ORIGIN })
+  const client = { socket, messages: [], read: 0, waiter: null }
+  const take = (match) => {
+    const index = client.messages.findIndex((message, i) => i >= client.read && match(message))
+    if (index === -1) return null
+    client.read = index + 1
+    return client.messages[index]
+  }
+  socket.on('message', (raw) => {
+    client.messages.push(JSON.parse(raw))
+    if (!client.waiter) return
+    const message = take(client.waiter.match)
+    if (message) {
+      client.waiter.resolve(message)
+      client.waiter = null
+    }
+  })
+  client.send = (message) => socket.send(JSON.stringify(message))
+  client.next = (match) => new Promise(resolve => {
+    const message = take(match)
+    if (message) resolve(message)
+    else client.waiter = { match, resolve }
+  })
+  client.close = () => new Promise(resolve => {
+    socket.once('close', resolve)
+    socket.close()
+  })
+  await new Promise(resolve => socket.once('open', resolve))
+  return client
+}
+
+const isState = (phase) => (message) => message.type === 'state' && message.room.phase === phase
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+test('a player who drops mid-round and comes back within the grace keeps the round open', async () => {
+  const eventId = String(mockEvents[0].id)
+
+  const ann = await connect()
+  ann.send({ type: 'create', name: 'Ann' })
+  const { code } = await ann.next(m => m.type === 'joined')
+
+  const bob = await connect()
+  bob.send({ type: 'join', code, name: 'Bob' })
+  const { token } = await bob.next(m => m.type === 'joined')
+
+  ann.send({ type: 'start_round', event_ids: [eventId] })
+  await ann.next(isState('guessing'))
+
+  ann.send({ type: 'guess', guess: { answer: { years_ago: 1000 } } })
+  await ann.next(m => m.type === 'state' && m.room.players.some(p => p.name === 'Ann' && p.has_guessed))
+
+  await bob.close()
+  const { room: afterDrop } = await ann.next(m => m.type === 'state' && m.room.players.some(p => p.name === 'Bob' && !p.connected))
+  assert.equal(afterDrop.phase, 'guessing')
+  await pause(100)
+  assert.ok(!ann.messages.some(isState('reveal')), 'the round was revealed while Bob was away')
+
+  const bobAgain = await connect()
+  bobAgain.send({ type: 'resume', code, token })
+  await bobAgain.next(m => m.type === 'joined')
+  const { room: resumed } = await bobAgain.next(m => m.type === 'state')
+  assert.equal(resumed.phase, 'guessing')
+  assert.ok(resumed.players.every(p => p.connected))
+
+  bobAgain.send({ type: 'guess', guess: { answer: { years_ago: 2000 } } })
+  const { room } = await ann.next(isState('reveal'))
+  assert.equal(room.round.guesses.length, 2)
+
+  ann.send({ type: 'leave' })
+  bobAgain.send({ type: 'leave' })
+  await Promise.all([ann.close(), bobAgain.close()])
+})
@@ -0,0 +1,26 @@
+/**
+ * Shared setup for the API tests: they run against the in-memory mock data,
+ * so no Supabase project is needed.
+ */
+
+import express from 'express'
+
+// Empty rather than unset, so a local .env can't point the tests at a real database
+process.env.SUPABASE_URL = ''
+process.env.SUPABASE_ANON_KEY = ''
+
+/**
+ * Serve routers on a free port.
+ * @param {Object<string, Function>} routers - mount path -> router
+ * @returns {Promise<{ server: import('http').Server, baseUrl: string }>}
+ */
+export function startServer(routers) {
+  const app = express()
+  app.use(express.json({ limit: '5mb' }))
+  Object.entries(routers).forEach(([path, router]) => app.use(path, router))
+  return new Promise(resolve => {
+    const server = app.listen(0, () => {
+      resolve({ server, baseUrl: `http://localhost:${server.address().port}` })
+    })
+  })
+}
@@ -3,8 +3,9 @@
 --
 -- What this does:
 -- 1) Creates `admin_users` table (list of user ids allowed to write)
--- 2) Keeps public read access for `events` and `labels`
--- 3) Restricts INSERT/UPDATE/DELETE on `events` and `labels` to admins only
+-- 2) Keeps public read access for `events`, `labels`, `event_labels`, `tracks`, `track_labels`, `event_relations`, `eras` and `tours`
+-- 3) Restricts INSERT/UPDATE/DELETE on `events`, `labels`, `event_labels`, `tracks`, `track_labels`, `event_relations`, `eras` and `tours` to admins only
+-- 4) Restricts the trash and the `revisions` audit trail to admins
 --
 -- Note:
 -- - Replace '<your-auth-user-uuid>' below with your own Supabase Auth user id.
@@ -79,6 +80,14 @@ CREATE POLICY "Admins can delete events"
   TO authenticated
   USING (public.is_admin());
 
+DROP POLICY IF EXISTS "Authenticated users can view deleted events" ON public.events;
+DROP POLICY IF EXISTS "Admins can view deleted events" ON public.events;
+CREATE POLICY "Admins can view deleted events"
+  ON public.events
+  FOR SELECT
+  TO authenticated
+  USING (deleted_at IS NOT NULL AND public.is_admin());
+
 -- ---------------------------
 -- LABELS: keep public read, admin-only writes
 -- ---------------------------
@@ -108,6 +117,174 @@ CREATE POLICY "Admins can delete labels"
   TO authenticated
   USING (public.is_admin());
 
+-- ---------------------------
+-- EVENT LABELS: keep public read, admin-only writes
+-- ---------------------------
+DROP POLICY IF EXISTS "Authenticated users can insert event labels" ON public.event_labels;
+DROP POLICY IF EXISTS "Authenticated users can delete event labels" ON public.event_labels;
+
+DROP POLICY IF EXISTS "Admins can insert event labels" ON public.event_labels;
+CREATE POLICY "Admins can insert event labels"
+  ON public.event_labels
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.is_admin());
+
+DROP POLICY IF EXISTS "Admins can delete event labels" ON public.event_labels;
+CREATE POLICY "Admins can delete event labels"
+  ON public.event_labels
+  FOR DELETE
+  TO authenticated
+  USING (public.is_admin());
+
+-- ---------------------------
+-- TRACKS: keep public read, admin-only writes
+-- ---------------------------
+DROP POLICY IF EXISTS "Authenticated users can insert tracks" ON public.tracks;
+DROP POLICY IF EXISTS "Authenticated users can update tracks" ON public.tracks;
+DROP POLICY IF EXISTS "Authenticated users can delete tracks" ON public.tracks;
+
+DROP POLICY IF EXISTS "Admins can insert tracks" ON public.tracks;
+CREATE POLICY "Admins can insert tracks"
+  ON public.tracks
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.is_admin());
+
+DROP POLICY IF EXISTS "Admins can update tracks" ON public.tracks;
+CREATE POLICY "Admins can update tracks"
+  ON public.tracks
+  FOR UPDATE
+  TO authenticated
+  USING (public.is_admin())
+  WITH CHECK (public.is_admin());
+
+DROP POLICY IF EXISTS "Admins can delete tracks" ON public.tracks;
+CREATE POLICY "Admins can delete tracks"
+  ON public.tracks
+  FOR DELETE
+  TO authenticated
+  USING (public.is_admin());
+
+-- ---------------------------
+-- TRACK LABELS: keep public read, admin-only writes
+-- ---------------------------
+DROP POLICY IF EXISTS "Authenticated users can insert track labels" ON public.track_labels;
+DROP POLICY IF EXISTS "Authenticated users can delete track labels" ON public.track_labels;
+
+DROP POLICY IF EXISTS "Admins can insert track labels" ON public.track_labels;
+CREATE POLICY "Admins can insert track labels"
+  ON public.track_labels
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.is_admin());
+
+DROP POLICY IF EXISTS "Admins can delete track labels" ON public.track_labels;
+CREATE POLICY "Admins can delete track labels"
+  ON public.track_labels
+  FOR DELETE
+  TO authenticated
+  USING (public.is_admin());
+
+-- ---------------------------
+-- EVENT RELATIONS: keep public read, admin-only writes
+-- ---------------------------
+DROP POLICY IF EXISTS "Authenticated users can insert event relations" ON public.event_relations;
+DROP POLICY IF EXISTS "Authenticated users can update event relations" ON public.event_relations;
+DROP POLICY IF EXISTS "Authenticated users can delete event relations" ON public.event_relations;
+
+DROP POLICY IF EXISTS "Admins can insert event relations" ON public.event_relations;
+CREATE POLICY "Admins can insert event relations"
+  ON public.event_relations
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.is_admin());
+
+DROP POLICY IF EXISTS "Admins can update event relations" ON public.event_relations;
+CREATE POLICY "Admins can update event relations"
+  ON public.event_relations
+  FOR UPDATE
+  TO authenticated
+  USING (public.is_admin())
+  WITH CHECK (public.is_admin());
+
+DROP POLICY IF EXISTS "Admins can delete event relations" ON public.event_relations;
+CREATE POLICY "Admins can delete event relations"
+  ON public.event_relations
+  FOR DELETE
+  TO authenticated
+  USING (public.is_admin());
+
+-- ---------------------------
+-- ERAS: keep public read, admin-only writes
+-- ---------------------------
+DROP POLICY IF EXISTS "Authenticated users can insert eras" ON public.eras;
+DROP POLICY IF EXISTS "Authenticated users can update eras" ON public.eras;
+DROP POLICY IF EXISTS "Authenticated users can delete eras" ON public.eras;
+
+DROP POLICY IF EXISTS "Admins can insert eras" ON public.eras;
+CREATE POLICY "Admins can insert eras"
+  ON public.eras
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.is_admin());
+
+DROP POLICY IF EXISTS "Admins can update eras" ON public.eras;
+CREATE POLICY "Admins can update eras"
+  ON public.eras
+  FOR UPDATE
+  TO authenticated
+  USING (public.is_admin())
+  WITH CHECK (public.is_admin());
+
+DROP POLICY IF EXISTS "Admins can delete eras" ON public.eras;
+CREATE POLICY "Admins can delete eras"
+  ON public.eras
+  FOR DELETE
+  TO authenticated
+  USING (public.is_admin());
+
+-- ---------------------------
+-- TOURS: keep public read, admin-only writes
+-- ---------------------------
+DROP POLICY IF EXISTS "Authenticated users can insert tours" ON public.tours;
+DROP POLICY IF EXISTS "Authenticated users can update tours" ON public.tours;
+DROP POLICY IF EXISTS "Authenticated users can delete tours" ON public.tours;
+
+DROP POLICY IF EXISTS "Admins can insert tours" ON public.tours;
+CREATE POLICY "Admins can insert tours"
+  ON public.tours
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.is_admin());
+
+DROP POLICY IF EXISTS "Admins can update tours" ON public.tours;
+CREATE POLICY "Admins can update tours"
+  ON public.tours
+  FOR UPDATE
+  TO authenticated
+  USING (public.is_admin())
+  WITH CHECK (public.is_admin());
+
+DROP POLICY IF EXISTS "Admins can delete tours" ON public.tours;
+CREATE POLICY "Admins can delete tours"
+  ON public.tours
+  FOR DELETE
+  TO authenticated
+  USING (public.is_admin());
+
+-- ---------------------------
+-- REVISIONS: admin-only read, written by trigger
+-- ---------------------------
+DROP POLICY IF EXISTS "Authenticated users can view revisions" ON public.revisions;
+
+DROP POLICY IF EXISTS "Admins can view revisions" ON public.revisions;
+CREATE POLICY "Admins can view revisions"
+  ON public.revisions
+  FOR SELECT
+  TO authenticated
+  USING (public.is_admin());
+
 -- Seed your own admin user id (replace value first)
 -- You can find it in Supabase Dashboard -> Authentication -> Users.
 -- Keep commented out until you replace placeholder.
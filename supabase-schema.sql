@@ -44,6 +44,98 @@
 --   ALTER TABLE events ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES events(id) ON DELETE CASCADE;
 --   CREATE INDEX IF NOT EXISTS idx_events_parent_id ON events(parent_id);
 --   COMMENT ON COLUMN events.parent_id IS 'Optional parent event id; sub-events are point-in-time rows within a span.';
+-- Normalized position columns:
+--   ALTER TABLE events ADD COLUMN IF NOT EXISTS start_epoch_years DOUBLE PRECISION;
+--   ALTER TABLE events ADD COLUMN IF NOT EXISTS end_epoch_years DOUBLE PRECISION;
+--   CREATE INDEX IF NOT EXISTS idx_events_start_epoch_years ON events(start_epoch_years);
+--   CREATE INDEX IF NOT EXISTS idx_events_end_epoch_years ON events(end_epoch_years);
+--   Then create historical_date_to_epoch_years(), set_event_epoch_years() and its
+--   trigger (see below) and backfill:
+--   UPDATE events SET start_epoch_years = NULL;
+-- External key for bulk imports (lets rows reference parents across files):
+--   ALTER TABLE events ADD COLUMN IF NOT EXISTS external_key VARCHAR(100) UNIQUE;
+-- Historical dates (signed years, optional month/day; see historicalDate.js):
+--   Create historical_date_to_epoch_years() (see below), then:
+--   ALTER TABLE events DROP CONSTRAINT IF EXISTS valid_date_range;
+--   ALTER TABLE events
+--     ALTER COLUMN start_date TYPE VARCHAR(16) USING CASE
+--       WHEN start_date < '0001-01-01' THEN '-' || LPAD((-EXTRACT(YEAR FROM start_date)::INT - 1)::TEXT, 4, '0') || TO_CHAR(start_date, '-MM-DD')
+--       ELSE TO_CHAR(start_date, 'YYYY-MM-DD') END,
+--     ALTER COLUMN end_date TYPE VARCHAR(16) USING CASE
+--       WHEN end_date < '0001-01-01' THEN '-' || LPAD((-EXTRACT(YEAR FROM end_date)::INT - 1)::TEXT, 4, '0') || TO_CHAR(end_date, '-MM-DD')
+--       ELSE TO_CHAR(end_date, 'YYYY-MM-DD') END;
+--   Add the valid_date_range and valid_historical_dates constraints from the
+--   table definition and backfill:
+--   UPDATE events SET start_epoch_years = NULL;
+-- Date precision and uncertainty:
+--   ALTER TABLE events ADD COLUMN IF NOT EXISTS date_precision VARCHAR(12)
+--     CHECK (date_precision IN ('day', 'month', 'year', 'decade', 'century', 'millennium'));
+--   ALTER TABLE events ADD COLUMN IF NOT EXISTS uncertainty_years DOUBLE PRECISION CHECK (uncertainty_years >= 0);
+-- Revision history and trash:
+--   ALTER TABLE events ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+--   CREATE INDEX IF NOT EXISTS idx_events_deleted_at ON events(deleted_at);
+--   Replace the "Events are viewable by everyone" policy and add the deleted-events
+--   policy (see below), then create the revisions table, record_revision() and the
+--   record_events_revision and record_labels_revision triggers (see "Label history"
+--   for the rest). Re-run supabase-rls-admin-policies.sql afterwards.
+-- Many-to-many labels (replaces events.label):
+--   Create the event_labels table with its policies, the events_with_labels view
+--   and set_event_labels() (see below), then copy the old labels over and drop the column:
+--   INSERT INTO event_labels (event_id, label_id)
+--     SELECT e.id, l.id FROM events e JOIN labels l ON l.name = e.label
+--     ON CONFLICT DO NOTHING;
+--   DROP INDEX IF EXISTS idx_events_label;
+--   ALTER TABLE events DROP COLUMN IF EXISTS label;
+--   GRANT ALL ON event_labels TO service_role;
+--   Re-run supabase-rls-admin-policies.sql afterwards.
+-- Swimlane tracks:
+--   Create the tracks and track_labels tables with their policies, the
+--   tracks_with_labels view and set_track_labels() (see below), then:
+--   GRANT ALL ON tracks, track_labels TO service_role;
+--   Re-run supabase-rls-admin-policies.sql afterwards.
+-- Related events (comparison mode connectors):
+--   Create the event_relations table with its policies (see below), then:
+--   GRANT ALL ON event_relations TO service_role;
+--   Re-run supabase-rls-admin-policies.sql afterwards.
+-- Typed event relations (if event_relations was created without relation_type):
+--   ALTER TABLE event_relations ADD COLUMN IF NOT EXISTS relation_type VARCHAR(20) NOT NULL DEFAULT 'related'
+--     CHECK (relation_type IN ('caused', 'influenced', 'preceded', 'contemporary-with', 'part-of', 'related'));
+--   ALTER TABLE event_relations DROP CONSTRAINT IF EXISTS event_relations_unique;
+--   ALTER TABLE event_relations ADD CONSTRAINT event_relations_unique
+--     UNIQUE (source_event_id, target_event_id, relation_type);
+--   Then add the event_relations update policy (see below) and re-run supabase-rls-admin-policies.sql.
+-- Nested sub-events (sub-events of sub-events need no new columns):
+--   ALTER TABLE events ADD CONSTRAINT parent_not_self CHECK (parent_id IS NULL OR parent_id <> id);
+--   COMMENT ON COLUMN events.parent_id IS 'Optional parent event id; sub-events nest to any depth, each within its parent span.';
+-- Event locations (map panel):
+--   ALTER TABLE events ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90);
+--   ALTER TABLE events ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180);
+--   ALTER TABLE events ADD COLUMN IF NOT EXISTS region VARCHAR(30) CHECK (region IN (
+--     'north-america', 'south-america', 'europe', 'africa', 'middle-east', 'south-asia',
+--     'east-asia', 'southeast-asia', 'northern-central-asia', 'oceania', 'antarctica'));
+--   ALTER TABLE events ADD CONSTRAINT coordinates_paired CHECK ((latitude IS NULL) = (longitude IS NULL));
+--   Then re-create the events_with_labels view (see below) so it picks up the new columns.
+-- Era bands:
+--   Create the eras table with its policies (see below), then:
+--   GRANT ALL ON eras TO service_role;
+--   Re-run supabase-rls-admin-policies.sql afterwards.
+-- Guided tours:
+--   Create the tours table with its trigger and policies (see below), then:
+--   GRANT ALL ON tours TO service_role;
+--   Re-run supabase-rls-admin-policies.sql afterwards.
+-- Guessing game records (sessions, leaderboards, player profiles):
+--   Create the game_players, game_sessions and game_rounds tables with their
+--   indexes and policies (see below), then:
+--   GRANT ALL ON game_players, game_sessions, game_rounds TO service_role;
+-- Daily challenge:
+--   Create the game_dailies and game_daily_attempts tables with their
+--   policies (see below), then:
+--   GRANT ALL ON game_dailies, game_daily_attempts TO service_role;
+-- Label history (event revisions carry label_ids, label changes are recorded):
+--   DROP TRIGGER IF EXISTS record_events_revision ON events;
+--   Replace set_event_labels() and record_revision(), then create event_label_ids(),
+--   record_event_label_revision() and the record_events_revision, record_events_purge
+--   and record_event_labels_revision triggers (see below).
 -- ============================================
 
 -- Enable UUID extension
@@ -64,27 +156,64 @@ CREATE TABLE IF NOT EXISTS events (
   -- Date type: 'date' for precise calendar dates, 'astronomical' for years ago
   date_type VARCHAR(20) DEFAULT 'date' CHECK (date_type IN ('date', 'astronomical')),
   
-  -- For precise calendar dates (date_type = 'date')
-  start_date DATE,
-  end_date DATE,
+  -- For calendar dates (date_type = 'date'): ISO 8601 with astronomical year
+  -- numbering, month and day optional ('-0752-04-21' = April 21, 753 BCE; '1969-07')
+  start_date VARCHAR(16),
+  end_date VARCHAR(16),
   
   -- For astronomical dates (date_type = 'astronomical')
   -- Stored as positive BIGINT representing years ago from present
   astronomical_start_year BIGINT,
   astronomical_end_year BIGINT,
-  
-  -- Category label for filtering (e.g., 'nature', 'war', 'discovery', etc.)
-  label VARCHAR(50) DEFAULT NULL,
 
-  -- Sub-events: point-in-time rows belonging to a parent span (nullable = top-level event)
+  -- How precisely the date is known (calendar dates only; NULL = as precise as the date string)
+  date_precision VARCHAR(12) CHECK (date_precision IN ('day', 'month', 'year', 'decade', 'century', 'millennium')),
+  -- Optional ± error in years, applied to both ends (either date type)
+  uncertainty_years DOUBLE PRECISION CHECK (uncertainty_years >= 0),
+  
+  -- Sub-events: rows inside a parent span (nullable = top-level event); they nest to any
+  -- depth (era -> war -> campaign -> battle), each within the span of the one above
   parent_id UUID REFERENCES events(id) ON DELETE CASCADE,
+
+  -- Optional location: a point and/or a coarse region (ids from client/src/data/worldRegions.js)
+  -- for events with no single place, like a war fought across a continent
+  latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+  region VARCHAR(30) CHECK (region IN (
+    'north-america', 'south-america', 'europe', 'africa', 'middle-east', 'south-asia',
+    'east-asia', 'southeast-asia', 'northern-central-asia', 'oceania', 'antarctica'
+  )),
+
+  -- Normalized position for both date types (maintained by trigger): years before
+  -- 2000-01-01 UTC, negative after it, so the value never changes once written.
+  -- The API converts a requested years-ago window to these on each request.
+  start_epoch_years DOUBLE PRECISION,
+  end_epoch_years DOUBLE PRECISION,
+
+  -- Optional stable key from bulk imports (spreadsheet row id, etc.)
+  external_key VARCHAR(100) UNIQUE,
+
+  -- Soft delete: set when moved to the trash (with everything nested under it), NULL = live
+  deleted_at TIMESTAMP WITH TIME ZONE,
   
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   
+  -- An event can't be its own parent (longer loops are rejected by the app)
+  CONSTRAINT parent_not_self CHECK (parent_id IS NULL OR parent_id <> id),
+
+  -- Coordinates come in pairs
+  CONSTRAINT coordinates_paired CHECK ((latitude IS NULL) = (longitude IS NULL)),
+
   -- Ensure end_date is after start_date when provided (for date type)
+  -- Compared through the trigger-maintained epoch positions, which order BCE dates correctly
   CONSTRAINT valid_date_range CHECK (
-    date_type != 'date' OR end_date IS NULL OR end_date > start_date
+    date_type != 'date' OR end_date IS NULL OR end_epoch_years < start_epoch_years
+  ),
+
+  CONSTRAINT valid_historical_dates CHECK (
+    (start_date IS NULL OR start_date ~ '^-?[0-9]{4,6}(-[0-9]{2}(-[0-9]{2})?)?$') AND
+    (end_date IS NULL OR end_date ~ '^-?[0-9]{4,6}(-[0-9]{2}(-[0-9]{2})?)?$')
   ),
   
   -- Ensure astronomical years are positive and start > end (further in past)
@@ -114,23 +243,89 @@ CREATE TRIGGER update_events_updated_at
   FOR EACH ROW
   EXECUTE PROCEDURE update_updated_at_column();
 
+-- Years before 2000-01-01 UTC for a historical date string ('-0752-04-21', '1969-07', '0476').
+-- Proleptic Gregorian day count, so it works before 4713 BCE where DATE stops.
+-- 946684800 = the epoch in Unix seconds; 31557600 = seconds in a 365.25-day year
+-- (matches computeEpochYearsFields in server/src/utils/yearsAgo.js)
+CREATE OR REPLACE FUNCTION historical_date_to_epoch_years(value TEXT)
+RETURNS DOUBLE PRECISION AS $$
+DECLARE
+  parts TEXT[];
+  y BIGINT;
+  m INT;
+  d INT;
+  era BIGINT;
+  yoe BIGINT;
+  days BIGINT;
+BEGIN
+  IF value IS NULL THEN
+    RETURN NULL;
+  END IF;
+  parts := regexp_match(value, '^(-?[0-9]+)(?:-([0-9]{2}))?(?:-([0-9]{2}))?$');
+  IF parts IS NULL THEN
+    RETURN NULL;
+  END IF;
+  m := COALESCE(parts[2]::INT, 1);
+  d := COALESCE(parts[3]::INT, 1);
+  y := parts[1]::BIGINT - CASE WHEN m <= 2 THEN 1 ELSE 0 END;
+  era := FLOOR(y / 400.0);
+  yoe := y - era * 400;
+  days := era * 146097 + yoe * 365 + FLOOR(yoe / 4.0) - FLOOR(yoe / 100.0)
+    + FLOOR((153 * (m + CASE WHEN m > 2 THEN -3 ELSE 9 END) + 2) / 5.0) + d - 1 - 719468;
+  RETURN (946684800.0 - days * 86400.0) / 31557600.0;
+END;
+$$ language 'plpgsql' IMMUTABLE;
+
+-- Keep start_epoch_years / end_epoch_years in sync with the split date columns.
+-- The API computes the same values; the trigger covers direct client writes.
+-- Astronomical years count back from the write, so they are shifted by the
+-- years between the epoch and now() onto the same base as dated rows.
+CREATE OR REPLACE FUNCTION set_event_epoch_years()
+RETURNS TRIGGER AS $$
+DECLARE
+  years_since_epoch DOUBLE PRECISION := (EXTRACT(EPOCH FROM now()) - 946684800.0) / 31557600.0;
+BEGIN
+  IF NEW.date_type = 'astronomical' THEN
+    NEW.start_epoch_years = NEW.astronomical_start_year - years_since_epoch;
+    NEW.end_epoch_years = NEW.astronomical_end_year - years_since_epoch;
+  ELSE
+    NEW.start_epoch_years = historical_date_to_epoch_years(NEW.start_date);
+    NEW.end_epoch_years = historical_date_to_epoch_years(NEW.end_date);
+  END IF;
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER set_events_epoch_years
+  BEFORE INSERT OR UPDATE ON events
+  FOR EACH ROW
+  EXECUTE PROCEDURE set_event_epoch_years();
+
 -- Create indexes for better query performance
 CREATE INDEX idx_events_start_date ON events(start_date);
 CREATE INDEX idx_events_end_date ON events(end_date);
 CREATE INDEX idx_events_date_type ON events(date_type);
 CREATE INDEX idx_events_astronomical_start ON events(astronomical_start_year);
 CREATE INDEX idx_events_created_at ON events(created_at);
-CREATE INDEX idx_events_label ON events(label);
 CREATE INDEX idx_events_is_published ON events(is_published);
 CREATE INDEX idx_events_parent_id ON events(parent_id);
+CREATE INDEX idx_events_start_epoch_years ON events(start_epoch_years);
+CREATE INDEX idx_events_end_epoch_years ON events(end_epoch_years);
+CREATE INDEX idx_events_deleted_at ON events(deleted_at);
 
 -- Enable Row Level Security (RLS)
 ALTER TABLE events ENABLE ROW LEVEL SECURITY;
 
--- Policy: Anyone can read events (public timeline)
+-- Policy: Anyone can read events (public timeline); trashed events stay hidden
 CREATE POLICY "Events are viewable by everyone"
   ON events FOR SELECT
-  USING (true);
+  USING (deleted_at IS NULL);
+
+-- Policy: Authenticated users can see the trash
+CREATE POLICY "Authenticated users can view deleted events"
+  ON events FOR SELECT
+  TO authenticated
+  USING (deleted_at IS NOT NULL);
 
 -- Policy: Only authenticated users can insert events
 CREATE POLICY "Authenticated users can insert events"
@@ -181,6 +376,484 @@ CREATE POLICY "Authenticated users can delete labels"
   TO authenticated
   USING (true);
 
+-- Labels on events (e.g., 'nature', 'war', 'discovery'); an event can have any number.
+-- Keyed by label id, so renaming a label keeps its events.
+CREATE TABLE IF NOT EXISTS event_labels (
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  label_id UUID NOT NULL REFERENCES labels(id) ON DELETE CASCADE,
+  PRIMARY KEY (event_id, label_id)
+);
+
+CREATE INDEX idx_event_labels_label_id ON event_labels(label_id);
+
+ALTER TABLE event_labels ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Event labels are viewable by everyone"
+  ON event_labels FOR SELECT
+  USING (true);
+
+CREATE POLICY "Authenticated users can insert event labels"
+  ON event_labels FOR INSERT
+  TO authenticated
+  WITH CHECK (true);
+
+CREATE POLICY "Authenticated users can delete event labels"
+  ON event_labels FOR DELETE
+  TO authenticated
+  USING (true);
+
+-- Events with their label names as a sorted array; the app and API read events through this.
+-- security_invoker applies the events policies (published rows, trash) to the caller.
+-- e.* is expanded when the view is created: re-run this after adding columns to events.
+CREATE OR REPLACE VIEW events_with_labels WITH (security_invoker = true) AS
+  SELECT
+    e.*,
+    ARRAY(
+      SELECT l.name
+      FROM event_labels el
+      JOIN labels l ON l.id = el.label_id
+      WHERE el.event_id = e.id
+      ORDER BY l.name
+    )::TEXT[] AS labels
+  FROM events e;
+
+-- Replace an event's labels by name; unknown names are ignored.
+-- Runs as the caller, so the event_labels policies still decide who may write.
+-- Only the labels that change are touched, so the history records just those.
+CREATE OR REPLACE FUNCTION set_event_labels(target_event_id UUID, label_names TEXT[])
+RETURNS TEXT[] AS $$
+BEGIN
+  DELETE FROM event_labels
+    WHERE event_id = target_event_id
+      AND label_id NOT IN (SELECT l.id FROM labels l WHERE l.name = ANY(label_names));
+  INSERT INTO event_labels (event_id, label_id)
+    SELECT target_event_id, l.id FROM labels l WHERE l.name = ANY(label_names)
+    ON CONFLICT DO NOTHING;
+  RETURN ARRAY(
+    SELECT l.name
+    FROM event_labels el
+    JOIN labels l ON l.id = el.label_id
+    WHERE el.event_id = target_event_id
+    ORDER BY l.name
+  );
+END;
+$$ language 'plpgsql';
+
+-- Swimlane tracks: a named group of labels ('Europe', 'Science') that gets its own
+-- band when the timeline is split by track. position is the default band order.
+CREATE TABLE IF NOT EXISTS tracks (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  name VARCHAR(50) NOT NULL UNIQUE,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE tracks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Tracks are viewable by everyone"
+  ON tracks FOR SELECT
+  USING (true);
+
+CREATE POLICY "Authenticated users can insert tracks"
+  ON tracks FOR INSERT
+  TO authenticated
+  WITH CHECK (true);
+
+CREATE POLICY "Authenticated users can update tracks"
+  ON tracks FOR UPDATE
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Authenticated users can delete tracks"
+  ON tracks FOR DELETE
+  TO authenticated
+  USING (true);
+
+-- Keyed by label id like event_labels, so renaming a label keeps its tracks
+CREATE TABLE IF NOT EXISTS track_labels (
+  track_id UUID NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  label_id UUID NOT NULL REFERENCES labels(id) ON DELETE CASCADE,
+  PRIMARY KEY (track_id, label_id)
+);
+
+ALTER TABLE track_labels ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Track labels are viewable by everyone"
+  ON track_labels FOR SELECT
+  USING (true);
+
+CREATE POLICY "Authenticated users can insert track labels"
+  ON track_labels FOR INSERT
+  TO authenticated
+  WITH CHECK (true);
+
+CREATE POLICY "Authenticated users can delete track labels"
+  ON track_labels FOR DELETE
+  TO authenticated
+  USING (true);
+
+CREATE OR REPLACE VIEW tracks_with_labels WITH (security_invoker = true) AS
+  SELECT
+    t.*,
+    ARRAY(
+      SELECT l.name
+      FROM track_labels tl
+      JOIN labels l ON l.id = tl.label_id
+      WHERE tl.track_id = t.id
+      ORDER BY l.name
+    )::TEXT[] AS labels
+  FROM tracks t;
+
+-- Replace a track's labels by name; same contract as set_event_labels()
+CREATE OR REPLACE FUNCTION set_track_labels(target_track_id UUID, label_names TEXT[])
+RETURNS TEXT[] AS $$
+BEGIN
+  DELETE FROM track_labels WHERE track_id = target_track_id;
+  INSERT INTO track_labels (track_id, label_id)
+    SELECT target_track_id, l.id FROM labels l WHERE l.name = ANY(label_names);
+  RETURN ARRAY(
+    SELECT l.name
+    FROM track_labels tl
+    JOIN labels l ON l.id = tl.label_id
+    WHERE tl.track_id = target_track_id
+    ORDER BY l.name
+  );
+END;
+$$ language 'plpgsql';
+
+-- Typed relationships between events, read source -> target ('caused',
+-- 'influenced', 'preceded' and 'part-of' are directed; 'contemporary-with' and
+-- 'related' read the same both ways). Shown in the event detail, drawn as
+-- arrows on the timeline and as connectors in comparison mode.
+CREATE TABLE IF NOT EXISTS event_relations (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  source_event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  target_event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  relation_type VARCHAR(20) NOT NULL DEFAULT 'related'
+    CHECK (relation_type IN ('caused', 'influenced', 'preceded', 'contemporary-with', 'part-of', 'related')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT event_relations_distinct CHECK (source_event_id <> target_event_id),
+  CONSTRAINT event_relations_unique UNIQUE (source_event_id, target_event_id, relation_type)
+);
+
+CREATE INDEX idx_event_relations_target_event_id ON event_relations(target_event_id);
+
+ALTER TABLE event_relations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Event relations are viewable by everyone"
+  ON event_relations FOR SELECT
+  USING (true);
+
+CREATE POLICY "Authenticated users can insert event relations"
+  ON event_relations FOR INSERT
+  TO authenticated
+  WITH CHECK (true);
+
+CREATE POLICY "Authenticated users can update event relations"
+  ON event_relations FOR UPDATE
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Authenticated users can delete event relations"
+  ON event_relations FOR DELETE
+  TO authenticated
+  USING (true);
+
+-- Era bands drawn above the timeline: geological units (rank eon/era/period/
+-- epoch, after the ICS chart) and human-history ages. While the table is empty
+-- the client uses its built-in eras; admins can copy those in to edit them.
+CREATE TABLE IF NOT EXISTS eras (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  name VARCHAR(60) NOT NULL,
+  rank VARCHAR(10) NOT NULL CHECK (rank IN ('eon', 'era', 'period', 'epoch', 'age')),
+  start_years_ago DOUBLE PRECISION NOT NULL,
+  end_years_ago DOUBLE PRECISION NOT NULL CHECK (end_years_ago >= 0),
+  color VARCHAR(7),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT eras_start_before_end CHECK (start_years_ago > end_years_ago)
+);
+
+ALTER TABLE eras ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Eras are viewable by everyone"
+  ON eras FOR SELECT
+  USING (true);
+
+CREATE POLICY "Authenticated users can insert eras"
+  ON eras FOR INSERT
+  TO authenticated
+  WITH CHECK (true);
+
+CREATE POLICY "Authenticated users can update eras"
+  ON eras FOR UPDATE
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Authenticated users can delete eras"
+  ON eras FOR DELETE
+  TO authenticated
+  USING (true);
+
+-- Guided tours: an ordered list of steps played back as a story. Each step is
+-- { title, narrative, view: { start, end }, event_ids, labels }, with the view
+-- in years ago (start is the recent edge) and labels the filter it applies.
+CREATE TABLE IF NOT EXISTS tours (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  title VARCHAR(100) NOT NULL,
+  description TEXT,
+  steps JSONB NOT NULL DEFAULT '[]'::jsonb CHECK (jsonb_typeof(steps) = 'array'),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_tours_updated_at
+  BEFORE UPDATE ON tours
+  FOR EACH ROW
+  EXECUTE PROCEDURE update_updated_at_column();
+
+ALTER TABLE tours ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Tours are viewable by everyone"
+  ON tours FOR SELECT
+  USING (true);
+
+CREATE POLICY "Authenticated users can insert tours"
+  ON tours FOR INSERT
+  TO authenticated
+  WITH CHECK (true);
+
+CREATE POLICY "Authenticated users can update tours"
+  ON tours FOR UPDATE
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Authenticated users can delete tours"
+  ON tours FOR DELETE
+  TO authenticated
+  USING (true);
+
+-- Guessing game records, written by the API (service role) only: players
+-- have no accounts, so there are no client write policies. A session is a
+-- run of rounds with one mode, label filter and roster; each round keeps
+-- its events and one guess per player ({ player_id, answer, points, accuracy }).
+CREATE TABLE IF NOT EXISTS game_players (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  name VARCHAR(40) NOT NULL,
+  -- lowercased name, so returning players keep their history
+  name_key VARCHAR(40) NOT NULL UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS game_sessions (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  mode VARCHAR(20) NOT NULL CHECK (mode IN ('classic', 'timed', 'ordering', 'which-first', 'span')),
+  filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+  player_ids UUID[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS game_rounds (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  session_id UUID NOT NULL REFERENCES game_sessions(id) ON DELETE CASCADE,
+  round_number INTEGER NOT NULL CHECK (round_number > 0),
+  mode VARCHAR(20) NOT NULL,
+  event_ids JSONB NOT NULL CHECK (jsonb_typeof(event_ids) = 'array'),
+  player_ids UUID[] NOT NULL DEFAULT '{}',
+  guesses JSONB NOT NULL CHECK (jsonb_typeof(guesses) = 'array'),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT game_rounds_unique UNIQUE (session_id, round_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_game_rounds_created_at ON game_rounds(created_at);
+CREATE INDEX IF NOT EXISTS idx_game_rounds_player_ids ON game_rounds USING GIN (player_ids);
+
+ALTER TABLE game_players ENABLE ROW LEVEL SECURITY;
+ALTER TABLE game_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE game_rounds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Game players are viewable by everyone"
+  ON game_players FOR SELECT
+  USING (true);
+
+CREATE POLICY "Game sessions are viewable by everyone"
+  ON game_sessions FOR SELECT
+  USING (true);
+
+CREATE POLICY "Game rounds are viewable by everyone"
+  ON game_rounds FOR SELECT
+  USING (true);
+
+-- Daily challenge: the API draws each UTC day's events once and keeps them
+-- here, so later edits to the events don't change a puzzle mid-day. Every
+-- player gets one attempt a day ({ event_id, years_ago, points } per event).
+CREATE TABLE IF NOT EXISTS game_dailies (
+  date DATE PRIMARY KEY,
+  event_ids JSONB NOT NULL CHECK (jsonb_typeof(event_ids) = 'array'),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS game_daily_attempts (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  date DATE NOT NULL REFERENCES game_dailies(date) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES game_players(id) ON DELETE CASCADE,
+  guesses JSONB NOT NULL CHECK (jsonb_typeof(guesses) = 'array'),
+  points INTEGER NOT NULL CHECK (points >= 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT game_daily_attempts_unique UNIQUE (date, player_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_game_daily_attempts_player_id ON game_daily_attempts(player_id);
+
+ALTER TABLE game_dailies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE game_daily_attempts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Daily challenges are viewable by everyone"
+  ON game_dailies FOR SELECT
+  USING (true);
+
+CREATE POLICY "Daily attempts are viewable by everyone"
+  ON game_daily_attempts FOR SELECT
+  USING (true);
+
+-- Audit trail: before/after snapshots of every change to events and labels.
+-- Written by trigger, so direct client writes and API writes are both covered.
+-- changed_by is the signed-in user (NULL for service-role writes).
+-- Event snapshots also carry the event's label_ids, so a restore brings its labels back.
+CREATE TABLE IF NOT EXISTS revisions (
+  id BIGSERIAL PRIMARY KEY,
+  entity_type VARCHAR(10) NOT NULL CHECK (entity_type IN ('event', 'label')),
+  entity_id UUID NOT NULL,
+  -- 'delete' / 'restore' are trash moves for events; 'purge' is a permanent delete
+  action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge')),
+  before JSONB,
+  after JSONB,
+  changed_by UUID,
+  changed_by_email TEXT,
+  changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_revisions_entity ON revisions(entity_type, entity_id, changed_at DESC);
+
+CREATE OR REPLACE FUNCTION event_label_ids(target_event_id UUID)
+RETURNS UUID[] AS $$
+  SELECT ARRAY(SELECT label_id FROM event_labels WHERE event_id = target_event_id ORDER BY label_id);
+$$ language 'sql' STABLE;
+
+CREATE OR REPLACE FUNCTION record_revision()
+RETURNS TRIGGER AS $$
+DECLARE
+  old_row JSONB := CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE to_jsonb(OLD) END;
+  new_row JSONB := CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE to_jsonb(NEW) END;
+  revision_action TEXT;
+  label_ids JSONB;
+BEGIN
+  -- Writes to the event row never change its labels, so both snapshots share them
+  IF TG_ARGV[0] = 'event' THEN
+    label_ids := to_jsonb(event_label_ids((COALESCE(new_row, old_row) ->> 'id')::UUID));
+    old_row := old_row || jsonb_build_object('label_ids', label_ids);
+    new_row := new_row || jsonb_build_object('label_ids', label_ids);
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    revision_action := 'create';
+  ELSIF TG_OP = 'DELETE' THEN
+    -- Labels have no trash, so removing one is a plain delete
+    revision_action := CASE WHEN TG_ARGV[0] = 'event' THEN 'purge' ELSE 'delete' END;
+  ELSIF old_row ->> 'deleted_at' IS NULL AND new_row ->> 'deleted_at' IS NOT NULL THEN
+    revision_action := 'delete';
+  ELSIF old_row ->> 'deleted_at' IS NOT NULL AND new_row ->> 'deleted_at' IS NULL THEN
+    revision_action := 'restore';
+  ELSE
+    -- Skip saves that only touched trigger-maintained columns
+    IF old_row - 'updated_at' - 'start_epoch_years' - 'end_epoch_years'
+      = new_row - 'updated_at' - 'start_epoch_years' - 'end_epoch_years' THEN
+      RETURN NULL;
+    END IF;
+    revision_action := 'update';
+  END IF;
+
+  INSERT INTO revisions (entity_type, entity_id, action, before, after, changed_by, changed_by_email)
+  VALUES (
+    TG_ARGV[0],
+    (COALESCE(new_row, old_row) ->> 'id')::UUID,
+    revision_action,
+    old_row,
+    new_row,
+    auth.uid(),
+    auth.jwt() ->> 'email'
+  );
+  RETURN CASE WHEN TG_WHEN = 'BEFORE' THEN OLD ELSE NULL END;
+END;
+$$ language 'plpgsql' SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER record_events_revision
+  AFTER INSERT OR UPDATE ON events
+  FOR EACH ROW
+  EXECUTE PROCEDURE record_revision('event');
+
+-- Before the delete, while the event_labels rows it cascades to are still there
+CREATE TRIGGER record_events_purge
+  BEFORE DELETE ON events
+  FOR EACH ROW
+  EXECUTE PROCEDURE record_revision('event');
+
+-- A label added to or removed from an event is an 'update' of that event
+CREATE OR REPLACE FUNCTION record_event_label_revision()
+RETURNS TRIGGER AS $$
+DECLARE
+  changed_event_id UUID := CASE WHEN TG_OP = 'INSERT' THEN NEW.event_id ELSE OLD.event_id END;
+  event_row JSONB;
+  label_ids UUID[];
+  previous_label_ids UUID[];
+BEGIN
+  SELECT to_jsonb(e) INTO event_row FROM events e WHERE e.id = changed_event_id;
+  -- A purged event takes its labels along; its purge revision already lists them
+  IF event_row IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  label_ids := event_label_ids(changed_event_id);
+  previous_label_ids := CASE WHEN TG_OP = 'INSERT'
+    THEN array_remove(label_ids, NEW.label_id)
+    ELSE ARRAY(SELECT unnest(label_ids || OLD.label_id) ORDER BY 1)
+  END;
+
+  INSERT INTO revisions (entity_type, entity_id, action, before, after, changed_by, changed_by_email)
+  VALUES (
+    'event',
+    changed_event_id,
+    'update',
+    event_row || jsonb_build_object('label_ids', to_jsonb(previous_label_ids)),
+    event_row || jsonb_build_object('label_ids', to_jsonb(label_ids)),
+    auth.uid(),
+    auth.jwt() ->> 'email'
+  );
+  RETURN NULL;
+END;
+$$ language 'plpgsql' SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER record_event_labels_revision
+  AFTER INSERT OR DELETE ON event_labels
+  FOR EACH ROW
+  EXECUTE PROCEDURE record_event_label_revision();
+
+CREATE TRIGGER record_labels_revision
+  AFTER INSERT OR UPDATE OR DELETE ON labels
+  FOR EACH ROW
+  EXECUTE PROCEDURE record_revision('label');
+
+ALTER TABLE revisions ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for clients; rows are only ever written by record_revision()
+CREATE POLICY "Authenticated users can view revisions"
+  ON revisions FOR SELECT
+  TO authenticated
+  USING (true);
+
 -- Seed labels
 INSERT INTO labels (name, color) VALUES
   ('nature', '#22c55e'),
@@ -192,23 +865,54 @@ INSERT INTO labels (name, color) VALUES
   ('politics', '#f97316');
 
 -- Insert sample events
-INSERT INTO events (title, description, date_type, astronomical_start_year, astronomical_end_year, label) VALUES
-  ('Formation of Earth', 'The Earth formed approximately 4.54 billion years ago by accretion from the solar nebula. The early Earth was molten due to extreme volcanism and frequent collisions with other bodies.', 'astronomical', 4540000000, NULL, 'nature'),
-  ('Hadean Eon', 'The earliest eon in Earth''s history, characterized by the formation of the planet and heavy bombardment by asteroids and comets. The name comes from Hades, the Greek god of the underworld.', 'astronomical', 4600000000, 4000000000, 'nature'),
-  ('Great Oxygenation Event', 'Cyanobacteria began producing oxygen through photosynthesis, dramatically changing Earth''s atmosphere and enabling the evolution of aerobic life forms.', 'astronomical', 2400000000, 2000000000, 'nature'),
-  ('Cambrian Explosion', 'A period of rapid evolutionary diversification when most major animal phyla appeared in the fossil record. This event fundamentally shaped the tree of life.', 'astronomical', 538000000, 485000000, 'nature'),
-  ('Extinction of Dinosaurs', 'The Cretaceous-Paleogene extinction event caused by an asteroid impact, leading to the extinction of non-avian dinosaurs and many other species.', 'astronomical', 66000000, NULL, 'nature');
-
-INSERT INTO events (title, description, date_type, start_date, end_date, label) VALUES
-  ('Invention of the Lightbulb', 'Thomas Edison successfully demonstrated his incandescent light bulb on October 21, 1879, revolutionizing the way humans illuminate their world and ushering in the age of electric lighting.', 'date', '1879-10-21', NULL, 'discovery'),
-  ('World War II', 'A global conflict that lasted from 1939 to 1945, involving most of the world''s nations divided into two opposing military alliances: the Allies and the Axis powers.', 'date', '1939-09-01', '1945-09-02', 'war'),
-  ('Moon Landing', 'Apollo 11 astronauts Neil Armstrong and Buzz Aldrin became the first humans to walk on the Moon on July 20, 1969, while Michael Collins orbited above in the command module.', 'date', '1969-07-20', NULL, 'discovery'),
-  ('Renaissance Period', 'A cultural movement that began in Italy and spread throughout Europe, marking the transition from the medieval period to modernity. It saw extraordinary flourishing in art, architecture, literature, and science.', 'date', '1400-01-01', '1600-01-01', 'culture'),
-  ('Industrial Revolution', 'The transition to new manufacturing processes in Britain and later worldwide, fundamentally changing economy and society through mechanization, factory systems, and urbanization.', 'date', '1760-01-01', '1840-01-01', 'technology'),
-  ('Fall of the Roman Empire', 'The gradual decline and fall of the Western Roman Empire, traditionally dated to 476 AD when the last Roman emperor Romulus Augustulus was deposed.', 'date', '0476-09-04', NULL, 'politics'),
-  ('Age of Exploration', 'A period of European global exploration that began in the early 15th century and continued into the early 17th century, during which Europeans explored Africa, the Americas, Asia, and Oceania.', 'date', '1400-01-01', '1600-01-01', 'discovery');
+INSERT INTO events (title, description, date_type, astronomical_start_year, astronomical_end_year, uncertainty_years) VALUES
+  ('Formation of Earth', 'The Earth formed approximately 4.54 billion years ago by accretion from the solar nebula. The early Earth was molten due to extreme volcanism and frequent collisions with other bodies.', 'astronomical', 4540000000, NULL, 50000000),
+  ('Hadean Eon', 'The earliest eon in Earth''s history, characterized by the formation of the planet and heavy bombardment by asteroids and comets. The name comes from Hades, the Greek god of the underworld.', 'astronomical', 4600000000, 4000000000, NULL),
+  ('Great Oxygenation Event', 'Cyanobacteria began producing oxygen through photosynthesis, dramatically changing Earth''s atmosphere and enabling the evolution of aerobic life forms.', 'astronomical', 2400000000, 2000000000, NULL),
+  ('Cambrian Explosion', 'A period of rapid evolutionary diversification when most major animal phyla appeared in the fossil record. This event fundamentally shaped the tree of life.', 'astronomical', 538000000, 485000000, NULL),
+  ('Extinction of Dinosaurs', 'The Cretaceous-Paleogene extinction event caused by an asteroid impact, leading to the extinction of non-avian dinosaurs and many other species.', 'astronomical', 66000000, NULL, NULL);
+
+INSERT INTO events (title, description, date_type, start_date, end_date) VALUES
+  ('Invention of the Lightbulb', 'Thomas Edison successfully demonstrated his incandescent light bulb on October 21, 1879, revolutionizing the way humans illuminate their world and ushering in the age of electric lighting.', 'date', '1879-10-21', NULL),
+  ('World War II', 'A global conflict that lasted from 1939 to 1945, involving most of the world''s nations divided into two opposing military alliances: the Allies and the Axis powers.', 'date', '1939-09-01', '1945-09-02'),
+  ('Moon Landing', 'Apollo 11 astronauts Neil Armstrong and Buzz Aldrin became the first humans to walk on the Moon on July 20, 1969, while Michael Collins orbited above in the command module.', 'date', '1969-07-20', NULL),
+  ('Renaissance Period', 'A cultural movement that began in Italy and spread throughout Europe, marking the transition from the medieval period to modernity. It saw extraordinary flourishing in art, architecture, literature, and science.', 'date', '1400-01-01', '1600-01-01'),
+  ('Industrial Revolution', 'The transition to new manufacturing processes in Britain and later worldwide, fundamentally changing economy and society through mechanization, factory systems, and urbanization.', 'date', '1760-01-01', '1840-01-01'),
+  ('Fall of the Roman Empire', 'The gradual decline and fall of the Western Roman Empire, traditionally dated to 476 AD when the last Roman emperor Romulus Augustulus was deposed.', 'date', '0476-09-04', NULL),
+  ('Founding of Rome', 'According to legend, Romulus founded the city of Rome on the Palatine Hill on April 21, 753 BCE.', 'date', '-0752-04-21', NULL),
+  ('Age of Exploration', 'A period of European global exploration that began in the early 15th century and continued into the early 17th century, during which Europeans explored Africa, the Americas, Asia, and Oceania.', 'date', '1400-01-01', '1600-01-01');
+
+INSERT INTO event_labels (event_id, label_id)
+  SELECT e.id, l.id
+  FROM (VALUES
+    ('Formation of Earth', 'nature'),
+    ('Hadean Eon', 'nature'),
+    ('Great Oxygenation Event', 'nature'),
+    ('Cambrian Explosion', 'nature'),
+    ('Extinction of Dinosaurs', 'nature'),
+    ('Invention of the Lightbulb', 'discovery'),
+    ('Invention of the Lightbulb', 'technology'),
+    ('World War II', 'war'),
+    ('Moon Landing', 'discovery'),
+    ('Moon Landing', 'technology'),
+    ('Renaissance Period', 'culture'),
+    ('Industrial Revolution', 'technology'),
+    ('Fall of the Roman Empire', 'politics'),
+    ('Founding of Rome', 'politics'),
+    ('Age of Exploration', 'discovery')
+  ) AS seed(title, label)
+  JOIN events e ON e.title = seed.title
+  JOIN labels l ON l.name = seed.label;
 
 -- Grant permissions for the service role
 GRANT ALL ON events TO service_role;
 GRANT ALL ON labels TO service_role;
+GRANT ALL ON event_labels TO service_role;
+GRANT ALL ON tracks, track_labels TO service_role;
+GRANT ALL ON event_relations TO service_role;
+GRANT ALL ON eras TO service_role;
+GRANT ALL ON tours TO service_role;
+GRANT ALL ON game_players, game_sessions, game_rounds TO service_role;
+GRANT ALL ON game_dailies, game_daily_attempts TO service_role;
+GRANT ALL ON revisions TO service_role;
 GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA public TO service_role;